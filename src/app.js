@@ -0,0 +1,53 @@
+import express from 'express';
+import cors from 'cors';
+import { errorTracker } from './services/errorTracker.js';
+import apiRoutes from './routes/api.js';
+import userRoutes from './routes/user.js';
+import videoRoutes from './routes/video.js';
+import waitlistRoutes from './routes/waitlist.js';
+import cronRoutes from './routes/cron.js';
+import adminRoutes from './routes/admin.js';
+import webhookRoutes from './routes/webhooks.js';
+
+// The HTTP API; started by the api role (see roles/api.js)
+export const app = express();
+
+// Middleware
+app.use(cors({
+  origin: process.env.ALLOWED_ORIGINS?.split(',') || ['http://localhost:3000', 'https://vidsift.com'],
+  credentials: true
+}));
+app.use(express.json());
+
+// Health check
+app.get('/health', (req, res) => {
+  res.json({ 
+    status: 'healthy', 
+    service: 'vidsift-backend',
+    timestamp: new Date().toISOString() 
+  });
+});
+
+// API routes
+app.use('/api', apiRoutes);
+app.use('/api/user', userRoutes);
+app.use('/api/video', videoRoutes);
+app.use('/api/waitlist', waitlistRoutes);
+app.use('/api/cron', cronRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/webhooks', webhookRoutes);
+
+// Error handling middleware
+app.use((err, req, res, next) => {
+  // Track the error
+  errorTracker.trackApiError(req, res, err).catch(console.error);
+
+  // Send error response
+  const status = err.status || 500;
+  const message = err.message || 'Internal server error';
+  
+  res.status(status).json({
+    error: message,
+    ...(process.env.NODE_ENV !== 'production' && { stack: err.stack })
+  });
+});
@@ -0,0 +1,20 @@
+import 'dotenv/config';
+import { createFakeYouTubeServer, DEFAULT_FIXTURES } from '../youtube/fakeServer.js';
+
+// Local YouTube Data API for development and tests. Point the backend at it
+// with YOUTUBE_API_BASE_URL=http://localhost:<port>/youtube/v3 and, for
+// captions, YOUTUBE_WEB_BASE_URL=http://localhost:<port>
+const port = parseInt(process.env.FAKE_YOUTUBE_PORT || '4100', 10);
+const server = createFakeYouTubeServer({
+  fixtures: process.env.FAKE_YOUTUBE_FIXTURES || DEFAULT_FIXTURES,
+  quota: process.env.FAKE_YOUTUBE_QUOTA ? parseInt(process.env.FAKE_YOUTUBE_QUOTA, 10) : Infinity
+});
+
+server.listen(port, () => {
+  console.log(`🧪 Fake YouTube API on http://localhost:${port}/youtube/v3`);
+  console.log(`   Watch pages and captions on http://localhost:${port} (YOUTUBE_WEB_BASE_URL)`);
+});
+
+const shutdown = () => server.close(() => process.exit(0));
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,9 @@
+import 'dotenv/config';
+import { run } from '../runtime.js';
+
+try {
+  await run(['scheduler']);
+} catch (error) {
+  console.error('Failed to start:', error.message);
+  process.exit(1);
+}
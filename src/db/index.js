@@ -0,0 +1,40 @@
+import { TABLES } from './schema.js';
+import { TableRepository } from './repository.js';
+import { SupabaseStore } from './supabaseStore.js';
+import { MemoryStore } from './memoryStore.js';
+
+// Build the data-access layer on top of a store.
+// DATA_STORE=supabase (default) talks to the hosted project;
+// DATA_STORE=memory runs entirely in-process, optionally seeded from MEMORY_STORE_SEED.
+export function createStore(kind = process.env.DATA_STORE || 'supabase') {
+  switch (kind) {
+    case 'memory':
+      return new MemoryStore({ seed: process.env.MEMORY_STORE_SEED });
+    case 'supabase':
+      return new SupabaseStore();
+    default:
+      throw new Error(`Unknown DATA_STORE: ${kind}`);
+  }
+}
+
+export function createDatabase(store = createStore()) {
+  const database = {
+    store,
+    rpc: (name, params) => store.rpc(name, params),
+    storage: {
+      upload: (bucket, path, content, options) => store.uploadFile(bucket, path, content, options),
+      download: (bucket, path) => store.downloadFile(bucket, path),
+      createBucket: (bucket, options) => store.createBucket(bucket, options)
+    }
+  };
+
+  for (const [name, table] of Object.entries(TABLES)) {
+    database[name] = new TableRepository(store, table);
+  }
+
+  return database;
+}
+
+export const db = createDatabase();
+
+export { MemoryStore, SupabaseStore, TableRepository };
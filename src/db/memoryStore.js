@@ -0,0 +1,586 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { RELATIONS, UNIQUE_COLUMNS, isOperatorFilter, relationEntries } from './schema.js';
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+function matchesCondition(value, operator, expected) {
+  switch (operator) {
+    case 'eq': return value === expected;
+    case 'neq': return value !== expected;
+    case 'gt': return value !== null && value !== undefined && compareValues(value, expected) > 0;
+    case 'gte': return value !== null && value !== undefined && compareValues(value, expected) >= 0;
+    case 'lt': return value !== null && value !== undefined && compareValues(value, expected) < 0;
+    case 'lte': return value !== null && value !== undefined && compareValues(value, expected) <= 0;
+    case 'in': return expected.includes(value);
+    case 'is': return expected === null ? value === null || value === undefined : value === expected;
+    default: throw new Error(`Unsupported filter operator: ${operator}`);
+  }
+}
+
+function matchesFilters(row, filters = {}) {
+  return Object.entries(filters).every(([column, condition]) => {
+    // Like `.eq(column, undefined)` in PostgREST, an undefined value never matches
+    if (condition === undefined) return false;
+    if (condition === null) return matchesCondition(row[column], 'is', null);
+    if (isOperatorFilter(condition)) {
+      return Object.entries(condition).every(([operator, expected]) =>
+        matchesCondition(row[column], operator, expected)
+      );
+    }
+    return row[column] === condition;
+  });
+}
+
+function projectColumns(row, columns) {
+  if (!columns || columns.trim() === '*') return { ...row };
+
+  const projected = {};
+  for (const column of columns.split(',').map(c => c.trim()).filter(Boolean)) {
+    if (column === '*') return { ...row };
+    projected[column] = row[column] ?? null;
+  }
+  return projected;
+}
+
+export function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let magA = 0;
+  let magB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    magA += a[i] * a[i];
+    magB += b[i] * b[i];
+  }
+  if (magA === 0 || magB === 0) return 0;
+  return dot / (Math.sqrt(magA) * Math.sqrt(magB));
+}
+
+function tokenize(text) {
+  return (text || '').toLowerCase().match(/\w+/g) || [];
+}
+
+// Okapi BM25 over the given documents; returns [index, score] for documents matching any term
+export function bm25Scores(documents, terms, { k1 = 1.2, b = 0.75 } = {}) {
+  const tokenized = documents.map(tokenize);
+  const avgLength = tokenized.reduce((sum, tokens) => sum + tokens.length, 0) / (tokenized.length || 1);
+  const queryTerms = [...new Set(terms.map(term => term.toLowerCase()))];
+
+  const documentFrequency = new Map(queryTerms.map(term => [
+    term,
+    tokenized.filter(tokens => tokens.includes(term)).length
+  ]));
+
+  return tokenized
+    .map((tokens, index) => {
+      let score = 0;
+      for (const term of queryTerms) {
+        const frequency = tokens.filter(token => token === term).length;
+        if (frequency === 0) continue;
+
+        const df = documentFrequency.get(term);
+        const idf = Math.log(1 + (tokenized.length - df + 0.5) / (df + 0.5));
+        score += idf * (frequency * (k1 + 1)) /
+          (frequency + k1 * (1 - b + b * tokens.length / (avgLength || 1)));
+      }
+      return [index, score];
+    })
+    .filter(([, score]) => score > 0);
+}
+
+// In-process stand-in for Supabase, used for local development and tests.
+// Mirrors the subset of PostgREST behaviour the repositories rely on.
+export class MemoryStore {
+  constructor({ seed } = {}) {
+    this.kind = 'memory';
+    this.tables = new Map();
+    this.files = new Map();
+    this.functions = new Map();
+
+    this.registerDefaultFunctions();
+
+    if (seed) {
+      this.load(seed);
+    }
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, []);
+    }
+    return this.tables.get(name);
+  }
+
+  // Load fixtures: { tables: { videos: [...] }, files: { 'transcripts/abc/transcript.txt': '...' } }
+  load(seed) {
+    const fixtures = typeof seed === 'string'
+      ? JSON.parse(fs.readFileSync(seed, 'utf8'))
+      : seed;
+
+    for (const [table, rows] of Object.entries(fixtures.tables || {})) {
+      for (const row of rows) {
+        this.table(table).push(this.withDefaults(table, row));
+      }
+    }
+
+    for (const [key, content] of Object.entries(fixtures.files || {})) {
+      this.files.set(key, content);
+    }
+  }
+
+  reset() {
+    this.tables.clear();
+    this.files.clear();
+  }
+
+  withDefaults(table, row) {
+    const now = new Date().toISOString();
+    return {
+      id: crypto.randomUUID(),
+      created_at: now,
+      ...clone(row)
+    };
+  }
+
+  findUniqueViolation(table, row, ignore) {
+    for (const column of UNIQUE_COLUMNS[table] || []) {
+      if (row[column] === undefined || row[column] === null) continue;
+
+      const conflict = this.table(table).find(existing =>
+        existing !== ignore && existing[column] === row[column]
+      );
+      if (conflict) {
+        return {
+          code: '23505',
+          message: `duplicate key value violates unique constraint "${table}_${column}_key"`
+        };
+      }
+    }
+    return null;
+  }
+
+  // Resolve relations from the full source row onto the projected result
+  attachRelations(table, row, result, relations) {
+    for (const [name, columns] of relationEntries(relations)) {
+      const spec = RELATIONS[table]?.[name];
+      if (!spec) {
+        throw new Error(`Unknown relation ${table}.${name}`);
+      }
+
+      const target = this.table(spec.table);
+      if (spec.many) {
+        result[name] = target
+          .filter(candidate => candidate[spec.foreignKey] === row.id)
+          .map(candidate => projectColumns(clone(candidate), columns));
+      } else {
+        const match = target.find(candidate => candidate.id === row[spec.localKey]);
+        result[name] = match ? projectColumns(clone(match), columns) : null;
+      }
+    }
+
+    return result;
+  }
+
+  select(table, filters, { columns, with: relations, order, limit, offset } = {}) {
+    let rows = this.table(table).filter(row => matchesFilters(row, filters));
+
+    const orders = Array.isArray(order) ? order : order ? [order] : [];
+    if (orders.length > 0) {
+      rows = [...rows].sort((a, b) => {
+        for (const { column, ascending = true } of orders) {
+          const result = compareValues(a[column], b[column]);
+          // NULLs sort last ascending and first descending, as in Postgres
+          if (result !== 0) return ascending ? result : -result;
+        }
+        return 0;
+      });
+    }
+
+    const start = offset || 0;
+    const end = limit !== undefined ? start + limit : undefined;
+    rows = rows.slice(start, end);
+
+    return rows.map(row =>
+      this.attachRelations(table, row, projectColumns(clone(row), columns), relations)
+    );
+  }
+
+  async find(table, filters, options = {}) {
+    return { data: this.select(table, filters, options), error: null };
+  }
+
+  async findOne(table, filters, options = {}) {
+    const [row] = this.select(table, filters, { ...options, limit: 1 });
+    return { data: row || null, error: null };
+  }
+
+  async count(table, filters) {
+    const count = this.table(table).filter(row => matchesFilters(row, filters)).length;
+    return { count, error: null };
+  }
+
+  async insert(table, rows, { returning = true } = {}) {
+    const input = Array.isArray(rows) ? rows : [rows];
+    const inserted = [];
+
+    for (const row of input) {
+      const record = this.withDefaults(table, row);
+      const violation = this.findUniqueViolation(table, record);
+      if (violation) {
+        return { data: null, error: violation };
+      }
+      this.table(table).push(record);
+      inserted.push(clone(record));
+    }
+
+    if (!returning) return { data: null, error: null };
+    return { data: Array.isArray(rows) ? inserted : inserted[0], error: null };
+  }
+
+  async update(table, filters, patch) {
+    const updated = [];
+
+    for (const row of this.table(table)) {
+      if (!matchesFilters(row, filters)) continue;
+
+      const next = { ...row, ...clone(patch) };
+      const violation = this.findUniqueViolation(table, next, row);
+      if (violation) {
+        return { data: [], error: violation };
+      }
+      Object.assign(row, clone(patch));
+      updated.push(clone(row));
+    }
+
+    return { data: updated, error: null };
+  }
+
+  async upsert(table, rows, { onConflict = 'id' } = {}) {
+    const input = Array.isArray(rows) ? rows : [rows];
+    const conflictColumns = onConflict.split(',').map(c => c.trim());
+    const results = [];
+
+    for (const row of input) {
+      const existing = this.table(table).find(candidate =>
+        conflictColumns.every(column => row[column] !== undefined && candidate[column] === row[column])
+      );
+
+      if (existing) {
+        Object.assign(existing, clone(row));
+        results.push(clone(existing));
+      } else {
+        const { data, error } = await this.insert(table, row);
+        if (error) return { data: null, error };
+        results.push(data);
+      }
+    }
+
+    return { data: Array.isArray(rows) ? results : results[0], error: null };
+  }
+
+  async delete(table, filters) {
+    const rows = this.table(table);
+    const kept = rows.filter(row => !matchesFilters(row, filters));
+    this.tables.set(table, kept);
+    return { data: null, error: null };
+  }
+
+  // Postgres functions are re-implemented in JS and registered by name
+  registerFunction(name, fn) {
+    this.functions.set(name, fn);
+  }
+
+  async rpc(name, params = {}) {
+    const fn = this.functions.get(name);
+    if (!fn) {
+      return { data: null, error: { message: `Could not find the function ${name}` } };
+    }
+
+    try {
+      return { data: await fn(params, this), error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message } };
+    }
+  }
+
+  registerDefaultFunctions() {
+    // Same shape as the SQL in 007_chunk_fulltext_search.sql: vector top-k
+    // unioned with full-text top-k, each with its own rank. BM25 stands in
+    // for ts_rank_cd, so scores differ from Postgres but rankings are comparable.
+    const hybridSearch = (chunks, params, defaultCount) => {
+      const threshold = params.match_threshold ?? 0;
+      const count = params.match_count ?? defaultCount;
+
+      const semantic = new Map(chunks
+        .filter(chunk => Array.isArray(chunk.embedding))
+        .map(chunk => [chunk.id, cosineSimilarity(chunk.embedding, params.query_embedding)])
+        .filter(([, similarity]) => similarity > threshold)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, count)
+        .map(([id, similarity], index) => [id, { similarity, rank: index + 1 }]));
+
+      const documents = chunks.map(chunk => chunk.search_text ?? chunk.text_preview ?? '');
+      const lexical = new Map(bm25Scores(documents, params.p_keywords || [])
+        .sort((a, b) => b[1] - a[1] || chunks[a[0]].chunk_index - chunks[b[0]].chunk_index)
+        .slice(0, count)
+        .map(([index, score], rank) => [chunks[index].id, { score, rank: rank + 1 }]));
+
+      return chunks
+        .filter(chunk => semantic.has(chunk.id) || lexical.has(chunk.id))
+        .map(({ embedding, search_text, ...chunk }) => ({
+          ...chunk,
+          similarity: semantic.get(chunk.id)?.similarity ?? null,
+          semantic_rank: semantic.get(chunk.id)?.rank ?? null,
+          keyword_score: lexical.get(chunk.id)?.score ?? null,
+          keyword_rank: lexical.get(chunk.id)?.rank ?? null
+        }));
+    };
+
+    this.registerFunction('search_transcript_chunks', (params, store) => {
+      const videoId = params.p_video_id ?? params.video_id;
+      const chunks = store.table('transcript_chunks')
+        .filter(chunk => chunk.video_id === videoId)
+        .sort((a, b) => a.chunk_index - b.chunk_index);
+      return hybridSearch(clone(chunks), params, 20);
+    });
+
+    this.registerFunction('search_channel_chunks', (params, store) => {
+      const channelId = params.p_channel_id ?? params.channel_id;
+      const videos = new Map(
+        store.table('videos')
+          .filter(video => video.channel_id === channelId && video.transcript_cached)
+          .map(video => [video.id, video])
+      );
+      const chunks = store.table('transcript_chunks')
+        .filter(chunk => videos.has(chunk.video_id))
+        .map(chunk => ({
+          ...clone(chunk),
+          video_title: videos.get(chunk.video_id).title,
+          youtube_id: videos.get(chunk.video_id).youtube_id
+        }));
+      return hybridSearch(chunks, params, 40);
+    });
+
+    this.registerFunction('search_playlist_chunks', (params, store) => {
+      const playlistId = params.p_playlist_id ?? params.playlist_id;
+      const videoIds = new Set(
+        store.table('playlist_videos')
+          .filter(entry => entry.playlist_id === playlistId)
+          .map(entry => entry.video_id)
+      );
+      const videos = new Map(
+        store.table('videos')
+          .filter(video => videoIds.has(video.id) && video.transcript_cached)
+          .map(video => [video.id, video])
+      );
+      const chunks = store.table('transcript_chunks')
+        .filter(chunk => videos.has(chunk.video_id))
+        .map(chunk => ({
+          ...clone(chunk),
+          video_title: videos.get(chunk.video_id).title,
+          youtube_id: videos.get(chunk.video_id).youtube_id
+        }));
+      return hybridSearch(chunks, params, 40);
+    });
+
+    this.registerFunction('search_collection_chunks', (params, store) => {
+      const collectionId = params.p_collection_id ?? params.collection_id;
+      const items = store.table('collection_items').filter(item => item.collection_id === collectionId);
+      const ids = type => new Set(items.filter(item => item.item_type === type).map(item => item[`${type}_id`]));
+      const [videoIds, channelIds, playlistIds] = [ids('video'), ids('channel'), ids('playlist')];
+
+      store.table('playlist_videos')
+        .filter(entry => playlistIds.has(entry.playlist_id))
+        .forEach(entry => videoIds.add(entry.video_id));
+
+      const channels = new Map(store.table('channels').map(channel => [channel.id, channel]));
+      const videos = new Map(
+        store.table('videos')
+          .filter(video => (videoIds.has(video.id) || channelIds.has(video.channel_id)) && video.transcript_cached)
+          .map(video => [video.id, video])
+      );
+      const chunks = store.table('transcript_chunks')
+        .filter(chunk => videos.has(chunk.video_id))
+        .map(chunk => {
+          const video = videos.get(chunk.video_id);
+          return {
+            ...clone(chunk),
+            video_title: video.title,
+            youtube_id: video.youtube_id,
+            channel_title: channels.get(video.channel_id)?.title ?? null
+          };
+        });
+      return hybridSearch(chunks, params, 40);
+    });
+
+    // Same GCRA as 011_rate_limit_buckets.sql; JS runs this without
+    // interleaving, so take-all-or-nothing is atomic here too
+    const buckets = (store, keys, now) => {
+      const rows = store.table('rate_limit_buckets');
+      return keys.map(key => {
+        let row = rows.find(bucket => bucket.key === key);
+        if (!row) {
+          row = { key, tat: new Date(now).toISOString() };
+          rows.push(row);
+        }
+        return row;
+      });
+    };
+
+    this.registerFunction('rate_limit_take', ({ p_keys, p_limits, p_periods_ms, p_cost = 1 }, store) => {
+      const now = Date.now();
+      const windows = buckets(store, p_keys, now).map((row, i) => {
+        const limit = p_limits[i];
+        const period = p_periods_ms[i];
+        const tat = Math.max(new Date(row.tat).getTime(), now);
+        const next = limit > 0 ? tat + period / limit * p_cost : tat;
+        return { row, limit, period, tat, next, allowed: limit > 0 && next - period <= now };
+      });
+      const allAllowed = windows.every(window => window.allowed);
+
+      return windows.map(({ row, limit, period, tat, next, allowed }) => {
+        if (allAllowed && p_cost > 0) {
+          row.tat = new Date(next).toISOString();
+        }
+        if (limit <= 0) {
+          return { key: row.key, allowed: false, limit, remaining: 0, reset_ms: period, retry_after_ms: period };
+        }
+
+        const effective = allAllowed ? next : tat;
+        return {
+          key: row.key,
+          allowed,
+          limit,
+          remaining: Math.max(0, Math.floor((period - (effective - now)) / (period / limit) + 1e-6)),
+          reset_ms: Math.ceil(effective - now),
+          retry_after_ms: allowed ? 0 : Math.ceil(next - period - now)
+        };
+      });
+    });
+
+    this.registerFunction('rate_limit_refund', ({ p_keys, p_limits, p_periods_ms, p_cost = 1 }, store) => {
+      const now = Date.now();
+      buckets(store, p_keys, now).forEach((row, i) => {
+        if (p_limits[i] <= 0) return;
+        const tat = new Date(row.tat).getTime() - p_periods_ms[i] / p_limits[i] * p_cost;
+        row.tat = new Date(Math.max(tat, now)).toISOString();
+      });
+      return null;
+    });
+
+    // Same as acquire_lock in 014_lock_fencing.sql
+    let fencingSequence = 0;
+    this.registerFunction('acquire_lock', ({ p_resource_id, p_lock_id, p_ttl_seconds, p_owner = {} }, store) => {
+      const now = new Date();
+      const locks = store.table('processing_locks');
+      const existing = locks.find(lock => lock.resource_id === p_resource_id);
+      if (existing && existing.expires_at >= now.toISOString()) return [];
+
+      const lock = {
+        id: existing?.id || crypto.randomUUID(),
+        resource_id: p_resource_id,
+        lock_id: p_lock_id,
+        expires_at: new Date(now.getTime() + p_ttl_seconds * 1000).toISOString(),
+        owner: clone(p_owner),
+        fencing_token: ++fencingSequence,
+        created_at: now.toISOString(),
+        renewed_at: null
+      };
+      if (existing) Object.assign(existing, lock);
+      else locks.push(lock);
+      return [clone(lock)];
+    });
+
+    // Same leasing rules as claim_jobs in 012_jobs.sql
+    this.registerFunction('claim_jobs', ({ p_worker, p_types = null, p_limit = 1, p_lease_seconds = 120 }, store) => {
+      const now = new Date();
+      const nowIso = now.toISOString();
+      const jobs = store.table('jobs');
+      const expired = job => job.status === 'running' && job.lease_expires_at < nowIso;
+
+      for (const job of jobs.filter(job => expired(job) && job.attempts >= job.max_attempts)) {
+        Object.assign(job, {
+          status: 'dead',
+          last_error: job.last_error ?? 'Lease expired on the final attempt',
+          lease_owner: null,
+          lease_expires_at: null,
+          completed_at: nowIso,
+          updated_at: nowIso
+        });
+      }
+
+      const claimable = jobs
+        .filter(job => (job.status === 'queued' && job.run_after <= nowIso) || expired(job))
+        .filter(job => !p_types || p_types.includes(job.type))
+        .sort((a, b) => b.priority - a.priority
+          || compareValues(a.run_after, b.run_after)
+          || compareValues(a.created_at, b.created_at))
+        .slice(0, p_limit);
+
+      const leaseExpiresAt = new Date(now.getTime() + p_lease_seconds * 1000).toISOString();
+      return claimable.map(job => clone(Object.assign(job, {
+        status: 'running',
+        attempts: job.attempts + 1,
+        lease_owner: p_worker,
+        lease_expires_at: leaseExpiresAt,
+        started_at: nowIso,
+        updated_at: nowIso
+      })));
+    });
+
+    // Same as youtube_quota_take in 019_youtube_quota.sql
+    this.registerFunction('youtube_quota_take', ({ p_day, p_call_type, p_units, p_budget }, store) => {
+      const rows = store.table('youtube_quota_usage');
+      const used = rows
+        .filter(row => row.day === p_day)
+        .reduce((sum, row) => sum + row.units, 0);
+
+      if (used + p_units > p_budget) {
+        return [{ allowed: false, used, remaining: Math.max(p_budget - used, 0) }];
+      }
+
+      const updatedAt = new Date().toISOString();
+      const row = rows.find(candidate => candidate.day === p_day && candidate.call_type === p_call_type);
+      if (row) {
+        Object.assign(row, { calls: row.calls + 1, units: row.units + p_units, updated_at: updatedAt });
+      } else {
+        rows.push({ id: crypto.randomUUID(), day: p_day, call_type: p_call_type, calls: 1, units: p_units, updated_at: updatedAt });
+      }
+      return [{ allowed: true, used: used + p_units, remaining: p_budget - used - p_units }];
+    });
+  }
+
+  // File storage, keyed by "bucket/path"
+  async uploadFile(bucket, path, content, { upsert = false } = {}) {
+    const key = `${bucket}/${path}`;
+    if (this.files.has(key) && !upsert) {
+      return { data: null, error: { message: 'The resource already exists' } };
+    }
+    this.files.set(key, typeof content === 'string' ? content : String(content));
+    return { data: { path }, error: null };
+  }
+
+  async downloadFile(bucket, path) {
+    const key = `${bucket}/${path}`;
+    if (!this.files.has(key)) {
+      return { data: null, error: { message: 'Object not found' } };
+    }
+    return { data: this.files.get(key), error: null };
+  }
+
+  async createBucket() {
+    return { data: null, error: null };
+  }
+}
@@ -0,0 +1,74 @@
+// Table repository: a thin, store-agnostic gateway over one table.
+// Every method resolves to { data, error } (or { count, error }) like supabase-js,
+// so callers keep the same error handling regardless of the backing store.
+//
+// Filters are plain objects: { status: 'pending' } is equality,
+// { created_at: { gte: iso } } and { id: { in: ids } } use operators,
+// and { user_id: null } matches NULL.
+export class TableRepository {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+  }
+
+  // options: { columns, with, order: { column, ascending } | [...], limit, offset }
+  find(filters = {}, options = {}) {
+    return this.store.find(this.table, filters, options);
+  }
+
+  // Resolves { data: null } when nothing matches
+  findOne(filters = {}, options = {}) {
+    return this.store.findOne(this.table, filters, options);
+  }
+
+  findById(id, options = {}) {
+    return this.findOne({ id }, options);
+  }
+
+  count(filters = {}) {
+    return this.store.count(this.table, filters);
+  }
+
+  insert(rows, options = {}) {
+    return this.store.insert(this.table, rows, options);
+  }
+
+  // Resolves every updated row as an array
+  update(filters, patch) {
+    return this.store.update(this.table, filters, patch);
+  }
+
+  async updateOne(filters, patch) {
+    const { data, error } = await this.update(filters, patch);
+    return { data: data?.[0] || null, error };
+  }
+
+  upsert(rows, options = {}) {
+    return this.store.upsert(this.table, rows, options);
+  }
+
+  delete(filters) {
+    if (!filters || Object.keys(filters).length === 0) {
+      throw new Error(`Refusing to delete from ${this.table} without filters`);
+    }
+    return this.store.delete(this.table, filters);
+  }
+
+  // Read-modify-write counter bump; not atomic across instances
+  async increment(filters, column, by = 1, extra = {}) {
+    const { data: rows, error } = await this.find(filters, { columns: `id, ${column}` });
+    if (error) return { data: null, error };
+
+    const updated = [];
+    for (const row of rows) {
+      const { data, error: updateError } = await this.updateOne(
+        { id: row.id },
+        { ...extra, [column]: (row[column] || 0) + by }
+      );
+      if (updateError) return { data: null, error: updateError };
+      updated.push(data);
+    }
+
+    return { data: updated, error: null };
+  }
+}
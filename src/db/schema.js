@@ -0,0 +1,112 @@
+// Table metadata shared by the Supabase and in-memory stores
+
+// Embeddable relations per table. `localKey` relations point from this row to
+// the target's id (many-to-one); `foreignKey` relations collect target rows
+// that point back at this row (one-to-many). `hint` disambiguates the foreign
+// key for PostgREST when a table references the same target more than once.
+export const RELATIONS = {
+  channel_queue: {
+    channels: { table: 'channels', localKey: 'channel_id' },
+    users: { table: 'users', localKey: 'requested_by', hint: 'channel_queue_requested_by_fkey' }
+  },
+  videos: {
+    channels: { table: 'channels', localKey: 'channel_id' },
+    transcript_chunks: { table: 'transcript_chunks', foreignKey: 'video_id', many: true }
+  },
+  transcript_chunks: {
+    videos: { table: 'videos', localKey: 'video_id' }
+  },
+  chat_sessions: {
+    videos: { table: 'videos', localKey: 'video_id' },
+    channels: { table: 'channels', localKey: 'channel_id' }
+  },
+  playlists: {
+    playlist_videos: { table: 'playlist_videos', foreignKey: 'playlist_id', many: true }
+  },
+  playlist_videos: {
+    playlists: { table: 'playlists', localKey: 'playlist_id' },
+    videos: { table: 'videos', localKey: 'video_id' }
+  },
+  user_playlists: {
+    playlists: { table: 'playlists', localKey: 'playlist_id' },
+    users: { table: 'users', localKey: 'user_id' }
+  },
+  collections: {
+    collection_items: { table: 'collection_items', foreignKey: 'collection_id', many: true }
+  },
+  collection_items: {
+    collections: { table: 'collections', localKey: 'collection_id' },
+    videos: { table: 'videos', localKey: 'video_id' },
+    channels: { table: 'channels', localKey: 'channel_id' },
+    playlists: { table: 'playlists', localKey: 'playlist_id' }
+  },
+  chat_messages: {
+    chat_sessions: { table: 'chat_sessions', localKey: 'session_id' }
+  },
+  user_channels: {
+    channels: { table: 'channels', localKey: 'channel_id' },
+    users: { table: 'users', localKey: 'user_id' }
+  },
+  api_keys: {
+    users: { table: 'users', localKey: 'user_id' }
+  }
+};
+
+// Columns with UNIQUE constraints, enforced by the in-memory store
+export const UNIQUE_COLUMNS = {
+  channels: ['youtube_channel_id'],
+  videos: ['youtube_id'],
+  playlists: ['youtube_playlist_id'],
+  processing_locks: ['resource_id'],
+  cache: ['key'],
+  users: ['clerk_id'],
+  waitlist: ['email'],
+  api_keys: ['key_hash'],
+  scheduled_jobs: ['name']
+};
+
+// Repository name -> table name
+export const TABLES = {
+  channels: 'channels',
+  videos: 'videos',
+  transcriptChunks: 'transcript_chunks',
+  chatSessions: 'chat_sessions',
+  chatMessages: 'chat_messages',
+  channelQueue: 'channel_queue',
+  rateLimitBuckets: 'rate_limit_buckets',
+  processingLocks: 'processing_locks',
+  cache: 'cache',
+  errorLogs: 'error_logs',
+  cronLogs: 'cron_logs',
+  users: 'users',
+  userChannels: 'user_channels',
+  waitlist: 'waitlist',
+  apiKeys: 'api_keys',
+  jobs: 'jobs',
+  scheduledJobs: 'scheduled_jobs',
+  playlists: 'playlists',
+  playlistVideos: 'playlist_videos',
+  userPlaylists: 'user_playlists',
+  collections: 'collections',
+  collectionItems: 'collection_items',
+  youtubeQuotaUsage: 'youtube_quota_usage',
+  captionUploads: 'caption_uploads'
+};
+
+export const FILTER_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'in', 'is'];
+
+// A filter value like { gte: '2024-01-01' } rather than a plain equality value
+export function isOperatorFilter(value) {
+  if (value === null || typeof value !== 'object' || Array.isArray(value) || value instanceof Date) {
+    return false;
+  }
+  const keys = Object.keys(value);
+  return keys.length > 0 && keys.every(key => FILTER_OPERATORS.includes(key));
+}
+
+// Normalise the `with` option into [name, columns] pairs
+export function relationEntries(relations) {
+  if (!relations) return [];
+  if (Array.isArray(relations)) return relations.map(name => [name, '*']);
+  return Object.entries(relations);
+}
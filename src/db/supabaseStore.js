@@ -0,0 +1,142 @@
+import { createClient } from '@supabase/supabase-js';
+import { RELATIONS, isOperatorFilter, relationEntries } from './schema.js';
+
+// Store backed by a hosted Supabase project (PostgREST + Storage)
+export class SupabaseStore {
+  constructor(url = process.env.SUPABASE_URL, key = process.env.SUPABASE_SERVICE_ROLE_KEY) {
+    this.kind = 'supabase';
+    this.client = createClient(url, key);
+  }
+
+  buildSelect(table, columns = '*', relations) {
+    const parts = [columns || '*'];
+
+    for (const [name, relationColumns] of relationEntries(relations)) {
+      const spec = RELATIONS[table]?.[name];
+      const target = spec?.hint ? `${name}!${spec.hint}` : name;
+      parts.push(`${target} (${relationColumns || '*'})`);
+    }
+
+    return parts.join(', ');
+  }
+
+  applyFilters(query, filters = {}) {
+    for (const [column, condition] of Object.entries(filters)) {
+      if (condition === null) {
+        query = query.is(column, null);
+      } else if (isOperatorFilter(condition)) {
+        for (const [operator, value] of Object.entries(condition)) {
+          query = query[operator](column, value);
+        }
+      } else {
+        query = query.eq(column, condition);
+      }
+    }
+    return query;
+  }
+
+  applyOptions(query, { order, limit, offset } = {}) {
+    const orders = Array.isArray(order) ? order : order ? [order] : [];
+    for (const { column, ascending = true } of orders) {
+      query = query.order(column, { ascending });
+    }
+
+    if (offset !== undefined) {
+      query = query.range(offset, offset + (limit ?? 1000) - 1);
+    } else if (limit !== undefined) {
+      query = query.limit(limit);
+    }
+    return query;
+  }
+
+  async find(table, filters, options = {}) {
+    let query = this.client
+      .from(table)
+      .select(this.buildSelect(table, options.columns, options.with));
+
+    query = this.applyFilters(query, filters);
+    query = this.applyOptions(query, options);
+
+    const { data, error } = await query;
+    return { data: data || [], error };
+  }
+
+  async findOne(table, filters, options = {}) {
+    let query = this.client
+      .from(table)
+      .select(this.buildSelect(table, options.columns, options.with));
+
+    query = this.applyFilters(query, filters);
+    query = this.applyOptions(query, { ...options, limit: 1 });
+
+    return query.maybeSingle();
+  }
+
+  async count(table, filters) {
+    let query = this.client
+      .from(table)
+      .select('*', { count: 'exact', head: true });
+
+    query = this.applyFilters(query, filters);
+
+    const { count, error } = await query;
+    return { count: count || 0, error };
+  }
+
+  async insert(table, rows, { returning = true } = {}) {
+    let query = this.client.from(table).insert(rows);
+    if (!returning) {
+      const { error } = await query;
+      return { data: null, error };
+    }
+
+    query = query.select();
+    return Array.isArray(rows) ? query : query.single();
+  }
+
+  async update(table, filters, patch) {
+    let query = this.client.from(table).update(patch);
+    query = this.applyFilters(query, filters);
+
+    const { data, error } = await query.select();
+    return { data: data || [], error };
+  }
+
+  async upsert(table, rows, { onConflict } = {}) {
+    const query = this.client
+      .from(table)
+      .upsert(rows, onConflict ? { onConflict } : undefined)
+      .select();
+
+    return Array.isArray(rows) ? query : query.single();
+  }
+
+  async delete(table, filters) {
+    let query = this.client.from(table).delete();
+    query = this.applyFilters(query, filters);
+
+    const { error } = await query;
+    return { data: null, error };
+  }
+
+  async rpc(name, params) {
+    return this.client.rpc(name, params);
+  }
+
+  // File storage (transcripts bucket)
+  async uploadFile(bucket, path, content, options = {}) {
+    return this.client.storage.from(bucket).upload(path, content, options);
+  }
+
+  async downloadFile(bucket, path) {
+    const { data, error } = await this.client.storage.from(bucket).download(path);
+    if (error || !data) {
+      return { data: null, error: error || new Error('File not found') };
+    }
+    return { data: await data.text(), error: null };
+  }
+
+  async createBucket(bucket, options = {}) {
+    return this.client.storage.createBucket(bucket, options);
+  }
+}
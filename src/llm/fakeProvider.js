@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+
+function hashToken(token, dimensions) {
+  const digest = crypto.createHash('sha256').update(token).digest();
+  return {
+    index: digest.readUInt32BE(0) % dimensions,
+    sign: digest[4] & 1 ? 1 : -1
+  };
+}
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .replace(/[^\w\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+// Deterministic offline provider for tests and local development.
+// Embeddings are hashed bag-of-words vectors, so texts sharing words land close
+// together; chat replies are built from the prompt without any network access.
+export class FakeProvider {
+  constructor({ models, dimensions = 1536 }) {
+    this.name = 'fake';
+    this.models = models;
+    this.dimensions = dimensions;
+  }
+
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const token of tokenize(text)) {
+      const { index, sign } = hashToken(token, this.dimensions);
+      vector[index] += sign;
+    }
+
+    const magnitude = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return magnitude === 0 ? vector : vector.map(value => value / magnitude);
+  }
+
+  async embedMany(texts) {
+    return Promise.all(texts.map(text => this.embed(text)));
+  }
+
+  reply(messages) {
+    const lastUser = [...messages].reverse().find(m => m.role === 'user');
+    const system = messages.find(m => m.role === 'system')?.content || '';
+    const timestamp = system.match(/\[(\d{1,2}:)?\d{1,2}:\d{2}\]/)?.[0];
+
+    const answer = `Answer to "${lastUser?.content || ''}".`;
+    return timestamp ? `${answer} See ${timestamp}.` : answer;
+  }
+
+  async complete({ messages, signal }) {
+    signal?.throwIfAborted();
+    return this.reply(messages);
+  }
+
+  async *stream({ messages, signal }) {
+    const words = this.reply(messages).split(/(?<= )/);
+    for (const word of words) {
+      signal?.throwIfAborted();
+      yield word;
+    }
+  }
+}
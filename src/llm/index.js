@@ -0,0 +1,45 @@
+import { OpenAIProvider } from './openaiProvider.js';
+import { FakeProvider } from './fakeProvider.js';
+
+// Model names per role, overridable per environment
+export function getModelConfig(env = process.env) {
+  return {
+    chat: env.LLM_CHAT_MODEL || 'gpt-4o-mini',
+    summary: env.LLM_SUMMARY_MODEL || 'gpt-4-turbo-preview',
+    rerank: env.LLM_RERANK_MODEL || env.LLM_CHAT_MODEL || 'gpt-4o-mini',
+    rewrite: env.LLM_REWRITE_MODEL || env.LLM_CHAT_MODEL || 'gpt-4o-mini',
+    embedding: env.LLM_EMBEDDING_MODEL || 'text-embedding-ada-002'
+  };
+}
+
+// LLM_PROVIDER=openai (default) | openai-compatible | fake
+export function createProvider(env = process.env) {
+  const models = getModelConfig(env);
+  const kind = env.LLM_PROVIDER || 'openai';
+
+  switch (kind) {
+    case 'openai':
+      return new OpenAIProvider({ apiKey: env.OPENAI_API_KEY, models });
+    case 'openai-compatible':
+      if (!env.LLM_BASE_URL) {
+        throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+      }
+      return new OpenAIProvider({
+        name: 'openai-compatible',
+        apiKey: env.LLM_API_KEY,
+        baseURL: env.LLM_BASE_URL,
+        models
+      });
+    case 'fake':
+      return new FakeProvider({
+        models,
+        dimensions: parseInt(env.LLM_EMBEDDING_DIMENSIONS || '1536', 10)
+      });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER: ${kind}`);
+  }
+}
+
+export const llm = createProvider();
+
+export { OpenAIProvider, FakeProvider };
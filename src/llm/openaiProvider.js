@@ -0,0 +1,69 @@
+import OpenAI from 'openai';
+
+// OpenAI, or any server that speaks the OpenAI API (vLLM, Ollama, LM Studio, ...)
+// when constructed with a baseURL.
+export class OpenAIProvider {
+  constructor({ apiKey, baseURL, models, name = 'openai' }) {
+    this.name = name;
+    this.models = models;
+    this.apiKey = apiKey;
+    this.baseURL = baseURL;
+    this.client = null;
+  }
+
+  // Created lazily so the server can boot without credentials for unused providers
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({
+        apiKey: this.apiKey || 'not-needed',
+        ...(this.baseURL && { baseURL: this.baseURL })
+      });
+    }
+    return this.client;
+  }
+
+  async embed(text) {
+    const [embedding] = await this.embedMany([text]);
+    return embedding;
+  }
+
+  async embedMany(texts) {
+    const response = await this.getClient().embeddings.create({
+      model: this.models.embedding,
+      input: texts
+    });
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  async complete({ model = 'chat', messages, temperature, maxTokens, signal, responseFormat }) {
+    const response = await this.getClient().chat.completions.create({
+      model: this.models[model] || model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...(responseFormat && { response_format: responseFormat })
+    }, { signal });
+
+    return response.choices[0]?.message?.content || '';
+  }
+
+  // Yields content deltas as they arrive
+  async *stream({ model = 'chat', messages, temperature, maxTokens, signal }) {
+    const stream = await this.getClient().chat.completions.create({
+      model: this.models[model] || model,
+      messages,
+      stream: true,
+      temperature,
+      max_tokens: maxTokens
+    }, { signal });
+
+    for await (const chunk of stream) {
+      const content = chunk.choices[0]?.delta?.content || '';
+      if (content) {
+        yield content;
+      }
+    }
+  }
+}
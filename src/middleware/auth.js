@@ -1,20 +1,90 @@
-// Simple auth middleware - you can enhance this with JWT or other methods
-export const authMiddleware = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  
-  if (apiKey !== process.env.BACKEND_API_KEY) {
+import { authService, AuthError } from '../services/authService.js';
+import { apiKeyService } from '../services/apiKeyService.js';
+
+// Authenticates one of:
+// - a signed-in user: Clerk session JWT in `Authorization: Bearer`
+// - a user's personal API key (vsk_...), in `Authorization: Bearer` or `x-api-key`
+// - the backend service key in `x-api-key`
+// Users (including API keys, which also set req.user.apiKey) end up in
+// req.user, the service key in req.service; never both.
+export const authMiddleware = async (req, res, next) => {
+  try {
+    const authorization = req.headers.authorization;
+    const bearer = authorization?.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+    const headerKey = req.headers['x-api-key'];
+
+    const personalKey = [bearer, headerKey].find(value => apiKeyService.isApiKey(value));
+    if (personalKey) {
+      const apiKey = await apiKeyService.verify(personalKey);
+      if (!apiKey) {
+        return res.status(401).json({ error: 'Unauthorized', message: 'Invalid or revoked API key' });
+      }
+      req.user = await authService.resolveApiKeyUser(apiKey);
+      return next();
+    }
+
+    if (bearer) {
+      const claims = await authService.verifyToken(bearer);
+      req.user = await authService.resolveUser(claims);
+      return next();
+    }
+
+    if (authService.matchesServiceKey(headerKey)) {
+      req.service = authService.serviceIdentity();
+      return next();
+    }
+
     return res.status(401).json({ error: 'Unauthorized' });
+  } catch (error) {
+    if (error instanceof AuthError) {
+      return res.status(error.status).json({ error: 'Unauthorized', message: error.message });
+    }
+
+    console.error('Authentication error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
   }
-  
-  // Get user info from headers (passed by frontend)
-  const userId = req.headers['x-user-id'];
-  const userEmail = req.headers['x-user-email'];
-  
-  req.user = { 
-    id: userId || 'api-client', 
-    email: userEmail,
-    isApiKey: true 
-  };
-  
+};
+
+// Routes that act on the caller's own data need a synced user row
+export const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Unauthorized', message: 'A user session is required' });
+  }
+
+  if (!req.user.id) {
+    return res.status(403).json({ error: 'User not synced', message: 'Call /api/user/sync first' });
+  }
+
   next();
-};
\ No newline at end of file
+};
+
+// Account management is only allowed from a signed-in session, never with an API key
+export const requireSession = (req, res, next) => {
+  if (req.user?.apiKey) {
+    return res.status(403).json({ error: 'Forbidden', message: 'This endpoint requires a signed-in session' });
+  }
+
+  requireUser(req, res, next);
+};
+
+// Session users pass; API keys and the service key need the named scope
+export const requireScope = (scope) => (req, res, next) => {
+  if (req.user && !req.user.apiKey) return next();
+
+  const scopes = req.user ? req.user.apiKey.scopes : req.service?.scopes;
+  if (scopes?.includes(scope)) {
+    return next();
+  }
+
+  const caller = req.user ? 'API key' : 'Service key';
+  return res.status(403).json({ error: 'Forbidden', message: `${caller} lacks the "${scope}" scope` });
+};
+
+// Admin users, or the service key with the admin scope
+export const requireAdmin = (req, res, next) => {
+  if ((req.user?.role === 'admin' && !req.user.apiKey) || req.service?.scopes.includes('admin')) {
+    return next();
+  }
+
+  return res.status(403).json({ error: 'Forbidden - Admin access required' });
+};
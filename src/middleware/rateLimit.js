@@ -1,197 +1,134 @@
-import { supabase } from '../server.js';
-
-const RATE_LIMITS = {
-  anonymous: {
-    chat: { hourly: 5, daily: 5 },
-    video_upload: { hourly: null, daily: 2 },
-    channel_process: { hourly: null, daily: 0 }
-  },
-  user: {
-    chat: { hourly: 5, daily: 5 },
-    video_upload: { hourly: null, daily: 10 },
-    channel_process: { hourly: null, daily: 1 }
-  },
-  premium: {
-    chat: { hourly: 50, daily: 200 },
-    video_upload: { hourly: null, daily: 50 },
-    channel_process: { hourly: null, daily: 10 }
-  }
-};
-
+import { db } from '../db/index.js';
+import { planService, RATE_LIMITED_ACTIONS } from '../services/planService.js';
+
+// Plan limit key -> bucket name and length
+const WINDOWS = [
+  { key: 'hourly', name: 'hour', period: 60 * 60 * 1000 },
+  { key: 'daily', name: 'day', period: 24 * 60 * 60 * 1000 }
+];
+
+// Limits are enforced by the rate_limit_take database function (GCRA, see
+// 011_rate_limit_buckets.sql), which checks and takes every window in one
+// atomic call, so they hold across instances.
 class RateLimiter {
-  constructor() {
-    this.cache = new Map();
-  }
-
   getClientIp(req) {
     // Get IP from various headers
     const forwarded = req.headers['x-forwarded-for'];
     const real = req.headers['x-real-ip'];
     const cloudflare = req.headers['cf-connecting-ip'];
-    
+
     if (cloudflare) return cloudflare;
     if (forwarded) return forwarded.split(',')[0].trim();
     if (real) return real;
-    
+
     return req.connection?.remoteAddress || req.ip || 'unknown';
   }
 
-  getCacheKey(identifier, action, window) {
-    return `${identifier}:${action}:${window}`;
+  // Users are counted by account, services by key, everyone else by IP
+  identify(req) {
+    if (req.user) return `user:${req.user.id || req.user.clerkId}`;
+    if (req.service) return `service:${req.service.id}`;
+    return `ip:${this.getClientIp(req)}`;
   }
 
-  async checkLimit(identifier, action, userType = 'anonymous') {
-    const limits = RATE_LIMITS[userType]?.[action];
-    if (!limits) {
-      return { allowed: true, remaining: null };
-    }
-
-    const now = new Date();
-    const results = [];
+  // The windows a plan caps for an action, as rate_limit_* parameters
+  bucketParams(identifier, action, limits) {
+    const windows = WINDOWS.filter(window => limits?.[window.key] != null);
+    return {
+      windows,
+      params: {
+        p_keys: windows.map(window => `${identifier}:${action}:${window.name}`),
+        p_limits: windows.map(window => limits[window.key]),
+        p_periods_ms: windows.map(window => window.period)
+      }
+    };
+  }
 
-    // Check hourly limit
-    if (limits.hourly !== null) {
-      const hourlyResult = await this.checkWindowLimit(
-        identifier,
-        action,
-        'hour',
-        limits.hourly,
-        now
-      );
-      results.push(hourlyResult);
+  // Take `cost` from every window of the action, or from none if any is empty.
+  // Returns the most restrictive window; cost 0 only reads the state.
+  // limits: { hourly, daily } from the caller's plan
+  async take(identifier, action, limits, cost = 1) {
+    const { windows, params } = this.bucketParams(identifier, action, limits);
+    if (windows.length === 0) {
+      return { allowed: true, limit: null, windows: [] };
     }
 
-    // Check daily limit
-    if (limits.daily !== null) {
-      const dailyResult = await this.checkWindowLimit(
-        identifier,
-        action,
-        'day',
-        limits.daily,
-        now
-      );
-      results.push(dailyResult);
+    const { data, error } = await db.rpc('rate_limit_take', { ...params, p_cost: cost });
+    if (error) {
+      console.error('Rate limit check error:', error);
+      // Fail open on error
+      return { allowed: true, limit: null, windows: [] };
     }
 
-    // Return the most restrictive result
-    const mostRestrictive = results.reduce((prev, current) => {
-      if (!current.allowed) return current;
-      if (!prev.allowed) return prev;
-      if (current.remaining < prev.remaining) return current;
-      return prev;
-    }, { allowed: true, remaining: Infinity });
-
-    return mostRestrictive;
+    const results = data.map((row, i) => ({
+      window: windows[i].name,
+      period: windows[i].period,
+      allowed: row.allowed,
+      limit: row.limit,
+      remaining: row.remaining,
+      resetMs: Number(row.reset_ms),
+      retryAfterMs: Number(row.retry_after_ms)
+    }));
+
+    const denied = results.filter(result => !result.allowed);
+    const mostRestrictive = denied.length > 0
+      ? denied.reduce((a, b) => (b.retryAfterMs > a.retryAfterMs ? b : a))
+      : results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+    return { ...mostRestrictive, allowed: denied.length === 0, windows: results };
   }
 
-  async checkWindowLimit(identifier, action, window, limit, now) {
-    try {
-      // Calculate window start time
-      const windowStart = new Date(now);
-      if (window === 'hour') {
-        windowStart.setHours(windowStart.getHours() - 1);
-      } else {
-        windowStart.setDate(windowStart.getDate() - 1);
-      }
-
-      // Check cache first
-      const cacheKey = this.getCacheKey(identifier, action, window);
-      const cached = this.cache.get(cacheKey);
-      
-      if (cached && cached.expires > now) {
-        const remaining = Math.max(0, limit - cached.count);
-        return {
-          allowed: remaining > 0,
-          remaining,
-          limit,
-          window,
-          resetAt: cached.resetAt
-        };
-      }
-
-      // Query database - just count the records
-      const { count, error } = await supabase
-        .from('rate_limits')
-        .select('*', { count: 'exact', head: true })
-        .eq('identifier', identifier)
-        .eq('action', action)
-        .gte('created_at', windowStart.toISOString());
-
-      if (error) {
-        console.error('Rate limit check error:', error);
-        // Fail open on error
-        return { allowed: true, remaining: limit };
-      }
-
-      const usageCount = count || 0;
-      const remaining = Math.max(0, limit - usageCount);
-
-      // Calculate reset time
-      let resetAt = new Date(windowStart);
-      if (window === 'hour') {
-        resetAt.setHours(resetAt.getHours() + 1);
-      } else {
-        resetAt.setDate(resetAt.getDate() + 1);
-      }
-
-      // Cache the result
-      this.cache.set(cacheKey, {
-        count: usageCount,
-        expires: new Date(now.getTime() + 60000), // Cache for 1 minute
-        resetAt
-      });
-
-      // Limit cache size
-      if (this.cache.size > 1000) {
-        const firstKey = this.cache.keys().next().value;
-        this.cache.delete(firstKey);
-      }
+  // Give back a request that ended up failing
+  async refund(identifier, action, limits, cost = 1) {
+    const { windows, params } = this.bucketParams(identifier, action, limits);
+    if (windows.length === 0) return;
 
-      return {
-        allowed: remaining > 0,
-        remaining,
-        limit,
-        window,
-        resetAt
-      };
-    } catch (error) {
-      console.error('Rate limit error:', error);
-      // Fail open
-      return { allowed: true, remaining: limit };
+    const { error } = await db.rpc('rate_limit_refund', { ...params, p_cost: cost });
+    if (error) {
+      console.error('Rate limit refund error:', error);
     }
   }
 
-  async recordUsage(identifier, action) {
-    try {
-      const { error } = await supabase
-        .from('rate_limits')
-        .insert({
-          identifier,
-          action,
-          created_at: new Date().toISOString()
-        });
-
-      if (error) {
-        console.error('Rate limit record error:', error);
-      }
+  // Per-window usage for the quota endpoint; windows without a cap report limit: null
+  async usage(identifier, action, limits) {
+    const { windows } = await this.take(identifier, action, limits, 0);
+    const now = Date.now();
+
+    return Object.fromEntries(WINDOWS.map(({ key, name }) => {
+      const window = windows.find(result => result.window === name);
+      if (!window) return [key, { limit: null }];
+
+      return [key, {
+        used: window.limit - window.remaining,
+        limit: window.limit,
+        remaining: window.remaining,
+        resetAt: new Date(now + window.resetMs)
+      }];
+    }));
+  }
 
-      // Invalidate cache
-      this.cache.delete(this.getCacheKey(identifier, action, 'hour'));
-      this.cache.delete(this.getCacheKey(identifier, action, 'day'));
-    } catch (error) {
-      console.error('Rate limit record error:', error);
-    }
+  // IETF RateLimit-* headers, plus the X-RateLimit-* ones existing clients read
+  setHeaders(res, result) {
+    if (result.limit === null) return;
+
+    const resetSeconds = Math.ceil(result.resetMs / 1000);
+    res.setHeader('RateLimit-Policy', result.windows
+      .map(window => `${window.limit};w=${window.period / 1000}`)
+      .join(', '));
+    res.setHeader('RateLimit-Limit', result.limit);
+    res.setHeader('RateLimit-Remaining', result.remaining);
+    res.setHeader('RateLimit-Reset', resetSeconds);
+    res.setHeader('X-RateLimit-Limit', result.limit);
+    res.setHeader('X-RateLimit-Remaining', result.remaining);
+    res.setHeader('X-RateLimit-Reset', new Date(Date.now() + result.resetMs).toISOString());
   }
 
+  // A bucket whose tat has passed is full, which is the same as having no row
   async cleanupOldRecords() {
     try {
-      const twoDaysAgo = new Date();
-      twoDaysAgo.setDate(twoDaysAgo.getDate() - 2);
-
-      const { error } = await supabase
-        .from('rate_limits')
-        .delete()
-        .lt('created_at', twoDaysAgo.toISOString());
+      const { error } = await db.rateLimitBuckets.delete({
+        tat: { lt: new Date().toISOString() }
+      });
 
       if (error) {
         console.error('Rate limit cleanup error:', error);
@@ -202,58 +139,51 @@ class RateLimiter {
   }
 }
 
+// Expired buckets are cleaned up by the scheduler role
 const rateLimiter = new RateLimiter();
 
-// Cleanup old records periodically
-setInterval(() => {
-  rateLimiter.cleanupOldRecords().catch(err => {
-    console.error('Rate limit cleanup interval error:', err);
-  });
-}, 3600000); // Every hour
-
 export function rateLimitMiddleware(action) {
+  // An action no plan defines would never be limited
+  if (!RATE_LIMITED_ACTIONS.includes(action)) {
+    throw new Error(`Unknown rate limited action: ${action}`);
+  }
+
   return async (req, res, next) => {
     try {
-      // Skip rate limiting for API key authentication
-      if (req.user?.isApiKey) {
+      // Only service keys explicitly granted the bypass scope skip limits
+      if (req.service?.scopes.includes('ratelimit:bypass')) {
         return next();
       }
 
-      // Determine identifier and user type
-      let identifier;
-      let userType = 'anonymous';
+      const identifier = rateLimiter.identify(req);
+      const limits = planService.limitsFor(req, action);
+      const result = await rateLimiter.take(identifier, action, limits);
 
-      if (req.user) {
-        identifier = `user:${req.user.id}`;
-        userType = req.user.premium ? 'premium' : 'user';
-      } else {
-        const ip = rateLimiter.getClientIp(req);
-        identifier = `ip:${ip}`;
-      }
-
-      // Check rate limit
-      const result = await rateLimiter.checkLimit(identifier, action, userType);
-
-      // Add headers
-      res.setHeader('X-RateLimit-Limit', result.limit || 'unlimited');
-      res.setHeader('X-RateLimit-Remaining', result.remaining || 'unlimited');
-      
-      if (result.resetAt) {
-        res.setHeader('X-RateLimit-Reset', result.resetAt.toISOString());
-      }
+      rateLimiter.setHeaders(res, result);
 
       if (!result.allowed) {
+        const retryAfter = Math.ceil(result.retryAfterMs / 1000);
+        res.setHeader('Retry-After', retryAfter);
         return res.status(429).json({
           error: 'Rate limit exceeded',
           message: `Too many ${action} requests. Please try again later.`,
           limit: result.limit,
           window: result.window,
-          resetAt: result.resetAt
+          retryAfter,
+          resetAt: new Date(Date.now() + result.resetMs)
         });
       }
 
-      // Record usage
-      await rateLimiter.recordUsage(identifier, action);
+      // Failed requests don't count against the caller
+      if (result.limit !== null) {
+        res.on('finish', () => {
+          if (res.statusCode >= 400) {
+            rateLimiter.refund(identifier, action, limits).catch(err => {
+              console.error('Rate limit refund error:', err);
+            });
+          }
+        });
+      }
 
       next();
     } catch (error) {
@@ -264,4 +194,4 @@ export function rateLimitMiddleware(action) {
   };
 }
 
-export { rateLimiter };
\ No newline at end of file
+export { rateLimiter };
@@ -0,0 +1,37 @@
+// Cross-encoder served over HTTP, e.g. Hugging Face text-embeddings-inference
+// running a bge-reranker model: POST {url}/rerank { query, texts } -> [{ index, score }]
+export class HttpReranker {
+  constructor({ url, apiKey, candidates }) {
+    this.name = 'http';
+    this.url = url.replace(/\/$/, '');
+    this.apiKey = apiKey;
+    this.candidates = candidates;
+  }
+
+  async score(query, chunks, { signal } = {}) {
+    const response = await fetch(`${this.url}/rerank`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      },
+      body: JSON.stringify({
+        query,
+        texts: chunks.map(chunk => chunk.text || chunk.text_preview || ''),
+        truncate: true
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw new Error(`Re-ranker returned ${response.status}`);
+    }
+
+    const results = await response.json();
+    const scores = new Array(chunks.length).fill(0);
+    for (const { index, score } of results) {
+      scores[index] = score;
+    }
+    return scores;
+  }
+}
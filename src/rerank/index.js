@@ -0,0 +1,70 @@
+import { LLMReranker } from './llmReranker.js';
+import { HttpReranker } from './httpReranker.js';
+
+// Wraps a scorer with the over-fetch / keep-best-N logic shared by every re-ranker.
+// With no scorer it is a pass-through, so callers don't need to branch.
+class Reranker {
+  constructor(scorer = null) {
+    this.scorer = scorer;
+    this.name = scorer?.name || 'none';
+  }
+
+  get enabled() {
+    return this.scorer !== null;
+  }
+
+  // How many candidates to retrieve when the caller wants `topN` chunks
+  candidateCount(topN) {
+    return this.enabled ? Math.max(topN, this.scorer.candidates) : topN;
+  }
+
+  async rerank(query, chunks, topN, { signal } = {}) {
+    if (!this.enabled || chunks.length <= 1) {
+      return chunks.slice(0, topN);
+    }
+
+    try {
+      const scores = await this.scorer.score(query, chunks, { signal });
+      console.log(`🎯 Re-ranked ${chunks.length} chunks with ${this.name} re-ranker`);
+
+      return chunks
+        .map((chunk, index) => ({ ...chunk, rerank_score: scores[index], retrieval_rank: index + 1 }))
+        .sort((a, b) => b.rerank_score - a.rerank_score || a.retrieval_rank - b.retrieval_rank)
+        .slice(0, topN);
+    } catch (error) {
+      if (signal?.aborted) throw error;
+
+      // A failing re-ranker should degrade answers, not break chat
+      console.error('Re-ranking failed, keeping retrieval order:', error.message);
+      return chunks.slice(0, topN);
+    }
+  }
+}
+
+// RERANKER=none (default) | llm | http
+export function createReranker(env = process.env) {
+  const kind = env.RERANKER || 'none';
+  const candidates = parseInt(env.RERANK_CANDIDATES || '40', 10);
+
+  switch (kind) {
+    case 'none':
+      return new Reranker();
+    case 'llm':
+      return new Reranker(new LLMReranker({ candidates }));
+    case 'http':
+      if (!env.RERANKER_URL) {
+        throw new Error('RERANKER_URL is required for the http re-ranker');
+      }
+      return new Reranker(new HttpReranker({
+        url: env.RERANKER_URL,
+        apiKey: env.RERANKER_API_KEY,
+        candidates
+      }));
+    default:
+      throw new Error(`Unknown RERANKER: ${kind}`);
+  }
+}
+
+export const reranker = createReranker();
+
+export { Reranker, LLMReranker, HttpReranker };
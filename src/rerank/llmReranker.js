@@ -0,0 +1,58 @@
+import { llm } from '../llm/index.js';
+
+// Longest slice of each passage shown to the scoring model
+const MAX_PASSAGE_CHARS = 1200;
+
+// Scores every candidate against the question in a single completion
+export class LLMReranker {
+  constructor({ candidates, model = 'rerank', provider = llm }) {
+    this.name = 'llm';
+    this.candidates = candidates;
+    this.model = model;
+    this.provider = provider;
+  }
+
+  buildMessages(query, chunks) {
+    const passages = chunks
+      .map((chunk, index) => `[${index}] ${(chunk.text || chunk.text_preview || '').slice(0, MAX_PASSAGE_CHARS)}`)
+      .join('\n\n');
+
+    return [
+      {
+        role: 'system',
+        content: `You rank video transcript passages by how well they answer a question.
+Score each passage from 0 (irrelevant) to 10 (directly contains the answer, including any exact numbers asked for).
+Respond with JSON only: {"scores": [{"index": 0, "score": 7}, ...]} covering every passage.`
+      },
+      {
+        role: 'user',
+        content: `Question: ${query}\n\nPassages:\n${passages}`
+      }
+    ];
+  }
+
+  async score(query, chunks, { signal } = {}) {
+    const response = await this.provider.complete({
+      model: this.model,
+      messages: this.buildMessages(query, chunks),
+      temperature: 0,
+      maxTokens: 20 * chunks.length + 50,
+      responseFormat: { type: 'json_object' },
+      signal
+    });
+
+    const { scores } = JSON.parse(response);
+    if (!Array.isArray(scores)) {
+      throw new Error('Re-ranker response has no scores array');
+    }
+
+    // Passages the model skipped score zero rather than failing the whole batch
+    const result = new Array(chunks.length).fill(0);
+    for (const { index, score } of scores) {
+      if (Number.isInteger(index) && index >= 0 && index < chunks.length) {
+        result[index] = Number(score) || 0;
+      }
+    }
+    return result;
+  }
+}
@@ -0,0 +1,49 @@
+import { app } from '../app.js';
+import { chatService } from '../services/chatService.js';
+import { registerScheduledJobs } from '../services/scheduledJobs.js';
+
+// How long running chat streams may finish on their own before they are
+// cancelled (their partial answers are saved as truncated)
+const STREAM_DRAIN_MS = parseInt(process.env.STREAM_DRAIN_MS || '10000', 10);
+
+function waitForStreams(timeout) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    const check = () => {
+      if (chatService.activeStreams.size === 0 || Date.now() - started >= timeout) return resolve();
+      setTimeout(check, 200);
+    };
+    check();
+  });
+}
+
+// HTTP server. Draining stops accepting connections, lets in-flight requests
+// and streams finish, then closes what is left.
+export async function start() {
+  // The admin job routes list, pause and trigger these
+  registerScheduledJobs();
+
+  const port = process.env.PORT || 4000;
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(port, () => resolve(listening));
+    listening.once('error', reject);
+  });
+
+  console.log(`🚀 VidSift API running on port ${port}`);
+
+  return async function stop() {
+    const closed = new Promise(resolve => server.close(resolve));
+    server.closeIdleConnections?.();
+
+    await waitForStreams(STREAM_DRAIN_MS);
+    const cancelled = chatService.cancelAll('server_shutdown');
+    if (cancelled > 0) {
+      console.log(`🛑 Cancelled ${cancelled} chat streams still running at shutdown`);
+    }
+
+    // Let cancelled streams write their last event, then drop keep-alive sockets
+    await waitForStreams(2000);
+    server.closeAllConnections?.();
+    await closed;
+  };
+}
@@ -0,0 +1,14 @@
+import { scheduler } from '../services/scheduler.js';
+import { registerScheduledJobs } from '../services/scheduledJobs.js';
+
+// Cron schedules and cleanup. Any number of scheduler processes may run; the
+// elected leader fires the schedules. Draining stops the schedules and waits
+// for runs already in progress.
+export async function start() {
+  registerScheduledJobs();
+  scheduler.start();
+
+  return function stop() {
+    return scheduler.stop();
+  };
+}
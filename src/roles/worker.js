@@ -0,0 +1,14 @@
+import { jobQueue } from '../services/jobQueue.js';
+import { registerJobHandlers } from '../services/jobHandlers.js';
+
+// Ingestion: claims and runs channel and video processing jobs.
+// Draining stops claiming and waits for the jobs in hand; jobs still running
+// after JOB_DRAIN_MS are handed back to the queue for another worker.
+export async function start() {
+  registerJobHandlers();
+  jobQueue.start();
+
+  return function stop() {
+    return jobQueue.stop(parseInt(process.env.JOB_DRAIN_MS || '20000', 10));
+  };
+}
@@ -1,46 +1,24 @@
 import express from 'express';
-import { authMiddleware } from '../middleware/auth.js';
-import { supabase } from '../server.js';
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
+import { db } from '../db/index.js';
+import { scheduler } from '../services/scheduler.js';
+import { lockService } from '../services/lockService.js';
+import { youtube } from '../youtube/index.js';
+import { channelSync } from '../services/channelSync.js';
 
 const router = express.Router();
 
-// Admin middleware - check if user is admin
-const adminMiddleware = async (req, res, next) => {
-  try {
-    const userId = req.user?.id;
-    if (!userId) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
-
-    // Check if user is admin (you can implement your own admin logic)
-    const { data: user } = await supabase
-      .from('users')
-      .select('role')
-      .eq('id', userId)
-      .single();
-
-    if (user?.role !== 'admin') {
-      return res.status(403).json({ error: 'Forbidden - Admin access required' });
-    }
-
-    next();
-  } catch (error) {
-    res.status(500).json({ error: 'Authorization check failed' });
-  }
-};
-
 // Get cron status
-router.get('/cron-status', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/cron-status', authMiddleware, requireAdmin, async (req, res) => {
   try {
     const { hours = 24 } = req.query;
     const since = new Date(Date.now() - hours * 60 * 60 * 1000);
 
     // Get cron logs
-    const { data: cronLogs, error } = await supabase
-      .from('cron_logs')
-      .select('*')
-      .gte('started_at', since.toISOString())
-      .order('started_at', { ascending: false });
+    const { data: cronLogs, error } = await db.cronLogs.find(
+      { started_at: { gte: since.toISOString() } },
+      { order: { column: 'started_at', ascending: false } }
+    );
 
     if (error) throw error;
 
@@ -100,18 +78,167 @@ router.get('/cron-status', authMiddleware, adminMiddleware, async (req, res) =>
   }
 });
 
+// ===== SCHEDULED JOBS =====
+
+// List scheduled jobs with their state and last run
+router.get('/jobs', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { data: jobs, error } = await scheduler.list();
+    if (error) throw error;
+
+    res.json({ success: true, jobs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Run history for one job, newest first
+router.get('/jobs/:name/runs', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const { data: runs, error } = await scheduler.runs(req.params.name, limit);
+    if (error?.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error) throw error;
+
+    res.json({ success: true, runs });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Paused jobs are skipped by the schedule on every instance until resumed
+router.post('/jobs/:name/pause', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { data: job, error } = await scheduler.pause(req.params.name, req.user?.id || 'service');
+    if (error?.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error) throw error;
+
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/jobs/:name/resume', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { data: job, error } = await scheduler.resume(req.params.name);
+    if (error?.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error) throw error;
+
+    res.json({ success: true, job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Have the scheduler leader run a job now, even if paused; 409 while a
+// previous run is still going. The run shows up in /jobs/:name/runs
+router.post('/jobs/:name/trigger', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { data: request, error } = await scheduler.trigger(req.params.name, req.user?.id || 'service');
+    if (error?.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    if (error) throw error;
+
+    res.status(202).json({ success: true, request });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== LOCKS =====
+
+// Locks held right now, with their owner and fencing token
+router.get('/locks', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { data: locks, error } = await lockService.list();
+    if (error) throw error;
+
+    res.json({ success: true, locks });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Break a stuck lock. The holder stops at its next renewal or fencing check.
+router.delete('/locks/:resourceId', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { data: lock, error } = await lockService.forceRelease(req.params.resourceId);
+    if (error) throw error;
+
+    if (!lock) {
+      return res.status(404).json({ error: 'Lock not found' });
+    }
+
+    res.json({ success: true, message: `Lock ${req.params.resourceId} released`, lock });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== CHANNELS =====
+
+// How often a channel is checked for new uploads ({ "syncIntervalMinutes": 60-10080 })
+router.patch('/channels/:id', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const { syncIntervalMinutes } = req.body;
+    if (syncIntervalMinutes === undefined) {
+      return res.status(400).json({ error: 'syncIntervalMinutes is required' });
+    }
+
+    const { data: channel, error } = await channelSync.setSyncInterval(req.params.id, syncIntervalMinutes);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.json({
+      success: true,
+      channel: {
+        id: channel.id,
+        title: channel.title,
+        syncIntervalMinutes: channel.sync_interval_minutes,
+        lastSyncedAt: channel.last_synced_at,
+        nextSyncAt: channel.next_sync_at
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== YOUTUBE QUOTA =====
+
+// Units spent per quota day and call type, today first (?days=7 for a week)
+router.get('/youtube-quota', authMiddleware, requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 1, 1), 30);
+    const { data: usage, error } = await youtube.quota.usage(days);
+    if (error) throw error;
+
+    res.json({ success: true, ...usage });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Get error statistics
-router.get('/error-stats', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/error-stats', authMiddleware, requireAdmin, async (req, res) => {
   try {
     const { hours = 24 } = req.query;
     const since = new Date(Date.now() - hours * 60 * 60 * 1000);
 
     // Get error logs
-    const { data: errors, error } = await supabase
-      .from('error_logs')
-      .select('*')
-      .gte('created_at', since.toISOString())
-      .order('created_at', { ascending: false });
+    const { data: errors, error } = await db.errorLogs.find(
+      { created_at: { gte: since.toISOString() } },
+      { order: { column: 'created_at', ascending: false } }
+    );
 
     if (error) throw error;
 
@@ -176,7 +303,7 @@ router.get('/error-stats', authMiddleware, adminMiddleware, async (req, res) =>
 });
 
 // Get system statistics
-router.get('/system-stats', authMiddleware, adminMiddleware, async (req, res) => {
+router.get('/system-stats', authMiddleware, requireAdmin, async (req, res) => {
   try {
     // Get various system stats
     const [
@@ -186,16 +313,16 @@ router.get('/system-stats', authMiddleware, adminMiddleware, async (req, res) =>
       queueStats
     ] = await Promise.all([
       // Channel stats
-      supabase.from('channels').select('status', { count: 'exact' }),
+      db.channels.find({}, { columns: 'status' }),
       
       // Video stats
-      supabase.from('videos').select('transcript_cached, chunks_processed', { count: 'exact' }),
+      db.videos.find({}, { columns: 'transcript_cached, chunks_processed' }),
       
       // User stats
-      supabase.from('users').select('created_at'),
+      db.users.find({}, { columns: 'created_at' }),
       
       // Queue stats
-      supabase.from('channel_queue').select('status')
+      db.channelQueue.find({}, { columns: 'status' })
     ]);
 
     // Process stats
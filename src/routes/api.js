@@ -1,149 +1,90 @@
 import express from 'express';
-import { channelProcessor } from '../services/channelProcessor.js';
-import { videoProcessor } from '../services/videoProcessor.js';
-import { chatService } from '../services/chatService.js';
+import { chatService, streamOwner } from '../services/chatService.js';
 import { queueService } from '../services/queueService.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { jobQueue } from '../services/jobQueue.js';
+import { enqueueChannelJob, enqueuePlaylistJob, enqueueVideoJob, needsIndexing } from '../services/jobHandlers.js';
+import { playlistProcessor } from '../services/playlistProcessor.js';
+import { youtubeResolver } from '../services/youtubeResolver.js';
+import { YouTubeQuotaError } from '../youtube/index.js';
+import { normalizeLanguage, parseCaptionFile } from '../transcripts/index.js';
+import { authMiddleware, requireScope, requireUser } from '../middleware/auth.js';
 import { rateLimitMiddleware } from '../middleware/rateLimit.js';
-import { supabase } from '../server.js';
+import { planService } from '../services/planService.js';
+import { db } from '../db/index.js';
 
 const router = express.Router();
 
+// Reply 403 when the signed-in user already has as many channels as their plan
+// allows; false when they may add another (or the caller is not a user)
+async function rejectOverChannelLimit(req, res) {
+  if (!req.user?.id) return false;
+
+  const quota = await planService.checkChannelLimit(req);
+  console.log(`📊 User currently has ${quota.used} channels`);
+  if (quota.allowed) return false;
+
+  console.log('❌ User has reached channel limit');
+  res.status(403).json({
+    error: `Channel limit reached. The ${quota.plan.name} plan can index up to ${quota.limit} channel${quota.limit === 1 ? '' : 's'}.`,
+    quotaExceeded: true,
+    plan: quota.plan.id,
+    currentCount: quota.used,
+    limit: quota.limit
+  });
+  return true;
+}
+
 // ===== CHANNEL ROUTES =====
-router.post('/channels/process', authMiddleware, rateLimitMiddleware('channel_process'), async (req, res) => {
+router.post('/channels/process', authMiddleware, requireScope('ingest'), rateLimitMiddleware('channel_process'), async (req, res) => {
   try {
     const { channelId: channelUrl } = req.body;
-    const clerkUserId = req.user?.id;
-    const userEmail = req.user?.email;
     
     if (!channelUrl) {
       return res.status(400).json({ error: 'channelId is required' });
     }
-    
-    console.log('🎯 Processing channel request:', { channelUrl, clerkUserId, userEmail });
-    
-    // Get the actual user from database
-    let userId = null;
-    
-    // Check if clerkUserId is actually a Supabase UUID (from frontend)
-    const isUUID = clerkUserId && /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(clerkUserId);
-    
-    if (isUUID) {
-      // This is already a Supabase user ID from the frontend
-      console.log('📌 Received Supabase user ID directly:', clerkUserId);
-      userId = clerkUserId;
-    } else if (clerkUserId && clerkUserId !== 'api-client') {
-      // This is a Clerk ID, need to look up the Supabase user
-      const { data: userData } = await supabase
-        .from('users')
-        .select('id')
-        .eq('clerk_id', clerkUserId)
-        .single();
-      
-      if (userData) {
-        userId = userData.id;
-      } else if (userEmail) {
-        // Try to find by email if no clerk_id match
-        const { data: userByEmail } = await supabase
-          .from('users')
-          .select('id')
-          .eq('email', userEmail)
-          .single();
-        userId = userByEmail?.id || null;
-      }
+
+    const language = req.body.language ? normalizeLanguage(req.body.language) : null;
+    if (req.body.language && !language) {
+      return res.status(400).json({ error: 'language must be a language code such as "en" or "pt-BR"' });
     }
     
-    // Check user's current channel count if authenticated
-    if (userId) {
-      const { data: userChannels } = await supabase
-        .from('user_channels')
-        .select('channel_id')
-        .eq('user_id', userId);
-      
-      const channelCount = userChannels?.length || 0;
-      console.log(`📊 User currently has ${channelCount} channels`);
-      
-      // Check if user has reached their channel limit (1 for beta users)
-      const channelLimit = 1; // Beta limit
-      if (channelCount >= channelLimit) {
-        console.log('❌ User has reached channel limit');
-        return res.status(403).json({ 
-          error: `Channel limit reached. Beta users can index up to ${channelLimit} channel.`,
-          quotaExceeded: true,
-          currentCount: channelCount,
-          limit: channelLimit
-        });
-      }
-    }
+    // Supabase user id from the verified session; null for service calls
+    const userId = req.user?.id || null;
     
-    // Extract channel ID from URL
-    let channelId = channelUrl;
-    let needsResolution = false;
+    console.log('🎯 Processing channel request:', { channelUrl, userId, email: req.user?.email });
     
-    if (channelUrl.includes('youtube.com')) {
-      const match = channelUrl.match(/(?:\/channel\/|\/c\/|\/user\/|@)([a-zA-Z0-9_-]+)/);
-      if (match) {
-        channelId = match[1];
-        // If it's NOT already a valid channel ID, we need to resolve it
-        if (!channelId.startsWith('UC') && !channelId.startsWith('HC')) {
-          needsResolution = true;
-          console.log('📌 Channel identifier needs resolution:', channelId);
-        }
-      }
-    }
+    // Check the user's channel count against their plan
+    if (await rejectOverChannelLimit(req, res)) return;
     
-    // Resolve channel handle/username to actual YouTube channel ID
-    if (needsResolution) {
-      try {
-        console.log('🔍 Resolving channel identifier to YouTube channel ID...');
-        const searchResponse = await fetch(
-          `https://www.googleapis.com/youtube/v3/search?part=snippet&type=channel&q=${encodeURIComponent(channelId)}&maxResults=1&key=${process.env.YOUTUBE_API_KEY}`
-        );
-        
-        if (!searchResponse.ok) {
-          throw new Error('Failed to search for channel on YouTube');
-        }
-        
-        const searchData = await searchResponse.json();
-        
-        if (!searchData.items || searchData.items.length === 0) {
-          return res.status(404).json({ error: 'Channel not found on YouTube' });
-        }
-        
-        const actualChannelId = searchData.items[0].id.channelId;
-        const channelTitle = searchData.items[0].snippet.title || `Channel ${actualChannelId}`;
-        console.log('✅ Resolved to YouTube channel ID:', actualChannelId, 'Title:', channelTitle);
-        
-        // Validate the resolved channel ID
-        if (!actualChannelId || (!actualChannelId.startsWith('UC') && !actualChannelId.startsWith('HC'))) {
-          console.error('❌ Invalid YouTube channel ID resolved:', actualChannelId);
-          return res.status(400).json({ error: 'Invalid YouTube channel ID format' });
-        }
-        
-        channelId = actualChannelId;
-        
-        // Store the resolved title for later use
-        req.resolvedChannelTitle = channelTitle;
-      } catch (error) {
-        console.error('❌ Error resolving channel:', error);
-        return res.status(500).json({ error: 'Failed to resolve channel identifier' });
+    // Resolve the URL, ID or handle to a channel ID
+    let resolved;
+    try {
+      resolved = await youtubeResolver.resolveChannel(channelUrl);
+    } catch (error) {
+      if (error.status === 400) {
+        return res.status(400).json({ error: error.message, received: channelUrl });
+      }
+      if (error instanceof YouTubeQuotaError) {
+        res.setHeader('Retry-After', error.retryAfterSeconds);
+        return res.status(503).json({ error: 'YouTube API quota exhausted. Please try again later.', retryAfter: error.retryAfterSeconds, resetAt: error.retryAt });
       }
+      console.error('❌ Error resolving channel:', error);
+      return res.status(500).json({ error: 'Failed to resolve channel identifier' });
     }
-    
-    // Final validation before creating channel
-    if (!channelId.startsWith('UC') && !channelId.startsWith('HC')) {
-      console.error('❌ Invalid YouTube channel ID format:', channelId);
-      return res.status(400).json({ 
-        error: 'Invalid YouTube channel ID. Must start with UC or HC.',
-        receivedId: channelId 
-      });
+
+    if (!resolved) {
+      return res.status(404).json({ error: 'Channel not found on YouTube' });
     }
-    
+
+    const channelId = resolved.channelId;
+
     // Create channel record first
     const channelData = {
       youtube_channel_id: channelId,
-      title: req.resolvedChannelTitle || `Channel ${channelId}`, // Use resolved title if available
-      status: 'pending'
+      title: resolved.title,
+      uploads_playlist_id: resolved.uploadsPlaylistId,
+      status: 'pending',
+      ...(language && { transcript_language: language })
     };
     
     // Only add original_owner_id if we have a valid user ID (for historical reference)
@@ -151,11 +92,7 @@ router.post('/channels/process', authMiddleware, rateLimitMiddleware('channel_pr
       channelData.original_owner_id = userId;
     }
     
-    const { data: channel, error: channelError } = await supabase
-      .from('channels')
-      .insert(channelData)
-      .select()
-      .single();
+    const { data: channel, error: channelError } = await db.channels.insert(channelData);
       
     if (channelError && !channelError.message.includes('duplicate')) {
       throw channelError;
@@ -164,22 +101,21 @@ router.post('/channels/process', authMiddleware, rateLimitMiddleware('channel_pr
     // Get existing channel if insert failed due to duplicate
     let existingChannel = channel;
     if (!existingChannel) {
-      const { data } = await supabase
-        .from('channels')
-        .select()
-        .eq('youtube_channel_id', channelId)
-        .single();
+      const { data } = await db.channels.findOne({ youtube_channel_id: channelId });
       existingChannel = data;
     }
+
+    // A language asked for now applies to the channel's videos not indexed yet
+    if (language && existingChannel && existingChannel.transcript_language !== language) {
+      await db.channels.update({ id: existingChannel.id }, { transcript_language: language });
+    }
     
     // Check if user already has access to this channel
     if (userId && existingChannel) {
-      const { data: existingAccess } = await supabase
-        .from('user_channels')
-        .select()
-        .eq('user_id', userId)
-        .eq('channel_id', existingChannel.id)
-        .single();
+      const { data: existingAccess } = await db.userChannels.findOne({
+        user_id: userId,
+        channel_id: existingChannel.id
+      });
         
       if (existingAccess) {
         console.log('✅ User already has access to this channel');
@@ -197,22 +133,16 @@ router.post('/channels/process', authMiddleware, rateLimitMiddleware('channel_pr
       console.log('🔗 Creating user-channel relationship:', { userId, channelId: existingChannel.id });
       
       // First check if relationship already exists
-      const { data: existingRelation } = await supabase
-        .from('user_channels')
-        .select()
-        .eq('user_id', userId)
-        .eq('channel_id', existingChannel.id)
-        .single();
+      const { data: existingRelation } = await db.userChannels.findOne({
+        user_id: userId,
+        channel_id: existingChannel.id
+      });
       
       if (!existingRelation) {
-        const { data: newRelation, error: relationshipError } = await supabase
-          .from('user_channels')
-          .insert({
-            user_id: userId,
-            channel_id: existingChannel.id
-          })
-          .select()
-          .single();
+        const { data: newRelation, error: relationshipError } = await db.userChannels.insert({
+          user_id: userId,
+          channel_id: existingChannel.id
+        });
         
         if (relationshipError) {
           console.error('❌ Error creating user-channel relationship:', relationshipError);
@@ -227,10 +157,35 @@ router.post('/channels/process', authMiddleware, rateLimitMiddleware('channel_pr
       console.log('⚠️ Skipping user-channel relationship:', { userId, existingChannel: !!existingChannel });
     }
     
-    // Create queue entry
+    // A channel already queued or being indexed keeps its queue item: the job
+    // is deduplicated by channel, so a second item would never be picked up
+    const { data: activeItem } = await db.channelQueue.findOne(
+      { channel_id: existingChannel.id, status: { in: ['pending', 'processing'] } },
+      { columns: 'id, channel_id, status' }
+    );
+
+    if (activeItem) {
+      // Re-enqueue in case the item's job is gone; otherwise this returns it
+      const { data: job, error: jobError } = await enqueueChannelJob(activeItem);
+      if (jobError) {
+        throw jobError;
+      }
+
+      return res.json({
+        success: true,
+        message: 'Channel is already being processed',
+        channelId: existingChannel.youtube_channel_id,
+        queueId: activeItem.id,
+        jobId: job.id,
+        alreadyQueued: true
+      });
+    }
+
+    // Create queue entry; the plan decides how many of the channel's videos get indexed
     const queueData = {
       channel_id: existingChannel.id,
-      status: 'pending'
+      status: 'pending',
+      ...planService.channelIngestOptions(req)
     };
     
     // Only add requested_by if we have a valid user ID
@@ -238,26 +193,23 @@ router.post('/channels/process', authMiddleware, rateLimitMiddleware('channel_pr
       queueData.requested_by = userId;
     }
     
-    const { data: queueItem, error: queueError } = await supabase
-      .from('channel_queue')
-      .insert(queueData)
-      .select()
-      .single();
+    const { data: queueItem, error: queueError } = await db.channelQueue.insert(queueData);
       
     if (queueError) {
       throw queueError;
     }
     
-    // Start processing (don't wait for completion)
-    channelProcessor.processChannel(queueItem.id).catch(err => {
-      console.error('Channel processing error:', err);
-    });
+    const { data: job, error: jobError } = await enqueueChannelJob(queueItem);
+    if (jobError) {
+      throw jobError;
+    }
     
     res.json({ 
       success: true, 
       message: 'Channel processing started',
       channelId: existingChannel.youtube_channel_id,
-      queueId: queueItem.id
+      queueId: queueItem.id,
+      jobId: job.id
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -268,23 +220,13 @@ router.get('/channels/:channelId/status', async (req, res) => {
   try {
     const { channelId } = req.params;
     
-    const { data: queueItem } = await supabase
-      .from('channel_queue')
-      .select(`
-        id,
-        status,
-        total_videos,
-        videos_processed,
-        current_video_index,
-        current_video_title,
-        started_at,
-        completed_at,
-        error_message
-      `)
-      .eq('channel_id', channelId)
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
+    const { data: queueItem } = await db.channelQueue.findOne(
+      { channel_id: channelId },
+      {
+        columns: 'id, status, total_videos, videos_processed, current_video_index, current_video_title, video_limit, published_after, pages_completed, started_at, completed_at, error_message',
+        order: { column: 'created_at', ascending: false }
+      }
+    );
     
     res.json({ success: true, queue: queueItem });
   } catch (error) {
@@ -292,24 +234,165 @@ router.get('/channels/:channelId/status', async (req, res) => {
   }
 });
 
+// ===== PLAYLIST ROUTES =====
+router.post('/playlists/process', authMiddleware, requireScope('ingest'), rateLimitMiddleware('playlist_process'), async (req, res) => {
+  try {
+    const { playlistId: playlistUrl } = req.body;
+
+    if (!playlistUrl) {
+      return res.status(400).json({ error: 'playlistId is required' });
+    }
+
+    const language = req.body.language ? normalizeLanguage(req.body.language) : null;
+    if (req.body.language && !language) {
+      return res.status(400).json({ error: 'language must be a language code such as "en" or "pt-BR"' });
+    }
+
+    const playlistId = youtubeResolver.parsePlaylistId(playlistUrl);
+    if (!playlistId) {
+      return res.status(400).json({
+        error: 'Not a YouTube playlist URL or ID. Mixes and Watch Later can\'t be indexed.',
+        received: playlistUrl
+      });
+    }
+
+    const userId = req.user?.id || null;
+    console.log('🎯 Processing playlist request:', { playlistId, userId });
+
+    const details = await playlistProcessor.fetchPlaylistDetails(playlistId);
+    if (!details) {
+      return res.status(404).json({ error: 'Playlist not found on YouTube. Private playlists can\'t be indexed.' });
+    }
+
+    const { data: existing } = await db.playlists.findOne(
+      { youtube_playlist_id: playlistId },
+      { columns: 'id, video_limit' }
+    );
+
+    // A playlist shared by several users is indexed as deep as the most generous plan allows
+    const limit = planService.playlistVideoLimit(req);
+    const keepLimit = existing && (existing.video_limit === null || (limit !== null && existing.video_limit > limit));
+
+    const fields = {
+      title: details.title,
+      description: details.description,
+      channel_title: details.channelTitle,
+      thumbnail_url: details.thumbnailUrl,
+      video_limit: keepLimit ? existing.video_limit : limit,
+      ...(language && { transcript_language: language }),
+      updated_at: new Date().toISOString()
+    };
+
+    // Store the playlist, or refresh what we know about it
+    const { data: playlist, error: playlistError } = existing
+      ? await db.playlists.updateOne({ id: existing.id }, fields)
+      : await db.playlists.insert({
+          youtube_playlist_id: playlistId,
+          status: 'pending',
+          video_count: 0,
+          created_by: userId,
+          ...fields
+        });
+
+    if (playlistError) throw playlistError;
+
+    if (userId) {
+      const { data: existingAccess } = await db.userPlaylists.findOne({
+        user_id: userId,
+        playlist_id: playlist.id
+      });
+
+      if (!existingAccess) {
+        const { error: accessError } = await db.userPlaylists.insert({
+          user_id: userId,
+          playlist_id: playlist.id
+        });
+        if (accessError) throw accessError;
+      }
+    }
+
+    // Re-processing picks up videos added to the playlist since and its new order
+    const { data: job, error: jobError } = await enqueuePlaylistJob(playlist.id);
+    if (jobError) throw jobError;
+
+    res.json({
+      success: true,
+      message: 'Playlist processing started',
+      playlistId: playlist.id,
+      youtubePlaylistId: playlistId,
+      title: playlist.title,
+      jobId: job.id
+    });
+  } catch (error) {
+    if (error instanceof YouTubeQuotaError) {
+      res.setHeader('Retry-After', error.retryAfterSeconds);
+      return res.status(503).json({ error: 'YouTube API quota exhausted. Please try again later.', retryAfter: error.retryAfterSeconds, resetAt: error.retryAt });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The playlist, its status and its videos in playlist order
+router.get('/playlists/:playlistId', async (req, res) => {
+  try {
+    const { playlistId } = req.params;
+
+    const { data: playlist, error } = await db.playlists.findById(playlistId, {
+      columns: 'id, youtube_playlist_id, title, description, channel_title, thumbnail_url, status, video_limit, video_count, error_message, last_indexed_at'
+    });
+    if (error) throw error;
+
+    if (!playlist) {
+      return res.status(404).json({ error: 'Playlist not found' });
+    }
+
+    const { data: entries, error: videosError } = await db.playlistVideos.find(
+      { playlist_id: playlist.id },
+      {
+        columns: 'position',
+        with: { videos: 'id, youtube_id, title, thumbnail_url, transcript_cached, processing_error' },
+        order: { column: 'position', ascending: true }
+      }
+    );
+    if (videosError) throw videosError;
+
+    const videos = entries.map(entry => ({ position: entry.position, ...entry.videos }));
+
+    res.json({
+      success: true,
+      playlist: {
+        ...playlist,
+        videos_indexed: videos.filter(video => video.transcript_cached).length
+      },
+      videos
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // ===== VIDEO ROUTES =====
-router.post('/videos/process', authMiddleware, rateLimitMiddleware('video_upload'), async (req, res) => {
+router.post('/videos/process', authMiddleware, requireScope('ingest'), rateLimitMiddleware('video_upload'), async (req, res) => {
   try {
-    const { videoId } = req.body;
+    const videoId = youtubeResolver.parseVideoId(req.body.videoId);
     
     if (!videoId) {
-      return res.status(400).json({ error: 'videoId is required' });
+      return res.status(400).json({ error: 'videoId must be a YouTube video URL or ID' });
+    }
+
+    const language = req.body.language ? normalizeLanguage(req.body.language) : null;
+    if (req.body.language && !language) {
+      return res.status(400).json({ error: 'language must be a language code such as "en" or "pt-BR"' });
     }
     
-    // Start processing (don't wait for completion)
-    videoProcessor.processVideo(videoId).catch(err => {
-      console.error('Video processing error:', err);
-    });
+    const { data: job, error } = await enqueueVideoJob(videoId, { language });
+    if (error) throw error;
     
     res.json({ 
       success: true, 
       message: 'Video processing started',
-      videoId 
+      videoId,
+      jobId: job.id
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -321,11 +404,10 @@ router.get('/videos/:videoId/summary', async (req, res) => {
     const { videoId } = req.params;
     
     // Check if summary exists
-    const { data: video } = await supabase
-      .from('videos')
-      .select('id, summary')
-      .eq('youtube_id', videoId)
-      .single();
+    const { data: video } = await db.videos.findOne(
+      { youtube_id: videoId },
+      { columns: 'id, summary' }
+    );
     
     if (video?.summary) {
       return res.json({ success: true, summary: video.summary });
@@ -336,10 +418,7 @@ router.get('/videos/:videoId/summary', async (req, res) => {
     
     if (summary) {
       // Save summary
-      await supabase
-        .from('videos')
-        .update({ summary })
-        .eq('youtube_id', videoId);
+      await db.videos.update({ youtube_id: videoId }, { summary });
     }
     
     res.json({ success: true, summary });
@@ -349,12 +428,27 @@ router.get('/videos/:videoId/summary', async (req, res) => {
 });
 
 // ===== CHAT ROUTES =====
-router.post('/chat/stream', authMiddleware, rateLimitMiddleware('chat'), async (req, res) => {
+
+// Who is asking for a chat session: users reach their own, the service key any
+const sessionCaller = req => ({ userId: req.user?.id || null, service: Boolean(req.service) });
+router.post('/chat/stream', authMiddleware, requireScope('chat'), rateLimitMiddleware('chat'), async (req, res) => {
   try {
-    const { messages, videoId, sessionId } = req.body;
+    const { messages, sessionId } = req.body;
+    const videoId = req.body.videoId ? youtubeResolver.parseVideoId(req.body.videoId) : null;
     
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: 'messages array is required' });
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: 'messages must be a non-empty array' });
+    }
+
+    if (req.body.videoId && !videoId) {
+      return res.status(400).json({ error: 'videoId must be a YouTube video URL or ID' });
+    }
+
+    if (sessionId) {
+      const { error } = await chatService.getSession(sessionId, sessionCaller(req));
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
     }
     
     // Set up SSE headers
@@ -366,24 +460,31 @@ router.post('/chat/stream', authMiddleware, rateLimitMiddleware('chat'), async (
     });
     
     // Process chat with streaming
-    await chatService.streamChat({ messages, videoId, sessionId }, res);
+    await chatService.streamChat({ messages, videoId, sessionId, owner: streamOwner(req) }, res);
     
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post('/chat/channel/stream', authMiddleware, rateLimitMiddleware('chat'), async (req, res) => {
+router.post('/chat/channel/stream', authMiddleware, requireScope('chat'), rateLimitMiddleware('chat'), async (req, res) => {
   try {
     const { messages, channelId, sessionId } = req.body;
     
-    if (!messages || !Array.isArray(messages)) {
-      return res.status(400).json({ error: 'messages array is required' });
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: 'messages must be a non-empty array' });
     }
     
     if (!channelId) {
       return res.status(400).json({ error: 'channelId is required' });
     }
+
+    if (sessionId) {
+      const { error } = await chatService.getSession(sessionId, sessionCaller(req));
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+    }
     
     // Set up SSE headers
     res.writeHead(200, {
@@ -394,29 +495,76 @@ router.post('/chat/channel/stream', authMiddleware, rateLimitMiddleware('chat'),
     });
     
     // Process channel chat with streaming
-    await chatService.streamChannelChat({ messages, channelId, sessionId }, res);
+    await chatService.streamChannelChat({ messages, channelId, sessionId, owner: streamOwner(req) }, res);
     
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post('/chat/sessions', authMiddleware, async (req, res) => {
+router.post('/chat/playlist/stream', authMiddleware, requireScope('chat'), rateLimitMiddleware('chat'), async (req, res) => {
   try {
-    const { userId, videoId, title } = req.body;
+    const { messages, playlistId, sessionId } = req.body;
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: 'messages must be a non-empty array' });
+    }
+
+    if (!playlistId) {
+      return res.status(400).json({ error: 'playlistId is required' });
+    }
+
+    if (sessionId) {
+      const { error } = await chatService.getSession(sessionId, sessionCaller(req));
+      if (error) {
+        return res.status(error.status).json({ error: error.message });
+      }
+    }
+
+    // Set up SSE headers
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable Nginx buffering
+    });
+
+    await chatService.streamPlaylistChat({ messages, playlistId, sessionId, owner: streamOwner(req) }, res);
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel a running chat stream by the id sent in its `stream_started` event
+router.post('/chat/streams/:streamId/cancel', authMiddleware, requireScope('chat'), async (req, res) => {
+  try {
+    const { streamId } = req.params;
+
+    // Streams of other callers look the same as finished ones
+    if (!chatService.cancel(streamId, 'cancelled', { owner: streamOwner(req) })) {
+      return res.status(404).json({ error: 'Stream not found or already finished' });
+    }
+
+    res.json({ success: true, streamId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sessions belong to the signed-in user (or the API key's owner)
+router.post('/chat/sessions', authMiddleware, requireUser, requireScope('chat'), async (req, res) => {
+  try {
+    const { videoId, title } = req.body;
     
     // Create new chat session
-    const { data: session, error } = await supabase
-      .from('chat_sessions')
-      .insert({
-        user_id: userId,
-        video_id: videoId,
-        title: title || 'New Chat',
-        created_at: new Date().toISOString(),
-        last_activity: new Date().toISOString()
-      })
-      .select()
-      .single();
+    const { data: session, error } = await db.chatSessions.insert({
+      user_id: req.user.id,
+      video_id: videoId,
+      title: title || 'New Chat',
+      created_at: new Date().toISOString(),
+      last_activity: new Date().toISOString()
+    });
     
     if (error) throw error;
     
@@ -426,17 +574,24 @@ router.post('/chat/sessions', authMiddleware, async (req, res) => {
   }
 });
 
-router.get('/chat/sessions/:sessionId/messages', async (req, res) => {
+router.get('/chat/sessions/:sessionId/messages', authMiddleware, requireScope('chat'), async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { limit = 50, offset = 0 } = req.query;
+
+    const { error: sessionError } = await chatService.getSession(sessionId, sessionCaller(req));
+    if (sessionError) {
+      return res.status(sessionError.status).json({ error: sessionError.message });
+    }
     
-    const { data: messages, error } = await supabase
-      .from('chat_messages')
-      .select('*')
-      .eq('session_id', sessionId)
-      .order('created_at', { ascending: true })
-      .range(offset, offset + limit - 1);
+    const { data: messages, error } = await db.chatMessages.find(
+      { session_id: sessionId },
+      {
+        order: { column: 'created_at', ascending: true },
+        offset: Number(offset),
+        limit: Number(limit)
+      }
+    );
     
     if (error) throw error;
     
@@ -447,33 +602,23 @@ router.get('/chat/sessions/:sessionId/messages', async (req, res) => {
 });
 
 // Get recent chat sessions
-router.get('/chat-sessions/recent', authMiddleware, async (req, res) => {
+router.get('/chat-sessions/recent', authMiddleware, requireUser, requireScope('read'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { limit = 10 } = req.query;
     
-    const { data: sessions, error } = await supabase
-      .from('chat_sessions')
-      .select(`
-        id,
-        title,
-        created_at,
-        last_activity,
-        message_count,
-        videos (
-          id,
-          title,
-          youtube_id,
-          thumbnail_url
-        ),
-        channels (
-          id,
-          title
-        )
-      `)
-      .eq('user_id', userId)
-      .order('last_activity', { ascending: false })
-      .limit(limit);
+    const { data: sessions, error } = await db.chatSessions.find(
+      { user_id: userId },
+      {
+        columns: 'id, title, created_at, last_activity, message_count',
+        with: {
+          videos: 'id, title, youtube_id, thumbnail_url',
+          channels: 'id, title'
+        },
+        order: { column: 'last_activity', ascending: false },
+        limit: Number(limit)
+      }
+    );
     
     if (error) throw error;
     
@@ -484,9 +629,9 @@ router.get('/chat-sessions/recent', authMiddleware, async (req, res) => {
 });
 
 // Basic chat endpoint (non-streaming)
-router.post('/chat', authMiddleware, rateLimitMiddleware('chat'), async (req, res) => {
+router.post('/chat', authMiddleware, requireScope('chat'), rateLimitMiddleware('chat'), async (req, res) => {
   try {
-    const { message, videoId, channelId } = req.body;
+    const { message, videoId, channelId, playlistId } = req.body;
     
     if (!message) {
       return res.status(400).json({ error: 'message is required' });
@@ -512,8 +657,10 @@ router.post('/chat', authMiddleware, rateLimitMiddleware('chat'), async (req, re
       await chatService.streamChat({ messages, videoId }, mockRes);
     } else if (channelId) {
       await chatService.streamChannelChat({ messages, channelId }, mockRes);
+    } else if (playlistId) {
+      await chatService.streamPlaylistChat({ messages, playlistId }, mockRes);
     } else {
-      return res.status(400).json({ error: 'videoId or channelId required' });
+      return res.status(400).json({ error: 'videoId, channelId or playlistId required' });
     }
     
     res.json({ success: true, response });
@@ -526,10 +673,10 @@ router.post('/chat', authMiddleware, rateLimitMiddleware('chat'), async (req, re
 router.get('/monitor/stats', async (req, res) => {
   try {
     // Get queue stats
-    const { data: queueStats } = await supabase
-      .from('channel_queue')
-      .select('status')
-      .in('status', ['pending', 'processing', 'completed', 'failed']);
+    const { data: queueStats } = await db.channelQueue.find(
+      { status: { in: ['pending', 'processing', 'completed', 'failed'] } },
+      { columns: 'status' }
+    );
     
     const queueCounts = {
       pending: 0,
@@ -543,9 +690,9 @@ router.get('/monitor/stats', async (req, res) => {
     });
     
     // Get video stats
-    const { data: videoStats } = await supabase
-      .from('videos')
-      .select('transcript_cached, chunks_processed');
+    const { data: videoStats } = await db.videos.find({}, {
+      columns: 'transcript_cached, chunks_processed'
+    });
     
     const videoCounts = {
       total: videoStats?.length || 0,
@@ -554,22 +701,12 @@ router.get('/monitor/stats', async (req, res) => {
     };
     
     // Get recent activity
-    const { data: recentChannels } = await supabase
-      .from('channel_queue')
-      .select(`
-        id,
-        status,
-        total_videos,
-        videos_processed,
-        started_at,
-        completed_at,
-        channels (
-          title,
-          youtube_channel_id
-        )
-      `)
-      .order('created_at', { ascending: false })
-      .limit(10);
+    const { data: recentChannels } = await db.channelQueue.find({}, {
+      columns: 'id, status, total_videos, videos_processed, started_at, completed_at',
+      with: { channels: 'title, youtube_channel_id' },
+      order: { column: 'created_at', ascending: false },
+      limit: 10
+    });
     
     res.json({ 
       success: true, 
@@ -584,16 +721,16 @@ router.get('/monitor/stats', async (req, res) => {
   }
 });
 
-router.post('/monitor/trigger-cron', authMiddleware, async (req, res) => {
+router.post('/monitor/trigger-cron', authMiddleware, requireScope('monitor'), async (req, res) => {
   try {
-    // Manually trigger channel processing
-    channelProcessor.processPendingChannels().catch(err => {
+    // Claim due jobs now instead of waiting for the next poll
+    jobQueue.poll().catch(err => {
       console.error('Manual cron trigger error:', err);
     });
     
     res.json({ 
       success: true, 
-      message: 'Channel processing triggered manually' 
+      message: 'Job processing triggered manually' 
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -601,32 +738,118 @@ router.post('/monitor/trigger-cron', authMiddleware, async (req, res) => {
 });
 
 // ===== QUEUE ROUTES =====
-router.post('/queue/channel', authMiddleware, async (req, res) => {
+// Plan limits apply here as on /channels/process
+router.post('/queue/channel', authMiddleware, requireScope('ingest'), rateLimitMiddleware('channel_process'), async (req, res) => {
   try {
     const { channelId, priority = 'normal' } = req.body;
-    const userId = req.user.id;
+    const userId = req.user?.id || null;
     
     if (!channelId) {
       return res.status(400).json({ error: 'channelId is required' });
     }
+
+    if (await rejectOverChannelLimit(req, res)) return;
     
-    const result = await queueService.enqueueChannel(channelId, userId, priority);
+    const result = await queueService.enqueueChannel(channelId, userId, priority, planService.channelIngestOptions(req));
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-router.post('/queue/video', authMiddleware, async (req, res) => {
+// Upload a caption file (SRT or WebVTT) for a video YouTube has no usable
+// captions for. Send the file as the raw body (text/plain, text/vtt or
+// application/x-subrip) with ?language=&format=, or as JSON { language, format, content }.
+// Videos not indexed yet are queued; the file is the 'upload' transcript source.
+router.post('/videos/:videoId/captions', authMiddleware, requireScope('ingest'), rateLimitMiddleware('video_upload'),
+  express.text({ type: ['text/plain', 'text/vtt', 'application/x-subrip'], limit: '2mb' }), async (req, res) => {
   try {
-    const { videoId, priority = 'normal' } = req.body;
-    const userId = req.user.id;
+    const videoId = youtubeResolver.parseVideoId(req.params.videoId);
+    if (!videoId) {
+      return res.status(400).json({ error: 'videoId must be a YouTube video URL or ID' });
+    }
+
+    const fields = typeof req.body === 'string' ? { ...req.query, content: req.body } : { ...req.query, ...req.body };
+    const language = normalizeLanguage(fields.language);
+    if (!language) {
+      return res.status(400).json({ error: 'language is required, as a language code such as "en" or "pt-BR"' });
+    }
+
+    const content = typeof fields.content === 'string' ? fields.content : '';
+    const format = fields.format || (content.trimStart().startsWith('WEBVTT') ? 'vtt' : 'srt');
+    if (!['srt', 'vtt'].includes(format)) {
+      return res.status(400).json({ error: 'format must be srt or vtt' });
+    }
+
+    const segments = parseCaptionFile(content, format);
+    if (segments.length === 0) {
+      return res.status(400).json({ error: `No captions found in the ${format} file` });
+    }
+
+    // A video has one file per language, shared by everyone who indexes it;
+    // only its uploader (or the service key) may replace it
+    const { data: existing, error: existingError } = await db.captionUploads.findOne(
+      { youtube_id: videoId, language },
+      { columns: 'id, uploaded_by' }
+    );
+    if (existingError) throw existingError;
+    if (existing && req.user && existing.uploaded_by !== req.user.id) {
+      return res.status(409).json({ error: `Captions in ${language} were already uploaded for this video by someone else` });
+    }
+
+    const storagePath = `${videoId}/captions/${language}.${format}`;
+    const { error: uploadError } = await db.storage.upload('transcripts', storagePath, content, {
+      contentType: 'text/plain',
+      upsert: true
+    });
+    if (uploadError) throw new Error(`Failed to store caption file: ${uploadError.message}`);
+
+    const { data: upload, error } = await db.captionUploads.upsert({
+      youtube_id: videoId,
+      language,
+      format,
+      storage_path: storagePath,
+      segment_count: segments.length,
+      uploaded_by: req.user?.id || null,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'youtube_id,language' });
+    if (error) throw error;
+
+    // Videos indexed in the file's language keep their transcript
+    const { data: video } = await db.videos.findOne(
+      { youtube_id: videoId },
+      { columns: 'transcript_cached, transcript_language' }
+    );
+    let jobId = null;
+    if (needsIndexing(video, language)) {
+      const { data: job, error: jobError } = await enqueueVideoJob(videoId, { language });
+      if (jobError) throw jobError;
+      jobId = job.id;
+    }
+
+    console.log(`📎 Stored ${format} captions (${language}, ${segments.length} segments) for ${videoId}`);
+    res.status(201).json({ success: true, upload, queued: Boolean(jobId), jobId });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/queue/video', authMiddleware, requireScope('ingest'), rateLimitMiddleware('video_upload'), async (req, res) => {
+  try {
+    const { priority = 'normal' } = req.body;
+    const videoId = youtubeResolver.parseVideoId(req.body.videoId);
+    const userId = req.user?.id || null;
     
     if (!videoId) {
-      return res.status(400).json({ error: 'videoId is required' });
+      return res.status(400).json({ error: 'videoId must be a YouTube video URL or ID' });
+    }
+
+    const language = req.body.language ? normalizeLanguage(req.body.language) : null;
+    if (req.body.language && !language) {
+      return res.status(400).json({ error: 'language must be a language code such as "en" or "pt-BR"' });
     }
     
-    const result = await queueService.enqueueVideo(videoId, userId, priority);
+    const result = await queueService.enqueueVideo(videoId, userId, priority, language);
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -657,15 +880,16 @@ router.get('/queue/position/:queueItemId', async (req, res) => {
   }
 });
 
-router.post('/queue/process-videos', authMiddleware, async (req, res) => {
+router.post('/queue/process-videos', authMiddleware, requireScope('ingest'), async (req, res) => {
   try {
-    const { limit = 5 } = req.body;
-    const processed = await queueService.processVideoQueue(limit);
+    // Queued videos are jobs now; this just wakes the worker
+    await jobQueue.poll();
+    const status = await queueService.getQueueStatus();
     
     res.json({ 
       success: true, 
-      message: `Processing ${processed} videos`,
-      processed 
+      message: `Processing ${status.videos.processing} videos`,
+      processed: status.videos.processing
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -673,7 +897,7 @@ router.post('/queue/process-videos', authMiddleware, async (req, res) => {
 });
 
 // ===== ERROR TRACKING ROUTES =====
-router.get('/errors/stats', authMiddleware, async (req, res) => {
+router.get('/errors/stats', authMiddleware, requireScope('monitor'), async (req, res) => {
   try {
     const { hours = 24 } = req.query;
     const { errorTracker } = await import('../services/errorTracker.js');
@@ -688,17 +912,16 @@ router.get('/errors/stats', authMiddleware, async (req, res) => {
 // ===== CRON STATUS ROUTES =====
 router.get('/cron/status', async (req, res) => {
   try {
-    const { data: recentJobs } = await supabase
-      .from('cron_logs')
-      .select('*')
-      .order('started_at', { ascending: false })
-      .limit(20);
+    const { data: recentJobs } = await db.cronLogs.find({}, {
+      order: { column: 'started_at', ascending: false },
+      limit: 20
+    });
     
     // Get job statistics
-    const { data: stats } = await supabase
-      .from('cron_logs')
-      .select('job_name, status')
-      .gte('started_at', new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString());
+    const { data: stats } = await db.cronLogs.find(
+      { started_at: { gte: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() } },
+      { columns: 'job_name, status' }
+    );
     
     const jobStats = {};
     stats?.forEach(job => {
@@ -1,20 +1,22 @@
 import express from 'express';
-import { supabase } from '../server.js';
-import { channelProcessor } from '../services/channelProcessor.js';
+import { db } from '../db/index.js';
+import { jobQueue } from '../services/jobQueue.js';
+import { channelSync } from '../services/channelSync.js';
+import { authMiddleware, requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Check for new videos in channels (for future use when we support updates)
-router.post('/check-new-videos', async (req, res) => {
+// Queue a sync for every channel that is due, without waiting for the scheduler.
+// Spends YouTube quota, so only admins and the service key may call it
+router.post('/check-new-videos', authMiddleware, requireAdmin, async (req, res) => {
   try {
-    // For beta, we only process initial 20 videos
-    // This endpoint is here for future expansion
-    console.log('🔍 Checking for new videos (currently disabled for beta)');
+    console.log('🔍 Checking for new videos via cron');
+    const { queued } = await channelSync.enqueueDueChannels();
     
     res.json({ 
       success: true, 
-      message: 'New video checking is disabled during beta. Channels are processed once with up to 20 videos.',
-      processed: 0
+      message: `Queued sync for ${queued} channels`,
+      queued
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -22,12 +24,12 @@ router.post('/check-new-videos', async (req, res) => {
 });
 
 // Process pending channels
-router.post('/process-channels', async (req, res) => {
+router.post('/process-channels', authMiddleware, requireAdmin, async (req, res) => {
   try {
     console.log('🚀 Processing pending channels via cron');
     
-    // Start processing asynchronously
-    channelProcessor.processPendingChannels().catch(err => {
+    // Channels are processed as jobs; claim any that are due right away
+    jobQueue.poll().catch(err => {
       console.error('Channel processing error:', err);
     });
     
@@ -44,11 +46,11 @@ router.post('/process-channels', async (req, res) => {
 router.get('/health', async (req, res) => {
   try {
     // Get last cron run times
-    const { data: lastRuns } = await supabase
-      .from('cron_logs')
-      .select('job_name, started_at, completed_at, status')
-      .order('started_at', { ascending: false })
-      .limit(10);
+    const { data: lastRuns } = await db.cronLogs.find({}, {
+      columns: 'job_name, started_at, completed_at, status',
+      order: { column: 'started_at', ascending: false },
+      limit: 10
+    });
     
     // Check if crons are running properly
     const now = new Date();
@@ -1,19 +1,25 @@
 import express from 'express';
-import { authMiddleware } from '../middleware/auth.js';
-import { supabase } from '../server.js';
+import { authMiddleware, requireScope, requireSession, requireUser } from '../middleware/auth.js';
+import { db } from '../db/index.js';
+import { apiKeyService } from '../services/apiKeyService.js';
+import { planService, RATE_LIMITED_ACTIONS } from '../services/planService.js';
+import { rateLimiter, rateLimitMiddleware } from '../middleware/rateLimit.js';
+import { channelSync } from '../services/channelSync.js';
+import { collectionService } from '../services/collectionService.js';
+import { chatService, streamOwner } from '../services/chatService.js';
 
 const router = express.Router();
 
 // Get user's channels
-router.get('/channels', authMiddleware, async (req, res) => {
+router.get('/channels', authMiddleware, requireUser, requireScope('read'), async (req, res) => {
   try {
     const userId = req.user.id;
 
     // Get channels accessible to the user through user_channels table
-    const { data: userChannelRelations, error: relError } = await supabase
-      .from('user_channels')
-      .select('channel_id')
-      .eq('user_id', userId);
+    const { data: userChannelRelations, error: relError } = await db.userChannels.find(
+      { user_id: userId },
+      { columns: 'channel_id' }
+    );
     
     if (relError) throw relError;
     
@@ -23,31 +29,22 @@ router.get('/channels', authMiddleware, async (req, res) => {
     
     const channelIds = userChannelRelations.map(rel => rel.channel_id);
     
-    const { data: channels, error } = await supabase
-      .from('channels')
-      .select(`
-        id,
-        youtube_channel_id,
-        title,
-        description,
-        thumbnail_url,
-        status,
-        video_count,
-        created_at,
-        last_indexed_at
-      `)
-      .in('id', channelIds)
-      .order('created_at', { ascending: false });
+    const { data: channels, error } = await db.channels.find(
+      { id: { in: channelIds } },
+      {
+        columns: 'id, youtube_channel_id, title, description, thumbnail_url, status, video_count, created_at, last_indexed_at',
+        order: { column: 'created_at', ascending: false }
+      }
+    );
 
     if (error) throw error;
 
     // Get processing status for each channel
     // channelIds already declared above, no need to redeclare
-    const { data: queueItems } = await supabase
-      .from('channel_queue')
-      .select('channel_id, status, videos_processed, total_videos')
-      .in('channel_id', channelIds)
-      .eq('requested_by', userId);
+    const { data: queueItems } = await db.channelQueue.find(
+      { channel_id: { in: channelIds }, requested_by: userId },
+      { columns: 'channel_id, status, videos_processed, total_videos' }
+    );
 
     // Merge queue status with channels
     const channelsWithStatus = channels.map(channel => {
@@ -67,33 +64,24 @@ router.get('/channels', authMiddleware, async (req, res) => {
 });
 
 // Get user's chat history
-router.get('/chat-history', authMiddleware, async (req, res) => {
+router.get('/chat-history', authMiddleware, requireUser, requireScope('read'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { limit = 50, offset = 0 } = req.query;
 
-    const { data: sessions, error } = await supabase
-      .from('chat_sessions')
-      .select(`
-        id,
-        title,
-        created_at,
-        last_activity,
-        videos (
-          id,
-          title,
-          youtube_id,
-          thumbnail_url
-        ),
-        channels (
-          id,
-          title,
-          youtube_channel_id
-        )
-      `)
-      .eq('user_id', userId)
-      .order('last_activity', { ascending: false })
-      .range(offset, offset + limit - 1);
+    const { data: sessions, error } = await db.chatSessions.find(
+      { user_id: userId },
+      {
+        columns: 'id, title, created_at, last_activity',
+        with: {
+          videos: 'id, title, youtube_id, thumbnail_url',
+          channels: 'id, title, youtube_channel_id'
+        },
+        order: { column: 'last_activity', ascending: false },
+        offset: Number(offset),
+        limit: Number(limit)
+      }
+    );
 
     if (error) throw error;
 
@@ -104,7 +92,7 @@ router.get('/chat-history', authMiddleware, async (req, res) => {
 });
 
 // Get user's message count
-router.get('/message-count', authMiddleware, async (req, res) => {
+router.get('/message-count', authMiddleware, requireUser, requireScope('read'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { period = 'day' } = req.query;
@@ -131,11 +119,10 @@ router.get('/message-count', authMiddleware, async (req, res) => {
     }
 
     // Get message count
-    const { count, error } = await supabase
-      .from('chat_messages')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .gte('created_at', startTime.toISOString());
+    const { count, error } = await db.chatMessages.count({
+      user_id: userId,
+      created_at: { gte: startTime.toISOString() }
+    });
 
     if (error) throw error;
 
@@ -152,49 +139,37 @@ router.get('/message-count', authMiddleware, async (req, res) => {
 });
 
 // Get user's recent activity
-router.get('/recent-activity', authMiddleware, async (req, res) => {
+router.get('/recent-activity', authMiddleware, requireUser, requireScope('read'), async (req, res) => {
   try {
     const userId = req.user.id;
     const { limit = 20 } = req.query;
 
     // Get recent chat sessions
-    const { data: recentSessions, error: sessionsError } = await supabase
-      .from('chat_sessions')
-      .select(`
-        id,
-        title,
-        created_at,
-        last_activity,
-        videos (
-          title,
-          youtube_id
-        ),
-        channels (
-          title
-        )
-      `)
-      .eq('user_id', userId)
-      .order('last_activity', { ascending: false })
-      .limit(5);
+    const { data: recentSessions, error: sessionsError } = await db.chatSessions.find(
+      { user_id: userId },
+      {
+        columns: 'id, title, created_at, last_activity',
+        with: {
+          videos: 'title, youtube_id',
+          channels: 'title'
+        },
+        order: { column: 'last_activity', ascending: false },
+        limit: 5
+      }
+    );
 
     if (sessionsError) throw sessionsError;
 
     // Get recent channel processing
-    const { data: recentChannels, error: channelsError } = await supabase
-      .from('channel_queue')
-      .select(`
-        id,
-        status,
-        created_at,
-        completed_at,
-        channels (
-          title,
-          youtube_channel_id
-        )
-      `)
-      .eq('requested_by', userId)
-      .order('created_at', { ascending: false })
-      .limit(5);
+    const { data: recentChannels, error: channelsError } = await db.channelQueue.find(
+      { requested_by: userId },
+      {
+        columns: 'id, status, created_at, completed_at',
+        with: { channels: 'title, youtube_channel_id' },
+        order: { column: 'created_at', ascending: false },
+        limit: 5
+      }
+    );
 
     if (channelsError) throw channelsError;
 
@@ -230,43 +205,33 @@ router.get('/recent-activity', authMiddleware, async (req, res) => {
 });
 
 // Get user's usage statistics
-router.get('/usage-stats', authMiddleware, async (req, res) => {
+router.get('/usage-stats', authMiddleware, requireUser, requireScope('read'), async (req, res) => {
   try {
     const userId = req.user.id;
 
     // Get channel count from user_channels table
-    const { count: channelCount } = await supabase
-      .from('user_channels')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+    const { count: channelCount } = await db.userChannels.count({ user_id: userId });
+    const { limits } = planService.planFor(req);
 
     // Get total message count
-    const { count: totalMessages } = await supabase
-      .from('chat_messages')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+    const { count: totalMessages } = await db.chatMessages.count({ user_id: userId });
 
     // Get session count
-    const { count: sessionCount } = await supabase
-      .from('chat_sessions')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId);
+    const { count: sessionCount } = await db.chatSessions.count({ user_id: userId });
 
     // Get messages in last 24 hours
     const dayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const { count: dailyMessages } = await supabase
-      .from('chat_messages')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .gte('created_at', dayAgo.toISOString());
+    const { count: dailyMessages } = await db.chatMessages.count({
+      user_id: userId,
+      created_at: { gte: dayAgo.toISOString() }
+    });
 
     // Get messages in last hour
     const hourAgo = new Date(Date.now() - 60 * 60 * 1000);
-    const { count: hourlyMessages } = await supabase
-      .from('chat_messages')
-      .select('*', { count: 'exact', head: true })
-      .eq('user_id', userId)
-      .gte('created_at', hourAgo.toISOString());
+    const { count: hourlyMessages } = await db.chatMessages.count({
+      user_id: userId,
+      created_at: { gte: hourAgo.toISOString() }
+    });
 
     res.json({
       success: true,
@@ -277,9 +242,9 @@ router.get('/usage-stats', authMiddleware, async (req, res) => {
         dailyMessages: dailyMessages || 0,
         hourlyMessages: hourlyMessages || 0,
         limits: {
-          hourly: 30,
-          daily: 100,
-          channels: 1
+          hourly: limits.chat?.hourly ?? null,
+          daily: limits.chat?.daily ?? null,
+          channels: limits.channels ?? null
         }
       }
     });
@@ -288,19 +253,45 @@ router.get('/usage-stats', authMiddleware, async (req, res) => {
   }
 });
 
+// Current usage against each limit of the user's plan
+router.get('/quota', authMiddleware, requireUser, requireScope('read'), async (req, res) => {
+  try {
+    const plan = planService.planFor(req);
+    const identifier = rateLimiter.identify(req);
+
+    const quota = {};
+    for (const action of RATE_LIMITED_ACTIONS) {
+      quota[action] = await rateLimiter.usage(identifier, action, plan.limits[action]);
+    }
+
+    const channels = await planService.checkChannelLimit(req);
+    quota.channels = { used: channels.used, limit: channels.limit };
+    quota.channel_videos = plan.limits.channel_videos || null;
+    quota.playlist_videos = plan.limits.playlist_videos || null;
+
+    res.json({ success: true, plan: { id: plan.id, name: plan.name }, quota });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Sync user data
 router.post('/sync', authMiddleware, async (req, res) => {
   try {
-    const { clerkId, email, firstName, lastName } = req.user;
+    if (!req.user || req.user.apiKey) {
+      return res.status(401).json({ error: 'Unauthorized', message: 'A user session is required' });
+    }
+
+    // Identity comes from the verified token; profile fields the token doesn't carry may come from the body
+    const { clerkId } = req.user;
+    const email = req.user.email || req.body.email;
+    const firstName = req.user.firstName || req.body.firstName;
+    const lastName = req.user.lastName || req.body.lastName;
     
     // Check if user exists
-    const { data: existingUser, error: checkError } = await supabase
-      .from('users')
-      .select('*')
-      .eq('clerk_id', clerkId)
-      .single();
+    const { data: existingUser, error: checkError } = await db.users.findOne({ clerk_id: clerkId });
 
-    if (checkError && checkError.code !== 'PGRST116') {
+    if (checkError) {
       throw checkError;
     }
 
@@ -308,34 +299,25 @@ router.post('/sync', authMiddleware, async (req, res) => {
     
     if (existingUser) {
       // Update existing user
-      const { data: updatedUser, error: updateError } = await supabase
-        .from('users')
-        .update({
-          email,
-          first_name: firstName,
-          last_name: lastName,
-          updated_at: new Date().toISOString()
-        })
-        .eq('clerk_id', clerkId)
-        .select()
-        .single();
+      const { data: updatedUser, error: updateError } = await db.users.updateOne({ clerk_id: clerkId }, {
+        email,
+        first_name: firstName,
+        last_name: lastName,
+        updated_at: new Date().toISOString()
+      });
 
       if (updateError) throw updateError;
       user = updatedUser;
     } else {
       // Create new user
-      const { data: newUser, error: createError } = await supabase
-        .from('users')
-        .insert({
-          clerk_id: clerkId,
-          email,
-          first_name: firstName,
-          last_name: lastName,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        })
-        .select()
-        .single();
+      const { data: newUser, error: createError } = await db.users.insert({
+        clerk_id: clerkId,
+        email,
+        first_name: firstName,
+        last_name: lastName,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      });
 
       if (createError) throw createError;
       user = newUser;
@@ -348,37 +330,31 @@ router.post('/sync', authMiddleware, async (req, res) => {
 });
 
 // Delete a channel
-router.delete('/channels/:id', authMiddleware, async (req, res) => {
+router.delete('/channels/:id', authMiddleware, requireUser, requireScope('ingest'), async (req, res) => {
   try {
     const userId = req.user.id;
     const channelId = req.params.id;
 
     // Verify user has access to this channel
-    const { data: userChannelRelation, error: checkError } = await supabase
-      .from('user_channels')
-      .select('id')
-      .eq('user_id', userId)
-      .eq('channel_id', channelId)
-      .single();
+    const { data: userChannelRelation, error: checkError } = await db.userChannels.findOne(
+      { user_id: userId, channel_id: channelId },
+      { columns: 'id' }
+    );
 
     if (checkError || !userChannelRelation) {
       return res.status(404).json({ error: 'Channel not found or no access' });
     }
 
     // Remove user's access to the channel (don't delete the channel itself)
-    const { error: deleteError } = await supabase
-      .from('user_channels')
-      .delete()
-      .eq('user_id', userId)
-      .eq('channel_id', channelId);
+    const { error: deleteError } = await db.userChannels.delete({
+      user_id: userId,
+      channel_id: channelId
+    });
 
     if (deleteError) throw deleteError;
 
     // Check if any other users still have access to this channel
-    const { count } = await supabase
-      .from('user_channels')
-      .select('*', { count: 'exact', head: true })
-      .eq('channel_id', channelId);
+    const { count } = await db.userChannels.count({ channel_id: channelId });
 
     // If no other users have access, optionally mark channel as orphaned
     // For now, we'll leave channels even if no users have access
@@ -390,8 +366,48 @@ router.delete('/channels/:id', authMiddleware, async (req, res) => {
   }
 });
 
+// Check one of your channels for new uploads now instead of at its next sync
+router.post('/channels/:id/refresh', authMiddleware, requireUser, requireScope('ingest'), async (req, res, next) => {
+  try {
+    const { data: userChannelRelation, error: checkError } = await db.userChannels.findOne(
+      { user_id: req.user.id, channel_id: req.params.id },
+      { columns: 'id' }
+    );
+
+    if (checkError || !userChannelRelation) {
+      return res.status(404).json({ error: 'Channel not found or no access' });
+    }
+
+    const { data: channel, error } = await db.channels.findById(req.params.id, {
+      columns: 'id, status'
+    });
+    if (error) throw error;
+
+    if (channel?.status !== 'ready') {
+      return res.status(409).json({ error: 'Channel is still being indexed' });
+    }
+
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}, rateLimitMiddleware('channel_refresh'), async (req, res) => {
+  try {
+    const { data: job, error, existing } = await channelSync.requestRefresh(req.params.id);
+    if (error) throw error;
+
+    res.status(202).json({
+      success: true,
+      message: existing ? 'A sync is already queued for this channel' : 'Channel refresh queued',
+      jobId: job.id
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Migrate sessions from anonymous to authenticated user
-router.post('/migrate-sessions', authMiddleware, async (req, res) => {
+router.post('/migrate-sessions', authMiddleware, requireSession, async (req, res) => {
   try {
     const userId = req.user.id;
     const { anonId } = req.body;
@@ -401,16 +417,14 @@ router.post('/migrate-sessions', authMiddleware, async (req, res) => {
     }
 
     // Update all sessions from anonymous to authenticated user
-    const { data: sessions, error } = await supabase
-      .from('chat_sessions')
-      .update({ 
+    const { data: sessions, error } = await db.chatSessions.update(
+      { anon_id: anonId, user_id: null },
+      {
         user_id: userId,
         anon_id: null,
         updated_at: new Date().toISOString()
-      })
-      .eq('anon_id', anonId)
-      .is('user_id', null)
-      .select();
+      }
+    );
 
     if (error) throw error;
 
@@ -424,4 +438,203 @@ router.post('/migrate-sessions', authMiddleware, async (req, res) => {
   }
 });
 
+// Personal API keys for scripting against the API. The plain key is only returned once, on creation.
+router.post('/api-keys', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    if (scopes !== undefined && (!Array.isArray(scopes) || scopes.length === 0)) {
+      return res.status(400).json({ error: 'scopes must be a non-empty array' });
+    }
+
+    const { key, apiKey, error } = await apiKeyService.create(req.user.id, { name, scopes });
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(201).json({ success: true, apiKey, key });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/api-keys', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const { data: apiKeys, error } = await apiKeyService.list(req.user.id);
+    if (error) throw error;
+
+    res.json({ success: true, apiKeys });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/api-keys/:id', authMiddleware, requireSession, async (req, res) => {
+  try {
+    const { revoked, error } = await apiKeyService.revoke(req.user.id, req.params.id);
+    if (error) throw error;
+
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    res.json({ success: true, message: 'API key revoked' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== COLLECTIONS =====
+// Named mixes of videos, channels and playlists to search and chat over as one
+
+router.get('/collections', authMiddleware, requireUser, requireScope('read'), async (req, res) => {
+  try {
+    const { data: collections, error } = await collectionService.list(req.user.id);
+    if (error) throw error;
+
+    res.json({ success: true, collections });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/collections', authMiddleware, requireUser, requireScope('ingest'), async (req, res) => {
+  try {
+    const { name, description, items } = req.body;
+
+    const { data: collection, error } = await collectionService.create(req.user.id, { name, description, items });
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(201).json({ success: true, collection });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.get('/collections/:id', authMiddleware, requireUser, requireScope('read'), async (req, res) => {
+  try {
+    const { data: collection, error } = await collectionService.getWithItems(req.user.id, req.params.id);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.json({ success: true, collection });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.patch('/collections/:id', authMiddleware, requireUser, requireScope('ingest'), async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    const { data: collection, error } = await collectionService.update(req.user.id, req.params.id, { name, description });
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.json({ success: true, collection });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/collections/:id', authMiddleware, requireUser, requireScope('ingest'), async (req, res) => {
+  try {
+    const { error } = await collectionService.remove(req.user.id, req.params.id);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.json({ success: true, message: 'Collection deleted' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add { type: 'video', id: <YouTube video id> }, { type: 'channel', id } or { type: 'playlist', id }
+router.post('/collections/:id/items', authMiddleware, requireUser, requireScope('ingest'), async (req, res) => {
+  try {
+    const { type, id } = req.body;
+
+    const { data: item, error } = await collectionService.addItem(req.user.id, req.params.id, { type, id });
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(201).json({ success: true, item });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.delete('/collections/:id/items/:itemId', authMiddleware, requireUser, requireScope('ingest'), async (req, res) => {
+  try {
+    const { error } = await collectionService.removeItem(req.user.id, req.params.id, req.params.itemId);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.json({ success: true, message: 'Item removed' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/collections/:id/search', authMiddleware, requireUser, requireScope('read'), async (req, res) => {
+  try {
+    const { query, limit } = req.body;
+
+    if (!query || typeof query !== 'string') {
+      return res.status(400).json({ error: 'query is required' });
+    }
+
+    const { data: results, error } = await collectionService.search(req.user.id, req.params.id, query, limit);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.json({ success: true, results });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+router.post('/collections/:id/chat/stream', authMiddleware, requireUser, requireScope('chat'), rateLimitMiddleware('chat'), async (req, res) => {
+  try {
+    const { messages, sessionId } = req.body;
+
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: 'messages must be a non-empty array' });
+    }
+
+    const { data: collection, error } = await collectionService.get(req.user.id, req.params.id);
+    if (error) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    if (sessionId) {
+      const { error: sessionError } = await chatService.getSession(sessionId, { userId: req.user.id });
+      if (sessionError) {
+        return res.status(sessionError.status).json({ error: sessionError.message });
+      }
+    }
+
+    // Set up SSE headers
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable Nginx buffering
+    });
+
+    await chatService.streamCollectionChat({ messages, collection, sessionId, owner: streamOwner(req) }, res);
+
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 export default router;
\ No newline at end of file
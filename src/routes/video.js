@@ -1,8 +1,12 @@
 import express from 'express';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, requireScope } from '../middleware/auth.js';
 import { rateLimitMiddleware } from '../middleware/rateLimit.js';
-import { supabase } from '../server.js';
+import { db } from '../db/index.js';
 import { videoProcessor } from '../services/videoProcessor.js';
+import { enqueueVideoJob, needsIndexing } from '../services/jobHandlers.js';
+import { youtubeResolver } from '../services/youtubeResolver.js';
+import { youtube, YouTubeQuotaError } from '../youtube/index.js';
+import { normalizeLanguage } from '../transcripts/index.js';
 
 const router = express.Router();
 
@@ -21,31 +25,20 @@ function parseDuration(duration) {
 // Get video transcript
 router.get('/transcript', async (req, res) => {
   try {
-    const { videoId } = req.query;
+    const videoId = youtubeResolver.parseVideoId(req.query.videoId);
     
     if (!videoId) {
-      return res.status(400).json({ error: 'videoId is required' });
+      return res.status(400).json({ error: 'videoId must be a YouTube video URL or ID' });
     }
 
     // Get video with transcript chunks
-    const { data: video, error } = await supabase
-      .from('videos')
-      .select(`
-        id,
-        youtube_id,
-        title,
-        transcript_cached,
-        chunks_processed,
-        transcript_chunks (
-          id,
-          chunk_index,
-          text,
-          start_time,
-          end_time
-        )
-      `)
-      .eq('youtube_id', videoId)
-      .single();
+    const { data: video, error } = await db.videos.findOne(
+      { youtube_id: videoId },
+      {
+        columns: 'id, youtube_id, title, transcript_cached, chunks_processed',
+        with: { transcript_chunks: 'id, chunk_index, text, start_time, end_time' }
+      }
+    );
 
     if (error || !video) {
       return res.status(404).json({ error: 'Video not found' });
@@ -84,26 +77,24 @@ router.get('/transcript', async (req, res) => {
 // Quick transcript access (returns just the text)
 router.get('/transcript-quick', async (req, res) => {
   try {
-    const { videoId } = req.query;
+    const videoId = youtubeResolver.parseVideoId(req.query.videoId);
     
     if (!videoId) {
-      return res.status(400).json({ error: 'videoId is required' });
+      return res.status(400).json({ error: 'videoId must be a YouTube video URL or ID' });
     }
 
     // Get cached transcript if available
-    const { data: video, error } = await supabase
-      .from('videos')
-      .select('id, transcript_text')
-      .eq('youtube_id', videoId)
-      .single();
+    const { data: video, error } = await db.videos.findOne(
+      { youtube_id: videoId },
+      { columns: 'id, transcript_text' }
+    );
 
     if (error || !video || !video.transcript_text) {
       // Try to get from chunks
-      const { data: chunks, error: chunksError } = await supabase
-        .from('transcript_chunks')
-        .select('text')
-        .eq('video_id', video?.id)
-        .order('chunk_index');
+      const { data: chunks, error: chunksError } = await db.transcriptChunks.find(
+        { video_id: video?.id },
+        { columns: 'text', order: { column: 'chunk_index' } }
+      );
 
       if (chunksError || !chunks || chunks.length === 0) {
         return res.status(404).json({ error: 'Transcript not available' });
@@ -113,10 +104,7 @@ router.get('/transcript-quick', async (req, res) => {
       
       // Cache the transcript for next time
       if (video?.id) {
-        await supabase
-          .from('videos')
-          .update({ transcript_text: transcript })
-          .eq('id', video.id);
+        await db.videos.update({ id: video.id }, { transcript_text: transcript });
       }
 
       return res.json({ success: true, transcript });
@@ -129,22 +117,26 @@ router.get('/transcript-quick', async (req, res) => {
 });
 
 // Process video (wrapper for frontend compatibility)
-router.post('/process', authMiddleware, rateLimitMiddleware('video_process'), async (req, res) => {
+router.post('/process', authMiddleware, requireScope('ingest'), rateLimitMiddleware('video_upload'), async (req, res) => {
   try {
-    const { videoId } = req.body;
+    const videoId = youtubeResolver.parseVideoId(req.body.videoId);
     
     if (!videoId) {
-      return res.status(400).json({ error: 'videoId is required' });
+      return res.status(400).json({ error: 'videoId must be a YouTube video URL or ID' });
+    }
+
+    const language = req.body.language ? normalizeLanguage(req.body.language) : null;
+    if (req.body.language && !language) {
+      return res.status(400).json({ error: 'language must be a language code such as "en" or "pt-BR"' });
     }
 
-    // Check if video already exists
-    const { data: existingVideo } = await supabase
-      .from('videos')
-      .select('id, transcript_cached, chunks_processed')
-      .eq('youtube_id', videoId)
-      .single();
+    // Check if video already exists; asking for another language indexes it again
+    const { data: existingVideo } = await db.videos.findOne(
+      { youtube_id: videoId },
+      { columns: 'id, transcript_cached, chunks_processed, transcript_language' }
+    );
 
-    if (existingVideo && existingVideo.transcript_cached) {
+    if (!needsIndexing(existingVideo, language)) {
       return res.json({ 
         success: true,
         processing: false,
@@ -152,15 +144,14 @@ router.post('/process', authMiddleware, rateLimitMiddleware('video_process'), as
       });
     }
 
-    // Start processing
-    videoProcessor.processVideo(videoId).catch(err => {
-      console.error('Failed to process video:', err);
-    });
+    const { data: job, error } = await enqueueVideoJob(videoId, { language });
+    if (error) throw error;
 
     res.json({ 
       success: true,
       processing: true,
-      message: 'Video processing started'
+      message: 'Video processing started',
+      jobId: job.id
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -168,20 +159,19 @@ router.post('/process', authMiddleware, rateLimitMiddleware('video_process'), as
 });
 
 // Process video embeddings
-router.post('/process-embeddings', authMiddleware, rateLimitMiddleware('video_process'), async (req, res) => {
+router.post('/process-embeddings', authMiddleware, requireScope('ingest'), rateLimitMiddleware('video_upload'), async (req, res) => {
   try {
-    const { videoId } = req.body;
+    const videoId = youtubeResolver.parseVideoId(req.body.videoId);
     
     if (!videoId) {
-      return res.status(400).json({ error: 'videoId is required' });
+      return res.status(400).json({ error: 'videoId must be a YouTube video URL or ID' });
     }
 
     // Check if video exists and has transcript
-    const { data: video, error } = await supabase
-      .from('videos')
-      .select('id, transcript_cached, chunks_processed')
-      .eq('youtube_id', videoId)
-      .single();
+    const { data: video, error } = await db.videos.findOne(
+      { youtube_id: videoId },
+      { columns: 'id, transcript_cached, chunks_processed' }
+    );
 
     if (error || !video) {
       return res.status(404).json({ error: 'Video not found' });
@@ -220,18 +210,17 @@ router.post('/process-embeddings', authMiddleware, rateLimitMiddleware('video_pr
 // Check if video needs indexing
 router.get('/check', async (req, res) => {
   try {
-    const { videoId } = req.query;
+    const videoId = youtubeResolver.parseVideoId(req.query.videoId);
     
     if (!videoId) {
-      return res.status(400).json({ error: 'videoId is required' });
+      return res.status(400).json({ error: 'videoId must be a YouTube video URL or ID' });
     }
 
     // Check if video exists and has transcript
-    const { data: video, error } = await supabase
-      .from('videos')
-      .select('id, youtube_id, transcript_cached, chunks_processed')
-      .eq('youtube_id', videoId)
-      .single();
+    const { data: video, error } = await db.videos.findOne(
+      { youtube_id: videoId },
+      { columns: 'id, youtube_id, transcript_cached, chunks_processed' }
+    );
 
     if (error || !video) {
       return res.json({ 
@@ -257,46 +246,24 @@ router.get('/check', async (req, res) => {
 // Get video metadata
 router.get('/metadata', async (req, res) => {
   try {
-    const { videoId } = req.query;
+    const videoId = youtubeResolver.parseVideoId(req.query.videoId);
     
     if (!videoId) {
-      return res.status(400).json({ error: 'videoId is required' });
+      return res.status(400).json({ error: 'videoId must be a YouTube video URL or ID' });
     }
 
     // Get video metadata
-    const { data: video, error } = await supabase
-      .from('videos')
-      .select(`
-        id,
-        youtube_id,
-        title,
-        description,
-        thumbnail_url,
-        duration,
-        transcript_cached,
-        chunks_processed,
-        created_at,
-        channel_id,
-        channels (
-          id,
-          title,
-          youtube_channel_id
-        )
-      `)
-      .eq('youtube_id', videoId)
-      .single();
+    const { data: video, error } = await db.videos.findOne(
+      { youtube_id: videoId },
+      {
+        columns: 'id, youtube_id, title, description, thumbnail_url, duration, transcript_cached, chunks_processed, created_at, channel_id',
+        with: { channels: 'id, title, youtube_channel_id' }
+      }
+    );
 
     if (error || !video) {
       // Try to fetch from YouTube API
-      const ytResponse = await fetch(
-        `https://www.googleapis.com/youtube/v3/videos?part=snippet,contentDetails&id=${videoId}&key=${process.env.YOUTUBE_API_KEY}`
-      );
-
-      if (!ytResponse.ok) {
-        throw new Error('Failed to fetch video from YouTube');
-      }
-
-      const ytData = await ytResponse.json();
+      const ytData = await youtube.videos({ part: 'snippet,contentDetails', id: videoId });
       
       if (!ytData.items || ytData.items.length === 0) {
         return res.status(404).json({ error: 'Video not found' });
@@ -328,6 +295,10 @@ router.get('/metadata', async (req, res) => {
 
     res.json({ success: true, video });
   } catch (error) {
+    if (error instanceof YouTubeQuotaError) {
+      res.setHeader('Retry-After', error.retryAfterSeconds);
+      return res.status(503).json({ error: 'YouTube API quota exhausted. Please try again later.', retryAfter: error.retryAfterSeconds, resetAt: error.retryAt });
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -335,23 +306,17 @@ router.get('/metadata', async (req, res) => {
 // Check video chunks status
 router.get('/check-chunks', async (req, res) => {
   try {
-    const { videoId } = req.query;
+    const videoId = youtubeResolver.parseVideoId(req.query.videoId);
     
     if (!videoId) {
-      return res.status(400).json({ error: 'videoId is required' });
+      return res.status(400).json({ error: 'videoId must be a YouTube video URL or ID' });
     }
 
     // Get video and chunk info
-    const { data: video, error } = await supabase
-      .from('videos')
-      .select(`
-        id,
-        youtube_id,
-        transcript_cached,
-        chunks_processed
-      `)
-      .eq('youtube_id', videoId)
-      .single();
+    const { data: video, error } = await db.videos.findOne(
+      { youtube_id: videoId },
+      { columns: 'id, youtube_id, transcript_cached, chunks_processed' }
+    );
 
     if (error || !video) {
       return res.status(404).json({ 
@@ -361,10 +326,7 @@ router.get('/check-chunks', async (req, res) => {
     }
 
     // Get chunk count
-    const { count: chunkCount } = await supabase
-      .from('transcript_chunks')
-      .select('*', { count: 'exact', head: true })
-      .eq('video_id', video.id);
+    const { count: chunkCount } = await db.transcriptChunks.count({ video_id: video.id });
 
     res.json({
       success: true,
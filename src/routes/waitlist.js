@@ -1,5 +1,5 @@
 import express from 'express';
-import { supabase } from '../server.js';
+import { db } from '../db/index.js';
 import { emailService } from '../services/emailService.js';
 
 const router = express.Router();
@@ -14,11 +14,10 @@ router.post('/join', async (req, res) => {
     }
 
     // Check if already on waitlist
-    const { data: existing } = await supabase
-      .from('waitlist')
-      .select('id, status')
-      .eq('email', email.toLowerCase())
-      .single();
+    const { data: existing } = await db.waitlist.findOne(
+      { email: email.toLowerCase() },
+      { columns: 'id, status' }
+    );
 
     if (existing) {
       return res.json({
@@ -30,18 +29,14 @@ router.post('/join', async (req, res) => {
     }
 
     // Add to waitlist
-    const { data: entry, error } = await supabase
-      .from('waitlist')
-      .insert({
-        email: email.toLowerCase(),
-        name: name || null,
-        use_case: useCase || null,
-        source: source || 'api',
-        status: 'pending',
-        created_at: new Date().toISOString()
-      })
-      .select()
-      .single();
+    const { data: entry, error } = await db.waitlist.insert({
+      email: email.toLowerCase(),
+      name: name || null,
+      use_case: useCase || null,
+      source: source || 'api',
+      status: 'pending',
+      created_at: new Date().toISOString()
+    });
 
     if (error) throw error;
 
@@ -71,11 +66,10 @@ router.get('/status', async (req, res) => {
       return res.status(400).json({ error: 'Email is required' });
     }
 
-    const { data: entry, error } = await supabase
-      .from('waitlist')
-      .select('id, status, created_at, invited_at')
-      .eq('email', email.toLowerCase())
-      .single();
+    const { data: entry, error } = await db.waitlist.findOne(
+      { email: email.toLowerCase() },
+      { columns: 'id, status, created_at, invited_at' }
+    );
 
     if (error || !entry) {
       return res.status(404).json({ 
@@ -85,11 +79,10 @@ router.get('/status', async (req, res) => {
     }
 
     // Get approximate position
-    const { count: position } = await supabase
-      .from('waitlist')
-      .select('*', { count: 'exact', head: true })
-      .eq('status', 'pending')
-      .lt('id', entry.id);
+    const { count: position } = await db.waitlist.count({
+      status: 'pending',
+      id: { lt: entry.id }
+    });
 
     res.json({
       success: true,
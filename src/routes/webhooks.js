@@ -1,6 +1,6 @@
 import express from 'express';
 import { Webhook } from 'svix';
-import { supabase } from '../server.js';
+import { db } from '../db/index.js';
 import { emailService } from '../services/emailService.js';
 
 const router = express.Router();
@@ -91,18 +91,14 @@ async function handleUserCreated(userData) {
     }
 
     // Create user in database
-    const { data: user, error } = await supabase
-      .from('users')
-      .insert({
-        clerk_id: userData.id,
-        email: email,
-        first_name: firstName,
-        last_name: lastName,
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .select()
-      .single();
+    const { data: user, error } = await db.users.insert({
+      clerk_id: userData.id,
+      email: email,
+      first_name: firstName,
+      last_name: lastName,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
 
     if (error) {
       console.error('❌ Error creating user:', error);
@@ -130,15 +126,12 @@ async function handleUserUpdated(userData) {
     const lastName = userData.last_name;
 
     // Update user in database
-    const { error } = await supabase
-      .from('users')
-      .update({
-        email: email,
-        first_name: firstName,
-        last_name: lastName,
-        updated_at: new Date().toISOString()
-      })
-      .eq('clerk_id', userData.id);
+    const { error } = await db.users.update({ clerk_id: userData.id }, {
+      email: email,
+      first_name: firstName,
+      last_name: lastName,
+      updated_at: new Date().toISOString()
+    });
 
     if (error) {
       console.error('❌ Error updating user:', error);
@@ -158,13 +151,10 @@ async function handleUserDeleted(userData) {
     console.log('👤 Deleting user:', userData.id);
     
     // Soft delete - just mark as deleted
-    const { error } = await supabase
-      .from('users')
-      .update({
-        deleted_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      })
-      .eq('clerk_id', userData.id);
+    const { error } = await db.users.update({ clerk_id: userData.id }, {
+      deleted_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    });
 
     if (error) {
       console.error('❌ Error deleting user:', error);
@@ -0,0 +1,66 @@
+import { errorTracker } from './services/errorTracker.js';
+import { lockService } from './services/lockService.js';
+
+// api: HTTP server; worker: job processing; scheduler: cron and housekeeping
+export const ROLES = ['api', 'worker', 'scheduler'];
+
+const ROLE_MODULES = {
+  api: () => import('./roles/api.js'),
+  worker: () => import('./roles/worker.js'),
+  scheduler: () => import('./roles/scheduler.js')
+};
+
+// Hard stop if draining takes longer than this
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '30000', 10);
+
+// "api", "worker,scheduler" or "all"
+export function parseRoles(value = 'all') {
+  const names = value.split(',').map(name => name.trim()).filter(Boolean);
+  if (names.includes('all')) return ROLES;
+
+  const unknown = names.filter(name => !ROLES.includes(name));
+  if (names.length === 0 || unknown.length > 0) {
+    throw new Error(`Unknown process role "${value}"; use api, worker, scheduler or all`);
+  }
+  return [...new Set(names)];
+}
+
+// Start the roles in this process and drain them, last started first, on SIGINT/SIGTERM
+export async function run(roles) {
+  const running = [];
+  for (const role of roles) {
+    const { start } = await ROLE_MODULES[role]();
+    running.push({ role, stop: await start() });
+  }
+
+  console.log(`✅ Process running as: ${roles.join(', ')}`);
+
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+
+    console.log(`🛑 ${signal} received, draining ${roles.join(', ')}...`);
+    setTimeout(() => {
+      console.error(`⏱️ Drain took longer than ${SHUTDOWN_TIMEOUT_MS}ms, exiting`);
+      process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS).unref();
+
+    for (const { role, stop } of running.reverse()) {
+      try {
+        await stop();
+        console.log(`✅ Stopped ${role}`);
+      } catch (error) {
+        console.error(`Failed to stop ${role}:`, error);
+      }
+    }
+
+    console.log('Releasing all locks before exit...');
+    await lockService.releaseAll();
+    await errorTracker.shutdown();
+    process.exit(0);
+  };
+
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+}
@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import { db } from '../db/index.js';
+
+// Personal keys look like vsk_<43 base64url chars>; the prefix tells them apart from
+// the service key and Clerk JWTs, and the first characters are kept for display
+export const API_KEY_PREFIX = 'vsk_';
+export const API_KEY_SCOPES = ['chat', 'ingest', 'read'];
+
+const MAX_KEYS_PER_USER = 10;
+const DISPLAY_PREFIX_LENGTH = 12;
+
+// Don't write last_used_at more often than this per key
+const LAST_USED_RESOLUTION = 60 * 1000;
+
+const PUBLIC_COLUMNS = 'id, name, prefix, scopes, last_used_at, created_at';
+
+class ApiKeyService {
+  isApiKey(value) {
+    return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+  }
+
+  // Keys carry 256 bits of randomness, so a plain SHA-256 is enough
+  hash(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  async create(userId, { name, scopes = ['read'] }) {
+    const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalid.length > 0) {
+      return { error: { status: 400, message: `Unknown scopes: ${invalid.join(', ')}` } };
+    }
+
+    const { count } = await db.apiKeys.count({ user_id: userId, revoked_at: null });
+    if (count >= MAX_KEYS_PER_USER) {
+      return { error: { status: 409, message: `A user can have at most ${MAX_KEYS_PER_USER} active API keys` } };
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const { data: record, error } = await db.apiKeys.insert({
+      user_id: userId,
+      name: name || 'API key',
+      prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+      key_hash: this.hash(key),
+      scopes: [...new Set(scopes)],
+      created_at: new Date().toISOString()
+    });
+
+    if (error) {
+      return { error: { status: 500, message: error.message } };
+    }
+
+    console.log(`🔑 Created API key ${record.prefix}… for user ${userId}`);
+
+    const { key_hash, user_id, revoked_at, ...apiKey } = record;
+    return { key, apiKey };
+  }
+
+  async list(userId) {
+    return db.apiKeys.find(
+      { user_id: userId, revoked_at: null },
+      { columns: PUBLIC_COLUMNS, order: { column: 'created_at', ascending: false } }
+    );
+  }
+
+  async revoke(userId, keyId) {
+    const { data, error } = await db.apiKeys.update(
+      { id: keyId, user_id: userId, revoked_at: null },
+      { revoked_at: new Date().toISOString() }
+    );
+    return { revoked: !error && data.length > 0, error };
+  }
+
+  // Look up an active key and its owner; null when unknown or revoked
+  async verify(key) {
+    const { data: record, error } = await db.apiKeys.findOne(
+      { key_hash: this.hash(key), revoked_at: null },
+      { columns: 'id, user_id, scopes, last_used_at' }
+    );
+
+    if (error) {
+      throw new Error(`API key lookup failed: ${error.message}`);
+    }
+    if (!record) return null;
+
+    this.touch(record);
+    return record;
+  }
+
+  // Best effort; a failed timestamp update must not fail the request
+  touch(record) {
+    const lastUsed = record.last_used_at ? new Date(record.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed < LAST_USED_RESOLUTION) return;
+
+    db.apiKeys.update({ id: record.id }, { last_used_at: new Date().toISOString() })
+      .catch(error => console.error('Failed to record API key usage:', error));
+  }
+}
+
+export const apiKeyService = new ApiKeyService();
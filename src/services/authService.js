@@ -0,0 +1,196 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import { db } from '../db/index.js';
+
+// Allowed clock drift between Clerk and us when checking exp/nbf, in seconds
+const CLOCK_SKEW = 5;
+
+// How long fetched signing keys are trusted, and how often an unknown kid may trigger a refetch
+const JWKS_TTL = 60 * 60 * 1000;
+const JWKS_REFRESH_INTERVAL = 30 * 1000;
+
+// Everything the shared service key may do unless SERVICE_KEY_SCOPES narrows it
+const DEFAULT_SERVICE_SCOPES = ['ingest', 'monitor', 'admin'];
+
+const USER_COLUMNS = 'id, clerk_id, email, first_name, last_name, role, plan';
+
+export class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+function base64UrlJson(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+class AuthService {
+  constructor() {
+    // CLERK_JWKS_URL in production (https://<frontend-api>/.well-known/jwks.json),
+    // CLERK_JWKS_FILE for tests and offline development
+    this.jwksUrl = process.env.CLERK_JWKS_URL;
+    this.jwksFile = process.env.CLERK_JWKS_FILE;
+    this.issuer = process.env.CLERK_ISSUER;
+    this.authorizedParties = process.env.CLERK_AUTHORIZED_PARTIES
+      ? process.env.CLERK_AUTHORIZED_PARTIES.split(',').map(p => p.trim())
+      : null;
+
+    this.serviceKey = process.env.BACKEND_API_KEY;
+    this.serviceScopes = process.env.SERVICE_KEY_SCOPES
+      ? process.env.SERVICE_KEY_SCOPES.split(',').map(s => s.trim()).filter(Boolean)
+      : DEFAULT_SERVICE_SCOPES;
+
+    this.keys = new Map();
+    this.keysFetchedAt = 0;
+  }
+
+  async loadKeys() {
+    let jwks;
+    if (this.jwksFile) {
+      jwks = JSON.parse(fs.readFileSync(this.jwksFile, 'utf8'));
+    } else if (this.jwksUrl) {
+      const response = await fetch(this.jwksUrl);
+      if (!response.ok) {
+        throw new Error(`JWKS fetch failed with ${response.status}`);
+      }
+      jwks = await response.json();
+    } else {
+      throw new AuthError('User authentication is not configured', 503);
+    }
+
+    this.keys = new Map(
+      (jwks.keys || [])
+        .filter(jwk => jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig'))
+        .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })])
+    );
+    this.keysFetchedAt = Date.now();
+  }
+
+  async getKey(kid) {
+    const age = Date.now() - this.keysFetchedAt;
+    if (age > JWKS_TTL || (!this.keys.has(kid) && age > JWKS_REFRESH_INTERVAL)) {
+      await this.loadKeys();
+    }
+
+    const key = this.keys.get(kid);
+    if (!key) {
+      throw new AuthError('Unknown signing key');
+    }
+    return key;
+  }
+
+  // Verify a Clerk session token and return its claims
+  async verifyToken(token) {
+    const parts = token.split('.');
+    if (parts.length !== 3) {
+      throw new AuthError('Malformed token');
+    }
+
+    let header;
+    let claims;
+    try {
+      header = base64UrlJson(parts[0]);
+      claims = base64UrlJson(parts[1]);
+    } catch {
+      throw new AuthError('Malformed token');
+    }
+
+    if (header.alg !== 'RS256') {
+      throw new AuthError('Unsupported token algorithm');
+    }
+
+    const key = await this.getKey(header.kid);
+    const valid = crypto.verify(
+      'sha256',
+      Buffer.from(`${parts[0]}.${parts[1]}`),
+      key,
+      Buffer.from(parts[2], 'base64url')
+    );
+    if (!valid) {
+      throw new AuthError('Invalid token signature');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp < now - CLOCK_SKEW) {
+      throw new AuthError('Token expired');
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf > now + CLOCK_SKEW) {
+      throw new AuthError('Token not yet valid');
+    }
+    if (this.issuer && claims.iss !== this.issuer) {
+      throw new AuthError('Invalid token issuer');
+    }
+    if (this.authorizedParties && claims.azp && !this.authorizedParties.includes(claims.azp)) {
+      throw new AuthError('Invalid authorized party');
+    }
+    if (!claims.sub) {
+      throw new AuthError('Token has no subject');
+    }
+
+    return claims;
+  }
+
+  // Build req.user from verified claims and the matching users row.
+  // Users Clerk hasn't synced to us yet get id: null until /api/user/sync runs.
+  async resolveUser(claims) {
+    const { data: user, error } = await db.users.findOne(
+      { clerk_id: claims.sub },
+      { columns: USER_COLUMNS }
+    );
+
+    if (error) {
+      throw new Error(`User lookup failed: ${error.message}`);
+    }
+
+    return {
+      id: user?.id || null,
+      clerkId: claims.sub,
+      sessionId: claims.sid,
+      email: user?.email || claims.email || null,
+      firstName: user?.first_name || claims.first_name || null,
+      lastName: user?.last_name || claims.last_name || null,
+      role: user?.role || 'user',
+      plan: user?.plan || 'free'
+    };
+  }
+
+  // req.user for a personal API key: its owner, with the key's scopes attached
+  async resolveApiKeyUser(apiKey) {
+    const { data: user, error } = await db.users.findById(apiKey.user_id, { columns: USER_COLUMNS });
+
+    if (error) {
+      throw new Error(`User lookup failed: ${error.message}`);
+    }
+    if (!user) {
+      throw new AuthError('API key owner no longer exists');
+    }
+
+    return {
+      id: user.id,
+      clerkId: user.clerk_id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role || 'user',
+      plan: user.plan || 'free',
+      apiKey: { id: apiKey.id, scopes: apiKey.scopes || [] }
+    };
+  }
+
+  // Constant-time comparison so the key can't be guessed byte by byte
+  matchesServiceKey(apiKey) {
+    if (!this.serviceKey || !apiKey) return false;
+
+    const expected = Buffer.from(this.serviceKey);
+    const actual = Buffer.from(apiKey);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  serviceIdentity() {
+    return { id: 'backend-service', scopes: this.serviceScopes };
+  }
+}
+
+export const authService = new AuthService();
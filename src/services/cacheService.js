@@ -1,16 +1,17 @@
-import { supabase } from '../server.js';
+import { db } from '../db/index.js';
 import crypto from 'crypto';
 
 // Cache duration: 15 minutes
 const CACHE_DURATION = 15 * 60 * 1000;
 
+// How often set() sweeps expired entries out of the memory cache
+const MEMORY_PRUNE_INTERVAL = 5 * 60 * 1000;
+
 class CacheService {
   constructor() {
     // In-memory cache for quick access
     this.memoryCache = new Map();
-    
-    // Clean up expired entries every 5 minutes
-    setInterval(() => this.cleanupExpired(), 5 * 60 * 1000);
+    this.lastPrunedAt = Date.now();
   }
 
   // Generate cache key
@@ -31,11 +32,10 @@ class CacheService {
 
     // Check database cache
     try {
-      const { data, error } = await supabase
-        .from('cache')
-        .select('data, expires_at')
-        .eq('key', key)
-        .single();
+      const { data, error } = await db.cache.findOne(
+        { key },
+        { columns: 'data, expires_at' }
+      );
 
       if (error || !data) {
         return null;
@@ -53,7 +53,7 @@ class CacheService {
       }
 
       // Expired, delete it
-      await supabase.from('cache').delete().eq('key', key);
+      await db.cache.delete({ key });
       return null;
     } catch (error) {
       console.error('Cache get error:', error);
@@ -64,7 +64,11 @@ class CacheService {
   // Set cache
   async set(key, data, duration = CACHE_DURATION) {
     const expiresAt = Date.now() + duration;
-    
+
+    if (Date.now() - this.lastPrunedAt >= MEMORY_PRUNE_INTERVAL) {
+      this.pruneMemory();
+    }
+
     // Store in memory
     this.memoryCache.set(key, {
       data,
@@ -73,16 +77,14 @@ class CacheService {
 
     // Store in database
     try {
-      await supabase
-        .from('cache')
-        .upsert({
-          key,
-          data,
-          expires_at: new Date(expiresAt).toISOString(),
-          created_at: new Date().toISOString()
-        }, {
-          onConflict: 'key'
-        });
+      await db.cache.upsert({
+        key,
+        data,
+        expires_at: new Date(expiresAt).toISOString(),
+        created_at: new Date().toISOString()
+      }, {
+        onConflict: 'key'
+      });
       
       console.log(`💾 Cached: ${key}`);
     } catch (error) {
@@ -95,28 +97,32 @@ class CacheService {
     this.memoryCache.delete(key);
     
     try {
-      await supabase.from('cache').delete().eq('key', key);
+      await db.cache.delete({ key });
     } catch (error) {
       console.error('Cache delete error:', error);
     }
   }
 
-  // Clean up expired entries
-  async cleanupExpired() {
-    // Clean memory cache
+  // Drop expired entries from this process's memory cache
+  pruneMemory() {
     const now = Date.now();
     for (const [key, value] of this.memoryCache.entries()) {
       if (value.expiresAt <= now) {
         this.memoryCache.delete(key);
       }
     }
+    this.lastPrunedAt = now;
+  }
+
+  // Clean up expired entries (run by the scheduler role)
+  async cleanupExpired() {
+    this.pruneMemory();
 
     // Clean database cache
     try {
-      await supabase
-        .from('cache')
-        .delete()
-        .lt('expires_at', new Date().toISOString());
+      await db.cache.delete({
+        expires_at: { lt: new Date().toISOString() }
+      });
     } catch (error) {
       console.error('Cache cleanup error:', error);
     }
@@ -1,328 +1,339 @@
-import { supabase } from '../server.js';
+import { db } from '../db/index.js';
 import { videoProcessor } from './videoProcessor.js';
 import { emailService } from './emailService.js';
-import { lockService } from './lockService.js';
+import { lockService, LockLostError } from './lockService.js';
+import { PermanentJobError } from './jobQueue.js';
+import { channelSync } from './channelSync.js';
+import { youtubeResolver } from './youtubeResolver.js';
+import { youtube, YouTubeApiError } from '../youtube/index.js';
+
+// Counters each video outcome adds to; already indexed videos count as
+// processed and videos without captions as failed, as in the completion email
+const OUTCOME_COUNTERS = {
+  processed: ['processed'],
+  existing: ['processed', 'existing'],
+  noTranscript: ['failed', 'noTranscript'],
+  failed: ['failed']
+};
+
+// Lock resource for work that writes a channel's status, counts or sync cursor
+export function channelLockId(channelId) {
+  return `channel-${channelId}`;
+}
 
 class ChannelProcessor {
   constructor() {
     this.processingChannels = new Set();
   }
 
-  async processPendingChannels() {
+  // Runs as a 'channel.process' job. Failures are rethrown for the job queue
+  // to retry; the queue item is only marked failed once the job is dead.
+  // signal: the job's; aborting it stops processing between pages and videos
+  async processChannel(queueItemId, { signal } = {}) {
+    const { data: queueItem, error } = await db.channelQueue.findById(queueItemId, { columns: 'id, channel_id' });
+    if (error) throw new Error(`Queue item lookup failed: ${error.message}`);
+    if (!queueItem) throw new PermanentJobError('Queue item not found');
+
+    // Distributed lock, renewed for as long as processing takes. It is the
+    // channel's, shared with channel sync, so two queue items for one channel
+    // (or a sync) never write its status and cursor at the same time.
+    const { acquired } = await lockService.withLock(
+      channelLockId(queueItem.channel_id),
+      ({ assertHeld }) => this.processLocked(queueItemId, assertHeld, signal),
+      { job: `channel.process:${queueItemId}` }
+    );
+
+    if (!acquired) {
+      throw new Error(`Channel ${queueItem.channel_id} is already being processed or synced`);
+    }
+  }
+
+  // assertHeld() throws once another worker has taken the channel over, so
+  // this one stops before writing over its progress
+  async processLocked(queueItemId, assertHeld, signal) {
     try {
-      // Get pending channels
-      const { data: pendingChannels, error } = await supabase
-        .from('channel_queue')
-        .select(`
-          *,
-          channels (
-            id,
-            youtube_channel_id,
-            title,
-            original_owner_id
-          ),
-          users!channel_queue_requested_by_fkey (
-            id,
-            email,
-            clerk_id
-          )
-        `)
-        .eq('status', 'pending')
-        .limit(5);
-
-      if (error) {
-        console.error('Error fetching pending channels:', error);
-        return;
+      // Get queue item details with user info
+      const { data: queueItem, error: queueError } = await db.channelQueue.findById(queueItemId, {
+        with: {
+          channels: 'id, youtube_channel_id, title, uploads_playlist_id, sync_interval_minutes, transcript_language',
+          users: 'id, email, clerk_id'
+        }
+      });
+
+      if (queueError) {
+        throw new Error(`Queue item lookup failed: ${queueError.message}`);
       }
+      if (!queueItem || !queueItem.channels) {
+        throw new PermanentJobError('Queue item or channel not found');
+      }
+
+      const channel = queueItem.channels;
+      const pagesCompleted = queueItem.pages_completed || 0;
+      console.log(pagesCompleted > 0
+        ? `↩️ Resuming channel ${channel.title} after page ${pagesCompleted}`
+        : `🚀 Processing channel: ${channel.title}`);
 
-      if (!pendingChannels || pendingChannels.length === 0) {
-        // Don't log when there's nothing to process
-        return;
+      // Mark as processing
+      await db.channelQueue.update({ id: queueItemId }, {
+        status: 'processing',
+        started_at: queueItem.started_at || new Date().toISOString()
+      });
+
+      await db.channels.update({ id: channel.id }, { status: 'processing' });
+
+      const playlistId = queueItem.uploads_playlist_id
+        || channel.uploads_playlist_id
+        || await this.fetchUploadsPlaylistId(channel.youtube_channel_id);
+      if (!queueItem.uploads_playlist_id) {
+        await db.channelQueue.update({ id: queueItemId }, { uploads_playlist_id: playlistId });
       }
 
-      console.log(`📋 Found ${pendingChannels.length} channels to process`);
+      const progress = await this.ingestUploads(queueItem, playlistId, assertHeld, signal);
 
-      // Process each channel
-      for (const queueItem of pendingChannels) {
-        if (!queueItem.channels) {
-          await this.markChannelFailed(queueItem.id, 'Channel not found');
-          continue;
-        }
+      // Mark channel as completed
+      await assertHeld();
+      await db.channelQueue.update({ id: queueItemId }, {
+        status: 'completed',
+        completed_at: new Date().toISOString(),
+        videos_processed: progress.processed,
+        error_message: null
+      });
+
+      // From here on, new uploads are picked up by channel sync
+      await db.channels.update({ id: channel.id }, {
+        status: 'ready', // Use 'ready' instead of 'completed'
+        video_count: progress.processed,
+        ...await channelSync.syncFieldsAfterIndexing(channel, playlistId)
+      });
+
+      console.log(`✅ Channel processing completed: ${progress.processed} videos processed, ${progress.failed} failed`);
+      console.log('📧 Queue item user info:', queueItem.users);
+
+      // Send completion email with detailed statistics
+      await this.sendCompletionEmail(queueItem, progress.processed, progress.seen, progress.existing, progress.noTranscript, progress.failed);
 
-        await this.processChannel(queueItem.id);
-      }
     } catch (error) {
-      console.error('Error in processPendingChannels:', error);
+      console.error(`Error processing channel:`, error);
+      // Back to pending while the job waits for its retry; the page reached is kept
+      if (!(error instanceof LockLostError)) {
+        await db.channelQueue.update({ id: queueItemId }, {
+          status: 'pending',
+          error_message: error.message
+        });
+      }
+      throw error;
     }
   }
 
-  async processChannel(queueItemId) {
-    // Try to acquire distributed lock
-    const lockId = await lockService.acquire(`channel-queue-${queueItemId}`, 3600); // 1 hour lock
-    if (!lockId) {
-      console.log(`⏭️ Channel queue item ${queueItemId} is already being processed`);
-      return;
+  // Walk the uploads playlist newest first, one page at a time, until the
+  // queue item's video_limit or published_after cut-off is reached. Progress
+  // is saved after every video with the page and the place in it, so a
+  // retried job carries on from the next video without counting any twice.
+  async ingestUploads(queueItem, playlistId, assertHeld, signal) {
+    const limit = queueItem.video_limit ?? null;
+    const publishedAfter = queueItem.published_after ? new Date(queueItem.published_after) : null;
+    const progress = { seen: 0, processed: 0, failed: 0, existing: 0, noTranscript: 0, ...queueItem.progress };
+
+    let pageToken = queueItem.next_page_token || null;
+    let pages = queueItem.pages_completed || 0;
+    let offset = queueItem.page_offset || 0;
+    let done = limit !== null && progress.seen >= limit;
+
+    while (!done) {
+      signal?.throwIfAborted();
+      await assertHeld();
+      const page = await this.fetchUploadsPage(playlistId, pageToken, { signal });
+
+      if (pages === 0) {
+        const total = limit === null ? page.totalResults : Math.min(page.totalResults, limit);
+        await db.channelQueue.update({ id: queueItem.id }, {
+          total_videos: total,
+          estimated_completion_at: new Date(Date.now() + (total * 30000)).toISOString()
+        });
+        console.log(`📺 Channel has ${page.totalResults} uploads, indexing up to ${limit ?? 'all'}`);
+      }
+
+      for (const [index, video] of page.videos.entries()) {
+        if (index < offset) continue;
+        if ((limit !== null && progress.seen >= limit) || (publishedAfter && new Date(video.publishedAt) < publishedAfter)) {
+          done = true;
+          break;
+        }
+
+        signal?.throwIfAborted();
+        await assertHeld();
+        progress.seen++;
+        const outcome = await this.ingestVideo(queueItem, video, progress, signal);
+        OUTCOME_COUNTERS[outcome].forEach(counter => progress[counter]++);
+
+        await db.channelQueue.update({ id: queueItem.id }, {
+          next_page_token: pageToken,
+          page_offset: index + 1,
+          progress,
+          videos_processed: progress.processed
+        });
+      }
+
+      pages++;
+      offset = 0;
+      pageToken = page.nextPageToken;
+      if (!pageToken) done = true;
+
+      await db.channelQueue.update({ id: queueItem.id }, {
+        next_page_token: done ? null : pageToken,
+        page_offset: 0,
+        pages_completed: pages,
+        progress,
+        videos_processed: progress.processed
+      });
     }
 
+    return progress;
+  }
+
+  // Index one video; returns 'processed', 'existing', 'noTranscript' or 'failed'
+  async ingestVideo(queueItem, video, progress, signal) {
+    const channel = queueItem.channels;
+
     try {
-      // Get queue item details with user info
-      const { data: queueItem, error: queueError } = await supabase
-        .from('channel_queue')
-        .select(`
-          *,
-          channels (
-            id,
-            youtube_channel_id,
-            title
-          ),
-          users!channel_queue_requested_by_fkey (
-            id,
-            email,
-            clerk_id
-          )
-        `)
-        .eq('id', queueItemId)
-        .single();
-
-      if (queueError || !queueItem || !queueItem.channels) {
-        throw new Error('Queue item or channel not found');
+      // Update progress
+      await db.channelQueue.update({ id: queueItem.id }, {
+        current_video_index: progress.seen,
+        current_video_title: video.title,
+        videos_processed: progress.processed
+      });
+
+      // Check if video exists
+      const { data: existingVideo } = await db.videos.findOne(
+        { youtube_id: video.videoId },
+        { columns: 'id, transcript_cached' }
+      );
+
+      if (existingVideo && existingVideo.transcript_cached) {
+        console.log(`⏭️ Video already processed: ${video.title}`);
+        return 'existing';
       }
 
-      const channel = queueItem.channels;
-      console.log(`🚀 Processing channel: ${channel.title}`);
-
-      // Mark as processing
-      await supabase
-        .from('channel_queue')
-        .update({ 
-          status: 'processing', 
-          started_at: new Date().toISOString() 
-        })
-        .eq('id', queueItemId);
-
-      await supabase
-        .from('channels')
-        .update({ status: 'processing' })
-        .eq('id', channel.id);
-
-      // Fetch videos from YouTube API
-      const videos = await this.fetchChannelVideos(channel.youtube_channel_id);
-      console.log(`📺 Found ${videos.length} videos in channel`);
-
-      // Update counts
-      await supabase
-        .from('channel_queue')
-        .update({ 
-          total_videos: videos.length,
-          estimated_completion_at: new Date(Date.now() + (videos.length * 30000)).toISOString()
-        })
-        .eq('id', queueItemId);
-
-      // Process videos - TRACK STATISTICS LIKE FRONTEND
-      let processedCount = 0;
-      let failedCount = 0;
-      let existingCount = 0;
-      let noTranscriptCount = 0;
-
-      // Process up to 20 videos
-      const videosToProcess = videos.slice(0, 20);
-      console.log(`📹 Processing ${videosToProcess.length} videos from channel`);
-
-      for (let i = 0; i < videosToProcess.length; i++) {
-        const video = videosToProcess[i];
-        
-        try {
-          // Update progress
-          await supabase
-            .from('channel_queue')
-            .update({
-              current_video_index: i + 1,
-              current_video_title: video.snippet.title,
-              videos_processed: processedCount
-            })
-            .eq('id', queueItemId);
-
-          // Check if video exists
-          const { data: existingVideo } = await supabase
-            .from('videos')
-            .select('id, transcript_cached')
-            .eq('youtube_id', video.id.videoId)
-            .single();
-
-          if (existingVideo && existingVideo.transcript_cached) {
-            console.log(`⏭️ Video already processed: ${video.snippet.title}`);
-            processedCount++;
-            existingCount++;
-            continue;
-          }
-
-          // Create or update video record
-          const { error: videoError } = await supabase
-            .from('videos')
-            .upsert({
-              youtube_id: video.id.videoId,
-              title: video.snippet.title,
-              description: video.snippet.description || '',
-              thumbnail_url: video.snippet.thumbnails?.medium?.url || '',
-              channel_id: channel.id,
-              transcript_cached: false,
-              duration: 0 // Will be updated when transcript is processed
-            }, {
-              onConflict: 'youtube_id'
-            });
-
-          if (videoError) {
-            console.error(`Failed to create video record:`, videoError);
-            failedCount++;
-            continue;
-          }
-
-          // Process video transcript
-          const processed = await videoProcessor.processVideoTranscript(video.id.videoId);
-          
-          if (processed) {
-            processedCount++;
-          } else {
-            failedCount++;
-            // Check if it's a no transcript error
-            const { data: updatedVideo } = await supabase
-              .from('videos')
-              .select('processing_error')
-              .eq('youtube_id', video.id.videoId)
-              .single();
-            
-            if (updatedVideo?.processing_error?.includes('transcript') || 
-                updatedVideo?.processing_error?.includes('captions')) {
-              noTranscriptCount++;
-            }
-          }
-
-          // Add delay to avoid rate limits
-          await new Promise(resolve => setTimeout(resolve, 2000));
-
-        } catch (error) {
-          console.error(`Error processing video ${video.snippet.title}:`, error);
-          failedCount++;
-        }
+      // Create or update video record
+      const { error: videoError } = await db.videos.upsert({
+        youtube_id: video.videoId,
+        title: video.title,
+        description: video.description,
+        thumbnail_url: video.thumbnailUrl,
+        channel_id: channel.id,
+        published_at: video.publishedAt,
+        transcript_cached: false,
+        duration: 0 // Will be updated when transcript is processed
+      }, {
+        onConflict: 'youtube_id'
+      });
+
+      if (videoError) {
+        console.error(`Failed to create video record:`, videoError);
+        return 'failed';
       }
 
-      // Mark channel as completed
-      await supabase
-        .from('channel_queue')
-        .update({
-          status: 'completed',
-          completed_at: new Date().toISOString(),
-          videos_processed: processedCount,
-          error_message: null
-        })
-        .eq('id', queueItemId);
-
-      await supabase
-        .from('channels')
-        .update({ 
-          status: 'ready', // Use 'ready' instead of 'completed'
-          video_count: processedCount
-        })
-        .eq('id', channel.id);
-
-      console.log(`✅ Channel processing completed: ${processedCount} videos processed, ${failedCount} failed`);
-      console.log('📧 Queue item user info:', queueItem.users);
+      // Process video transcript
+      const processed = await videoProcessor.processVideoTranscript(video.videoId, {
+        language: channel.transcript_language || null,
+        signal
+      });
 
-      // Send completion email with detailed statistics
-      // Use videosToProcess.length instead of videos.length since we're only processing 2
-      await this.sendCompletionEmail(queueItem, processedCount, videosToProcess.length, existingCount, noTranscriptCount, failedCount);
+      // Add delay to avoid rate limits
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      if (processed) {
+        return 'processed';
+      }
+
+      // Check if it's a no transcript error
+      const { data: updatedVideo } = await db.videos.findOne(
+        { youtube_id: video.videoId },
+        { columns: 'processing_error' }
+      );
 
+      if (updatedVideo?.processing_error?.includes('transcript') ||
+          updatedVideo?.processing_error?.includes('captions')) {
+        return 'noTranscript';
+      }
+      return 'failed';
     } catch (error) {
-      console.error(`Error processing channel:`, error);
-      await this.markChannelFailed(queueItemId, error.message);
-    } finally {
-      // Release the lock
-      await lockService.release(`channel-queue-${queueItemId}`);
+      // Stopped, not failed; the job gives the video another go
+      if (signal?.aborted) throw error;
+      console.error(`Error processing video ${video.title}:`, error);
+      return 'failed';
     }
   }
 
-  async resolveChannelHandle(handle) {
-    // First, try to search for the channel by handle
-    const searchUrl = new URL('https://www.googleapis.com/youtube/v3/search');
-    searchUrl.searchParams.append('part', 'snippet');
-    searchUrl.searchParams.append('q', handle);
-    searchUrl.searchParams.append('type', 'channel');
-    searchUrl.searchParams.append('maxResults', '1');
-    searchUrl.searchParams.append('key', process.env.YOUTUBE_API_KEY);
-
-    const searchResponse = await fetch(searchUrl);
-    
-    if (!searchResponse.ok) {
-      throw new Error(`YouTube API error during channel search: ${searchResponse.statusText}`);
+  // Every public upload is in the channel's uploads playlist; reading it costs
+  // 1 quota unit per 50 videos, where search costs 100 per call
+  async fetchUploadsPlaylistId(channelId) {
+    let channel;
+    try {
+      channel = await youtubeResolver.resolveChannel(channelId);
+    } catch (error) {
+      if (error.status === 400) throw new PermanentJobError(error.message);
+      throw error;
     }
 
-    const searchData = await searchResponse.json();
-    
-    if (searchData.items && searchData.items.length > 0) {
-      const channel = searchData.items[0];
-      console.log(`✅ Resolved handle @${handle} to channel ID: ${channel.id.channelId}`);
-      return {
-        channelId: channel.id.channelId,
-        title: channel.snippet.title
-      };
+    if (!channel?.uploadsPlaylistId) {
+      throw new PermanentJobError(`Channel ${channelId} not found on YouTube`);
     }
-    
-    throw new Error(`Could not find channel with handle: @${handle}`);
+
+    // Rows created before channels were resolved up front may hold a handle
+    if (channel.channelId !== channelId) {
+      await db.channels.update({ youtube_channel_id: channelId }, {
+        title: channel.title,
+        youtube_channel_id: channel.channelId
+      });
+    }
+
+    return channel.uploadsPlaylistId;
   }
 
-  async fetchChannelVideos(channelId) {
-    // If channelId starts with @ or contains only alphanumeric chars (likely a handle)
-    let actualChannelId = channelId;
-    let channelTitle = null;
-    
-    if (channelId.startsWith('@') || (!channelId.startsWith('UC') && channelId.match(/^[a-zA-Z0-9_-]+$/))) {
-      console.log(`🔍 Resolving channel handle: ${channelId}`);
-      const resolved = await this.resolveChannelHandle(channelId.replace('@', ''));
-      actualChannelId = resolved.channelId;
-      channelTitle = resolved.title;
-      
-      // Update the channel title in the database
-      if (channelTitle) {
-        await supabase
-          .from('channels')
-          .update({ 
-            title: channelTitle,
-            youtube_channel_id: actualChannelId 
-          })
-          .eq('youtube_channel_id', channelId);
+  // One page (up to 50) of a playlist, in playlist order (newest first for
+  // uploads). Private and deleted videos have no publish date and are left out.
+  // `position` is the video's place in the playlist, counting the ones left out.
+  // Only jobs page through playlists, so this is background quota.
+  async fetchUploadsPage(playlistId, pageToken = null, { signal } = {}) {
+    let data;
+    try {
+      data = await youtube.playlistItems(
+        { part: 'snippet,contentDetails', playlistId, maxResults: 50, pageToken },
+        { background: true, signal }
+      );
+    } catch (error) {
+      if (error instanceof YouTubeApiError && error.status === 404) {
+        throw new PermanentJobError(`Playlist ${playlistId} not found on YouTube`);
       }
-    }
-    
-    const url = new URL('https://www.googleapis.com/youtube/v3/search');
-    url.searchParams.append('part', 'snippet');
-    url.searchParams.append('channelId', actualChannelId);
-    url.searchParams.append('type', 'video');
-    url.searchParams.append('maxResults', '20'); // Limit to 20 videos
-    url.searchParams.append('order', 'date');
-    url.searchParams.append('key', process.env.YOUTUBE_API_KEY);
-
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      throw new Error(`YouTube API error: ${response.statusText}`);
+      throw error;
     }
 
-    const data = await response.json();
-    const videos = data.items || [];
-    
-    console.log(`🎯 Found ${videos.length} videos for channel ${channelTitle || actualChannelId}`);
-    return videos;
+    const videos = (data.items || [])
+      .filter(item => item.contentDetails?.videoPublishedAt)
+      .map(item => ({
+        videoId: item.contentDetails.videoId,
+        title: item.snippet.title,
+        description: item.snippet.description || '',
+        thumbnailUrl: item.snippet.thumbnails?.medium?.url || '',
+        publishedAt: item.contentDetails.videoPublishedAt,
+        channelId: item.snippet.videoOwnerChannelId || null,
+        position: item.snippet.position ?? null
+      }));
+
+    return {
+      videos,
+      nextPageToken: data.nextPageToken || null,
+      totalResults: data.pageInfo?.totalResults ?? videos.length
+    };
   }
 
   async markChannelFailed(queueItemId, errorMessage) {
-    await supabase
-      .from('channel_queue')
-      .update({
-        status: 'failed',
-        completed_at: new Date().toISOString(),
-        error_message: errorMessage
-      })
-      .eq('id', queueItemId);
+    await db.channelQueue.update({ id: queueItemId }, {
+      status: 'failed',
+      completed_at: new Date().toISOString(),
+      error_message: errorMessage
+    });
   }
 
   async sendCompletionEmail(queueItem, videosProcessed, totalVideos, existingVideos, noTranscriptVideos, failedVideos) {
@@ -0,0 +1,228 @@
+import { db } from '../db/index.js';
+import { channelProcessor, channelLockId } from './channelProcessor.js';
+import { lockService } from './lockService.js';
+import { enqueueChannelSyncJob, enqueueVideoJob } from './jobHandlers.js';
+
+// Channels without their own sync_interval_minutes are checked this often
+const DEFAULT_INTERVAL_MINUTES = parseInt(process.env.CHANNEL_SYNC_INTERVAL_MINUTES || '360', 10);
+
+// Bounds for a channel's own interval: hourly to weekly
+export const SYNC_INTERVAL_LIMITS = { min: 60, max: 7 * 24 * 60 };
+
+// Upper bound on new uploads queued by one sync, oldest first; the cursor only
+// moves past what was queued, so the rest wait for the next
+const MAX_NEW_VIDEOS = parseInt(process.env.CHANNEL_SYNC_MAX_VIDEOS || '50', 10);
+
+// Channels handed to the job queue per scheduler run
+const DUE_BATCH_SIZE = 25;
+
+class ChannelSyncService {
+  // Queue a sync job for every ready channel whose next sync is due
+  // signal: stops queueing part way, when the scheduler run times out
+  async enqueueDueChannels({ signal } = {}) {
+    const now = new Date().toISOString();
+    const [due, neverScheduled] = await Promise.all([
+      db.channels.find(
+        { status: 'ready', next_sync_at: { lte: now } },
+        { columns: 'id', order: { column: 'next_sync_at', ascending: true }, limit: DUE_BATCH_SIZE }
+      ),
+      db.channels.find(
+        { status: 'ready', next_sync_at: null },
+        { columns: 'id', limit: DUE_BATCH_SIZE }
+      )
+    ]);
+    if (due.error) throw due.error;
+    if (neverScheduled.error) throw neverScheduled.error;
+
+    const channels = [...neverScheduled.data, ...due.data].slice(0, DUE_BATCH_SIZE);
+    for (const channel of channels) {
+      signal?.throwIfAborted();
+      const { error } = await enqueueChannelSyncJob(channel.id, { priority: 'low' });
+      if (error) console.error(`Failed to queue sync for channel ${channel.id}:`, error);
+    }
+
+    if (channels.length > 0) {
+      console.log(`🔄 Queued sync for ${channels.length} channels`);
+    }
+    return { queued: channels.length };
+  }
+
+  // Jump the queue for one channel; an already queued sync is returned as is
+  requestRefresh(channelId) {
+    return enqueueChannelSyncJob(channelId, { priority: 'high' });
+  }
+
+  // Runs as a 'channel.sync' job: read the uploads playlist down to the
+  // cursor and queue a video job for every new upload
+  async syncChannel(channelId, { signal } = {}) {
+    const { acquired, result } = await lockService.withLock(
+      channelLockId(channelId),
+      ({ assertHeld }) => this.syncLocked(channelId, assertHeld, signal),
+      { job: `channel.sync:${channelId}` }
+    );
+
+    if (!acquired) {
+      throw new Error(`Channel ${channelId} is already being processed or synced`);
+    }
+    return result;
+  }
+
+  async syncLocked(channelId, assertHeld, signal) {
+    const { data: channel, error } = await db.channels.findById(channelId);
+    if (error) throw new Error(`Channel lookup failed: ${error.message}`);
+
+    // Deleted, or still being indexed; the next sync happens once it is ready
+    if (!channel || channel.status !== 'ready') {
+      return { newVideos: 0 };
+    }
+
+    try {
+      const playlistId = channel.uploads_playlist_id
+        || await channelProcessor.fetchUploadsPlaylistId(channel.youtube_channel_id);
+      const cursor = channel.sync_cursor || await this.newestIndexedVideo(channel.id);
+
+      const fresh = await this.fetchNewUploads(playlistId, cursor, signal);
+      await assertHeld();
+
+      // Queue oldest first
+      const batch = fresh.slice(-MAX_NEW_VIDEOS).reverse();
+      for (const video of batch) {
+        signal?.throwIfAborted();
+        await this.queueVideo(channel, video);
+      }
+
+      const now = new Date();
+      const newest = batch[batch.length - 1];
+      await db.channels.update({ id: channel.id }, {
+        uploads_playlist_id: playlistId,
+        sync_cursor: newest ? { videoId: newest.videoId, publishedAt: newest.publishedAt } : cursor,
+        last_synced_at: now.toISOString(),
+        next_sync_at: this.nextSyncAt(channel, now),
+        sync_error: null,
+        ...(batch.length > 0 && { last_indexed_at: now.toISOString() })
+      });
+
+      const remaining = fresh.length - batch.length;
+      console.log(`🔄 Synced ${channel.title}: ${batch.length} new videos${remaining > 0 ? `, ${remaining} left for the next sync` : ''}`);
+      return { newVideos: batch.length, remaining };
+    } catch (error) {
+      // Try again at the next interval rather than on every scheduler run
+      await db.channels.update({ id: channel.id }, {
+        sync_error: error.message,
+        next_sync_at: this.nextSyncAt(channel, new Date())
+      });
+      throw error;
+    }
+  }
+
+  // Uploads newer than the cursor, newest first. The cursor video itself may
+  // have been deleted, so anything published at or before it also stops the walk.
+  async fetchNewUploads(playlistId, cursor, signal) {
+    const fresh = [];
+    let pageToken = null;
+
+    do {
+      signal?.throwIfAborted();
+      const page = await channelProcessor.fetchUploadsPage(playlistId, pageToken, { signal });
+
+      for (const video of page.videos) {
+        const reachedCursor = cursor && (
+          video.videoId === cursor.videoId ||
+          new Date(video.publishedAt) <= new Date(cursor.publishedAt)
+        );
+        if (reachedCursor) return fresh;
+
+        fresh.push(video);
+      }
+
+      pageToken = page.nextPageToken;
+    } while (pageToken);
+
+    return fresh;
+  }
+
+  async queueVideo(channel, video) {
+    const { data: existing } = await db.videos.findOne(
+      { youtube_id: video.videoId },
+      { columns: 'id, transcript_cached' }
+    );
+    if (existing?.transcript_cached) return;
+
+    const { error } = await db.videos.upsert({
+      youtube_id: video.videoId,
+      title: video.title,
+      description: video.description,
+      thumbnail_url: video.thumbnailUrl,
+      channel_id: channel.id,
+      published_at: video.publishedAt,
+      transcript_cached: false,
+      duration: 0
+    }, {
+      onConflict: 'youtube_id'
+    });
+    if (error) throw error;
+
+    const { error: jobError } = await enqueueVideoJob(video.videoId, {
+      priority: 'low',
+      language: channel.transcript_language || null
+    });
+    if (jobError) throw jobError;
+  }
+
+  // Cursor for channels synced for the first time (the date filter also skips
+  // videos without a publish date)
+  async newestIndexedVideo(channelId) {
+    const { data: video } = await db.videos.findOne(
+      { channel_id: channelId, published_at: { lte: new Date().toISOString() } },
+      { columns: 'youtube_id, published_at', order: { column: 'published_at', ascending: false } }
+    );
+
+    return video?.published_at ? { videoId: video.youtube_id, publishedAt: video.published_at } : null;
+  }
+
+  // Sync state for a channel that has just been fully indexed
+  async syncFieldsAfterIndexing(channel, playlistId) {
+    const now = new Date();
+    return {
+      uploads_playlist_id: playlistId,
+      sync_cursor: await this.newestIndexedVideo(channel.id),
+      last_synced_at: now.toISOString(),
+      next_sync_at: this.nextSyncAt(channel, now),
+      sync_error: null
+    };
+  }
+
+  // Change how often a channel is checked; a channel already syncing gets
+  // its next sync moved to match. { error: { status, message } } if invalid.
+  async setSyncInterval(channelId, minutes) {
+    if (!Number.isInteger(minutes) || minutes < SYNC_INTERVAL_LIMITS.min || minutes > SYNC_INTERVAL_LIMITS.max) {
+      return {
+        error: {
+          status: 400,
+          message: `syncIntervalMinutes must be a whole number from ${SYNC_INTERVAL_LIMITS.min} to ${SYNC_INTERVAL_LIMITS.max}`
+        }
+      };
+    }
+
+    const { data: channel, error } = await db.channels.findById(channelId, { columns: 'id, last_synced_at' });
+    if (error) return { error: { status: 500, message: error.message } };
+    if (!channel) return { error: { status: 404, message: 'Channel not found' } };
+
+    // Channels still being indexed get their first sync time when indexing finishes
+    const patch = { sync_interval_minutes: minutes };
+    if (channel.last_synced_at) {
+      patch.next_sync_at = this.nextSyncAt(patch, new Date(channel.last_synced_at));
+    }
+
+    const { data: updated, error: updateError } = await db.channels.updateOne({ id: channel.id }, patch);
+    if (updateError) return { error: { status: 500, message: updateError.message } };
+    return { data: updated };
+  }
+
+  nextSyncAt(channel, from) {
+    const minutes = channel.sync_interval_minutes ?? DEFAULT_INTERVAL_MINUTES;
+    return new Date(from.getTime() + minutes * 60 * 1000).toISOString();
+  }
+}
+
+export const channelSync = new ChannelSyncService();
@@ -1,44 +1,47 @@
-import { supabase } from '../server.js';
-import OpenAI from 'openai';
+import crypto from 'crypto';
+import { db } from '../db/index.js';
+import { llm } from '../llm/index.js';
 import { ragSearch } from './ragSearch.js';
+import { reranker } from '../rerank/index.js';
+import { queryRewriter } from './queryRewriter.js';
+import { contextBuilder } from './contextBuilder.js';
 import { cacheService } from './cacheService.js';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Number of chunks that end up in the prompt
+const CONTEXT_CHUNKS = 10;
 
-// Chat session limits - COPIED FROM FRONTEND
-const CHAT_LIMITS = {
-  ANONYMOUS_USER: 10,
-  SIGNED_USER: 50,
-  FREE_TIER: 50,
-  PREMIUM_TIER: 200
-};
+// Reply length, reserved out of the model's context window
+const CHAT_MAX_TOKENS = 1000;
+
+// What to do with timestamps the model cites outside every retrieved chunk:
+// flag (keep with verified: false) or strip (leave them out of citations)
+const CITATION_MODE = process.env.CITATION_MODE || 'flag';
+
+// Slack when matching a cited timestamp to a chunk's time range, in seconds
+const CITATION_TOLERANCE = 2;
+
+// Who started a stream, so only they can cancel it: the user, or the service key
+export function streamOwner(req) {
+  return req.user ? `user:${req.user.id || req.user.clerkId}` : `service:${req.service?.id}`;
+}
 
 class ChatService {
   constructor() {
     this.activeStreams = new Map();
   }
 
-  async streamChat({ messages, videoId, sessionId }, res) {
-    const streamId = `${sessionId}-${Date.now()}`;
-    this.activeStreams.set(streamId, true);
+  async streamChat({ messages, videoId, sessionId, owner = null }, res) {
+    const { streamId, signal } = this.startStream('', { sessionId, owner }, res);
+    let fullResponse = '';
 
     try {
       // Get video context if provided
-      let context = '';
-      let contextCitations = [];
-      
-      if (videoId) {
-        const result = await this.getVideoContext(videoId, messages);
-        context = result.context;
-        contextCitations = result.citations;
-      }
+      const videoContext = videoId
+        ? await this.getVideoContext(videoId, messages, { signal })
+        : this.emptyContext();
 
       // Build system message - COPIED EXACTLY FROM FRONTEND
-      const systemMessage = {
-        role: 'system',
-        content: `You are an AI assistant that has carefully watched and analyzed this YouTube video. You understand not just the words spoken, but the full context of what's being presented.
+      const systemPrompt = context => `You are an AI assistant that has carefully watched and analyzed this YouTube video. You understand not just the words spoken, but the full context of what's being presented.
 
 CRITICAL RULES FOR CITATIONS:
 1. ONLY cite timestamps for moments you've observed in the video content below
@@ -62,28 +65,35 @@ When answering:
 
 Video content with timestamps:
 
-${context}`
-      };
+${context}`;
 
-      // Create OpenAI stream - COPIED EXACTLY FROM FRONTEND
-      const stream = await openai.chat.completions.create({
-        model: 'gpt-4o-mini', // Updated to match frontend
-        messages: [systemMessage, ...messages],
-        stream: true,
+      // Fit chunks and history into the model's token budget
+      const prompt = contextBuilder.build({
+        systemPrompt,
+        render: videoContext.render,
+        segments: videoContext.segments,
+        messages,
+        maxTokens: CHAT_MAX_TOKENS
+      });
+      const contextCitations = [
+        ...videoContext.citations,
+        ...prompt.segments.map(segment => segment.citation)
+      ];
+
+      // The client may have gone away while context was being retrieved
+      signal.throwIfAborted();
+
+      // Create model stream - settings COPIED EXACTLY FROM FRONTEND
+      const stream = llm.stream({
+        model: 'chat',
+        messages: prompt.messages,
         temperature: 0.3,  // Lower temperature for more accurate citations
-        max_tokens: 1000,  // Updated to match frontend
+        maxTokens: CHAT_MAX_TOKENS,  // Updated to match frontend
+        signal
       });
 
-      // Stream response chunks
-      let fullResponse = '';
-      let citationCount = 0;
-
-      for await (const chunk of stream) {
-        if (!this.activeStreams.get(streamId)) {
-          break; // Client disconnected
-        }
-
-        const content = chunk.choices[0]?.delta?.content || '';
+      // Stream response chunks; cancelling aborts the upstream request and throws here
+      for await (const content of stream) {
         if (content) {
           fullResponse += content;
           
@@ -96,8 +106,8 @@ ${context}`
         }
       }
 
-      // Process citations from the response
-      const citations = this.extractCitations(fullResponse);
+      // Process citations from the response, checked against the chunks the model saw
+      const citations = this.verifyCitations(this.extractCitations(fullResponse), prompt.segments);
       
       // Save chat message to history
       if (sessionId) {
@@ -105,18 +115,23 @@ ${context}`
       }
 
       // Merge context citations with extracted citations
-      const allCitations = [...contextCitations, ...citations];
+      const allCitations = this.dedupeCitations([...contextCitations, ...citations]);
       
       // Send completion signal
       res.write(`data: ${JSON.stringify({
         type: 'done',
         citations: allCitations,
+        context: prompt.report,
         done: true
       })}\n\n`);
 
       res.end();
 
     } catch (error) {
+      if (signal.aborted) {
+        return this.finishCancelled({ streamId, sessionId, messages, fullResponse, reason: signal.reason }, res);
+      }
+
       console.error('Chat streaming error:', error);
       res.write(`data: ${JSON.stringify({
         type: 'error',
@@ -128,70 +143,99 @@ ${context}`
     }
   }
 
-  async getVideoContext(videoId, messages) {
+  async getVideoContext(videoId, messages, { signal } = {}) {
     try {
-      // Get the last user message
-      const lastUserMessage = messages.filter(m => m.role === 'user').pop();
-      if (!lastUserMessage) return { context: '', citations: [] };
+      // Condense the conversation into standalone search queries
+      const { query, queries } = await queryRewriter.rewrite(messages, { signal });
+      if (!query) return this.emptyContext();
 
       // Get video details
-      const { data: video } = await supabase
-        .from('videos')
-        .select('id, title, description')
-        .eq('youtube_id', videoId)
-        .single();
+      const { data: video } = await db.videos.findOne(
+        { youtube_id: videoId },
+        { columns: 'id, title, description' }
+      );
 
-      if (!video) return { context: '', citations: [] };
+      if (!video) return this.emptyContext();
 
       // Check cache first
-      const cachedResult = await cacheService.getCachedTranscriptSearch(video.id, lastUserMessage.content);
+      const cachedResult = await cacheService.getCachedTranscriptSearch(video.id, query);
       if (cachedResult) {
         console.log('🚀 Found cached transcript search result');
         return {
-          context: cachedResult.context || '',
+          render: () => cachedResult.context || '',
+          segments: [],
           citations: cachedResult.citations || []
         };
       }
       
-      // Search for relevant chunks using RAG search
-      const chunks = await ragSearch.hybridChunkSearch(video.id, lastUserMessage.content, 10);
+      // Search for relevant chunks using RAG search, over-fetching when a re-ranker is configured
+      const chunks = await this.retrieveChunks(
+        queries,
+        (q, topK) => ragSearch.hybridChunkSearch(video.id, q, topK),
+        { signal }
+      );
       
       if (!chunks || chunks.length === 0) {
         return {
-          context: `Video: "${video.title}"\nDescription: ${video.description}`,
+          render: () => `Video: "${video.title}"\nDescription: ${video.description}`,
+          segments: [],
           citations: []
         };
       }
 
-      // Format context from chunks
-      const context = chunks
-        .map(chunk => chunk.text)
-        .join('\n\n---\n\n');
-      
-      const fullContext = `Video: "${video.title}"\n\nRelevant transcript segments:\n${context}`;
-      
+      // Segments are formatted once the context builder has picked what fits
+      const render = segments => {
+        if (segments.length === 0) return `Video: "${video.title}"`;
+
+        const context = segments
+          .map(segment => segment.text)
+          .join('\n\n---\n\n');
+        return `Video: "${video.title}"\n\nRelevant transcript segments:\n${context}`;
+      };
+
       return {
-        context: fullContext,
-        citations: chunks.map(chunk => ({
-          videoId: videoId,
-          startTime: chunk.start_time,
-          endTime: chunk.end_time,
-          text: (chunk.text || '').substring(0, 100) + '...'
-        }))
+        render,
+        segments: chunks.map(chunk => this.toSegment(chunk, { videoId: videoId })),
+        citations: []
       };
 
     } catch (error) {
+      if (signal?.aborted) throw error;
       console.error('Error getting video context:', error);
-      return { context: '', citations: [] };
+      return this.emptyContext();
     }
   }
 
+  // Run `search` for every rewritten query, merge the lists, re-rank against
+  // the condensed question (the first query) and widen the best hits
+  async retrieveChunks(queries, search, { signal } = {}) {
+    const candidateCount = reranker.candidateCount(CONTEXT_CHUNKS);
+    const lists = await Promise.all(queries.map(q => search(q, candidateCount)));
+    signal?.throwIfAborted();
+    const candidates = ragSearch.mergeResultLists(lists, candidateCount);
+    const chunks = await reranker.rerank(queries[0], candidates, CONTEXT_CHUNKS, { signal });
+
+    return ragSearch.expandNeighbours(chunks);
+  }
+
+  // One prompt segment per passage; widened passages fall back to their hit
+  toSegment(chunk, citation) {
+    const text = chunk.text || chunk.text_preview || '';
+    return {
+      chunk,
+      text,
+      citation: {
+        ...citation,
+        startTime: chunk.start_time,
+        endTime: chunk.end_time,
+        text: text.substring(0, 100) + '...'
+      },
+      ...(chunk.hit && { fallback: this.toSegment(chunk.hit, citation) })
+    };
+  }
+
   async getEmbedding(text) {
-    const response = await openai.embeddings.create({
-      model: "text-embedding-ada-002",
-      input: text,
-    });
-    return response.data[0].embedding;
+    return llm.embed(text);
   }
 
   extractCitations(text) {
@@ -217,6 +261,75 @@ ${context}`
     return citations;
   }
 
+  // Match each cited timestamp to the retrieved chunk whose range covers it.
+  // Verified citations gain the video, the chunk range and the quoted line;
+  // the rest are flagged or stripped according to CITATION_MODE.
+  verifyCitations(citations, segments) {
+    const verified = [];
+
+    for (const citation of citations) {
+      const segment = segments.find(({ chunk }) =>
+        citation.seconds >= chunk.start_time - CITATION_TOLERANCE &&
+        citation.seconds <= chunk.end_time + CITATION_TOLERANCE
+      );
+
+      if (!segment) {
+        console.warn(`⚠️ Model cited [${citation.timestamp}] outside the retrieved chunks`);
+        if (CITATION_MODE !== 'strip') {
+          verified.push({ ...citation, verified: false });
+        }
+        continue;
+      }
+
+      verified.push({
+        ...citation,
+        verified: true,
+        videoId: segment.citation.videoId,
+        ...(segment.citation.videoTitle && { videoTitle: segment.citation.videoTitle }),
+        ...(segment.citation.youtubeId && { youtubeId: segment.citation.youtubeId }),
+        ...(segment.citation.channelTitle && { channelTitle: segment.citation.channelTitle }),
+        startTime: segment.chunk.start_time,
+        endTime: segment.chunk.end_time,
+        quote: this.quoteAt(segment.text, citation.seconds)
+      });
+    }
+
+    return verified;
+  }
+
+  // The transcript line ("[m:ss] text") spoken at or just before `seconds`
+  quoteAt(text, seconds) {
+    let quote = null;
+
+    for (const line of text.split('\n')) {
+      const match = line.match(/^\[((?:\d+:)?\d+:\d{2})\]\s*(.*)$/);
+      if (!match) continue;
+
+      const lineSeconds = this.parseTimestamp(match[1]);
+      if (lineSeconds !== null && lineSeconds <= seconds + CITATION_TOLERANCE) {
+        quote = match[2];
+      } else if (quote !== null) {
+        break;
+      }
+    }
+
+    return quote;
+  }
+
+  // Context chunks are keyed by their range, model citations by their moment
+  dedupeCitations(citations) {
+    const seen = new Set();
+
+    return citations.filter(citation => {
+      const key = citation.seconds !== undefined
+        ? `at:${citation.videoId ?? ''}:${citation.seconds}`
+        : `range:${citation.videoId ?? ''}:${citation.startTime}:${citation.endTime}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
   parseTimestamp(timestamp) {
     const parts = timestamp.split(':').map(p => parseInt(p, 10));
     
@@ -240,19 +353,9 @@ ${context}`
     return `${minutes}:${secs.toString().padStart(2, '0')}`;
   }
 
-  async streamChannelChat({ messages, channelId, sessionId }, res) {
-    const streamId = `channel-${sessionId}-${Date.now()}`;
-    this.activeStreams.set(streamId, true);
-
-    try {
-      // Get channel context
-      const result = await this.getChannelContext(channelId, messages);
-      const { context, citations } = result;
-
-      // Build system message - COPIED FROM FRONTEND (adapted for backend)
-      const systemMessage = {
-        role: 'system',
-        content: `You are a helpful assistant that can answer questions about the YouTube channel. 
+  async streamChannelChat({ messages, channelId, sessionId, owner = null }, res) {
+    // Build system message - COPIED FROM FRONTEND (adapted for backend)
+    const systemPrompt = context => `You are a helpful assistant that can answer questions about the YouTube channel. 
         
 You have access to transcripts from all videos in this channel. When answering questions:
 
@@ -265,27 +368,105 @@ You have access to transcripts from all videos in this channel. When answering q
 Format your responses with proper citations and make them conversational and helpful.
 
 Channel Context:
-${context}`
-      };
+${context}`;
+
+    return this.streamMultiVideoChat({
+      messages,
+      sessionId,
+      owner,
+      scope: 'channel',
+      systemPrompt,
+      loadContext: signal => this.getChannelContext(channelId, messages, { signal })
+    }, res);
+  }
 
-      // Create OpenAI stream - MATCHING FRONTEND SETTINGS
-      const stream = await openai.chat.completions.create({
-        model: 'gpt-4o-mini', // Updated to match frontend
-        messages: [systemMessage, ...messages],
-        stream: true,
-        temperature: 0.3, // Match frontend
-        max_tokens: 1000 // Updated to match frontend
-      });
+  async streamPlaylistChat({ messages, playlistId, sessionId, owner = null }, res) {
+    const systemPrompt = context => `You are a helpful assistant that can answer questions about a curated YouTube playlist.
 
-      // Stream response chunks
-      let fullResponse = '';
+You have access to transcripts from the videos in this playlist, which may come from several channels. When answering questions:
 
-      for await (const chunk of stream) {
-        if (!this.activeStreams.get(streamId)) {
-          break; // Client disconnected
-        }
+1. Always name the video you are drawing from
+2. Use timestamp citations in format [MM:SS] or [HH:MM:SS] when referencing specific moments
+3. If discussing multiple videos, clearly separate the information by video
+4. Provide direct quotes from transcripts when relevant
+5. If you cannot find relevant information in the transcripts, say so clearly
+
+Format your responses with proper citations and make them conversational and helpful.
+
+Playlist Context:
+${context}`;
+
+    return this.streamMultiVideoChat({
+      messages,
+      sessionId,
+      owner,
+      scope: 'playlist',
+      systemPrompt,
+      loadContext: signal => this.getPlaylistContext(playlistId, messages, { signal })
+    }, res);
+  }
+
+  async streamCollectionChat({ messages, collection, sessionId, owner = null }, res) {
+    const systemPrompt = context => `You are a helpful assistant that can answer questions about "${collection.name}", a collection of YouTube videos from several creators.
 
-        const content = chunk.choices[0]?.delta?.content || '';
+You have access to transcripts from the videos in this collection. When answering questions:
+
+1. Always name the video, and the channel when it is given, that you are drawing from
+2. Use timestamp citations in format [MM:SS] or [HH:MM:SS] when referencing specific moments
+3. When creators cover the same topic, compare what each of them says
+4. Provide direct quotes from transcripts when relevant
+5. If you cannot find relevant information in the transcripts, say so clearly
+
+Format your responses with proper citations and make them conversational and helpful.
+
+Collection Context:
+${context}`;
+
+    return this.streamMultiVideoChat({
+      messages,
+      sessionId,
+      owner,
+      scope: 'collection',
+      systemPrompt,
+      loadContext: signal => this.getCollectionContext(collection, messages, { signal })
+    }, res);
+  }
+
+  // Shared by chats spanning several videos; citations carry the video they came from
+  async streamMultiVideoChat({ messages, sessionId, owner, scope, systemPrompt, loadContext }, res) {
+    const { streamId, signal } = this.startStream(`${scope}-`, { sessionId, owner }, res);
+    let fullResponse = '';
+
+    try {
+      const scopeContext = await loadContext(signal);
+
+      // Fit chunks and history into the model's token budget
+      const prompt = contextBuilder.build({
+        systemPrompt,
+        render: scopeContext.render,
+        segments: scopeContext.segments,
+        messages,
+        maxTokens: CHAT_MAX_TOKENS
+      });
+      const citations = [
+        ...scopeContext.citations,
+        ...prompt.segments.map(segment => segment.citation)
+      ];
+
+      // The client may have gone away while context was being retrieved
+      signal.throwIfAborted();
+
+      // Create model stream - MATCHING FRONTEND SETTINGS
+      const stream = llm.stream({
+        model: 'chat',
+        messages: prompt.messages,
+        temperature: 0.3, // Match frontend
+        maxTokens: CHAT_MAX_TOKENS, // Updated to match frontend
+        signal
+      });
+
+      // Stream response chunks; cancelling aborts the upstream request and throws here
+      for await (const content of stream) {
         if (content) {
           fullResponse += content;
           
@@ -299,24 +480,30 @@ ${context}`
       }
 
       // Extract any additional citations from the response
-      const responseCitations = this.extractCitations(fullResponse);
+      const responseCitations = this.verifyCitations(this.extractCitations(fullResponse), prompt.segments);
+      const allCitations = this.dedupeCitations([...citations, ...responseCitations]);
       
       // Save chat message to history
       if (sessionId) {
-        await this.saveChatMessage(sessionId, messages[messages.length - 1], fullResponse, [...citations, ...responseCitations]);
+        await this.saveChatMessage(sessionId, messages[messages.length - 1], fullResponse, allCitations);
       }
 
       // Send completion signal with all citations
       res.write(`data: ${JSON.stringify({
         type: 'done',
-        citations: [...citations, ...responseCitations],
+        citations: allCitations,
+        context: prompt.report,
         done: true
       })}\n\n`);
 
       res.end();
 
     } catch (error) {
-      console.error('Channel chat streaming error:', error);
+      if (signal.aborted) {
+        return this.finishCancelled({ streamId, sessionId, messages, fullResponse, reason: signal.reason }, res);
+      }
+
+      console.error(`Chat streaming error (${scope}):`, error);
       res.write(`data: ${JSON.stringify({
         type: 'error',
         error: error.message
@@ -327,81 +514,168 @@ ${context}`
     }
   }
 
-  async getChannelContext(channelId, messages) {
+  async getChannelContext(channelId, messages, { signal } = {}) {
     try {
-      // Get the last user message
-      const lastUserMessage = messages.filter(m => m.role === 'user').pop();
-      if (!lastUserMessage) return { context: '', citations: [] };
+      // Condense the conversation into standalone search queries
+      const { query, queries } = await queryRewriter.rewrite(messages, { signal });
+      if (!query) return this.emptyContext();
 
       // Get channel details
-      const { data: channel } = await supabase
-        .from('channels')
-        .select('id, title, description')
-        .eq('id', channelId)
-        .single();
+      const { data: channel } = await db.channels.findById(channelId, {
+        columns: 'id, title, description'
+      });
 
-      if (!channel) return { context: '', citations: [] };
+      if (!channel) return this.emptyContext();
 
       // Check cache first
-      const cachedResult = await cacheService.getCachedChannelSearch(channel.id, lastUserMessage.content);
+      const cachedResult = await cacheService.getCachedChannelSearch(channel.id, query);
       if (cachedResult) {
         console.log('🚀 Found cached channel search result');
         return {
-          context: cachedResult.context || '',
+          render: () => cachedResult.context || '',
+          segments: [],
           citations: cachedResult.citations || []
         };
       }
       
       // Search for relevant chunks across all channel videos
-      const chunks = await ragSearch.hybridChannelSearch(channel.id, lastUserMessage.content, 10);
+      const chunks = await this.retrieveChunks(
+        queries,
+        (q, topK) => ragSearch.hybridChannelSearch(channel.id, q, topK),
+        { signal }
+      );
       
       if (!chunks || chunks.length === 0) {
         return {
-          context: `Channel: "${channel.title}"\nDescription: ${channel.description || 'No description available'}`,
+          render: () => `Channel: "${channel.title}"\nDescription: ${channel.description || 'No description available'}`,
+          segments: [],
           citations: []
         };
       }
 
-      // Format context from chunks, grouping by video
+      return this.multiVideoContext(`Channel: "${channel.title}"`, chunks);
+
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error('Error getting channel context:', error);
+      return this.emptyContext();
+    }
+  }
+
+  async getPlaylistContext(playlistId, messages, { signal } = {}) {
+    try {
+      // Condense the conversation into standalone search queries
+      const { query, queries } = await queryRewriter.rewrite(messages, { signal });
+      if (!query) return this.emptyContext();
+
+      const { data: playlist } = await db.playlists.findById(playlistId, {
+        columns: 'id, title, description'
+      });
+
+      if (!playlist) return this.emptyContext();
+
+      // Search for relevant chunks across the playlist's videos
+      const chunks = await this.retrieveChunks(
+        queries,
+        (q, topK) => ragSearch.hybridPlaylistSearch(playlist.id, q, topK),
+        { signal }
+      );
+
+      if (!chunks || chunks.length === 0) {
+        return {
+          render: () => `Playlist: "${playlist.title}"\nDescription: ${playlist.description || 'No description available'}`,
+          segments: [],
+          citations: []
+        };
+      }
+
+      return this.multiVideoContext(`Playlist: "${playlist.title}"`, chunks);
+
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error('Error getting playlist context:', error);
+      return this.emptyContext();
+    }
+  }
+
+  async getCollectionContext(collection, messages, { signal } = {}) {
+    try {
+      // Condense the conversation into standalone search queries
+      const { query, queries } = await queryRewriter.rewrite(messages, { signal });
+      if (!query) return this.emptyContext();
+
+      // Search the union of the collection's videos, channels and playlists
+      const chunks = await this.retrieveChunks(
+        queries,
+        (q, topK) => ragSearch.hybridCollectionSearch(collection.id, q, topK),
+        { signal }
+      );
+
+      if (!chunks || chunks.length === 0) {
+        return {
+          render: () => `Collection: "${collection.name}"\nDescription: ${collection.description || 'No description available'}`,
+          segments: [],
+          citations: []
+        };
+      }
+
+      return this.multiVideoContext(`Collection: "${collection.name}"`, chunks);
+
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error('Error getting collection context:', error);
+      return this.emptyContext();
+    }
+  }
+
+  // Context for chunks from several videos: segments that fit the budget are
+  // formatted under their video's title
+  multiVideoContext(heading, chunks) {
+    const render = segments => {
       const videoGroups = new Map();
-      chunks.forEach(chunk => {
+      segments.forEach(segment => {
+        const { chunk } = segment;
         if (!videoGroups.has(chunk.video_id)) {
           videoGroups.set(chunk.video_id, {
             title: chunk.videos?.title || 'Unknown Video',
-            chunks: []
+            channelTitle: chunk.videos?.channel_title || null,
+            segments: []
           });
         }
-        videoGroups.get(chunk.video_id).chunks.push(chunk);
+        videoGroups.get(chunk.video_id).segments.push(segment);
       });
 
-      let context = `Channel: "${channel.title}"\n\nRelevant content from videos:\n\n`;
-      const citations = [];
+      let context = `${heading}\n\nRelevant content from videos:\n\n`;
 
-      for (const [videoId, group] of videoGroups) {
-        context += `Video: "${group.title}"\n`;
-        
-        group.chunks.forEach(chunk => {
-          const chunkText = chunk.text || chunk.text_preview || '';
-          context += `[${this.formatTime(chunk.start_time)} - ${this.formatTime(chunk.end_time)}] ${chunkText}\n`;
-          
-          citations.push({
-            videoId: videoId,
-            videoTitle: group.title,
-            startTime: chunk.start_time,
-            endTime: chunk.end_time,
-            text: chunkText.substring(0, 100) + '...'
-          });
+      for (const group of videoGroups.values()) {
+        context += group.channelTitle
+          ? `Video: "${group.title}" (${group.channelTitle})\n`
+          : `Video: "${group.title}"\n`;
+
+        group.segments.forEach(({ chunk, text }) => {
+          context += `[${this.formatTime(chunk.start_time)} - ${this.formatTime(chunk.end_time)}] ${text}\n`;
         });
-        
+
         context += '\n';
       }
 
-      return { context, citations };
+      return context;
+    };
+
+    return {
+      render,
+      segments: chunks.map(chunk => this.toSegment(chunk, {
+        videoId: chunk.video_id,
+        videoTitle: chunk.videos?.title || 'Unknown Video',
+        ...(chunk.videos?.youtube_id && { youtubeId: chunk.videos.youtube_id }),
+        ...(chunk.videos?.channel_title && { channelTitle: chunk.videos.channel_title })
+      })),
+      citations: []
+    };
+  }
 
-    } catch (error) {
-      console.error('Error getting channel context:', error);
-      return { context: '', citations: [] };
-    }
+  emptyContext() {
+    return { render: () => '', segments: [], citations: [] };
   }
 
   extractSurroundingText(text, index, length) {
@@ -410,37 +684,42 @@ ${context}`
     return text.substring(start, end).trim();
   }
 
-  async saveChatMessage(sessionId, userMessage, assistantResponse, citations) {
+  // A chat session the caller may read and add to; 404 for other users'
+  // sessions too. The service key (service: true) may use any session
+  async getSession(sessionId, { userId = null, service = false } = {}) {
+    const { data: session, error } = await db.chatSessions.findById(sessionId, { columns: 'id, user_id' });
+
+    if (error) return { error: { status: 500, message: error.message } };
+    if (!session || !(service || (userId && session.user_id === userId))) {
+      return { error: { status: 404, message: 'Chat session not found' } };
+    }
+    return { data: session };
+  }
+
+  async saveChatMessage(sessionId, userMessage, assistantResponse, citations, { truncated = false } = {}) {
     try {
       // Save user message
-      await supabase
-        .from('chat_messages')
-        .insert({
-          session_id: sessionId,
-          role: 'user',
-          content: userMessage.content,
-          created_at: new Date().toISOString()
-        });
+      await db.chatMessages.insert({
+        session_id: sessionId,
+        role: 'user',
+        content: userMessage.content,
+        created_at: new Date().toISOString()
+      }, { returning: false });
 
       // Save assistant response
-      await supabase
-        .from('chat_messages')
-        .insert({
-          session_id: sessionId,
-          role: 'assistant',
-          content: assistantResponse,
-          citations: citations.length > 0 ? citations : null,
-          created_at: new Date().toISOString()
-        });
+      await db.chatMessages.insert({
+        session_id: sessionId,
+        role: 'assistant',
+        content: assistantResponse,
+        citations: citations.length > 0 ? citations : null,
+        truncated,
+        created_at: new Date().toISOString()
+      }, { returning: false });
 
       // Update session activity
-      await supabase
-        .from('chat_sessions')
-        .update({
-          last_activity: new Date().toISOString(),
-          message_count: supabase.sql`message_count + 2`
-        })
-        .eq('id', sessionId);
+      await db.chatSessions.increment({ id: sessionId }, 'message_count', 2, {
+        last_activity: new Date().toISOString()
+      });
 
     } catch (error) {
       console.error('Error saving chat message:', error);
@@ -450,20 +729,13 @@ ${context}`
   async generateSummary(videoId) {
     try {
       // Get video and transcript chunks
-      const { data: video } = await supabase
-        .from('videos')
-        .select(`
-          id,
-          title,
-          description,
-          transcript_chunks (
-            text_preview,
-            start_time,
-            end_time
-          )
-        `)
-        .eq('youtube_id', videoId)
-        .single();
+      const { data: video } = await db.videos.findOne(
+        { youtube_id: videoId },
+        {
+          columns: 'id, title, description',
+          with: { transcript_chunks: 'text_preview, start_time, end_time' }
+        }
+      );
 
       if (!video || !video.transcript_chunks || video.transcript_chunks.length === 0) {
         return null;
@@ -475,9 +747,9 @@ ${context}`
         .map(chunk => chunk.text_preview)
         .join(' ');
 
-      // Generate summary using OpenAI
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4-turbo-preview',
+      // Generate summary with the configured summary model
+      return await llm.complete({
+        model: 'summary',
         messages: [
           {
             role: 'system',
@@ -501,20 +773,79 @@ ${context}`
           }
         ],
         temperature: 0.7,
-        max_tokens: 600
+        maxTokens: 600
       });
 
-      return response.choices[0].message.content;
-
     } catch (error) {
       console.error('Error generating summary:', error);
       return null;
     }
   }
 
+  // Register a stream, tell the client its id and cancel it if the client goes away
+  // owner: streamOwner(req) of the caller, checked when cancelling
+  startStream(prefix, { sessionId, owner }, res) {
+    const streamId = `${prefix}${crypto.randomUUID()}`;
+    const controller = new AbortController();
+    this.activeStreams.set(streamId, { controller, sessionId, owner });
+
+    // 'close' also fires after a normal res.end(), when the response is already finished
+    res.on?.('close', () => {
+      if (!res.writableFinished) {
+        this.cancel(streamId, 'client_disconnected');
+      }
+    });
+
+    res.write(`data: ${JSON.stringify({
+      type: 'stream_started',
+      streamId,
+      done: false
+    })}\n\n`);
+
+    return { streamId, signal: controller.signal };
+  }
+
+  // Abort a running stream; returns false if it is unknown or already finished,
+  // or, when `owner` is given, started by someone else
+  cancel(streamId, reason = 'cancelled', { owner = null } = {}) {
+    const stream = this.activeStreams.get(streamId);
+    if (!stream || (owner !== null && stream.owner !== owner)) return false;
+
+    console.log(`🛑 Cancelling chat stream ${streamId} (${reason})`);
+    stream.controller.abort(reason);
+    return true;
+  }
+
+  // Abort every running stream (e.g. at shutdown); returns how many were cancelled
+  cancelAll(reason = 'cancelled') {
+    let cancelled = 0;
+    for (const streamId of [...this.activeStreams.keys()]) {
+      if (this.cancel(streamId, reason)) cancelled++;
+    }
+    return cancelled;
+  }
+
+  // Keep whatever was generated, marked as truncated, and close the response
+  async finishCancelled({ streamId, sessionId, messages, fullResponse, reason }, res) {
+    if (sessionId) {
+      await this.saveChatMessage(sessionId, messages[messages.length - 1], fullResponse, [], { truncated: true });
+    }
+
+    // After a disconnect there is nobody left to tell
+    if (!res.destroyed) {
+      res.write(`data: ${JSON.stringify({
+        type: 'cancelled',
+        streamId,
+        reason,
+        done: true
+      })}\n\n`);
+      res.end();
+    }
+  }
+
   // Handle disconnections
   disconnect(streamId) {
-    this.activeStreams.delete(streamId);
+    return this.cancel(streamId, 'client_disconnected');
   }
 }
 
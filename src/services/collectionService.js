@@ -0,0 +1,304 @@
+import { db } from '../db/index.js';
+import { ragSearch } from './ragSearch.js';
+import { reranker } from '../rerank/index.js';
+import { youtubeResolver } from './youtubeResolver.js';
+
+export const COLLECTION_ITEM_TYPES = ['video', 'channel', 'playlist'];
+
+const MAX_COLLECTIONS_PER_USER = 50;
+const MAX_ITEMS_PER_COLLECTION = 100;
+const MAX_NAME_LENGTH = 100;
+const MAX_SEARCH_RESULTS = 50;
+
+const COLLECTION_COLUMNS = 'id, name, description, created_at, updated_at';
+
+// What each item type references: the column on collection_items and the
+// table and access check for the id a user passes in
+const ITEM_REFERENCES = {
+  video: { column: 'video_id', relation: 'videos', columns: 'id, youtube_id, title, thumbnail_url, transcript_cached' },
+  channel: { column: 'channel_id', relation: 'channels', columns: 'id, youtube_channel_id, title, status' },
+  playlist: { column: 'playlist_id', relation: 'playlists', columns: 'id, youtube_playlist_id, title, status, video_count' }
+};
+
+class CollectionService {
+  // The user's collections, newest first, with how many items of each type they hold
+  async list(userId) {
+    const { data: collections, error } = await db.collections.find(
+      { user_id: userId },
+      {
+        columns: COLLECTION_COLUMNS,
+        with: { collection_items: 'item_type' },
+        order: { column: 'created_at', ascending: false }
+      }
+    );
+    if (error) return { data: null, error };
+
+    return {
+      data: collections.map(({ collection_items: items = [], ...collection }) => ({
+        ...collection,
+        counts: Object.fromEntries(COLLECTION_ITEM_TYPES.map(type =>
+          [type, items.filter(item => item.item_type === type).length]
+        ))
+      })),
+      error: null
+    };
+  }
+
+  // One of the user's collections; 404 for collections of other users too
+  async get(userId, collectionId) {
+    const { data: collection, error } = await db.collections.findOne(
+      { id: collectionId, user_id: userId },
+      { columns: COLLECTION_COLUMNS }
+    );
+
+    if (error) return { error: { status: 500, message: error.message } };
+    if (!collection) return { error: { status: 404, message: 'Collection not found' } };
+    return { data: collection };
+  }
+
+  // The collection with its items, each with the video, channel or playlist it refers to
+  async getWithItems(userId, collectionId) {
+    const { data: collection, error } = await this.get(userId, collectionId);
+    if (error) return { error };
+
+    const { data: items, error: itemsError } = await db.collectionItems.find(
+      { collection_id: collection.id },
+      {
+        columns: 'id, item_type, video_id, channel_id, playlist_id, created_at',
+        with: Object.fromEntries(Object.values(ITEM_REFERENCES).map(ref => [ref.relation, ref.columns])),
+        order: { column: 'created_at', ascending: true }
+      }
+    );
+    if (itemsError) return { error: { status: 500, message: itemsError.message } };
+
+    return {
+      data: {
+        ...collection,
+        items: items.map(item => {
+          const ref = ITEM_REFERENCES[item.item_type];
+          return { id: item.id, type: item.item_type, addedAt: item.created_at, [item.item_type]: item[ref.relation] };
+        })
+      }
+    };
+  }
+
+  async create(userId, { name, description = null, items = [] }) {
+    const invalid = this.validateName(name);
+    if (invalid) return { error: invalid };
+
+    const { count } = await db.collections.count({ user_id: userId });
+    if (count >= MAX_COLLECTIONS_PER_USER) {
+      return { error: { status: 409, message: `A user can have at most ${MAX_COLLECTIONS_PER_USER} collections` } };
+    }
+
+    if (await this.nameTaken(userId, name.trim())) {
+      return { error: { status: 409, message: `You already have a collection named "${name.trim()}"` } };
+    }
+
+    if (!Array.isArray(items) || items.length > MAX_ITEMS_PER_COLLECTION) {
+      return { error: { status: 400, message: `items must be an array of at most ${MAX_ITEMS_PER_COLLECTION} { type, id } entries` } };
+    }
+
+    // Resolve every item before creating anything, so a bad item fails the whole request
+    const references = [];
+    for (const item of items) {
+      const { reference, error } = await this.resolveItem(userId, item);
+      if (error) return { error };
+      references.push(reference);
+    }
+
+    const now = new Date().toISOString();
+    const { data: collection, error } = await db.collections.insert({
+      user_id: userId,
+      name: name.trim(),
+      description,
+      created_at: now,
+      updated_at: now
+    });
+    if (error) return { error: { status: 500, message: error.message } };
+
+    // Items listed twice are added once
+    let added = 0;
+    for (const reference of references) {
+      const { error: itemError } = await this.insertItem(collection.id, reference);
+      if (itemError && itemError.status !== 409) {
+        // Don't leave a half-created collection behind to block a retry by name
+        await db.collectionItems.delete({ collection_id: collection.id });
+        await db.collections.delete({ id: collection.id });
+        return { error: itemError };
+      }
+      if (!itemError) added++;
+    }
+
+    console.log(`🗂️ Created collection "${collection.name}" with ${added} items for user ${userId}`);
+    return this.getWithItems(userId, collection.id);
+  }
+
+  async update(userId, collectionId, { name, description }) {
+    const { data: collection, error } = await this.get(userId, collectionId);
+    if (error) return { error };
+
+    const patch = { updated_at: new Date().toISOString() };
+
+    if (name !== undefined) {
+      const invalid = this.validateName(name);
+      if (invalid) return { error: invalid };
+
+      if (name.trim() !== collection.name && await this.nameTaken(userId, name.trim())) {
+        return { error: { status: 409, message: `You already have a collection named "${name.trim()}"` } };
+      }
+      patch.name = name.trim();
+    }
+    if (description !== undefined) {
+      patch.description = description;
+    }
+
+    const { data: updated, error: updateError } = await db.collections.updateOne({ id: collection.id }, patch);
+    if (updateError) return { error: { status: 500, message: updateError.message } };
+
+    const { user_id, ...result } = updated;
+    return { data: result };
+  }
+
+  async remove(userId, collectionId) {
+    const { data: collection, error } = await this.get(userId, collectionId);
+    if (error) return { error };
+
+    // Items cascade in Postgres; deleted first so the memory store matches
+    const { error: itemsError } = await db.collectionItems.delete({ collection_id: collection.id });
+    if (itemsError) return { error: { status: 500, message: itemsError.message } };
+
+    const { error: deleteError } = await db.collections.delete({ id: collection.id });
+    if (deleteError) return { error: { status: 500, message: deleteError.message } };
+
+    return { data: collection };
+  }
+
+  async addItem(userId, collectionId, item) {
+    const { data: collection, error } = await this.get(userId, collectionId);
+    if (error) return { error };
+
+    const { count } = await db.collectionItems.count({ collection_id: collection.id });
+    if (count >= MAX_ITEMS_PER_COLLECTION) {
+      return { error: { status: 409, message: `A collection can hold at most ${MAX_ITEMS_PER_COLLECTION} items` } };
+    }
+
+    const { reference, error: resolveError } = await this.resolveItem(userId, item);
+    if (resolveError) return { error: resolveError };
+
+    const { data, error: insertError } = await this.insertItem(collection.id, reference);
+    if (insertError) return { error: insertError };
+
+    await db.collections.update({ id: collection.id }, { updated_at: new Date().toISOString() });
+    return { data };
+  }
+
+  async removeItem(userId, collectionId, itemId) {
+    const { data: collection, error } = await this.get(userId, collectionId);
+    if (error) return { error };
+
+    const { data: item } = await db.collectionItems.findOne({ id: itemId, collection_id: collection.id });
+    if (!item) return { error: { status: 404, message: 'Item not found in this collection' } };
+
+    const { error: deleteError } = await db.collectionItems.delete({ id: item.id });
+    if (deleteError) return { error: { status: 500, message: deleteError.message } };
+
+    await db.collections.update({ id: collection.id }, { updated_at: new Date().toISOString() });
+    return { data: item };
+  }
+
+  // Ranked transcript passages from anywhere in the collection
+  async search(userId, collectionId, query, limit = 10) {
+    const { data: collection, error } = await this.get(userId, collectionId);
+    if (error) return { error };
+
+    const topN = Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_SEARCH_RESULTS);
+    const candidates = await ragSearch.hybridCollectionSearch(collection.id, query, reranker.candidateCount(topN));
+    const chunks = await reranker.rerank(query, candidates, topN);
+
+    return {
+      data: chunks.map(chunk => ({
+        videoId: chunk.videos.youtube_id,
+        videoTitle: chunk.videos.title,
+        channelTitle: chunk.videos.channel_title || null,
+        startTime: chunk.start_time,
+        endTime: chunk.end_time,
+        text: chunk.text,
+        score: chunk.score
+      }))
+    };
+  }
+
+  validateName(name) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { status: 400, message: 'name is required' };
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+      return { status: 400, message: `name must be at most ${MAX_NAME_LENGTH} characters` };
+    }
+    return null;
+  }
+
+  async nameTaken(userId, name) {
+    const { data } = await db.collections.findOne({ user_id: userId, name }, { columns: 'id' });
+    return Boolean(data);
+  }
+
+  // { type, id } -> the row it refers to. Videos are given by YouTube URL or id and
+  // must have been submitted for indexing; channels and playlists by our id and
+  // must be ones the user has access to.
+  async resolveItem(userId, { type, id } = {}) {
+    if (!COLLECTION_ITEM_TYPES.includes(type)) {
+      return { error: { status: 400, message: `type must be one of: ${COLLECTION_ITEM_TYPES.join(', ')}` } };
+    }
+    if (!id) {
+      return { error: { status: 400, message: 'id is required' } };
+    }
+
+    if (type === 'video') {
+      const videoId = youtubeResolver.parseVideoId(id);
+      if (!videoId) {
+        return { error: { status: 400, message: 'id must be a YouTube video URL or ID' } };
+      }
+
+      const { data: video } = await db.videos.findOne({ youtube_id: videoId }, { columns: 'id' });
+      if (!video) {
+        return { error: { status: 404, message: `Video ${id} has not been indexed; process it first` } };
+      }
+      return { reference: { type, id: video.id } };
+    }
+
+    const access = type === 'channel'
+      ? await db.userChannels.findOne({ user_id: userId, channel_id: id }, { columns: 'id' })
+      : await db.userPlaylists.findOne({ user_id: userId, playlist_id: id }, { columns: 'id' });
+
+    if (!access.data) {
+      return { error: { status: 404, message: `${type === 'channel' ? 'Channel' : 'Playlist'} not found or no access` } };
+    }
+    return { reference: { type, id } };
+  }
+
+  async insertItem(collectionId, { type, id }) {
+    const { column } = ITEM_REFERENCES[type];
+
+    const { data: existing } = await db.collectionItems.findOne(
+      { collection_id: collectionId, [column]: id },
+      { columns: 'id' }
+    );
+    if (existing) {
+      return { error: { status: 409, message: `This ${type} is already in the collection` } };
+    }
+
+    const { data, error } = await db.collectionItems.insert({
+      collection_id: collectionId,
+      item_type: type,
+      [column]: id,
+      created_at: new Date().toISOString()
+    });
+    if (error) return { error: { status: 500, message: error.message } };
+
+    return { data };
+  }
+}
+
+export const collectionService = new CollectionService();
@@ -0,0 +1,132 @@
+import { llm } from '../llm/index.js';
+import { estimateTokens } from '../utils/helpers.js';
+
+// Context windows of the chat models we deploy with; unknown models get the smallest
+const MODEL_CONTEXT_WINDOWS = {
+  'gpt-4o': 128000,
+  'gpt-4o-mini': 128000,
+  'gpt-4-turbo': 128000,
+  'gpt-4-turbo-preview': 128000,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385
+};
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+// Per-message framing tokens the chat format adds on top of the content
+const MESSAGE_OVERHEAD = 4;
+
+// Share of the budget held back for conversation history before chunks are placed
+const HISTORY_SHARE = 0.25;
+
+class ContextBuilder {
+  constructor() {
+    // Optional cap below the model window, e.g. to keep prompts cheap:
+    // LLM_CONTEXT_BUDGET=16000 or LLM_CONTEXT_BUDGETS={"gpt-4o-mini":16000}
+    this.budgets = JSON.parse(process.env.LLM_CONTEXT_BUDGETS || '{}');
+    this.defaultBudget = process.env.LLM_CONTEXT_BUDGET
+      ? parseInt(process.env.LLM_CONTEXT_BUDGET, 10)
+      : null;
+  }
+
+  // Prompt tokens available for a model once the reply is reserved
+  budgetFor(model, maxTokens) {
+    const window = MODEL_CONTEXT_WINDOWS[model] || DEFAULT_CONTEXT_WINDOW;
+    const configured = this.budgets[model] || this.defaultBudget || Infinity;
+    return Math.min(window - maxTokens, configured);
+  }
+
+  messageTokens(message) {
+    return estimateTokens(message.content) + MESSAGE_OVERHEAD;
+  }
+
+  // Greedily keep items in priority order while they fit, trying an item's
+  // smaller `fallback` when the item itself doesn't
+  fit(items, budget, cost) {
+    const kept = [];
+    let used = 0;
+    let fallbacks = 0;
+
+    for (const item of items) {
+      for (const candidate of [item, item.fallback].filter(Boolean)) {
+        const tokens = cost(candidate);
+        if (used + tokens <= budget) {
+          kept.push(candidate);
+          used += tokens;
+          if (candidate !== item) fallbacks++;
+          break;
+        }
+      }
+    }
+
+    return { kept, used, fallbacks };
+  }
+
+  // Assemble the prompt for a chat turn within the model's budget.
+  // - systemPrompt(context) wraps the rendered context in the instructions
+  // - render(segments) turns the kept segments into the context string
+  // - segments are retrieved passages in priority order; a passage widened with
+  //   neighbouring chunks carries the bare hit as `fallback`
+  // The last message is always sent; earlier history is kept as one unbroken
+  // run back from the newest message, so no answer loses its question.
+  build({ systemPrompt, render, segments = [], messages, maxTokens = 1000 }) {
+    const model = llm.models.chat;
+    const budget = this.budgetFor(model, maxTokens);
+
+    const history = messages.slice(0, -1);
+    let lastMessage = messages[messages.length - 1];
+
+    const baseTokens = estimateTokens(systemPrompt(render([]))) + MESSAGE_OVERHEAD;
+    let remaining = budget - baseTokens - this.messageTokens(lastMessage);
+
+    // A single oversized question is cut down rather than failing the request
+    let truncatedMessage = false;
+    if (remaining < 0) {
+      const maxChars = Math.max(0, (budget - baseTokens - MESSAGE_OVERHEAD) * 4);
+      lastMessage = { ...lastMessage, content: lastMessage.content.slice(0, maxChars) };
+      remaining = 0;
+      truncatedMessage = true;
+    }
+
+    const historyTokens = history.reduce((sum, message) => sum + this.messageTokens(message), 0);
+    const historyReserve = Math.min(historyTokens, Math.floor(remaining * HISTORY_SHARE));
+
+    const segmentCost = segment => estimateTokens(segment.text) + 2;
+    const chunkFit = this.fit(segments, remaining - historyReserve, segmentCost);
+    remaining -= chunkFit.used;
+
+    // History gets its reserve plus whatever the chunks left unused, and stops
+    // at the first message that doesn't fit
+    let start = history.length;
+    while (start > 0 && this.messageTokens(history[start - 1]) <= remaining) {
+      remaining -= this.messageTokens(history[--start]);
+    }
+    const keptHistory = history.slice(start);
+
+    const kept = chunkFit.kept;
+    const systemMessage = { role: 'system', content: systemPrompt(render(kept)) };
+
+    const report = {
+      model,
+      budget,
+      used: budget - remaining,
+      dropped: {
+        chunks: segments.length - chunkFit.kept.length,
+        neighbours: chunkFit.fallbacks,
+        messages: history.length - keptHistory.length
+      },
+      truncatedMessage
+    };
+
+    if (report.dropped.chunks || report.dropped.neighbours || report.dropped.messages || truncatedMessage) {
+      console.log(`✂️ Context over budget for ${model} (${budget} tokens), dropped:`, report.dropped);
+    }
+
+    return {
+      messages: [systemMessage, ...keptHistory, lastMessage],
+      segments: kept,
+      report
+    };
+  }
+}
+
+export const contextBuilder = new ContextBuilder();
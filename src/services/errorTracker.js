@@ -1,10 +1,9 @@
-import { supabase } from '../server.js';
+import { db } from '../db/index.js';
 
 class ErrorTracker {
   constructor() {
     this.errorBuffer = [];
     this.flushInterval = null;
-    this.startPeriodicFlush();
   }
 
   async track(error, context = {}) {
@@ -23,6 +22,7 @@ class ErrorTracker {
 
       // Add to buffer
       this.errorBuffer.push(errorData);
+      this.startPeriodicFlush();
 
       // Log to console in development
       if (process.env.NODE_ENV !== 'production') {
@@ -84,9 +84,7 @@ class ErrorTracker {
         created_at: error.context.timestamp
       }));
 
-      const { error: dbError } = await supabase
-        .from('error_logs')
-        .insert(errorRecords);
+      const { error: dbError } = await db.errorLogs.insert(errorRecords, { returning: false });
 
       if (dbError) {
         console.error('Failed to store errors in database:', dbError);
@@ -101,12 +99,15 @@ class ErrorTracker {
   }
 
   startPeriodicFlush() {
-    // Flush errors every 30 seconds
+    if (this.flushInterval) return;
+
+    // Flush errors every 30 seconds, without keeping the process alive
     this.flushInterval = setInterval(() => {
       this.flush().catch(err => {
         console.error('Periodic flush failed:', err);
       });
     }, 30000);
+    this.flushInterval.unref();
   }
 
   async getErrorStats(hours = 24) {
@@ -115,16 +116,16 @@ class ErrorTracker {
       since.setHours(since.getHours() - hours);
 
       // Get error counts by type
-      const { data: errorsByType } = await supabase
-        .from('error_logs')
-        .select('type')
-        .gte('created_at', since.toISOString());
+      const { data: errorsByType } = await db.errorLogs.find(
+        { created_at: { gte: since.toISOString() } },
+        { columns: 'type' }
+      );
 
       // Get error counts by endpoint
-      const { data: errorsByEndpoint } = await supabase
-        .from('error_logs')
-        .select('context')
-        .gte('created_at', since.toISOString());
+      const { data: errorsByEndpoint } = await db.errorLogs.find(
+        { created_at: { gte: since.toISOString() } },
+        { columns: 'context' }
+      );
 
       // Process stats
       const typeCount = {};
@@ -158,10 +159,9 @@ class ErrorTracker {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - daysToKeep);
 
-      const { error } = await supabase
-        .from('error_logs')
-        .delete()
-        .lt('created_at', cutoffDate.toISOString());
+      const { error } = await db.errorLogs.delete({
+        created_at: { lt: cutoffDate.toISOString() }
+      });
 
       if (error) {
         console.error('Error cleanup failed:', error);
@@ -175,6 +175,7 @@ class ErrorTracker {
   async shutdown() {
     if (this.flushInterval) {
       clearInterval(this.flushInterval);
+      this.flushInterval = null;
     }
     await this.flush();
   }
@@ -196,18 +197,5 @@ process.on('unhandledRejection', (reason, promise) => {
   errorTracker.track(new Error(String(reason)), { type: 'unhandledRejection' });
 });
 
-// Cleanup on shutdown
-process.on('SIGINT', async () => {
-  await errorTracker.shutdown();
-});
-
-process.on('SIGTERM', async () => {
-  await errorTracker.shutdown();
-});
-
-// Cleanup old errors daily
-setInterval(() => {
-  errorTracker.cleanupOldErrors().catch(err => {
-    console.error('Error cleanup interval failed:', err);
-  });
-}, 86400000); // Every 24 hours
\ No newline at end of file
+// Buffered errors are flushed on shutdown by runtime.js and old ones are
+// cleaned up daily by the scheduler role
@@ -0,0 +1,81 @@
+import { db } from '../db/index.js';
+import { jobQueue } from './jobQueue.js';
+import { channelProcessor } from './channelProcessor.js';
+import { videoProcessor } from './videoProcessor.js';
+import { channelSync } from './channelSync.js';
+import { playlistProcessor } from './playlistProcessor.js';
+import { matchLanguage } from '../transcripts/index.js';
+
+// Every job type the worker knows how to run. Handlers pass the job's signal
+// on, so a lost lease or a worker shutdown stops them between pages and videos.
+export function registerJobHandlers() {
+  jobQueue.register('channel.process', {
+    maxAttempts: 3,
+    run: ({ queueItemId }, { signal }) => channelProcessor.processChannel(queueItemId, { signal }),
+    onDead: ({ queueItemId }, error) => channelProcessor.markChannelFailed(queueItemId, error.message)
+  });
+
+  jobQueue.register('channel.sync', {
+    maxAttempts: 3,
+    run: ({ channelId }, { signal }) => channelSync.syncChannel(channelId, { signal })
+  });
+
+  jobQueue.register('playlist.process', {
+    maxAttempts: 3,
+    run: ({ playlistId }, { signal }) => playlistProcessor.processPlaylist(playlistId, { signal }),
+    onDead: ({ playlistId }, error) => playlistProcessor.markPlaylistFailed(playlistId, error.message)
+  });
+
+  jobQueue.register('video.process', {
+    maxAttempts: 5,
+    run: async ({ videoId, language = null }, { signal }) => {
+      const { data: video } = await db.videos.findOne(
+        { youtube_id: videoId },
+        { columns: 'transcript_cached, transcript_language' }
+      );
+      if (!needsIndexing(video, language)) return;
+
+      await videoProcessor.processVideoTranscript(videoId, { rethrow: true, language, signal });
+    }
+  });
+}
+
+// Channel sync jobs are keyed by channel too, so a refresh joins a queued sync
+export function enqueueChannelSyncJob(channelId, { priority = 'normal' } = {}) {
+  return jobQueue.enqueue('channel.sync', { channelId }, {
+    priority,
+    dedupeKey: `channel-sync:${channelId}`
+  });
+}
+
+// Channel processing jobs are keyed by channel so a channel is never queued twice
+export function enqueueChannelJob(queueItem, { priority = 'normal' } = {}) {
+  return jobQueue.enqueue('channel.process', { queueItemId: queueItem.id }, {
+    priority,
+    dedupeKey: `channel:${queueItem.channel_id}`
+  });
+}
+
+export function enqueuePlaylistJob(playlistId, { priority = 'normal' } = {}) {
+  return jobQueue.enqueue('playlist.process', { playlistId }, {
+    priority,
+    dedupeKey: `playlist:${playlistId}`
+  });
+}
+
+// Whether a video (its transcript_cached and transcript_language) should be
+// indexed: it isn't yet, or a language was asked for that it isn't indexed in
+export function needsIndexing(video, language = null) {
+  if (!video?.transcript_cached) return true;
+  return Boolean(language && !matchLanguage([video.transcript_language].filter(Boolean), [language]));
+}
+
+// language: preferred transcript language, when the user asked for one. Jobs
+// are keyed by language too, so a request for another language is not folded
+// into a queued job that would index the video in the wrong one.
+export function enqueueVideoJob(videoId, { priority = 'normal', language = null } = {}) {
+  return jobQueue.enqueue('video.process', language ? { videoId, language } : { videoId }, {
+    priority,
+    dedupeKey: language ? `video:${videoId}:${language}` : `video:${videoId}`
+  });
+}
@@ -0,0 +1,292 @@
+import crypto from 'crypto';
+import os from 'os';
+import { db } from '../db/index.js';
+
+// Named priorities accepted by the queue routes; any integer works too, higher first
+export const JOB_PRIORITIES = { high: 10, normal: 0, low: -10 };
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Retry delay: base * 2^(attempt - 1), capped, with ±25% jitter so failed
+// jobs don't all come back at once
+const BACKOFF_BASE = parseInt(process.env.JOB_BACKOFF_BASE_SECONDS || '30', 10) * 1000;
+const BACKOFF_MAX = parseInt(process.env.JOB_BACKOFF_MAX_SECONDS || '3600', 10) * 1000;
+
+// Errors that retrying can't fix; the job is dead-lettered straight away
+export class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+export function backoffDelay(attempt) {
+  const delay = Math.min(BACKOFF_BASE * 2 ** Math.max(0, attempt - 1), BACKOFF_MAX);
+  return Math.round(delay * (0.75 + Math.random() * 0.5));
+}
+
+function toPriority(priority) {
+  if (typeof priority === 'number') return priority;
+  return JOB_PRIORITIES[priority] ?? JOB_PRIORITIES.normal;
+}
+
+class JobQueue {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+    this.handlers = new Map();
+    this.running = new Map();
+    this.released = new Set();
+
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY || '3', 10);
+    this.pollInterval = parseInt(process.env.JOB_POLL_INTERVAL_MS || '5000', 10);
+    this.leaseSeconds = parseInt(process.env.JOB_LEASE_SECONDS || '120', 10);
+
+    this.timer = null;
+    this.polling = false;
+  }
+
+  // handler: { run(payload, { job, signal, heartbeat }), onDead?(payload, error, job), maxAttempts? }
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  // Add a job. With a dedupeKey, an already queued or running job for the
+  // same key is returned instead of adding another one.
+  async enqueue(type, payload = {}, { priority = 'normal', runAfter = null, maxAttempts, dedupeKey = null } = {}) {
+    if (dedupeKey) {
+      const { data: existing } = await this.findActive(dedupeKey);
+      if (existing) return { data: existing, error: null, existing: true };
+    }
+
+    const now = new Date().toISOString();
+    const { data: job, error } = await db.jobs.insert({
+      type,
+      payload,
+      priority: toPriority(priority),
+      status: 'queued',
+      attempts: 0,
+      max_attempts: maxAttempts || this.handlers.get(type)?.maxAttempts || DEFAULT_MAX_ATTEMPTS,
+      run_after: runAfter ? new Date(runAfter).toISOString() : now,
+      dedupe_key: dedupeKey,
+      created_at: now,
+      updated_at: now
+    });
+
+    // Lost a race with another enqueue of the same key
+    if (error?.code === '23505' && dedupeKey) {
+      const { data: existing } = await this.findActive(dedupeKey);
+      if (existing) return { data: existing, error: null, existing: true };
+    }
+
+    if (error) return { data: null, error };
+
+    console.log(`📥 Queued ${type} job ${job.id}`);
+    this.pollSoon();
+    return { data: job, error: null, existing: false };
+  }
+
+  findActive(dedupeKey) {
+    return db.jobs.findOne({ dedupe_key: dedupeKey, status: { in: ['queued', 'running'] } });
+  }
+
+  async claim(limit) {
+    const { data, error } = await db.rpc('claim_jobs', {
+      p_worker: this.workerId,
+      p_types: [...this.handlers.keys()],
+      p_limit: limit,
+      p_lease_seconds: this.leaseSeconds
+    });
+
+    if (error) {
+      console.error('Error claiming jobs:', error);
+      return [];
+    }
+    return data || [];
+  }
+
+  // Extend the lease; false means another worker has taken the job over
+  async heartbeat(job) {
+    const { data, error } = await db.jobs.update(
+      { id: job.id, lease_owner: this.workerId, status: 'running' },
+      {
+        lease_expires_at: new Date(Date.now() + this.leaseSeconds * 1000).toISOString(),
+        updated_at: new Date().toISOString()
+      }
+    );
+    return !error && data.length > 0;
+  }
+
+  async complete(job) {
+    const now = new Date().toISOString();
+    await db.jobs.update(
+      { id: job.id, lease_owner: this.workerId, status: 'running' },
+      { status: 'completed', lease_owner: null, lease_expires_at: null, last_error: null, completed_at: now, updated_at: now }
+    );
+  }
+
+  // Requeue with backoff, or dead-letter after the last attempt. Returns the new status.
+  // Errors carrying a retryAt (an API quota that resets then) requeue the job
+  // for that time without using up an attempt.
+  async fail(job, error) {
+    const now = new Date();
+    const deferUntil = error.retryAt ? new Date(error.retryAt) : null;
+    const dead = !deferUntil && (error instanceof PermanentJobError || job.attempts >= job.max_attempts);
+    const patch = dead
+      ? { status: 'dead', completed_at: now.toISOString() }
+      : deferUntil
+        ? { status: 'queued', attempts: Math.max(0, job.attempts - 1), run_after: deferUntil.toISOString() }
+        : { status: 'queued', run_after: new Date(now.getTime() + backoffDelay(job.attempts)).toISOString() };
+
+    const { data } = await db.jobs.update(
+      { id: job.id, lease_owner: this.workerId, status: 'running' },
+      {
+        ...patch,
+        last_error: error.message || String(error),
+        lease_owner: null,
+        lease_expires_at: null,
+        updated_at: now.toISOString()
+      }
+    );
+
+    // The lease was lost meanwhile; whoever holds it now decides
+    if (!data?.length) return null;
+    return patch.status;
+  }
+
+  // Hand a job we are giving up on back to the queue without using up an attempt
+  async release(job) {
+    const now = new Date().toISOString();
+    await db.jobs.update(
+      { id: job.id, lease_owner: this.workerId, status: 'running' },
+      { status: 'queued', attempts: Math.max(0, job.attempts - 1), run_after: now, lease_owner: null, lease_expires_at: null, updated_at: now }
+    );
+  }
+
+  // Put a dead job back in the queue with a fresh set of attempts
+  async requeue(jobId) {
+    const now = new Date().toISOString();
+    const { data, error } = await db.jobs.update(
+      { id: jobId, status: 'dead' },
+      { status: 'queued', attempts: 0, run_after: now, last_error: null, completed_at: null, updated_at: now }
+    );
+    if (!error && data.length > 0) this.pollSoon();
+    return { data: data?.[0] || null, error };
+  }
+
+  async stats() {
+    const { data, error } = await db.jobs.find(
+      { status: { in: ['queued', 'running', 'dead'] } },
+      { columns: 'type, status' }
+    );
+    if (error) throw error;
+
+    const stats = {};
+    for (const { type, status } of data) {
+      stats[type] ||= { queued: 0, running: 0, dead: 0 };
+      stats[type][status]++;
+    }
+    return stats;
+  }
+
+  // ===== Worker =====
+
+  start() {
+    if (this.timer) return;
+    console.log(`👷 Job worker ${this.workerId} started (${[...this.handlers.keys()].join(', ')})`);
+    this.timer = setInterval(() => this.poll(), this.pollInterval);
+    this.poll();
+  }
+
+  // Stop claiming and wait up to timeoutMs for the jobs in hand to finish.
+  // Jobs still running after that are released for another worker and aborted.
+  async stop(timeoutMs = Infinity) {
+    clearInterval(this.timer);
+    this.timer = null;
+
+    const settled = (ms) => {
+      const promises = [...this.running.values()].map(entry => entry.promise);
+      if (!Number.isFinite(ms)) return Promise.allSettled(promises);
+      return Promise.race([
+        Promise.allSettled(promises),
+        new Promise(resolve => setTimeout(resolve, ms).unref())
+      ]);
+    };
+
+    await settled(timeoutMs);
+    if (this.running.size === 0) return;
+
+    console.log(`🛑 Releasing ${this.running.size} unfinished jobs back to the queue`);
+    for (const { job, controller } of this.running.values()) {
+      await this.release(job).catch(err => console.error(`Failed to release job ${job.id}:`, err));
+      this.released.add(job.id);
+      controller.abort(new Error('Worker shutting down'));
+    }
+
+    // Give aborted handlers a moment to unwind
+    await settled(2000);
+  }
+
+  pollSoon() {
+    if (this.timer) setImmediate(() => this.poll());
+  }
+
+  // A no-op unless this process runs the worker role; workers elsewhere pick
+  // the jobs up on their next poll
+  async poll() {
+    if (this.polling || !this.timer) return;
+    this.polling = true;
+
+    try {
+      const free = this.concurrency - this.running.size;
+      if (free <= 0) return;
+
+      for (const job of await this.claim(free)) {
+        const controller = new AbortController();
+        const promise = this.run(job, controller).finally(() => this.running.delete(job.id));
+        this.running.set(job.id, { job, controller, promise });
+      }
+    } catch (error) {
+      console.error('Job poll error:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  async run(job, controller) {
+    const handler = this.handlers.get(job.type);
+    const heartbeat = async () => {
+      if (!(await this.heartbeat(job))) {
+        controller.abort(new Error('Job lease lost'));
+      }
+    };
+    const timer = setInterval(() => heartbeat().catch(err => {
+      console.error(`Heartbeat failed for job ${job.id}:`, err);
+    }), (this.leaseSeconds * 1000) / 3);
+
+    try {
+      console.log(`▶️ Running ${job.type} job ${job.id} (attempt ${job.attempts}/${job.max_attempts})`);
+      await handler.run(job.payload, { job, signal: controller.signal, heartbeat });
+      await this.complete(job);
+      console.log(`✅ Completed ${job.type} job ${job.id}`);
+    } catch (error) {
+      if (this.released.has(job.id)) {
+        console.log(`↩️ Released ${job.type} job ${job.id}`);
+        return;
+      }
+
+      const status = await this.fail(job, error);
+      console.error(`❌ ${job.type} job ${job.id} failed (${status || 'lease lost'}):`, error.message);
+
+      if (status === 'dead' && handler.onDead) {
+        await Promise.resolve(handler.onDead(job.payload, error, job)).catch(err => {
+          console.error(`onDead failed for job ${job.id}:`, err);
+        });
+      }
+    } finally {
+      clearInterval(timer);
+      this.released.delete(job.id);
+    }
+  }
+}
+
+export const jobQueue = new JobQueue();
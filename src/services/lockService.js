@@ -1,139 +1,157 @@
-import { supabase } from '../server.js';
+import crypto from 'crypto';
+import os from 'os';
+import { db } from '../db/index.js';
+
+const DEFAULT_TTL_SECONDS = 60;
+
+// The lock was taken over (it expired or was force-broken) while we thought we held it
+export class LockLostError extends Error {
+  constructor(resourceId) {
+    super(`Lock on ${resourceId} was lost`);
+    this.name = 'LockLostError';
+  }
+}
 
 class DistributedLockService {
   constructor() {
-    this.locks = new Map();
-    this.lockTimers = new Map();
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomUUID().slice(0, 8)}`;
+
+    // lockId -> handle for every lock this process holds
+    this.held = new Map();
   }
 
-  async acquire(resourceId, ttlSeconds = 300) {
-    const lockId = `${resourceId}-${Date.now()}-${Math.random()}`;
-    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+  // Returns a handle { resourceId, lockId, token, ttlSeconds } or null if
+  // someone else holds the lock. The lock expires after ttlSeconds unless it
+  // is renewed; use withLock() for work that may take longer.
+  async acquire(resourceId, ttlSeconds = DEFAULT_TTL_SECONDS, { job = null } = {}) {
+    const lockId = crypto.randomUUID();
 
     try {
-      // Try to acquire lock
-      const { data, error } = await supabase
-        .from('processing_locks')
-        .insert({
-          resource_id: resourceId,
-          lock_id: lockId,
-          expires_at: expiresAt.toISOString(),
-          created_at: new Date().toISOString()
-        })
-        .select()
-        .single();
-
-      if (error) {
-        // Check if it's a unique constraint violation
-        if (error.code === '23505') {
-          // Lock already exists, check if it's expired
-          const existingLock = await this.checkAndCleanExpiredLock(resourceId);
-          
-          if (existingLock) {
-            // Try again after cleaning expired lock
-            return this.acquire(resourceId, ttlSeconds);
-          }
-          
-          return null; // Lock is held by another process
-        }
-        throw error;
-      }
-
-      // Store lock info locally
-      this.locks.set(resourceId, lockId);
-
-      // Set up auto-release timer
-      const timer = setTimeout(() => {
-        this.release(resourceId).catch(err => {
-          console.error(`Failed to auto-release lock ${resourceId}:`, err);
-        });
-      }, (ttlSeconds - 10) * 1000); // Release 10 seconds before expiry
-
-      this.lockTimers.set(resourceId, timer);
-
-      return lockId;
+      const { data, error } = await db.rpc('acquire_lock', {
+        p_resource_id: resourceId,
+        p_lock_id: lockId,
+        p_ttl_seconds: ttlSeconds,
+        p_owner: { host: os.hostname(), pid: process.pid, instance: this.instanceId, job }
+      });
+
+      if (error) throw error;
+      if (!data?.length) return null; // Held by another process
+
+      const lock = { resourceId, lockId, token: Number(data[0].fencing_token), ttlSeconds };
+      this.held.set(lockId, lock);
+      return lock;
     } catch (error) {
       console.error('Error acquiring lock:', error);
       return null;
     }
   }
 
-  async release(resourceId) {
-    const lockId = this.locks.get(resourceId);
-    if (!lockId) {
-      return false;
-    }
-
+  // Push the expiry back by the lock's TTL; false once the lock is lost
+  async renew(lock) {
     try {
-      // Delete the lock
-      const { error } = await supabase
-        .from('processing_locks')
-        .delete()
-        .eq('resource_id', resourceId)
-        .eq('lock_id', lockId);
+      const now = new Date();
+      const { data, error } = await db.processingLocks.update(
+        { resource_id: lock.resourceId, lock_id: lock.lockId },
+        {
+          expires_at: new Date(now.getTime() + lock.ttlSeconds * 1000).toISOString(),
+          renewed_at: now.toISOString()
+        }
+      );
 
-      if (error) {
-        console.error('Error releasing lock:', error);
+      if (error) throw error;
+      if (data.length === 0) {
+        this.held.delete(lock.lockId);
         return false;
       }
-
-      // Clean up local state
-      this.locks.delete(resourceId);
-      
-      const timer = this.lockTimers.get(resourceId);
-      if (timer) {
-        clearTimeout(timer);
-        this.lockTimers.delete(resourceId);
-      }
-
       return true;
     } catch (error) {
-      console.error('Error releasing lock:', error);
+      console.error(`Error renewing lock ${lock.resourceId}:`, error);
       return false;
     }
   }
 
-  async checkAndCleanExpiredLock(resourceId) {
-    try {
-      // Get the existing lock
-      const { data: existingLock, error } = await supabase
-        .from('processing_locks')
-        .select('*')
-        .eq('resource_id', resourceId)
-        .single();
-
-      if (error || !existingLock) {
-        return null;
+  // Renew every third of the TTL until the returned function is called.
+  // onLost runs once if a renewal finds the lock gone.
+  keepAlive(lock, onLost) {
+    const timer = setInterval(async () => {
+      if (!(await this.renew(lock))) {
+        clearInterval(timer);
+        onLost?.(new LockLostError(lock.resourceId));
       }
+    }, (lock.ttlSeconds * 1000) / 3);
 
-      // Check if it's expired
-      const now = new Date();
-      const expiresAt = new Date(existingLock.expires_at);
+    return () => clearInterval(timer);
+  }
+
+  // Run fn while holding the lock, renewing it for as long as fn runs.
+  // fn gets { lock, token, signal, assertHeld }: signal aborts if the lock is
+  // lost, and assertHeld() checks the fencing token before a write.
+  // Resolves { acquired: false } if the lock is held elsewhere.
+  async withLock(resourceId, fn, { ttlSeconds = DEFAULT_TTL_SECONDS, job = null } = {}) {
+    const lock = await this.acquire(resourceId, ttlSeconds, { job });
+    if (!lock) return { acquired: false };
 
-      if (expiresAt < now) {
-        // Lock is expired, clean it up
-        await supabase
-          .from('processing_locks')
-          .delete()
-          .eq('resource_id', resourceId)
-          .eq('lock_id', existingLock.lock_id);
+    const controller = new AbortController();
+    const stop = this.keepAlive(lock, error => {
+      console.error(`⚠️ ${error.message} while still in use`);
+      controller.abort(error);
+    });
 
-        return true; // Cleaned up expired lock
+    try {
+      const result = await fn({
+        lock,
+        token: lock.token,
+        signal: controller.signal,
+        assertHeld: () => this.assertHeld(lock)
+      });
+      return { acquired: true, result };
+    } finally {
+      stop();
+      await this.release(lock);
+    }
+  }
+
+  // Throws LockLostError unless the lock row still carries our fencing token
+  async assertHeld(lock) {
+    const { data, error } = await db.processingLocks.findOne(
+      { resource_id: lock.resourceId },
+      { columns: 'fencing_token, expires_at' }
+    );
+    if (error) throw error;
+
+    if (!data || Number(data.fencing_token) !== lock.token || new Date(data.expires_at) <= new Date()) {
+      this.held.delete(lock.lockId);
+      throw new LockLostError(lock.resourceId);
+    }
+  }
+
+  async release(lock) {
+    this.held.delete(lock.lockId);
+
+    try {
+      // Only our own acquisition; a lock taken over since is left alone
+      const { error } = await db.processingLocks.delete({
+        resource_id: lock.resourceId,
+        lock_id: lock.lockId
+      });
+
+      if (error) {
+        console.error('Error releasing lock:', error);
+        return false;
       }
 
-      return false; // Lock is still valid
+      return true;
     } catch (error) {
-      console.error('Error checking expired lock:', error);
+      console.error('Error releasing lock:', error);
       return false;
     }
   }
 
   async cleanupExpiredLocks() {
     try {
-      const { error } = await supabase
-        .from('processing_locks')
-        .delete()
-        .lt('expires_at', new Date().toISOString());
+      const { error } = await db.processingLocks.delete({
+        expires_at: { lt: new Date().toISOString() }
+      });
 
       if (error) {
         console.error('Error cleaning up expired locks:', error);
@@ -145,11 +163,10 @@ class DistributedLockService {
 
   async isLocked(resourceId) {
     try {
-      const { data: lock, error } = await supabase
-        .from('processing_locks')
-        .select('expires_at')
-        .eq('resource_id', resourceId)
-        .single();
+      const { data: lock, error } = await db.processingLocks.findOne(
+        { resource_id: resourceId },
+        { columns: 'expires_at' }
+      );
 
       if (error || !lock) {
         return false;
@@ -164,36 +181,49 @@ class DistributedLockService {
     }
   }
 
+  // Locks currently held by any instance, oldest first
+  async list() {
+    const { data, error } = await db.processingLocks.find(
+      { expires_at: { gt: new Date().toISOString() } },
+      { order: { column: 'created_at', ascending: true } }
+    );
+    if (error) return { data: null, error };
+
+    return {
+      data: data.map(lock => ({
+        resourceId: lock.resource_id,
+        fencingToken: Number(lock.fencing_token),
+        owner: lock.owner,
+        acquiredAt: lock.created_at,
+        renewedAt: lock.renewed_at,
+        expiresAt: lock.expires_at
+      })),
+      error: null
+    };
+  }
+
+  // Break a lock whoever holds it. The holder finds out on its next renewal
+  // or fencing check; the next acquisition gets a larger token.
+  async forceRelease(resourceId) {
+    const { data: lock, error } = await db.processingLocks.findOne({ resource_id: resourceId });
+    if (error || !lock) return { data: null, error };
+
+    const { error: deleteError } = await db.processingLocks.delete({
+      resource_id: resourceId,
+      lock_id: lock.lock_id
+    });
+    if (deleteError) return { data: null, error: deleteError };
+
+    console.log(`🔓 Force-released lock ${resourceId} held by ${lock.owner?.instance || 'unknown'}`);
+    return { data: lock, error: null };
+  }
+
   // Clean up all locks held by this instance
   async releaseAll() {
-    const promises = [];
-    
-    for (const resourceId of this.locks.keys()) {
-      promises.push(this.release(resourceId));
-    }
-
-    await Promise.all(promises);
+    await Promise.all([...this.held.values()].map(lock => this.release(lock)));
   }
 }
 
+// Expired locks are cleaned up by the scheduler role; held locks are
+// released on shutdown by runtime.js
 export const lockService = new DistributedLockService();
-
-// Cleanup expired locks periodically
-setInterval(() => {
-  lockService.cleanupExpiredLocks().catch(err => {
-    console.error('Lock cleanup error:', err);
-  });
-}, 60000); // Every minute
-
-// Cleanup on process exit
-process.on('SIGINT', async () => {
-  console.log('Releasing all locks before exit...');
-  await lockService.releaseAll();
-  process.exit(0);
-});
-
-process.on('SIGTERM', async () => {
-  console.log('Releasing all locks before exit...');
-  await lockService.releaseAll();
-  process.exit(0);
-});
\ No newline at end of file
@@ -0,0 +1,136 @@
+import { db } from '../db/index.js';
+
+// What each plan may do. Rate-limited actions have an hourly and a daily window
+// (null = no cap for that window); `channels` caps how many channels a user can
+// have indexed at once. `channel_videos` sets how much of a channel gets
+// indexed: the most recent `max` uploads (null = all) published within the
+// last `sinceDays` days (null = any age). `playlist_videos` caps how many of a
+// playlist's videos get indexed, from the top. Actions a plan doesn't list are not limited.
+const DEFAULT_PLANS = {
+  anonymous: {
+    name: 'Anonymous',
+    limits: {
+      chat: { hourly: 5, daily: 10 },
+      video_upload: { hourly: null, daily: 2 },
+      channel_process: { hourly: null, daily: 0 },
+      channel_refresh: { hourly: null, daily: 0 },
+      playlist_process: { hourly: null, daily: 0 },
+      channels: 0,
+      channel_videos: { max: 20, sinceDays: null },
+      playlist_videos: { max: 20 }
+    }
+  },
+  free: {
+    name: 'Free',
+    limits: {
+      chat: { hourly: 10, daily: 50 },
+      video_upload: { hourly: null, daily: 10 },
+      channel_process: { hourly: null, daily: 1 },
+      channel_refresh: { hourly: 2, daily: 10 },
+      playlist_process: { hourly: null, daily: 3 },
+      channels: 1,
+      channel_videos: { max: 20, sinceDays: null },
+      playlist_videos: { max: 50 }
+    }
+  },
+  premium: {
+    name: 'Premium',
+    limits: {
+      chat: { hourly: 50, daily: 200 },
+      video_upload: { hourly: null, daily: 50 },
+      channel_process: { hourly: null, daily: 10 },
+      channel_refresh: { hourly: 10, daily: 50 },
+      playlist_process: { hourly: null, daily: 20 },
+      channels: 25,
+      channel_videos: { max: 500, sinceDays: null },
+      playlist_videos: { max: 500 }
+    }
+  }
+};
+
+// Service-key callers are limited like premium users
+const SERVICE_PLAN = 'premium';
+
+export const RATE_LIMITED_ACTIONS = ['chat', 'video_upload', 'channel_process', 'channel_refresh', 'playlist_process'];
+
+// PLAN_LIMITS overrides individual limits without a deploy, e.g.
+// PLAN_LIMITS={"free":{"channels":3,"chat":{"daily":100}}}; new plan ids start from free
+function loadPlans() {
+  const overrides = JSON.parse(process.env.PLAN_LIMITS || '{}');
+  const plans = structuredClone(DEFAULT_PLANS);
+
+  for (const [id, limits] of Object.entries(overrides)) {
+    const plan = plans[id] || (plans[id] = { name: id, limits: structuredClone(DEFAULT_PLANS.free.limits) });
+    for (const [key, value] of Object.entries(limits)) {
+      plan.limits[key] = value !== null && typeof value === 'object'
+        ? { ...plan.limits[key], ...value }
+        : value;
+    }
+  }
+
+  return plans;
+}
+
+class PlanService {
+  constructor() {
+    this.plans = loadPlans();
+    this.unknownPlans = new Set();
+  }
+
+  // Plan id for the caller: the user's plan column, the service plan, or anonymous
+  planIdFor(req) {
+    if (req.user) {
+      const plan = req.user.plan || 'free';
+      if (this.plans[plan]) return plan;
+
+      if (!this.unknownPlans.has(plan)) {
+        this.unknownPlans.add(plan);
+        console.warn(`⚠️ Unknown plan "${plan}", using free limits`);
+      }
+      return 'free';
+    }
+    return req.service ? SERVICE_PLAN : 'anonymous';
+  }
+
+  planFor(req) {
+    const id = this.planIdFor(req);
+    return { id, ...this.plans[id] };
+  }
+
+  // Limits for one rate-limited action, or null when the plan doesn't cap it
+  limitsFor(req, action) {
+    return this.planFor(req).limits[action] || null;
+  }
+
+  // How much of a channel to index for this caller, as channel_queue columns
+  channelIngestOptions(req) {
+    const { max = null, sinceDays = null } = this.planFor(req).limits.channel_videos || {};
+    return {
+      video_limit: max,
+      published_after: sinceDays === null
+        ? null
+        : new Date(Date.now() - sinceDays * 24 * 60 * 60 * 1000).toISOString()
+    };
+  }
+
+  // How many of a playlist's videos to index for this caller (null = all)
+  playlistVideoLimit(req) {
+    return this.planFor(req).limits.playlist_videos?.max ?? null;
+  }
+
+  // Whether a user may add another channel under their plan
+  async checkChannelLimit(req) {
+    const plan = this.planFor(req);
+    const limit = plan.limits.channels ?? null;
+    const { count, error } = await db.userChannels.count({ user_id: req.user.id });
+
+    if (error) {
+      throw new Error(`Channel count failed: ${error.message}`);
+    }
+
+    const used = count || 0;
+    return { allowed: limit === null || used < limit, used, limit, plan };
+  }
+}
+
+export const planService = new PlanService();
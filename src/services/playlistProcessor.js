@@ -0,0 +1,160 @@
+import { db } from '../db/index.js';
+import { channelProcessor } from './channelProcessor.js';
+import { lockService } from './lockService.js';
+import { PermanentJobError } from './jobQueue.js';
+import { enqueueVideoJob } from './jobHandlers.js';
+import { youtube } from '../youtube/index.js';
+
+class PlaylistProcessor {
+  // Title, curator and size of a playlist, or null if YouTube doesn't know it
+  async fetchPlaylistDetails(playlistId) {
+    const data = await youtube.playlists({ part: 'snippet,contentDetails', id: playlistId });
+    const playlist = data.items?.[0];
+    if (!playlist) return null;
+
+    return {
+      title: playlist.snippet.title,
+      description: playlist.snippet.description || '',
+      channelTitle: playlist.snippet.channelTitle || null,
+      thumbnailUrl: playlist.snippet.thumbnails?.medium?.url || '',
+      itemCount: playlist.contentDetails?.itemCount ?? null
+    };
+  }
+
+  // Runs as a 'playlist.process' job: store the playlist's videos in order and
+  // queue a video job for each one not indexed yet
+  async processPlaylist(playlistId, { signal } = {}) {
+    const { acquired, result } = await lockService.withLock(
+      `playlist-${playlistId}`,
+      ({ assertHeld }) => this.processLocked(playlistId, assertHeld, signal),
+      { job: `playlist.process:${playlistId}` }
+    );
+
+    if (!acquired) {
+      throw new Error(`Playlist ${playlistId} is already being processed`);
+    }
+    return result;
+  }
+
+  async processLocked(playlistId, assertHeld, signal) {
+    const { data: playlist, error } = await db.playlists.findById(playlistId);
+    if (error) throw new Error(`Playlist lookup failed: ${error.message}`);
+    if (!playlist) throw new PermanentJobError('Playlist not found');
+
+    console.log(`🚀 Processing playlist: ${playlist.title}`);
+    await db.playlists.update({ id: playlist.id }, {
+      status: 'processing',
+      error_message: null,
+      updated_at: new Date().toISOString()
+    });
+
+    const items = await this.fetchItems(playlist.youtube_playlist_id, playlist.video_limit ?? null, signal);
+    await assertHeld();
+
+    const channelIds = await this.knownChannels(items);
+    const entries = [];
+    let queued = 0;
+
+    for (const [index, item] of items.entries()) {
+      signal?.throwIfAborted();
+      const video = await this.storeVideo(item, channelIds.get(item.channelId) || null);
+
+      // A video listed twice keeps its first position
+      if (entries.some(entry => entry.video_id === video.id)) continue;
+      entries.push({ playlist_id: playlist.id, video_id: video.id, position: item.position ?? index });
+
+      if (!video.transcript_cached) {
+        const { error: jobError } = await enqueueVideoJob(item.videoId, {
+          priority: 'low',
+          language: playlist.transcript_language || null
+        });
+        if (jobError) throw jobError;
+        queued++;
+      }
+    }
+
+    // Replace the stored order with the current one
+    await assertHeld();
+    const { error: deleteError } = await db.playlistVideos.delete({ playlist_id: playlist.id });
+    if (deleteError) throw deleteError;
+
+    if (entries.length > 0) {
+      const { error: insertError } = await db.playlistVideos.insert(entries, { returning: false });
+      if (insertError) throw insertError;
+    }
+
+    const now = new Date().toISOString();
+    await db.playlists.update({ id: playlist.id }, {
+      status: 'ready',
+      video_count: entries.length,
+      last_indexed_at: now,
+      updated_at: now
+    });
+
+    console.log(`✅ Playlist ${playlist.title}: ${entries.length} videos, ${queued} queued for indexing`);
+    return { videos: entries.length, queued };
+  }
+
+  // Playlist items in order, up to `limit`
+  async fetchItems(youtubePlaylistId, limit, signal) {
+    const items = [];
+    let pageToken = null;
+
+    do {
+      signal?.throwIfAborted();
+      const page = await channelProcessor.fetchUploadsPage(youtubePlaylistId, pageToken, { signal });
+      items.push(...page.videos);
+      pageToken = page.nextPageToken;
+    } while (pageToken && (limit === null || items.length < limit));
+
+    return limit === null ? items : items.slice(0, limit);
+  }
+
+  // YouTube channel ID -> our channel id, for the channels we already have
+  async knownChannels(items) {
+    const youtubeIds = [...new Set(items.map(item => item.channelId).filter(Boolean))];
+    if (youtubeIds.length === 0) return new Map();
+
+    const { data: channels, error } = await db.channels.find(
+      { youtube_channel_id: { in: youtubeIds } },
+      { columns: 'id, youtube_channel_id' }
+    );
+    if (error) throw error;
+
+    return new Map(channels.map(channel => [channel.youtube_channel_id, channel.id]));
+  }
+
+  // The video row for a playlist item, created if we haven't seen the video
+  async storeVideo(item, channelId) {
+    const { data: existing, error } = await db.videos.findOne(
+      { youtube_id: item.videoId },
+      { columns: 'id, transcript_cached' }
+    );
+    if (error) throw error;
+    if (existing) return existing;
+
+    const { data: video, error: insertError } = await db.videos.insert({
+      youtube_id: item.videoId,
+      title: item.title,
+      description: item.description,
+      thumbnail_url: item.thumbnailUrl,
+      channel_id: channelId,
+      published_at: item.publishedAt,
+      transcript_cached: false,
+      duration: 0
+    });
+    if (insertError) throw insertError;
+
+    return video;
+  }
+
+  async markPlaylistFailed(playlistId, errorMessage) {
+    await db.playlists.update({ id: playlistId }, {
+      status: 'failed',
+      error_message: errorMessage,
+      updated_at: new Date().toISOString()
+    });
+  }
+}
+
+export const playlistProcessor = new PlaylistProcessor();
@@ -0,0 +1,85 @@
+import { llm } from '../llm/index.js';
+
+// How many earlier messages the rewriter sees
+const HISTORY_MESSAGES = 6;
+const MAX_MESSAGE_CHARS = 1000;
+
+class QueryRewriter {
+  constructor() {
+    this.enabled = process.env.QUERY_REWRITE !== 'false';
+    this.maxSubQueries = parseInt(process.env.QUERY_REWRITE_MAX_SUBQUERIES || '3', 10);
+  }
+
+  // Turn the conversation into standalone search queries.
+  // Always returns at least one query; the first is the condensed question.
+  // Rejects only when `signal` aborts (the chat stream was cancelled).
+  async rewrite(messages, { signal } = {}) {
+    const conversation = messages.filter(m => m.role === 'user' || m.role === 'assistant');
+    const lastUserMessage = conversation.filter(m => m.role === 'user').pop();
+    if (!lastUserMessage) return { query: '', queries: [] };
+
+    const fallback = { query: lastUserMessage.content, queries: [lastUserMessage.content] };
+
+    // A first question has nothing to resolve against
+    if (!this.enabled || conversation.length < 2) {
+      return fallback;
+    }
+
+    try {
+      const response = await llm.complete({
+        model: 'rewrite',
+        messages: this.buildMessages(conversation.slice(-HISTORY_MESSAGES)),
+        temperature: 0,
+        maxTokens: 200,
+        responseFormat: { type: 'json_object' },
+        signal
+      });
+
+      // Only trust the shape we asked for: a string sub_queries would be
+      // spread into one query per character
+      const parsed = JSON.parse(response);
+      const query = parsed?.query;
+      const subQueries = Array.isArray(parsed?.sub_queries) ? parsed.sub_queries : [];
+      if (typeof query !== 'string' || !query.trim()) {
+        return fallback;
+      }
+
+      const queries = [query, ...subQueries]
+        .filter(q => typeof q === 'string' && q.trim())
+        .map(q => q.trim());
+
+      console.log(`✏️ Rewrote "${lastUserMessage.content}" into: ${queries.map(q => `"${q}"`).join(', ')}`);
+
+      return {
+        query: queries[0],
+        queries: [...new Set(queries)].slice(0, this.maxSubQueries + 1)
+      };
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error('Query rewriting failed, using last message:', error.message);
+      return fallback;
+    }
+  }
+
+  buildMessages(conversation) {
+    const history = conversation
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content.slice(0, MAX_MESSAGE_CHARS)}`)
+      .join('\n');
+
+    return [
+      {
+        role: 'system',
+        content: `You turn the last user message of a conversation about a YouTube video into search queries over its transcript.
+Resolve pronouns and references ("he", "that", "the second point") using the earlier messages so the query stands on its own.
+If the question has several distinct parts, add up to ${this.maxSubQueries} short sub-queries, one per part; otherwise leave them empty.
+Respond with JSON only: {"query": "...", "sub_queries": ["..."]}`
+      },
+      {
+        role: 'user',
+        content: history
+      }
+    ];
+  }
+}
+
+export const queryRewriter = new QueryRewriter();
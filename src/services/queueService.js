@@ -1,19 +1,19 @@
-import { supabase } from '../server.js';
+import { db } from '../db/index.js';
+import { jobQueue } from './jobQueue.js';
+import { enqueueChannelJob, enqueueVideoJob, needsIndexing } from './jobHandlers.js';
 
+// User-facing queue operations. channel_queue rows track each channel run's
+// progress for the UI; the work itself is done by jobs (see jobQueue.js).
 class QueueService {
-  constructor() {
-    this.processingQueues = new Map();
-  }
 
-  async enqueueChannel(channelId, userId, priority = 'normal') {
+  // ingestOptions: { video_limit, published_after } from planService.channelIngestOptions
+  async enqueueChannel(channelId, userId, priority = 'normal', ingestOptions = {}) {
     try {
       // Check if channel is already in queue
-      const { data: existing } = await supabase
-        .from('channel_queue')
-        .select('id, status')
-        .eq('channel_id', channelId)
-        .in('status', ['pending', 'processing'])
-        .single();
+      const { data: existing } = await db.channelQueue.findOne(
+        { channel_id: channelId, status: { in: ['pending', 'processing'] } },
+        { columns: 'id, status' }
+      );
 
       if (existing) {
         return {
@@ -24,31 +24,29 @@ class QueueService {
       }
 
       // Get channel details
-      const { data: channel } = await supabase
-        .from('channels')
-        .select('id, title, youtube_channel_id')
-        .eq('id', channelId)
-        .single();
+      const { data: channel } = await db.channels.findById(channelId, {
+        columns: 'id, title, youtube_channel_id'
+      });
 
       if (!channel) {
         throw new Error('Channel not found');
       }
 
       // Create queue item
-      const { data: queueItem, error } = await supabase
-        .from('channel_queue')
-        .insert({
-          channel_id: channelId,
-          requested_by: userId,
-          status: 'pending',
-          priority: priority,
-          created_at: new Date().toISOString()
-        })
-        .select()
-        .single();
+      const { data: queueItem, error } = await db.channelQueue.insert({
+        channel_id: channelId,
+        requested_by: userId,
+        status: 'pending',
+        priority: priority,
+        ...ingestOptions,
+        created_at: new Date().toISOString()
+      });
 
       if (error) throw error;
 
+      const { error: jobError } = await enqueueChannelJob(queueItem, { priority });
+      if (jobError) throw jobError;
+
       return {
         success: true,
         message: 'Channel queued for processing',
@@ -60,16 +58,16 @@ class QueueService {
     }
   }
 
-  async enqueueVideo(videoId, userId, priority = 'normal') {
+  async enqueueVideo(videoId, userId, priority = 'normal', language = null) {
     try {
       // Check if video exists
-      const { data: video } = await supabase
-        .from('videos')
-        .select('id, title, youtube_id, transcript_cached')
-        .eq('youtube_id', videoId)
-        .single();
+      const { data: video } = await db.videos.findOne(
+        { youtube_id: videoId },
+        { columns: 'id, title, youtube_id, transcript_cached, transcript_language' }
+      );
 
-      if (video?.transcript_cached) {
+      // Indexed videos are only queued again for another language
+      if (!needsIndexing(video, language)) {
         return {
           success: false,
           message: 'Video already processed',
@@ -77,33 +75,29 @@ class QueueService {
         };
       }
 
-      // Create or update video record
-      const { data: videoRecord, error: videoError } = await supabase
-        .from('videos')
-        .upsert({
+      // Create the video record if this is the first we hear of it
+      let videoRecord = video;
+      if (!videoRecord) {
+        const { data, error: videoError } = await db.videos.upsert({
           youtube_id: videoId,
           title: 'Processing...',
-          transcript_cached: false,
-          processing_queued: true,
-          processing_queued_at: new Date().toISOString(),
-          processing_queued_by: userId
+          transcript_cached: false
         }, {
           onConflict: 'youtube_id'
-        })
-        .select()
-        .single();
-
-      if (videoError) throw videoError;
+        });
 
-      // Trigger immediate processing if high priority
-      if (priority === 'high') {
-        this.triggerVideoProcessing(videoId);
+        if (videoError) throw videoError;
+        videoRecord = data;
       }
 
+      const { data: job, error } = await enqueueVideoJob(videoId, { priority, language });
+      if (error) throw error;
+
       return {
         success: true,
         message: 'Video queued for processing',
-        video: videoRecord
+        video: videoRecord,
+        jobId: job.id
       };
     } catch (error) {
       console.error('Error enqueueing video:', error);
@@ -114,16 +108,13 @@ class QueueService {
   async getQueueStatus() {
     try {
       // Get queue statistics
-      const { data: channelQueue } = await supabase
-        .from('channel_queue')
-        .select('status')
-        .in('status', ['pending', 'processing']);
+      const { data: channelQueue } = await db.channelQueue.find(
+        { status: { in: ['pending', 'processing'] } },
+        { columns: 'status' }
+      );
 
-      const { data: processingVideos } = await supabase
-        .from('videos')
-        .select('youtube_id')
-        .eq('processing_queued', true)
-        .eq('transcript_cached', false);
+      const jobs = await jobQueue.stats();
+      const videoJobs = jobs['video.process'] || { queued: 0, running: 0, dead: 0 };
 
       const stats = {
         channels: {
@@ -131,8 +122,11 @@ class QueueService {
           processing: channelQueue?.filter(q => q.status === 'processing').length || 0
         },
         videos: {
-          queued: processingVideos?.length || 0
-        }
+          queued: videoJobs.queued,
+          processing: videoJobs.running,
+          dead: videoJobs.dead
+        },
+        jobs
       };
 
       return stats;
@@ -142,18 +136,24 @@ class QueueService {
     }
   }
 
+  // 1-based place among channel jobs waiting to run, in the order workers claim them
   async getChannelQueuePosition(queueItemId) {
     try {
-      // Get all pending items ordered by creation
-      const { data: pendingItems } = await supabase
-        .from('channel_queue')
-        .select('id')
-        .eq('status', 'pending')
-        .order('created_at', { ascending: true });
+      const { data: queuedJobs } = await db.jobs.find(
+        { type: 'channel.process', status: 'queued' },
+        {
+          columns: 'id, payload',
+          order: [
+            { column: 'priority', ascending: false },
+            { column: 'run_after', ascending: true },
+            { column: 'created_at', ascending: true }
+          ]
+        }
+      );
 
-      if (!pendingItems) return null;
+      if (!queuedJobs) return null;
 
-      const position = pendingItems.findIndex(item => item.id === queueItemId) + 1;
+      const position = queuedJobs.findIndex(job => job.payload?.queueItemId === queueItemId) + 1;
       
       return position > 0 ? position : null;
     } catch (error) {
@@ -162,129 +162,37 @@ class QueueService {
     }
   }
 
-  async processVideoQueue(limit = 5) {
-    try {
-      // Get queued videos
-      const { data: queuedVideos } = await supabase
-        .from('videos')
-        .select('youtube_id')
-        .eq('processing_queued', true)
-        .eq('transcript_cached', false)
-        .order('processing_queued_at', { ascending: true })
-        .limit(limit);
-
-      if (!queuedVideos || queuedVideos.length === 0) {
-        return 0;
-      }
-
-      let processedCount = 0;
-
-      // Process each video
-      for (const video of queuedVideos) {
-        try {
-          await this.triggerVideoProcessing(video.youtube_id);
-          processedCount++;
-        } catch (error) {
-          console.error(`Failed to process video ${video.youtube_id}:`, error);
-        }
-      }
-
-      return processedCount;
-    } catch (error) {
-      console.error('Error processing video queue:', error);
-      return 0;
-    }
-  }
-
-  async triggerVideoProcessing(videoId) {
-    // Import dynamically to avoid circular dependency
-    const { videoProcessor } = await import('./videoProcessor.js');
-    
-    // Process in background
-    videoProcessor.processVideo(videoId).catch(err => {
-      console.error(`Video processing failed for ${videoId}:`, err);
-    });
-  }
-
-  async triggerChannelProcessing(queueItemId) {
-    // Import dynamically to avoid circular dependency
-    const { channelProcessor } = await import('./channelProcessor.js');
-    
-    // Process in background
-    channelProcessor.processChannel(queueItemId).catch(err => {
-      console.error(`Channel processing failed for ${queueItemId}:`, err);
-    });
-  }
-
-  async retryFailedItems() {
-    try {
-      // Retry failed channels
-      const { data: failedChannels } = await supabase
-        .from('channel_queue')
-        .select('id')
-        .eq('status', 'failed')
-        .lt('retry_count', 3)
-        .limit(5);
-
-      if (failedChannels) {
-        for (const item of failedChannels) {
-          await supabase
-            .from('channel_queue')
-            .update({
-              status: 'pending',
-              retry_count: supabase.sql`retry_count + 1`,
-              error_message: null
-            })
-            .eq('id', item.id);
-        }
-      }
-
-      return failedChannels?.length || 0;
-    } catch (error) {
-      console.error('Error retrying failed items:', error);
-      return 0;
-    }
-  }
-
-  async cleanupOldQueue() {
+  // signal: skips what is left once the scheduler run has timed out
+  async cleanupOldQueue({ signal } = {}) {
     try {
       // Remove completed items older than 7 days
       const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
 
-      const { error } = await supabase
-        .from('channel_queue')
-        .delete()
-        .eq('status', 'completed')
-        .lt('completed_at', sevenDaysAgo);
+      const { error } = await db.channelQueue.delete({
+        status: 'completed',
+        completed_at: { lt: sevenDaysAgo }
+      });
 
       if (error) {
         console.error('Error cleaning up old queue items:', error);
       }
+
+      if (signal?.aborted) return;
+
+      // Dead jobs stay until someone looks at them
+      const { error: jobsError } = await db.jobs.delete({
+        status: 'completed',
+        completed_at: { lt: sevenDaysAgo }
+      });
+
+      if (jobsError) {
+        console.error('Error cleaning up old jobs:', jobsError);
+      }
     } catch (error) {
       console.error('Error in queue cleanup:', error);
     }
   }
 }
 
+// Old queue items are cleaned up daily by the scheduler role
 export const queueService = new QueueService();
-
-// Process video queue periodically
-setInterval(() => {
-  queueService.processVideoQueue().catch(err => {
-    console.error('Video queue processing error:', err);
-  });
-}, 30000); // Every 30 seconds
-
-// Retry failed items periodically
-setInterval(() => {
-  queueService.retryFailedItems().catch(err => {
-    console.error('Failed items retry error:', err);
-  });
-}, 300000); // Every 5 minutes
-
-// Cleanup old queue items daily
-setInterval(() => {
-  queueService.cleanupOldQueue().catch(err => {
-    console.error('Queue cleanup error:', err);
-  });
-}, 86400000); // Every 24 hours
\ No newline at end of file
@@ -1,141 +1,225 @@
-import { OpenAI } from 'openai';
-import { supabase } from '../server.js';
+import { db } from '../db/index.js';
+import { llm } from '../llm/index.js';
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+// Minimum cosine similarity for the vector leg. The old in-Node search had no
+// threshold, so keep it permissive and let top-k do the cutting.
+const MATCH_THRESHOLD = 0;
+
+// Reciprocal-rank fusion of the vector and full-text lists:
+// score = vectorWeight / (k + vectorRank) + keywordWeight / (k + keywordRank)
+export const FUSION_DEFAULTS = {
+  vectorWeight: parseFloat(process.env.RAG_VECTOR_WEIGHT || '1'),
+  keywordWeight: parseFloat(process.env.RAG_KEYWORD_WEIGHT || '1'),
+  rrfK: parseInt(process.env.RAG_RRF_K || '60'),
+  // Each leg returns this many times topK so fusion has something to reorder
+  candidateMultiplier: parseInt(process.env.RAG_CANDIDATE_MULTIPLIER || '4')
+};
+
+// Neighbour expansion: the best `hits` results are widened to chunk_index ± `window`
+export const NEIGHBOUR_DEFAULTS = {
+  window: parseInt(process.env.RAG_NEIGHBOUR_WINDOW || '0'),
+  hits: parseInt(process.env.RAG_NEIGHBOUR_HITS || '3')
+};
+
+const NEIGHBOUR_COLUMNS = 'id, video_id, chunk_index, start_time, end_time, storage_path, byte_offset, byte_length';
 
 // Hybrid search combining semantic and keyword search
-export async function hybridChunkSearch(videoId, query, topK = 5) {
+export async function hybridChunkSearch(videoId, query, topK = 5, options = {}) {
+  const fusion = { ...FUSION_DEFAULTS, ...options };
   console.log(`🔍 Searching for: "${query}" in video ${videoId} (top ${topK} results)`);
-  
+
   // 1. Generate query embedding
-  const embeddingResponse = await openai.embeddings.create({
-    model: "text-embedding-ada-002",
-    input: query,
-  });
-  const queryEmbedding = embeddingResponse.data[0].embedding;
-  
+  const queryEmbedding = await llm.embed(query);
+
   // 2. Extract keywords from query
   const queryKeywords = extractKeywords(query);
-  
-  // 3. Get ALL chunks for this video to calculate similarity
-  const { data: allChunks, error: semanticError } = await supabase
-    .from('transcript_chunks')
-    .select('*')
-    .eq('video_id', videoId)
-    .order('chunk_index');
-  
-  if (semanticError) {
-    console.error('Semantic search error:', semanticError);
+  console.log(`🔑 Query keywords: ${queryKeywords.join(', ')}`);
+
+  // 3. Vector and full-text rankings, both computed in Postgres
+  const { data: candidates, error } = await db.rpc('search_transcript_chunks', {
+    query_embedding: queryEmbedding,
+    p_video_id: videoId,
+    match_threshold: MATCH_THRESHOLD,
+    match_count: topK * fusion.candidateMultiplier,
+    p_keywords: queryKeywords
+  });
+
+  if (error) {
+    console.error('Semantic search error:', error);
     throw new Error('Failed to search chunks');
   }
-  
-  // Calculate similarity scores for ALL chunks
-  console.log(`📊 Calculating similarity for ${allChunks?.length || 0} chunks`);
-  
-  const resultsWithSimilarity = allChunks?.map(chunk => {
-    // Simple cosine similarity calculation
-    let similarity = 0;
-    if (chunk.embedding && Array.isArray(chunk.embedding)) {
-      const dotProduct = chunk.embedding.reduce((sum, val, idx) => 
-        sum + (val * queryEmbedding[idx]), 0
-      );
-      const chunkMagnitude = Math.sqrt(chunk.embedding.reduce((sum, val) => 
-        sum + (val * val), 0
-      ));
-      const queryMagnitude = Math.sqrt(queryEmbedding.reduce((sum, val) => 
-        sum + (val * val), 0
-      ));
-      similarity = dotProduct / (chunkMagnitude * queryMagnitude);
-    }
-    return { ...chunk, similarity };
-  }).sort((a, b) => b.similarity - a.similarity).slice(0, topK) || [];
-  
-  console.log(`🎯 Top semantic results (similarities): ${resultsWithSimilarity.slice(0, 3).map(r => r.similarity.toFixed(3)).join(', ')}`);
-  
-  // Log keywords for debugging
-  console.log(`🔑 Query keywords: ${queryKeywords.join(', ')}`);
-  
-  // 4. Perform keyword search if we have keywords
-  let keywordResults = [];
-  if (queryKeywords.length > 0 && allChunks) {
-    // Filter chunks that contain any of the query keywords
-    keywordResults = allChunks.filter(chunk => {
-      if (!chunk.keywords || !Array.isArray(chunk.keywords)) return false;
-      
-      // Check if any query keyword matches any chunk keyword
-      return queryKeywords.some(queryKeyword => 
-        chunk.keywords.some((chunkKeyword) => 
-          chunkKeyword.toLowerCase().includes(queryKeyword.toLowerCase()) ||
-          queryKeyword.toLowerCase().includes(chunkKeyword.toLowerCase())
-        )
-      );
+
+  console.log(`📊 Received ${candidates?.length || 0} candidate chunks`);
+
+  // 4. Fuse the two rankings and return top K
+  const sortedResults = fuseCandidates(candidates || [], topK, fusion);
+
+  // 5. Load text from storage
+  return loadChunkTexts(sortedResults);
+}
+
+// Reciprocal-rank fusion of candidates returned by the search RPCs.
+// A chunk missing from one list simply gets no contribution from it.
+export function fuseCandidates(candidates, topK, { vectorWeight, keywordWeight, rrfK } = FUSION_DEFAULTS) {
+  return candidates
+    .map(candidate => {
+      let score = 0;
+      if (candidate.semantic_rank) {
+        score += vectorWeight / (rrfK + candidate.semantic_rank);
+      }
+      if (candidate.keyword_rank) {
+        score += keywordWeight / (rrfK + candidate.keyword_rank);
+      }
+      return { ...candidate, score };
+    })
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score || (a.semantic_rank ?? Infinity) - (b.semantic_rank ?? Infinity))
+    .slice(0, topK);
+}
+
+// Merge the results of several searches (one per rewritten query) by
+// reciprocal rank, so chunks found by more than one query rise to the top
+export function mergeResultLists(lists, topK, { rrfK } = FUSION_DEFAULTS) {
+  if (lists.length === 1) return lists[0].slice(0, topK);
+
+  const merged = new Map();
+  for (const list of lists) {
+    list.forEach((chunk, index) => {
+      const entry = merged.get(chunk.id) || { chunk, score: 0 };
+      entry.score += 1 / (rrfK + index + 1);
+      merged.set(chunk.id, entry);
     });
   }
-  
-  // 5. Merge and deduplicate results
-  const allResults = new Map();
-  
-  // Add semantic results
-  resultsWithSimilarity?.forEach((result) => {
-    allResults.set(result.id, {
-      ...result,
-      score: result.similarity
-    });
-  });
-  
-  // Add keyword results (boost score if already in semantic)
-  keywordResults.forEach((result) => {
-    if (allResults.has(result.id)) {
-      const existing = allResults.get(result.id);
-      existing.score = (existing.score || 0) + 0.3; // Boost hybrid matches
-    } else {
-      allResults.set(result.id, {
-        ...result,
-        score: 0.5 // Base score for keyword-only matches
-      });
+
+  return [...merged.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, topK)
+    .map(({ chunk, score }) => ({ ...chunk, score }));
+}
+
+// Widen the top hits with their neighbouring chunks. Overlapping or adjacent
+// windows in the same video become one contiguous passage that takes the place
+// of the best hit it contains; lower-ranked hits inside a passage are dropped.
+// Each passage keeps the original hit as `hit` so callers can fall back to it.
+export async function expandNeighbours(chunks, { window, hits } = NEIGHBOUR_DEFAULTS) {
+  if (!window || window <= 0 || chunks.length === 0) return chunks;
+
+  // Build merged index windows per video from the top hits
+  const windowsByVideo = new Map();
+  for (const chunk of chunks.slice(0, hits)) {
+    const windows = windowsByVideo.get(chunk.video_id) || [];
+    windows.push({ lo: Math.max(0, chunk.chunk_index - window), hi: chunk.chunk_index + window });
+    windowsByVideo.set(chunk.video_id, windows);
+  }
+
+  for (const [videoId, windows] of windowsByVideo) {
+    windows.sort((a, b) => a.lo - b.lo);
+    const merged = [];
+    for (const current of windows) {
+      const last = merged[merged.length - 1];
+      if (last && current.lo <= last.hi + 1) {
+        last.hi = Math.max(last.hi, current.hi);
+      } else {
+        merged.push({ ...current });
+      }
     }
-  });
-  
-  // 6. Sort by score and return top K
-  const sortedResults = Array.from(allResults.values())
-    .sort((a, b) => (b.score || 0) - (a.score || 0))
-    .slice(0, topK);
-  
-  // 7. Load text from storage if needed
-  const chunksWithText = await loadChunkTexts(videoId, sortedResults);
-  
-  return chunksWithText;
+
+    // Fetch every chunk the windows cover in one query per video
+    const indexes = merged.flatMap(({ lo, hi }) =>
+      Array.from({ length: hi - lo + 1 }, (_, i) => lo + i)
+    );
+    const { data: rows, error } = await db.transcriptChunks.find(
+      { video_id: videoId, chunk_index: { in: indexes } },
+      { columns: NEIGHBOUR_COLUMNS, order: { column: 'chunk_index', ascending: true } }
+    );
+
+    if (error) {
+      console.error('Error loading neighbour chunks:', error);
+      windowsByVideo.delete(videoId);
+      continue;
+    }
+
+    for (const range of merged) {
+      range.rows = rows.filter(row => row.chunk_index >= range.lo && row.chunk_index <= range.hi);
+    }
+    windowsByVideo.set(videoId, merged.filter(range => range.rows.length > 0));
+  }
+
+  // Walk the results in rank order, emitting each passage at its best hit
+  const emitted = new Set();
+  const passages = [];
+
+  for (const chunk of chunks) {
+    const range = (windowsByVideo.get(chunk.video_id) || []).find(r =>
+      chunk.chunk_index >= r.lo && chunk.chunk_index <= r.hi
+    );
+
+    if (!range) {
+      passages.push(chunk);
+      continue;
+    }
+    if (emitted.has(range)) continue;
+    emitted.add(range);
+
+    const first = range.rows[0];
+    const last = range.rows[range.rows.length - 1];
+    if (first === last) {
+      passages.push(chunk);
+      continue;
+    }
+
+    const { text, ...hit } = chunk;
+    passages.push({
+      ...hit,
+      first_chunk_index: first.chunk_index,
+      last_chunk_index: last.chunk_index,
+      chunk_ids: range.rows.map(row => row.id),
+      start_time: first.start_time,
+      end_time: last.end_time,
+      // Chunks are laid out back to back in the transcript file
+      storage_path: first.storage_path,
+      byte_offset: first.byte_offset,
+      byte_length: last.byte_offset + last.byte_length - first.byte_offset,
+      hit: chunk
+    });
+  }
+
+  console.log(`🧩 Expanded top ${Math.min(hits, chunks.length)} hits into ${emitted.size} passages (±${window} chunks)`);
+
+  return loadChunkTexts(passages);
 }
 
-// Load chunk texts from storage
-async function loadChunkTexts(videoId, chunks) {
-  // If chunks already have text, return as is
-  if (chunks.every(chunk => chunk.text)) {
-    return chunks;
+async function readTranscriptFile(path) {
+  const { data, error } = await db.storage.download('transcripts', path);
+  if (error || !data) {
+    console.error(`Failed to load transcript ${path}:`, error);
+    return null;
   }
-  
-  // Otherwise, load from storage
-  const chunkIds = chunks.map(c => c.id);
-  
-  const { data: chunksWithText, error } = await supabase
-    .from('transcript_chunks')
-    .select('id, text')
-    .in('id', chunkIds);
-  
-  if (error) {
-    console.error('Error loading chunk texts:', error);
-    return chunks;
+
+  // Offsets are in bytes, so slice the encoded file rather than the string
+  return Buffer.from(data, 'utf-8');
+}
+
+// Load chunk texts from the stored transcript files using each chunk's byte range
+async function loadChunkTexts(chunks) {
+  const paths = [...new Set(chunks.filter(c => !c.text && c.storage_path).map(c => c.storage_path))];
+  const files = new Map();
+
+  // Download each transcript once, however many chunks it contributes
+  for (const path of paths) {
+    files.set(path, await readTranscriptFile(path));
   }
-  
-  // Map texts back to chunks
-  const textMap = new Map(chunksWithText.map(c => [c.id, c.text]));
-  
-  return chunks.map(chunk => ({
-    ...chunk,
-    text: textMap.get(chunk.id) || chunk.text || ''
-  }));
+
+  return chunks.map(chunk => {
+    if (chunk.text) return chunk;
+
+    const file = files.get(chunk.storage_path);
+    const text = file
+      ? file.subarray(chunk.byte_offset, chunk.byte_offset + chunk.byte_length).toString('utf-8')
+      : chunk.text_preview || '';
+
+    return { ...chunk, text };
+  });
 }
 
 // Extract keywords from text
@@ -145,93 +229,80 @@ function extractKeywords(text) {
     'of', 'with', 'by', 'from', 'as', 'is', 'was', 'are', 'were', 'been',
     'what', 'when', 'where', 'who', 'why', 'how', 'which', 'that', 'this'
   ]);
-  
+
   const words = text.toLowerCase()
     .replace(/[^\w\s]/g, ' ')
     .split(/\s+/)
     .filter(word => word.length > 2 && !stopWords.has(word));
-  
+
   // Get unique keywords
   return [...new Set(words)];
 }
 
 // Search across multiple videos in a channel
-export async function hybridChannelSearch(channelId, query, topK = 10) {
+export async function hybridChannelSearch(channelId, query, topK = 10, options = {}) {
   console.log(`🔍 Searching across channel ${channelId} for: "${query}"`);
-  
-  // Get all videos in the channel
-  const { data: videos, error: videosError } = await supabase
-    .from('videos')
-    .select('id')
-    .eq('channel_id', channelId)
-    .eq('transcript_cached', true);
-  
-  if (videosError || !videos || videos.length === 0) {
-    console.error('No videos found for channel:', channelId);
-    return [];
-  }
-  
-  const videoIds = videos.map(v => v.id);
-  console.log(`📺 Searching across ${videoIds.length} videos`);
-  
+  return multiVideoSearch('channel', 'search_channel_chunks', { p_channel_id: channelId }, query, topK, options);
+}
+
+// Search across the videos of a playlist
+export async function hybridPlaylistSearch(playlistId, query, topK = 10, options = {}) {
+  console.log(`🔍 Searching across playlist ${playlistId} for: "${query}"`);
+  return multiVideoSearch('playlist', 'search_playlist_chunks', { p_playlist_id: playlistId }, query, topK, options);
+}
+
+// Search across the union of a collection's videos, channels and playlists
+export async function hybridCollectionSearch(collectionId, query, topK = 10, options = {}) {
+  console.log(`🔍 Searching across collection ${collectionId} for: "${query}"`);
+  return multiVideoSearch('collection', 'search_collection_chunks', { p_collection_id: collectionId }, query, topK, options);
+}
+
+// Searches spanning several videos; `rpc` returns each chunk with its video's
+// title and YouTube id, and optionally its channel's title
+async function multiVideoSearch(scope, rpc, scopeParams, query, topK, options) {
+  const fusion = { ...FUSION_DEFAULTS, ...options };
+
   // Generate query embedding once
-  const embeddingResponse = await openai.embeddings.create({
-    model: "text-embedding-ada-002",
-    input: query,
-  });
-  const queryEmbedding = embeddingResponse.data[0].embedding;
-  
+  const queryEmbedding = await llm.embed(query);
+
   // Extract keywords
   const queryKeywords = extractKeywords(query);
-  
-  // Get all chunks from all videos
-  const { data: allChunks, error: chunksError } = await supabase
-    .from('transcript_chunks')
-    .select(`
-      *,
-      videos (
-        title,
-        youtube_id
-      )
-    `)
-    .in('video_id', videoIds);
-  
-  if (chunksError) {
-    console.error('Error fetching chunks:', chunksError);
-    throw new Error('Failed to search channel');
+
+  // Vector and full-text rankings across the videos, computed in Postgres
+  const { data: candidates, error } = await db.rpc(rpc, {
+    query_embedding: queryEmbedding,
+    ...scopeParams,
+    match_threshold: MATCH_THRESHOLD,
+    match_count: topK * fusion.candidateMultiplier,
+    p_keywords: queryKeywords
+  });
+
+  if (error) {
+    console.error(`Error searching ${scope} chunks:`, error);
+    throw new Error(`Failed to search ${scope}`);
   }
-  
-  // Calculate similarity for all chunks
-  const resultsWithSimilarity = allChunks?.map(chunk => {
-    let similarity = 0;
-    if (chunk.embedding && Array.isArray(chunk.embedding)) {
-      const dotProduct = chunk.embedding.reduce((sum, val, idx) => 
-        sum + (val * queryEmbedding[idx]), 0
-      );
-      const chunkMagnitude = Math.sqrt(chunk.embedding.reduce((sum, val) => 
-        sum + (val * val), 0
-      ));
-      const queryMagnitude = Math.sqrt(queryEmbedding.reduce((sum, val) => 
-        sum + (val * val), 0
-      ));
-      similarity = dotProduct / (chunkMagnitude * queryMagnitude);
+
+  // Keep the `videos` shape callers used to get from the embedded select
+  const topResults = fuseCandidates(candidates || [], topK, fusion).map(chunk => ({
+    ...chunk,
+    videos: {
+      title: chunk.video_title,
+      youtube_id: chunk.youtube_id,
+      ...(chunk.channel_title && { channel_title: chunk.channel_title })
     }
-    return { ...chunk, similarity };
-  }) || [];
-  
-  // Sort by similarity and get top results
-  const topResults = resultsWithSimilarity
-    .sort((a, b) => b.similarity - a.similarity)
-    .slice(0, topK);
-  
+  }));
+
   // Load texts for top results
-  const chunksWithText = await loadChunkTexts(null, topResults);
-  
-  return chunksWithText;
+  return loadChunkTexts(topResults);
 }
 
 export const ragSearch = {
   hybridChunkSearch,
   hybridChannelSearch,
+  hybridPlaylistSearch,
+  hybridCollectionSearch,
+  fuseCandidates,
+  mergeResultLists,
+  expandNeighbours,
   extractKeywords
-};
\ No newline at end of file
+};
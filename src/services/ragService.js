@@ -1,9 +1,5 @@
-import { supabase } from '../server.js';
-import OpenAI from 'openai';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+import { db } from '../db/index.js';
+import { llm } from '../llm/index.js';
 
 class RAGService {
   constructor() {
@@ -17,12 +13,7 @@ class RAGService {
     }
 
     try {
-      const response = await openai.embeddings.create({
-        model: "text-embedding-ada-002",
-        input: text,
-      });
-      
-      const embedding = response.data[0].embedding;
+      const embedding = await llm.embed(text);
       
       // Cache the embedding
       this.embeddingCache.set(text, embedding);
@@ -75,18 +66,17 @@ class RAGService {
       }
 
       // Get video info
-      const { data: video } = await supabase
-        .from('videos')
-        .select('id')
-        .eq('youtube_id', videoId)
-        .single();
+      const { data: video } = await db.videos.findOne(
+        { youtube_id: videoId },
+        { columns: 'id' }
+      );
 
       if (!video) {
         return [];
       }
 
       // Perform similarity search
-      const { data: chunks, error } = await supabase.rpc(
+      const { data: chunks, error } = await db.rpc(
         'search_transcript_chunks',
         {
           query_embedding: queryEmbedding,
@@ -139,7 +129,7 @@ class RAGService {
       }
 
       // Perform similarity search across all channel videos
-      const { data: chunks, error } = await supabase.rpc(
+      const { data: chunks, error } = await db.rpc(
         'search_channel_chunks',
         {
           query_embedding: queryEmbedding,
@@ -224,17 +214,14 @@ class RAGService {
       for (const [path, pathChunks] of chunksByPath) {
         try {
           // Download the transcript file
-          const { data, error } = await supabase.storage
-            .from('transcripts')
-            .download(path);
+          const { data: text, error } = await db.storage.download('transcripts', path);
           
-          if (error || !data) {
+          if (error || !text) {
             console.error(`Failed to retrieve ${path}:`, error);
             continue;
           }
 
           // Parse the transcript
-          const text = await data.text();
           const transcript = JSON.parse(text);
           
           // Match chunks with their full text
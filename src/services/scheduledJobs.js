@@ -0,0 +1,80 @@
+import { scheduler } from './scheduler.js';
+import { jobQueue } from './jobQueue.js';
+import { channelSync } from './channelSync.js';
+import { queueService } from './queueService.js';
+import { lockService } from './lockService.js';
+import { cacheService } from './cacheService.js';
+import { errorTracker } from './errorTracker.js';
+import { rateLimiter } from '../middleware/rateLimit.js';
+
+const MINUTE = 60 * 1000;
+
+// Every periodic task, run by the scheduler role. Whatever run() returns is
+// stored as the run's metadata in cron_logs. run(signal) gets a signal that
+// is aborted at the timeout; jobs doing more than one step stop on it, the
+// others are single statements that finish on their own.
+export function registerScheduledJobs() {
+  scheduler.register({
+    name: 'job_queue_status',
+    description: 'Log queued, running and dead job counts',
+    schedule: '* * * * *',
+    timeoutMs: 30 * 1000,
+    run: () => jobQueue.stats()
+  });
+
+  scheduler.register({
+    name: 'channel_sync',
+    description: 'Queue a sync for indexed channels whose sync interval has passed',
+    schedule: '*/15 * * * *',
+    timeoutMs: 5 * MINUTE,
+    run: signal => channelSync.enqueueDueChannels({ signal })
+  });
+
+  scheduler.register({
+    name: 'lock_cleanup',
+    description: 'Delete expired processing locks',
+    schedule: '* * * * *',
+    timeoutMs: 30 * 1000,
+    run: () => lockService.cleanupExpiredLocks()
+  });
+
+  scheduler.register({
+    name: 'cache_cleanup',
+    description: 'Delete expired cache entries',
+    schedule: '*/5 * * * *',
+    timeoutMs: MINUTE,
+    run: () => cacheService.cleanupExpired()
+  });
+
+  scheduler.register({
+    name: 'rate_limit_cleanup',
+    description: 'Delete rate-limit buckets that have fully drained',
+    schedule: '0 * * * *',
+    timeoutMs: 5 * MINUTE,
+    run: () => rateLimiter.cleanupOldRecords()
+  });
+
+  scheduler.register({
+    name: 'queue_cleanup',
+    description: 'Delete finished queue items and jobs',
+    schedule: '0 3 * * *',
+    timeoutMs: 10 * MINUTE,
+    run: signal => queueService.cleanupOldQueue({ signal })
+  });
+
+  scheduler.register({
+    name: 'error_log_cleanup',
+    description: 'Delete error logs older than 30 days',
+    schedule: '30 3 * * *',
+    timeoutMs: 10 * MINUTE,
+    run: () => errorTracker.cleanupOldErrors()
+  });
+
+  scheduler.register({
+    name: 'cron_log_cleanup',
+    description: 'Delete scheduler run history older than 30 days',
+    schedule: '45 3 * * *',
+    timeoutMs: 10 * MINUTE,
+    run: () => scheduler.cleanupOldRuns()
+  });
+}
@@ -0,0 +1,326 @@
+import cron from 'node-cron';
+import { db } from '../db/index.js';
+import { lockService } from './lockService.js';
+import { errorTracker } from './errorTracker.js';
+
+// Only the instance holding this lock fires schedules; it renews the lock
+// every third of the TTL, and another instance takes over once it lapses
+const LEADER_LOCK = 'scheduler:leader';
+const LEADER_TTL_SECONDS = parseInt(process.env.SCHEDULER_LEADER_TTL_SECONDS || '60', 10);
+
+const DEFAULT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// How often the leader looks for runs requested through trigger()
+const TRIGGER_POLL_MS = parseInt(process.env.SCHEDULER_TRIGGER_POLL_MS || '5000', 10);
+
+// skip: a run is skipped while the previous one (on any instance) is still going
+// allow: runs may overlap
+export const CONCURRENCY_POLICIES = ['skip', 'allow'];
+
+function jobLock(name) {
+  return `scheduler:job:${name}`;
+}
+
+class Scheduler {
+  constructor() {
+    this.instanceId = lockService.instanceId;
+    this.jobs = new Map();
+    this.tasks = [];
+    this.inFlight = new Set();
+
+    this.leader = null; // lock handle while this instance leads
+    this.leaderTimer = null;
+    this.triggerTimer = null;
+  }
+
+  // job: { name, schedule (cron expression), run(signal), timeoutMs?, concurrency?, description? }
+  register(job) {
+    if (!cron.validate(job.schedule)) {
+      throw new Error(`Invalid cron expression for ${job.name}: ${job.schedule}`);
+    }
+    if (job.concurrency && !CONCURRENCY_POLICIES.includes(job.concurrency)) {
+      throw new Error(`Unknown concurrency policy for ${job.name}: ${job.concurrency}`);
+    }
+
+    this.jobs.set(job.name, { timeoutMs: DEFAULT_TIMEOUT_MS, concurrency: 'skip', ...job });
+  }
+
+  // ===== Leader =====
+
+  start() {
+    if (this.leaderTimer) return;
+
+    this.leaderTimer = setInterval(() => this.elect(), (LEADER_TTL_SECONDS * 1000) / 3);
+    this.triggerTimer = setInterval(() => this.runTriggered(), TRIGGER_POLL_MS);
+    this.elect();
+
+    this.tasks = [...this.jobs.values()].map(job =>
+      cron.schedule(job.schedule, () => this.fire(job))
+    );
+
+    console.log(`⏰ Scheduler ${this.instanceId} started (${[...this.jobs.keys()].join(', ')})`);
+  }
+
+  // Stop firing schedules, wait for runs in progress and step down
+  async stop() {
+    clearInterval(this.leaderTimer);
+    clearInterval(this.triggerTimer);
+    this.leaderTimer = null;
+    this.triggerTimer = null;
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
+
+    await Promise.allSettled([...this.inFlight]);
+
+    if (this.leader) {
+      const lock = this.leader;
+      this.leader = null;
+      await lockService.release(lock);
+    }
+  }
+
+  async elect() {
+    try {
+      if (this.leader) {
+        if (!(await lockService.renew(this.leader))) {
+          this.leader = null;
+          console.warn(`⚠️ Scheduler ${this.instanceId} lost leadership`);
+        }
+        return;
+      }
+
+      this.leader = await lockService.acquire(LEADER_LOCK, LEADER_TTL_SECONDS, { job: 'scheduler' });
+      if (this.leader) console.log(`👑 Scheduler ${this.instanceId} is the leader`);
+    } catch (error) {
+      console.error('Scheduler election error:', error);
+    }
+  }
+
+  async fire(job) {
+    if (!this.leader) return;
+
+    try {
+      if (await this.isPaused(job.name)) return;
+      await this.launch(job, 'schedule');
+    } catch (error) {
+      console.error(`Failed to start scheduled job ${job.name}:`, error);
+    }
+  }
+
+  // Start the runs admins asked for through trigger(). Clearing a request
+  // claims it, so with two leaders for a moment only one of them runs it.
+  async runTriggered() {
+    if (!this.leader) return;
+
+    try {
+      const { data: requests, error } = await db.scheduledJobs.find(
+        { trigger_requested_at: { lte: new Date().toISOString() } },
+        { columns: 'name, trigger_requested_at, trigger_requested_by' }
+      );
+      if (error) throw error;
+
+      for (const request of requests) {
+        const { data: claimed } = await db.scheduledJobs.update(
+          { name: request.name, trigger_requested_at: request.trigger_requested_at },
+          { trigger_requested_at: null, trigger_requested_by: null }
+        );
+        const job = this.jobs.get(request.name);
+        if (!job || !claimed?.length) continue;
+
+        console.log(`▶️ Running ${job.name}, triggered by ${request.trigger_requested_by || 'an admin'}`);
+        await this.launch(job, 'manual');
+      }
+    } catch (error) {
+      console.error('Failed to start triggered jobs:', error);
+    }
+  }
+
+  // ===== Runs =====
+
+  // Record a run in cron_logs and start it. Resolves once the run has started
+  // with the log row; the run itself carries on in the background.
+  async launch(job, trigger) {
+    let lock = null;
+    if (job.concurrency === 'skip') {
+      lock = await lockService.acquire(jobLock(job.name), undefined, { job: `scheduler:${job.name}` });
+      if (!lock) {
+        console.log(`⏭️ Skipping ${job.name}: previous run still in progress`);
+        return { error: { status: 409, message: `${job.name} is already running` } };
+      }
+    }
+
+    const startedAt = new Date();
+    const { data: run, error } = await db.cronLogs.insert({
+      job_name: job.name,
+      status: 'started',
+      started_at: startedAt.toISOString(),
+      trigger,
+      instance: this.instanceId
+    });
+    if (error) console.error('Failed to log cron start:', error);
+
+    const stopRenewing = lock ? lockService.keepAlive(lock) : null;
+    const execution = this.execute(job, run, startedAt).finally(() => {
+      this.inFlight.delete(execution);
+      if (lock) {
+        stopRenewing();
+        lockService.release(lock).catch(err => {
+          console.error(`Failed to release ${job.name} lock:`, err);
+        });
+      }
+    });
+    this.inFlight.add(execution);
+
+    return { data: run || null, error: null };
+  }
+
+  // Resolves once job.run has settled, not at the timeout: a timed-out run is
+  // aborted through its signal and launch() keeps the skip lock until it stops
+  async execute(job, run, startedAt) {
+    const controller = new AbortController();
+    const running = Promise.resolve().then(() => job.run(controller.signal));
+    const settled = running.then(() => {}, () => {});
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`Timed out after ${job.timeoutMs}ms`);
+        controller.abort(error);
+        reject(error);
+      }, job.timeoutMs);
+    });
+
+    let patch;
+    try {
+      const result = await Promise.race([running, timeout]);
+      patch = { status: 'completed', metadata: result ?? null };
+    } catch (error) {
+      console.error(`Cron error (${job.name}):`, error);
+      errorTracker.track(error, { type: 'cron', job: job.name });
+      patch = { status: 'failed', error_message: error.message || String(error) };
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (run) {
+      const completedAt = new Date();
+      try {
+        await db.cronLogs.update({ id: run.id }, {
+          ...patch,
+          completed_at: completedAt.toISOString(),
+          duration_ms: completedAt - startedAt
+        });
+      } catch (error) {
+        console.error('Failed to log cron completion:', error);
+      }
+    }
+
+    if (controller.signal.aborted) {
+      await settled;
+      console.log(`⏹️ Timed-out run of ${job.name} has stopped`);
+    }
+  }
+
+  // Ask the leader to run a job now, paused or not. The run happens on the
+  // scheduler role like a scheduled one, within a few seconds; requests made
+  // before the leader gets to them make a single run.
+  async trigger(name, requestedBy = null) {
+    const job = this.jobs.get(name);
+    if (!job) return { error: { status: 404, message: `Unknown job: ${name}` } };
+
+    if (job.concurrency === 'skip' && await lockService.isLocked(jobLock(name))) {
+      return { error: { status: 409, message: `${name} is already running` } };
+    }
+
+    const now = new Date().toISOString();
+    const { error } = await db.scheduledJobs.upsert({
+      name,
+      trigger_requested_at: now,
+      trigger_requested_by: requestedBy,
+      updated_at: now
+    }, { onConflict: 'name' });
+    if (error) return { data: null, error };
+
+    return { data: { name, requestedAt: now, requestedBy }, error: null };
+  }
+
+  // ===== State =====
+
+  async isPaused(name) {
+    const { data } = await db.scheduledJobs.findOne({ name });
+    return Boolean(data?.paused);
+  }
+
+  async setPaused(name, paused, pausedBy = null) {
+    if (!this.jobs.has(name)) return { error: { status: 404, message: `Unknown job: ${name}` } };
+
+    const now = new Date().toISOString();
+    const { data, error } = await db.scheduledJobs.upsert({
+      name,
+      paused,
+      paused_by: paused ? pausedBy : null,
+      paused_at: paused ? now : null,
+      updated_at: now
+    }, { onConflict: 'name' });
+
+    return { data, error };
+  }
+
+  pause(name, pausedBy) {
+    return this.setPaused(name, true, pausedBy);
+  }
+
+  resume(name) {
+    return this.setPaused(name, false);
+  }
+
+  // Registered jobs with their pause state, whether a run is in progress and the last run
+  async list() {
+    const { data: states, error } = await db.scheduledJobs.find({});
+    if (error) return { data: null, error };
+
+    const pausedJobs = new Map(states.map(state => [state.name, state]));
+
+    const data = await Promise.all([...this.jobs.values()].map(async job => {
+      const state = pausedJobs.get(job.name);
+      const [{ data: lastRun }, running] = await Promise.all([
+        db.cronLogs.findOne(
+          { job_name: job.name },
+          { order: { column: 'started_at', ascending: false } }
+        ),
+        job.concurrency === 'skip' ? lockService.isLocked(jobLock(job.name)) : null
+      ]);
+
+      return {
+        name: job.name,
+        description: job.description || null,
+        schedule: job.schedule,
+        timeoutMs: job.timeoutMs,
+        concurrency: job.concurrency,
+        paused: Boolean(state?.paused),
+        pausedBy: state?.paused_by || null,
+        pausedAt: state?.paused_at || null,
+        running,
+        lastRun: lastRun || null
+      };
+    }));
+
+    return { data, error: null };
+  }
+
+  async cleanupOldRuns(daysToKeep = 30) {
+    const cutoff = new Date(Date.now() - daysToKeep * 24 * 60 * 60 * 1000);
+    const { error } = await db.cronLogs.delete({ started_at: { lt: cutoff.toISOString() } });
+    if (error) throw error;
+  }
+
+  async runs(name, limit = 20) {
+    if (!this.jobs.has(name)) return { error: { status: 404, message: `Unknown job: ${name}` } };
+
+    return db.cronLogs.find(
+      { job_name: name },
+      { order: { column: 'started_at', ascending: false }, limit }
+    );
+  }
+}
+
+export const scheduler = new Scheduler();
@@ -1,33 +1,40 @@
-import { supabase } from '../server.js';
-import YoutubeTranscriptApi from 'youtube-transcript-api';
-import OpenAI from 'openai';
-import { lockService } from './lockService.js';
-
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+import { db } from '../db/index.js';
+import { llm } from '../llm/index.js';
+import { transcripts } from '../transcripts/index.js';
+import { lockService, LockLostError } from './lockService.js';
+import { PermanentJobError } from './jobQueue.js';
 
 class VideoProcessor {
   constructor() {
     this.processingVideos = new Set();
   }
 
-  async processVideo(videoId) {
-    // Try to acquire distributed lock
-    const lockId = await lockService.acquire(`video-${videoId}`, 600); // 10 minute lock
-    if (!lockId) {
+  // Resolves false on failure, or rejects with { rethrow: true } so the job queue can retry.
+  // language: transcript language to try before TRANSCRIPT_LANGUAGES
+  // signal: aborting it stops processing between steps and rejects, even without rethrow
+  async processVideo(videoId, { rethrow = false, language = null, signal } = {}) {
+    // Distributed lock, renewed for as long as processing takes
+    const { acquired, result } = await lockService.withLock(
+      `video-${videoId}`,
+      ({ assertHeld }) => this.processLocked(videoId, assertHeld, { rethrow, language, signal }),
+      { job: `video.process:${videoId}` }
+    );
+
+    if (!acquired) {
       console.log(`⏭️ Video ${videoId} is already being processed`);
+      if (rethrow) throw new Error(`Video ${videoId} is already being processed`);
       return false;
     }
+    return result;
+  }
 
+  async processLocked(videoId, assertHeld, { rethrow, language, signal }) {
     try {
       console.log(`📥 Processing video: ${videoId}`);
 
       // Get transcript
-      const transcript = await this.downloadTranscript(videoId);
-      if (!transcript || transcript.length === 0) {
-        throw new Error('No transcript available');
-      }
+      const { segments: transcript, language: transcriptLanguage, source } = await this.downloadTranscript(videoId, language);
+      signal?.throwIfAborted();
 
       // Store transcript in Supabase storage
       console.log(`🔄 Step 1/4: Storing transcript...`);
@@ -38,105 +45,67 @@ class VideoProcessor {
       const chunks = this.createChunks(transcript);
       
       console.log(`🔄 Step 3/4: Generating embeddings...`);
-      const chunksWithEmbeddings = await this.generateEmbeddings(chunks);
+      const chunksWithEmbeddings = await this.generateEmbeddings(chunks, signal);
 
-      // Store chunks in database
+      // Store chunks in database, unless another worker has taken the video over
       console.log(`🔄 Step 4/4: Storing chunks in database...`);
+      await assertHeld();
       await this.storeChunks(videoId, chunksWithEmbeddings, transcriptPath);
 
       // Update video record
-      await supabase
-        .from('videos')
-        .update({
-          transcript_cached: true,
-          chunks_processed: true,
-          transcript_storage_path: transcriptPath
-        })
-        .eq('youtube_id', videoId);
+      await db.videos.update({ youtube_id: videoId }, {
+        transcript_cached: true,
+        chunks_processed: true,
+        transcript_storage_path: transcriptPath,
+        transcript_language: transcriptLanguage,
+        transcript_source: source,
+        processing_error: null
+      });
 
       console.log(`✅ Video processed successfully: ${videoId}`);
       return true;
 
     } catch (error) {
+      // Stopped rather than failed: leave the row for the next attempt
+      if (signal?.aborted) throw error;
+
       console.error(`❌ Error processing video ${videoId}:`, error);
       
-      // Update video with error
-      await supabase
-        .from('videos')
-        .update({
+      // Update video with error; after a lost lock the new holder owns the row
+      if (!(error instanceof LockLostError)) {
+        await db.videos.update({ youtube_id: videoId }, {
           transcript_cached: false,
           processing_error: error.message
-        })
-        .eq('youtube_id', videoId);
+        });
+      }
 
+      if (rethrow) throw error;
       return false;
-    } finally {
-      // Release the lock
-      await lockService.release(`video-${videoId}`);
     }
   }
 
-  async processVideoTranscript(videoId) {
-    return this.processVideo(videoId);
-  }
-
-  async downloadWithRetry(videoId, retries = 3, delay = 5000) {
-    for (let i = 0; i < retries; i++) {
-      try {
-        return await YoutubeTranscriptApi.getTranscript(videoId);
-      } catch (error) {
-        if ((error.status === 429 || error.message?.includes('429')) && i < retries - 1) {
-          console.log(`⏳ Rate limited, waiting ${delay}ms before retry ${i + 1}/${retries}...`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          delay *= 2; // Exponential backoff
-        } else {
-          throw error;
-        }
-      }
-    }
+  async processVideoTranscript(videoId, options) {
+    return this.processVideo(videoId, options);
   }
 
-  async downloadTranscript(videoId) {
+  // Transcript segments from the first source in the chain that has the
+  // video in a preferred language (see src/transcripts/)
+  async downloadTranscript(videoId, language = null) {
     try {
-      console.log(`📥 Downloading transcript for: ${videoId}`);
-      
-      // Get the transcript with retry logic for rate limits
-      const transcript = await this.downloadWithRetry(videoId);
-      console.log('✅ Raw transcript received:', transcript ? `${transcript.length} segments` : 'null/undefined');
-      
-      if (!transcript || transcript.length === 0) {
-        throw new Error('Unable to analyze this video. The video may not have captions enabled or may be private.');
-      }
-      
-      // Convert to our format (matching frontend structure)
-      const segments = transcript.map(segment => {
-        const startTime = typeof segment.start === 'string' ? parseFloat(segment.start) : segment.start;
-        const duration = typeof segment.duration === 'string' ? parseFloat(segment.duration) : segment.duration;
-        
-        return {
-          start: Math.floor(startTime),
-          end: Math.floor(startTime + duration),
-          text: segment.text.trim()
-        };
-      });
-      
-      console.log(`✅ Converted ${segments.length} transcript segments`);
-      return segments;
-      
+      console.log(`📥 Downloading transcript for: ${videoId}${language ? ` (${language})` : ''}`);
+      return await transcripts.fetch(videoId, { language });
     } catch (error) {
-      console.error('Transcript download error:', error);
-      
-      // Provide more specific error messages
-      if (error.message?.includes('Could not get transcript')) {
-        throw new Error('This video cannot be analyzed. Only videos with captions enabled can be processed.');
-      } else if (error.message?.includes('Video unavailable')) {
-        throw new Error('This video is unavailable. It may be private, deleted, or restricted in your region.');
+      console.error('Transcript download error:', error.message);
+
+      // Missing captions and unavailable videos won't fix themselves, so they aren't retried
+      if (error instanceof PermanentJobError) {
+        throw error;
       } else if (error.message?.includes('fetch failed') || error.message?.includes('ENOTFOUND')) {
         throw new Error('Network error while downloading transcript. Please check your internet connection.');
       } else if (error.message?.includes('Too Many Requests') || error.status === 429 || error.code === 'ERR_BAD_REQUEST') {
         throw new Error('YouTube is temporarily blocking requests due to rate limiting. Please wait a few minutes and try again.');
       }
-      
+
       throw error;
     }
   }
@@ -217,7 +186,7 @@ class VideoProcessor {
     return Array.from(wordSet).slice(0, 10);
   }
 
-  async generateEmbeddings(chunks) {
+  async generateEmbeddings(chunks, signal) {
     console.log(`🧠 Generating embeddings for ${chunks.length} chunks...`);
     const chunksWithEmbeddings = [];
     
@@ -225,19 +194,15 @@ class VideoProcessor {
     const batchSize = 10;
     
     for (let i = 0; i < chunks.length; i += batchSize) {
+      signal?.throwIfAborted();
       const batch = chunks.slice(i, i + batchSize);
       
       const embeddings = await Promise.all(
         batch.map(async (chunk) => {
           try {
-            const response = await openai.embeddings.create({
-              model: "text-embedding-ada-002",
-              input: chunk.text,
-            });
-            
             return {
               ...chunk,
-              embedding: response.data[0].embedding
+              embedding: await llm.embed(chunk.text)
             };
           } catch (error) {
             console.error('Error generating embedding:', error);
@@ -278,12 +243,10 @@ class VideoProcessor {
     const path = `${videoId}/transcript.txt`;
     
     console.log(`📤 Uploading transcript file: ${path} (${content.length} bytes)`);
-    const { data, error } = await supabase.storage
-      .from('transcripts')
-      .upload(path, content, {
-        contentType: 'text/plain',
-        upsert: true
-      });
+    const { error } = await db.storage.upload('transcripts', path, content, {
+      contentType: 'text/plain',
+      upsert: true
+    });
     
     if (error) {
       console.error(`❌ Storage upload error:`, error);
@@ -291,7 +254,7 @@ class VideoProcessor {
       // If bucket doesn't exist, try to create it (matching frontend)
       if (error.message?.includes('Bucket not found')) {
         console.log('Creating transcripts bucket...');
-        const { error: createError } = await supabase.storage.createBucket('transcripts', {
+        const { error: createError } = await db.storage.createBucket('transcripts', {
           public: false,
           fileSizeLimit: 10485760, // 10MB
           allowedMimeTypes: ['text/plain']
@@ -299,12 +262,10 @@ class VideoProcessor {
         
         if (!createError) {
           // Retry upload after creating bucket
-          const { error: retryError } = await supabase.storage
-            .from('transcripts')
-            .upload(path, content, {
-              contentType: 'text/plain',
-              upsert: true
-            });
+          const { error: retryError } = await db.storage.upload('transcripts', path, content, {
+            contentType: 'text/plain',
+            upsert: true
+          });
           
           if (!retryError) {
             console.log(`✅ Transcript stored successfully at: ${path}`);
@@ -321,23 +282,19 @@ class VideoProcessor {
   }
 
   async storeChunks(videoId, chunks, transcriptPath) {
-    // Delete existing chunks
-    await supabase
-      .from('transcript_chunks')
-      .delete()
-      .eq('video_id', videoId);
-    
     // Get video record
-    const { data: video } = await supabase
-      .from('videos')
-      .select('id')
-      .eq('youtube_id', videoId)
-      .single();
+    const { data: video } = await db.videos.findOne(
+      { youtube_id: videoId },
+      { columns: 'id' }
+    );
     
     if (!video) {
       throw new Error('Video not found');
     }
     
+    // Delete existing chunks
+    await db.transcriptChunks.delete({ video_id: video.id });
+    
     // Insert new chunks (matching frontend schema)
     console.log(`💾 Preparing ${chunks.length} chunks for database storage...`);
     const chunkRecords = chunks.map(chunk => ({
@@ -349,13 +306,12 @@ class VideoProcessor {
       byte_offset: chunk.byte_offset || 0,  // Add byte_offset field
       byte_length: chunk.byte_length || chunk.text.length,  // Add byte_length field
       keywords: chunk.keywords,
+      search_text: chunk.text,  // Indexed for full-text search
       embedding: chunk.embedding
     }));
     
     console.log(`📝 Inserting ${chunkRecords.length} chunk records into database...`);
-    const { error } = await supabase
-      .from('transcript_chunks')
-      .insert(chunkRecords);
+    const { error } = await db.transcriptChunks.insert(chunkRecords, { returning: false });
     
     if (error) {
       console.error(`❌ Database insertion error:`, error);
@@ -365,95 +321,6 @@ class VideoProcessor {
     
     console.log(`✅ Successfully stored ${chunkRecords.length} chunks in database`);
   }
-
-  async checkNewVideos() {
-    try {
-      // Get channels to check
-      const { data: channels, error } = await supabase
-        .from('channels')
-        .select('id, youtube_channel_id, title, last_indexed_at')
-        .eq('status', 'completed')
-        .order('last_indexed_at', { ascending: true })
-        .limit(10);
-
-      if (error || !channels || channels.length === 0) {
-        return;
-      }
-
-      console.log(`🔍 Checking ${channels.length} channels for new videos`);
-
-      for (const channel of channels) {
-        try {
-          // Get latest video date
-          const { data: latestVideo } = await supabase
-            .from('videos')
-            .select('published_at')
-            .eq('channel_id', channel.id)
-            .order('published_at', { ascending: false })
-            .limit(1)
-            .single();
-
-          const sinceDate = latestVideo?.published_at || channel.last_indexed_at;
-
-          // Fetch new videos from YouTube
-          const url = new URL('https://www.googleapis.com/youtube/v3/search');
-          url.searchParams.append('part', 'snippet');
-          url.searchParams.append('channelId', channel.youtube_channel_id);
-          url.searchParams.append('type', 'video');
-          url.searchParams.append('order', 'date');
-          url.searchParams.append('maxResults', '10');
-          url.searchParams.append('publishedAfter', new Date(sinceDate).toISOString());
-          url.searchParams.append('key', process.env.YOUTUBE_API_KEY);
-
-          const response = await fetch(url);
-          
-          if (!response.ok) {
-            console.error(`YouTube API error for channel ${channel.title}`);
-            continue;
-          }
-
-          const data = await response.json();
-          const newVideos = data.items || [];
-
-          if (newVideos.length > 0) {
-            console.log(`📺 Found ${newVideos.length} new videos for ${channel.title}`);
-            
-            // Process each new video
-            for (const video of newVideos) {
-              // Create video record
-              await supabase
-                .from('videos')
-                .upsert({
-                  youtube_id: video.id.videoId,
-                  title: video.snippet.title,
-                  description: video.snippet.description || '',
-                  thumbnail_url: video.snippet.thumbnails?.medium?.url || '',
-                  channel_id: channel.id,
-                  transcript_cached: false,
-                  duration: 0 // Will be updated when transcript is processed
-                }, {
-                  onConflict: 'youtube_id'
-                });
-
-              // Process transcript
-              await this.processVideo(video.id.videoId);
-            }
-          }
-
-          // Update last indexed time
-          await supabase
-            .from('channels')
-            .update({ last_indexed_at: new Date().toISOString() })
-            .eq('id', channel.id);
-
-        } catch (error) {
-          console.error(`Error checking channel ${channel.title}:`, error);
-        }
-      }
-    } catch (error) {
-      console.error('Error in checkNewVideos:', error);
-    }
-  }
 }
 
 export const videoProcessor = new VideoProcessor();
\ No newline at end of file
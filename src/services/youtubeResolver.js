@@ -0,0 +1,186 @@
+import { cacheService } from './cacheService.js';
+import { youtube } from '../youtube/index.js';
+
+// Hosts that serve YouTube pages; anything else is not a YouTube URL
+const YOUTUBE_HOSTS = new Set([
+  'youtube.com', 'www.youtube.com', 'm.youtube.com', 'music.youtube.com',
+  'youtube-nocookie.com', 'www.youtube-nocookie.com', 'youtu.be'
+]);
+
+const VIDEO_ID = /^[A-Za-z0-9_-]{11}$/;
+const CHANNEL_ID = /^UC[A-Za-z0-9_-]{22}$/;
+const HANDLE = /^@?([A-Za-z0-9._-]{3,30})$/;
+
+// PL (user), UU (uploads), FL/LL (likes), OLAK (albums). Mixes (RD...) and
+// Watch Later are generated per viewer and can't be read by the API.
+const PLAYLIST_ID = /^(PL|UU|FL|LL|OL)[A-Za-z0-9_-]{10,}$/;
+
+// Path prefixes whose next segment is a video ID
+const VIDEO_PATHS = ['shorts', 'live', 'embed', 'v', 'e'];
+
+// Resolved channels change rarely; handles can be reassigned, so not forever
+const CHANNEL_CACHE_TTL = 24 * 60 * 60 * 1000;
+
+class YouTubeResolver {
+  // Classify a URL or bare identifier without calling YouTube:
+  //   { type: 'video', videoId, playlistId? }   watch, youtu.be, shorts, live, embed
+  //   { type: 'playlist', playlistId }
+  //   { type: 'channel', channelId } | { type: 'channel', handle } |
+  //   { type: 'channel', username } | { type: 'channel', customName }
+  // Bare words that could be a handle only count as one with the leading @.
+  // Returns null for anything else.
+  classify(input) {
+    const value = String(input ?? '').trim();
+    if (!value) return null;
+
+    if (VIDEO_ID.test(value)) return { type: 'video', videoId: value };
+    if (CHANNEL_ID.test(value)) return { type: 'channel', channelId: value };
+    if (PLAYLIST_ID.test(value)) return { type: 'playlist', playlistId: value };
+    if (value.startsWith('@') && HANDLE.test(value)) return { type: 'channel', handle: value.slice(1) };
+
+    const url = this.parseUrl(value);
+    return url ? this.classifyUrl(url) : null;
+  }
+
+  parseUrl(value) {
+    try {
+      const url = new URL(/^[a-z]+:\/\//i.test(value) ? value : `https://${value}`);
+      return YOUTUBE_HOSTS.has(url.hostname.toLowerCase()) ? url : null;
+    } catch {
+      return null;
+    }
+  }
+
+  classifyUrl(url) {
+    // A malformed escape (youtube.com/%E0%A4%A) makes the URL unusable
+    let segments;
+    try {
+      segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    } catch {
+      return null;
+    }
+    const list = url.searchParams.get('list');
+    const playlistId = list && PLAYLIST_ID.test(list) ? list : null;
+    const video = videoId => ({ type: 'video', videoId, ...(playlistId && { playlistId }) });
+
+    if (url.hostname.toLowerCase() === 'youtu.be') {
+      return VIDEO_ID.test(segments[0] || '') ? video(segments[0]) : null;
+    }
+
+    const [first = '', second = ''] = segments;
+
+    if (first === 'watch') {
+      const videoId = url.searchParams.get('v');
+      if (videoId && VIDEO_ID.test(videoId)) return video(videoId);
+      return playlistId ? { type: 'playlist', playlistId } : null;
+    }
+    if (VIDEO_PATHS.includes(first)) {
+      return VIDEO_ID.test(second) ? video(second) : null;
+    }
+    if (first === 'playlist') {
+      return playlistId ? { type: 'playlist', playlistId } : null;
+    }
+    if (first === 'channel') {
+      return CHANNEL_ID.test(second) ? { type: 'channel', channelId: second } : null;
+    }
+    if (first.startsWith('@')) {
+      return HANDLE.test(first) ? { type: 'channel', handle: first.slice(1) } : null;
+    }
+    if (first === 'user' && HANDLE.test(second)) {
+      return { type: 'channel', username: second };
+    }
+    if (first === 'c' && HANDLE.test(second)) {
+      return { type: 'channel', customName: second };
+    }
+
+    // Old-style youtube.com/<name> vanity URLs
+    if (segments.length === 1 && HANDLE.test(first) && !url.search) {
+      return { type: 'channel', customName: first };
+    }
+    return null;
+  }
+
+  // Video ID from a URL or bare ID; null if the input isn't a video
+  parseVideoId(input) {
+    const resolved = this.classify(input);
+    return resolved?.type === 'video' ? resolved.videoId : null;
+  }
+
+  // Playlist ID from a playlist URL, a watch URL inside a playlist or a bare ID
+  parsePlaylistId(input) {
+    return this.classify(input)?.playlistId || null;
+  }
+
+  // Channel from any channel URL, ID or handle, looked up on YouTube:
+  // { channelId, title, handle, uploadsPlaylistId }. Bare words are taken as
+  // handles here, including those shaped like a video or playlist ID
+  // (`numberphile` has 11 characters). Resolves null if YouTube has no such
+  // channel, and rejects with status 400 for input that isn't a channel at all.
+  async resolveChannel(input) {
+    const text = String(input ?? '').trim();
+    let resolved = this.classify(text);
+    if (resolved?.type !== 'channel' && !this.parseUrl(text)) {
+      const bare = text.match(HANDLE);
+      if (bare) resolved = { type: 'channel', handle: bare[1] };
+    }
+
+    if (resolved?.type !== 'channel') {
+      const error = new Error('Not a YouTube channel URL, channel ID or handle');
+      error.status = 400;
+      throw error;
+    }
+
+    // Channel IDs are case-sensitive; handles and names are not
+    const { type, ...lookup } = resolved;
+    const [[kind, value]] = Object.entries(lookup);
+    const cacheKey = cacheService.generateKey(
+      'youtube_channel',
+      `${kind}:${kind === 'channelId' ? value : value.toLowerCase()}`
+    );
+    const cached = await cacheService.get(cacheKey);
+    if (cached) return cached;
+
+    const channel = await this.lookupChannel(resolved);
+    if (channel) {
+      await cacheService.set(cacheKey, channel, CHANNEL_CACHE_TTL);
+      console.log(`✅ Resolved ${input} to channel ${channel.channelId} (${channel.title})`);
+    }
+    return channel;
+  }
+
+  // channels.list costs 1 quota unit whichever way it is queried. Custom
+  // (/c/) names have no lookup of their own; most now match the handle, and
+  // search (100 units) is the last resort.
+  async lookupChannel({ channelId, handle, username, customName }) {
+    if (channelId) return this.fetchChannel({ id: channelId });
+    if (handle) return this.fetchChannel({ forHandle: handle });
+    if (username) {
+      return (await this.fetchChannel({ forUsername: username }))
+        || this.fetchChannel({ forHandle: username });
+    }
+
+    return (await this.fetchChannel({ forHandle: customName }))
+      || this.searchChannel(customName);
+  }
+
+  async fetchChannel(params) {
+    const data = await youtube.channels({ part: 'snippet,contentDetails', ...params });
+    const channel = data.items?.[0];
+    if (!channel) return null;
+
+    return {
+      channelId: channel.id,
+      title: channel.snippet?.title || `Channel ${channel.id}`,
+      handle: channel.snippet?.customUrl?.replace(/^@/, '') || null,
+      uploadsPlaylistId: channel.contentDetails?.relatedPlaylists?.uploads || null
+    };
+  }
+
+  async searchChannel(query) {
+    const data = await youtube.search({ part: 'snippet', q: query, type: 'channel', maxResults: 1 });
+    const channelId = data.items?.[0]?.id?.channelId;
+    return channelId ? this.fetchChannel({ id: channelId }) : null;
+  }
+}
+
+export const youtubeResolver = new YouTubeResolver();
@@ -0,0 +1,56 @@
+// Caption formats -> transcript segments ({ start, end, text }, whole seconds)
+
+// "01:02:03,500", "02:03.500" or "02:03"
+function parseTimestamp(value) {
+  const parts = value.trim().replace(',', '.').split(':').map(Number);
+  if (parts.some(Number.isNaN)) return null;
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+function cleanText(lines) {
+  return lines
+    .join(' ')
+    .replace(/<[^>]+>/g, '') // VTT voice and styling tags
+    .replace(/&amp;/g, '&').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&#39;/g, '\'').replace(/&quot;/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// SubRip and WebVTT share the cue layout: an optional identifier, a
+// "start --> end" line, then the text up to a blank line
+export function parseCaptionFile(content, format) {
+  if (!['srt', 'vtt'].includes(format)) {
+    throw new Error(`Unsupported caption format: ${format}`);
+  }
+
+  const segments = [];
+  const blocks = String(content).replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+  for (const block of blocks) {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timing = lines.findIndex(line => line.includes('-->'));
+    if (timing === -1) continue; // WEBVTT header, NOTE, STYLE and REGION blocks
+
+    const [from, to] = lines[timing].split('-->');
+    const start = parseTimestamp(from);
+    const end = parseTimestamp(to.trim().split(/\s+/)[0]);
+    const text = cleanText(lines.slice(timing + 1));
+    if (start === null || end === null || !text) continue;
+
+    segments.push({ start: Math.floor(start), end: Math.floor(end), text });
+  }
+
+  return segments;
+}
+
+// YouTube's timedtext json3 format: events with millisecond timings and text runs
+export function parseJson3(data) {
+  return (data?.events || [])
+    .filter(event => event.segs)
+    .map(event => ({
+      start: Math.floor((event.tStartMs || 0) / 1000),
+      end: Math.floor(((event.tStartMs || 0) + (event.dDurationMs || 0)) / 1000),
+      text: cleanText(event.segs.map(seg => seg.utf8 || ''))
+    }))
+    .filter(segment => segment.text);
+}
@@ -0,0 +1,89 @@
+import { PermanentJobError } from '../services/jobQueue.js';
+import { YouTubeCaptions, CaptionTrackSource } from './youtubeCaptions.js';
+import { TactiqSource } from './tactiqSource.js';
+import { UploadedCaptionSource } from './uploadedCaptions.js';
+import { SpeechToTextSource, StubSpeechToText, createSpeechToText } from './speechToText.js';
+import { normalizeLanguage, parseLanguages, matchLanguage } from './languages.js';
+import { parseCaptionFile } from './captionFiles.js';
+
+export const DEFAULT_TRANSCRIPT_SOURCES = ['manual', 'auto', 'translated', 'tactiq', 'upload', 'stt'];
+
+// Tries each source in order until one has the video in a preferred language.
+// A source resolves { language, segments }, or null when it has nothing for
+// the video; it throws only for failures worth retrying (network, throttling).
+export class TranscriptChain {
+  constructor(sources, { languages = ['en'] } = {}) {
+    this.sources = sources;
+    this.languages = languages;
+  }
+
+  // { segments, language, source }. A requested language goes ahead of the
+  // configured ones. Rejects with a retryable error if a source failed on
+  // the way, else with a PermanentJobError when no source has a transcript.
+  async fetch(videoId, { language = null } = {}) {
+    const languages = [...new Set([language, ...this.languages].filter(Boolean))];
+    const context = {};
+    let failure = null;
+
+    for (const source of this.sources) {
+      try {
+        const result = await source.fetch(videoId, { languages, context });
+        if (result?.segments?.length > 0) {
+          console.log(`📝 Transcript for ${videoId} from ${source.name} (${result.language}, ${result.segments.length} segments)`);
+          return { ...result, source: source.name };
+        }
+      } catch (error) {
+        console.error(`Transcript source ${source.name} failed for ${videoId}:`, error.message);
+        failure ||= error;
+      }
+    }
+
+    if (failure) throw failure;
+    throw new PermanentJobError(`This video cannot be analyzed. No captions or transcript were found in ${languages.join(', ')}.`);
+  }
+}
+
+// TRANSCRIPT_SOURCES: comma-separated, in order (default: all of
+// DEFAULT_TRANSCRIPT_SOURCES). stt is left out unless STT_PROVIDER is set.
+export function createTranscriptChain(env = process.env) {
+  const captions = new YouTubeCaptions({ baseUrl: env.YOUTUBE_WEB_BASE_URL || 'https://www.youtube.com' });
+  const speechToText = createSpeechToText(env);
+
+  const factories = {
+    manual: () => new CaptionTrackSource('manual', captions),
+    auto: () => new CaptionTrackSource('auto', captions),
+    translated: () => new CaptionTrackSource('translated', captions),
+    tactiq: () => new TactiqSource(),
+    upload: () => new UploadedCaptionSource(),
+    stt: () => (speechToText ? new SpeechToTextSource(speechToText) : null)
+  };
+
+  const names = env.TRANSCRIPT_SOURCES
+    ? env.TRANSCRIPT_SOURCES.split(',').map(name => name.trim()).filter(Boolean)
+    : DEFAULT_TRANSCRIPT_SOURCES;
+
+  const unknown = names.filter(name => !factories[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown TRANSCRIPT_SOURCES entry: ${unknown.join(', ')}`);
+  }
+
+  const languages = parseLanguages(env.TRANSCRIPT_LANGUAGES);
+  return new TranscriptChain(
+    names.map(name => factories[name]()).filter(Boolean),
+    { languages: languages.length > 0 ? languages : ['en'] }
+  );
+}
+
+export const transcripts = createTranscriptChain();
+
+export {
+  YouTubeCaptions,
+  CaptionTrackSource,
+  TactiqSource,
+  UploadedCaptionSource,
+  SpeechToTextSource,
+  StubSpeechToText,
+  normalizeLanguage,
+  matchLanguage,
+  parseCaptionFile
+};
@@ -0,0 +1,35 @@
+// BCP 47-style codes as YouTube uses them: "en", "pt-BR", "zh-Hant", "fil"
+const LANGUAGE_CODE = /^([a-z]{2,3})((?:-[a-z0-9]{2,8})*)$/i;
+
+// Canonical form of a language code ("PT-br" -> "pt-BR"), or null if it isn't one
+export function normalizeLanguage(value) {
+  const match = typeof value === 'string' ? value.trim().match(LANGUAGE_CODE) : null;
+  if (!match) return null;
+
+  const subtags = match[2].split('-').filter(Boolean).map(tag => {
+    if (tag.length === 2) return tag.toUpperCase();
+    if (tag.length === 4) return tag[0].toUpperCase() + tag.slice(1).toLowerCase();
+    return tag.toLowerCase();
+  });
+  return [match[1].toLowerCase(), ...subtags].join('-');
+}
+
+// Comma-separated codes from configuration, invalid ones dropped
+export function parseLanguages(value) {
+  return (value || '').split(',').map(normalizeLanguage).filter(Boolean);
+}
+
+const primary = code => code.split('-')[0].toLowerCase();
+
+// The available code that best fits the preferences, tried in order: an exact
+// match, then the same base language ("en" takes "en-GB"). null if none fits.
+export function matchLanguage(available, preferred) {
+  for (const wanted of preferred) {
+    const exact = available.find(code => code.toLowerCase() === wanted.toLowerCase());
+    if (exact) return exact;
+
+    const sameBase = available.find(code => primary(code) === primary(wanted));
+    if (sameBase) return sameBase;
+  }
+  return null;
+}
@@ -0,0 +1,63 @@
+import { db } from '../db/index.js';
+
+// Last resort for videos without any captions: transcribe the audio.
+// An adapter implements transcribe(videoId, { language }) and resolves
+// { language, segments } or null; STT_PROVIDER picks which one.
+export class SpeechToTextSource {
+  constructor(adapter) {
+    this.name = 'stt';
+    this.adapter = adapter;
+  }
+
+  async fetch(videoId, { languages }) {
+    return this.adapter.transcribe(videoId, { language: languages[0] || null });
+  }
+}
+
+// Offline stand-in for local development and tests: "transcribes" the
+// video's stored title and description, one sentence every few seconds,
+// so ingestion can run end to end without captions or audio.
+export class StubSpeechToText {
+  constructor({ secondsPerSentence = 5 } = {}) {
+    this.name = 'stub';
+    this.secondsPerSentence = secondsPerSentence;
+  }
+
+  async transcribe(videoId, { language }) {
+    const { data: video } = await db.videos.findOne(
+      { youtube_id: videoId },
+      { columns: 'title, description' }
+    );
+    if (!video) return null;
+
+    const sentences = [video.title, video.description]
+      .filter(Boolean)
+      .join('. ')
+      .split(/(?<=[.!?])\s+/)
+      .map(sentence => sentence.trim())
+      .filter(Boolean);
+
+    return {
+      language: language || 'en',
+      segments: sentences.map((text, index) => ({
+        start: index * this.secondsPerSentence,
+        end: (index + 1) * this.secondsPerSentence,
+        text
+      }))
+    };
+  }
+}
+
+// STT_PROVIDER=none (default) | stub
+export function createSpeechToText(env = process.env) {
+  const kind = env.STT_PROVIDER || 'none';
+
+  switch (kind) {
+    case 'none':
+      return null;
+    case 'stub':
+      return new StubSpeechToText();
+    default:
+      throw new Error(`Unknown STT_PROVIDER: ${kind}`);
+  }
+}
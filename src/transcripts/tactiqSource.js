@@ -0,0 +1,61 @@
+import YoutubeTranscriptApi from 'youtube-transcript-api';
+
+// Errors from the library meaning "no captions in that language", not a failure
+const NOT_AVAILABLE = ['captions disabled', 'invalid video ID', 'Could not get transcript', 'Video unavailable'];
+
+// Captions through youtube-transcript-api (a third-party service in front of
+// YouTube). It can't tell creator captions from automatic ones, so it comes
+// after the watch page sources as a fallback for when those are blocked.
+export class TactiqSource {
+  constructor({ retries = 3, retryDelay = 5000 } = {}) {
+    this.name = 'tactiq';
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+  }
+
+  async fetch(videoId, { languages }) {
+    for (const language of languages) {
+      let captions;
+      try {
+        captions = await this.downloadWithRetry(videoId, language);
+      } catch (error) {
+        if (NOT_AVAILABLE.some(text => error.message?.includes(text))) continue;
+        throw error;
+      }
+
+      if (captions?.length > 0) {
+        return { language, segments: captions.map(toSegment) };
+      }
+    }
+    return null;
+  }
+
+  async downloadWithRetry(videoId, language) {
+    let delay = this.retryDelay;
+
+    for (let i = 0; i < this.retries; i++) {
+      try {
+        return await YoutubeTranscriptApi.getTranscript(videoId, language);
+      } catch (error) {
+        if ((error.status === 429 || error.message?.includes('429')) && i < this.retries - 1) {
+          console.log(`⏳ Rate limited, waiting ${delay}ms before retry ${i + 1}/${this.retries}...`);
+          await new Promise(resolve => setTimeout(resolve, delay));
+          delay *= 2; // Exponential backoff
+        } else {
+          throw error;
+        }
+      }
+    }
+  }
+}
+
+function toSegment(segment) {
+  const startTime = typeof segment.start === 'string' ? parseFloat(segment.start) : segment.start;
+  const duration = typeof segment.duration === 'string' ? parseFloat(segment.duration) : segment.duration;
+
+  return {
+    start: Math.floor(startTime),
+    end: Math.floor(startTime + duration),
+    text: segment.text.trim()
+  };
+}
@@ -0,0 +1,28 @@
+import { db } from '../db/index.js';
+import { parseCaptionFile } from './captionFiles.js';
+import { matchLanguage } from './languages.js';
+
+// Caption files users uploaded for the video (caption_uploads). A file in
+// another language is still used: someone uploaded it for this video on purpose.
+export class UploadedCaptionSource {
+  constructor() {
+    this.name = 'upload';
+  }
+
+  async fetch(videoId, { languages }) {
+    const { data: uploads, error } = await db.captionUploads.find(
+      { youtube_id: videoId },
+      { columns: 'language, format, storage_path', order: { column: 'updated_at', ascending: false } }
+    );
+    if (error) throw new Error(`Caption upload lookup failed: ${error.message}`);
+    if (uploads.length === 0) return null;
+
+    const language = matchLanguage(uploads.map(upload => upload.language), languages) || uploads[0].language;
+    const upload = uploads.find(candidate => candidate.language === language);
+
+    const { data: content, error: downloadError } = await db.storage.download('transcripts', upload.storage_path);
+    if (downloadError) throw new Error(`Caption file download failed: ${downloadError.message}`);
+
+    return { language, segments: parseCaptionFile(content, upload.format) };
+  }
+}
@@ -0,0 +1,116 @@
+import { parseJson3 } from './captionFiles.js';
+import { matchLanguage } from './languages.js';
+
+// Read a JSON value starting at `from`, stopping at its matching close
+// bracket; the player response is embedded in a script, not served alone
+function readJson(text, from) {
+  let depth = 0;
+  let inString = false;
+
+  for (let i = from; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      if (char === '\\') i++;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === '{' || char === '[') {
+      depth++;
+    } else if (char === '}' || char === ']') {
+      depth--;
+      if (depth === 0) return JSON.parse(text.slice(from, i + 1));
+    }
+  }
+  return null;
+}
+
+// Caption tracks listed on a video's watch page. The timedtext URLs in the
+// list work without an API key and cost no Data API quota.
+export class YouTubeCaptions {
+  constructor({ baseUrl = 'https://www.youtube.com' } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  // [{ baseUrl, languageCode, name, kind, isTranslatable }]; kind is 'asr'
+  // for automatic captions. Empty when the video has none.
+  async listTracks(videoId) {
+    const response = await fetch(`${this.baseUrl}/watch?v=${encodeURIComponent(videoId)}&hl=en`, {
+      headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+    });
+
+    if (response.status === 429) {
+      throw new Error('YouTube watch page error: Too Many Requests');
+    }
+    if (!response.ok) {
+      throw new Error(`YouTube watch page error: ${response.statusText}`);
+    }
+
+    const html = await response.text();
+    if (html.includes('class="g-recaptcha"')) {
+      throw new Error('YouTube watch page error: Too Many Requests (captcha)');
+    }
+
+    const marker = html.indexOf('"captions":');
+    if (marker === -1) return [];
+
+    const captions = readJson(html, html.indexOf('{', marker));
+    return (captions?.playerCaptionsTracklistRenderer?.captionTracks || []).map(track => ({
+      baseUrl: track.baseUrl,
+      languageCode: track.languageCode,
+      name: track.name?.simpleText || track.name?.runs?.map(run => run.text).join('') || track.languageCode,
+      kind: track.kind || null,
+      isTranslatable: Boolean(track.isTranslatable)
+    }));
+  }
+
+  // Segments of one track, machine-translated first when translateTo is set
+  async fetchTrack(track, { translateTo = null } = {}) {
+    const url = new URL(track.baseUrl, this.baseUrl);
+    url.searchParams.set('fmt', 'json3');
+    if (translateTo) url.searchParams.set('tlang', translateTo);
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`YouTube timedtext error: ${response.statusText}`);
+    }
+
+    const body = await response.text();
+    return body ? parseJson3(JSON.parse(body)) : [];
+  }
+}
+
+// One step of the chain over the watch page tracks:
+//   manual      uploaded by the creator, in a preferred language
+//   auto        YouTube's speech recognition, in a preferred language
+//   translated  any track, machine-translated into the first preferred language
+// The track list is fetched once per video and shared through `context`.
+export class CaptionTrackSource {
+  constructor(kind, captions) {
+    this.name = kind;
+    this.kind = kind;
+    this.captions = captions;
+  }
+
+  async fetch(videoId, { languages, context }) {
+    context.tracks ||= this.captions.listTracks(videoId);
+    const tracks = await context.tracks;
+    const manual = tracks.filter(track => track.kind !== 'asr');
+    const auto = tracks.filter(track => track.kind === 'asr');
+
+    if (this.kind === 'translated') {
+      // Translate from a creator's track if there is one, else from automatic captions
+      const track = [...manual, ...auto].find(candidate => candidate.isTranslatable);
+      if (!track || languages.length === 0) return null;
+
+      const language = languages[0];
+      return { language, segments: await this.captions.fetchTrack(track, { translateTo: language }) };
+    }
+
+    const candidates = this.kind === 'manual' ? manual : auto;
+    const language = matchLanguage(candidates.map(track => track.languageCode), languages);
+    if (!language) return null;
+
+    const track = candidates.find(candidate => candidate.languageCode === language);
+    return { language, segments: await this.captions.fetchTrack(track) };
+  }
+}
@@ -35,40 +35,6 @@ export function truncateText(text, maxLength = 100) {
   return text.substring(0, maxLength - 3) + '...';
 }
 
-export function extractVideoIdFromUrl(url) {
-  const patterns = [
-    /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/)([^&\n?#]+)/,
-    /^([a-zA-Z0-9_-]{11})$/
-  ];
-  
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match) {
-      return match[1];
-    }
-  }
-  
-  return null;
-}
-
-export function extractChannelIdFromUrl(url) {
-  const patterns = [
-    /youtube\.com\/channel\/([a-zA-Z0-9_-]+)/,
-    /youtube\.com\/c\/([a-zA-Z0-9_-]+)/,
-    /youtube\.com\/@([a-zA-Z0-9_-]+)/,
-    /^([a-zA-Z0-9_-]{24})$/
-  ];
-  
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match) {
-      return match[1];
-    }
-  }
-  
-  return null;
-}
-
 export function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000) {
   return async (...args) => {
     let lastError;
@@ -99,4 +65,11 @@ export function parseErrorMessage(error) {
   if (error.message) return error.message;
   if (error.error?.message) return error.error.message;
   return 'An unknown error occurred';
-}
\ No newline at end of file
+}
+
+// Rough token count for budgeting prompts. OpenAI tokenizers average about
+// 4 characters per token on English text; round up to stay on the safe side.
+export function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(text.length / 4);
+}
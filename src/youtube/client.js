@@ -0,0 +1,147 @@
+import { cacheService } from '../services/cacheService.js';
+import { delay } from '../utils/helpers.js';
+import { nextQuotaReset } from './quota.js';
+
+// How long a response is kept for conditional requests
+const ETAG_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// YouTube error reasons that mean the key has no quota left today
+const QUOTA_REASONS = ['quotaExceeded', 'dailyLimitExceeded'];
+
+// Per-user/per-second throttling; worth retrying after a pause
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+
+export class YouTubeApiError extends Error {
+  constructor(message, { status, reason = null } = {}) {
+    super(message);
+    this.name = 'YouTubeApiError';
+    this.status = status;
+    this.reason = reason;
+  }
+}
+
+// The daily quota is used up. retryAt is when it resets; the job queue
+// defers jobs failing with it until then.
+export class YouTubeQuotaError extends YouTubeApiError {
+  constructor(retryAt) {
+    super(`YouTube API quota exhausted until ${retryAt.toISOString()}`, { status: 503, reason: 'quotaExceeded' });
+    this.name = 'YouTubeQuotaError';
+    this.retryAt = retryAt;
+  }
+
+  get retryAfterSeconds() {
+    return Math.max(1, Math.ceil((this.retryAt.getTime() - Date.now()) / 1000));
+  }
+}
+
+// Every YouTube Data API call goes through here: each call is charged to the
+// shared daily quota before it is sent, responses are kept with their ETag
+// and revalidated with If-None-Match, and 5xx and throttling responses are
+// retried with backoff.
+export class YouTubeClient {
+  constructor({ apiKey, baseUrl, quota, maxRetries = 2, retryDelay = 500, etags = true }) {
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.quota = quota;
+    this.maxRetries = maxRetries;
+    this.retryDelay = retryDelay;
+    this.etags = etags;
+  }
+
+  channels(params, options) {
+    return this.list('channels', params, options);
+  }
+
+  playlists(params, options) {
+    return this.list('playlists', params, options);
+  }
+
+  playlistItems(params, options) {
+    return this.list('playlistItems', params, options);
+  }
+
+  videos(params, options) {
+    return this.list('videos', params, options);
+  }
+
+  search(params, options) {
+    return this.list('search', params, options);
+  }
+
+  // GET <baseUrl>/<resource> and return the parsed body.
+  // options.background: charge against the budget minus the interactive reserve
+  async list(resource, params = {}, { background = false, signal } = {}) {
+    const callType = `${resource}.list`;
+    const url = new URL(`${this.baseUrl}/${resource}`);
+    const query = Object.entries(params)
+      .filter(([, value]) => value !== undefined && value !== null)
+      .sort(([a], [b]) => a.localeCompare(b));
+    for (const [key, value] of query) {
+      url.searchParams.append(key, String(value));
+    }
+
+    const cacheKey = this.etags
+      ? cacheService.generateKey('youtube_response', resource, url.searchParams.toString())
+      : null;
+    url.searchParams.append('key', this.apiKey);
+
+    const cached = cacheKey ? await cacheService.get(cacheKey) : null;
+
+    for (let attempt = 0; ; attempt++) {
+      // A 304 is charged like any other call, so revalidating saves
+      // bandwidth and parsing rather than quota
+      const charge = await this.quota.take(callType, { background });
+      if (!charge.allowed) {
+        console.log(`⛽ YouTube quota exhausted (${charge.remaining} units left), refusing ${callType}`);
+        throw new YouTubeQuotaError(charge.resetAt);
+      }
+
+      let response;
+      try {
+        response = await fetch(url, {
+          headers: cached?.etag ? { 'If-None-Match': cached.etag } : {},
+          signal
+        });
+      } catch (error) {
+        if (signal?.aborted || attempt >= this.maxRetries) throw error;
+        await delay(this.retryDelay * 2 ** attempt);
+        continue;
+      }
+
+      if (response.status === 304 && cached) {
+        return cached.data;
+      }
+
+      if (response.ok) {
+        const data = await response.json();
+        const etag = response.headers.get('etag') || data.etag;
+        if (cacheKey && etag) {
+          await cacheService.set(cacheKey, { etag, data }, ETAG_CACHE_TTL);
+        }
+        return data;
+      }
+
+      const error = await this.toError(response);
+      if (error instanceof YouTubeQuotaError) {
+        await this.quota.exhaust();
+        throw error;
+      }
+
+      const retryable = response.status >= 500 || RATE_LIMIT_REASONS.includes(error.reason);
+      if (!retryable || attempt >= this.maxRetries) throw error;
+      await delay(this.retryDelay * 2 ** attempt);
+    }
+  }
+
+  async toError(response) {
+    const body = await response.json().catch(() => null);
+    const reason = body?.error?.errors?.[0]?.reason || null;
+
+    if (response.status === 403 && QUOTA_REASONS.includes(reason)) {
+      return new YouTubeQuotaError(nextQuotaReset());
+    }
+
+    const message = body?.error?.message || response.statusText;
+    return new YouTubeApiError(`YouTube API error: ${message}`, { status: response.status, reason });
+  }
+}
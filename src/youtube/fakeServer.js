@@ -0,0 +1,264 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+
+export const DEFAULT_FIXTURES = new URL('./fixtures.json', import.meta.url);
+
+const COSTS = { search: 100 };
+
+function thumbnails(id) {
+  const url = quality => `https://i.ytimg.com/vi/${id}/${quality}.jpg`;
+  return {
+    medium: { url: url('mqdefault'), width: 320, height: 180 },
+    high: { url: url('hqdefault'), width: 480, height: 360 }
+  };
+}
+
+function etagOf(body) {
+  return `"${crypto.createHash('md5').update(JSON.stringify(body)).digest('hex')}"`;
+}
+
+// Offline stand-in for the parts of the YouTube Data API v3 we call, serving
+// the channels, playlists and videos in a fixtures file. Responses have the
+// real shapes, ETags and error bodies; `quota` makes it answer quotaExceeded
+// once that many units have been spent. It also serves the watch page caption
+// list and timedtext tracks (a video's `captions` fixtures) that the
+// transcript chain reads; those cost no quota, like on YouTube.
+export function createFakeYouTubeServer({ fixtures = DEFAULT_FIXTURES, quota = Infinity, pageSize = 50 } = {}) {
+  const data = typeof fixtures === 'object' && !(fixtures instanceof URL)
+    ? fixtures
+    : JSON.parse(fs.readFileSync(fixtures, 'utf8'));
+
+  const channels = data.channels || [];
+  const videos = new Map((data.videos || []).map(video => [video.id, video]));
+  const channelById = new Map(channels.map(channel => [channel.id, channel]));
+
+  // Every channel's uploads playlist: its published videos, newest first
+  const uploadsId = channel => channel.uploads || `UU${channel.id.slice(2)}`;
+  const playlists = new Map((data.playlists || []).map(playlist => [playlist.id, playlist]));
+  for (const channel of channels) {
+    playlists.set(uploadsId(channel), {
+      id: uploadsId(channel),
+      channelId: channel.id,
+      title: `Uploads from ${channel.title}`,
+      description: '',
+      videoIds: [...videos.values()]
+        .filter(video => video.channelId === channel.id && video.publishedAt)
+        .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+        .map(video => video.id)
+    });
+  }
+
+  const ids = value => (value ? value.split(',') : []);
+  const lower = value => value?.toLowerCase().replace(/^@/, '');
+
+  const channelResource = channel => ({
+    kind: 'youtube#channel',
+    id: channel.id,
+    snippet: {
+      title: channel.title,
+      description: channel.description || '',
+      customUrl: `@${channel.handle}`,
+      thumbnails: thumbnails(channel.id)
+    },
+    contentDetails: { relatedPlaylists: { uploads: uploadsId(channel) } }
+  });
+
+  const handlers = {
+    channels(params) {
+      let found = [];
+      if (params.get('id')) {
+        found = ids(params.get('id')).map(id => channelById.get(id)).filter(Boolean);
+      } else if (params.get('forHandle')) {
+        found = channels.filter(channel => lower(channel.handle) === lower(params.get('forHandle')));
+      } else if (params.get('forUsername')) {
+        found = channels.filter(channel => lower(channel.username) === lower(params.get('forUsername')));
+      }
+      return { status: 200, body: { kind: 'youtube#channelListResponse', items: found.map(channelResource) } };
+    },
+
+    playlists(params) {
+      const items = ids(params.get('id')).map(id => playlists.get(id)).filter(Boolean).map(playlist => ({
+        kind: 'youtube#playlist',
+        id: playlist.id,
+        snippet: {
+          title: playlist.title,
+          description: playlist.description || '',
+          channelId: playlist.channelId,
+          channelTitle: channelById.get(playlist.channelId)?.title || '',
+          thumbnails: thumbnails(playlist.videoIds[0] || playlist.id)
+        },
+        contentDetails: { itemCount: playlist.videoIds.length }
+      }));
+      return { status: 200, body: { kind: 'youtube#playlistListResponse', items } };
+    },
+
+    playlistItems(params) {
+      const playlist = playlists.get(params.get('playlistId'));
+      if (!playlist) {
+        return errorResponse(404, 'playlistNotFound', 'The playlist identified with the request\'s playlistId parameter cannot be found.');
+      }
+
+      const limit = Math.min(parseInt(params.get('maxResults') || '5', 10), pageSize);
+      const offset = parseInt((params.get('pageToken') || 'page_0').replace('page_', ''), 10) || 0;
+      const page = playlist.videoIds.slice(offset, offset + limit);
+      const items = page.map((videoId, index) => {
+        const video = videos.get(videoId);
+        const owner = channelById.get(video.channelId);
+        return {
+          kind: 'youtube#playlistItem',
+          id: `${playlist.id}.${videoId}`,
+          snippet: {
+            title: video.publishedAt ? video.title : 'Private video',
+            description: video.publishedAt ? video.description || '' : 'This video is private.',
+            thumbnails: video.publishedAt ? thumbnails(videoId) : {},
+            playlistId: playlist.id,
+            position: offset + index,
+            resourceId: { kind: 'youtube#video', videoId },
+            ...(video.publishedAt && { videoOwnerChannelId: owner?.id, videoOwnerChannelTitle: owner?.title })
+          },
+          contentDetails: { videoId, ...(video.publishedAt && { videoPublishedAt: video.publishedAt }) }
+        };
+      });
+
+      const next = offset + limit < playlist.videoIds.length ? `page_${offset + limit}` : undefined;
+      return {
+        status: 200,
+        body: {
+          kind: 'youtube#playlistItemListResponse',
+          ...(next && { nextPageToken: next }),
+          pageInfo: { totalResults: playlist.videoIds.length, resultsPerPage: limit },
+          items
+        }
+      };
+    },
+
+    videos(params) {
+      const items = ids(params.get('id')).map(id => videos.get(id)).filter(video => video?.publishedAt).map(video => ({
+        kind: 'youtube#video',
+        id: video.id,
+        snippet: {
+          title: video.title,
+          description: video.description || '',
+          channelId: video.channelId,
+          channelTitle: channelById.get(video.channelId)?.title || '',
+          publishedAt: video.publishedAt,
+          thumbnails: thumbnails(video.id)
+        },
+        contentDetails: { duration: video.duration || 'PT0S' }
+      }));
+      return { status: 200, body: { kind: 'youtube#videoListResponse', items } };
+    },
+
+    // Channel search only, by title or handle
+    search(params) {
+      const query = (params.get('q') || '').toLowerCase();
+      const matches = params.get('type') === 'channel'
+        ? channels.filter(channel => channel.title.toLowerCase().includes(query) || lower(channel.handle).includes(query))
+        : [];
+      const items = matches.slice(0, parseInt(params.get('maxResults') || '5', 10)).map(channel => ({
+        kind: 'youtube#searchResult',
+        id: { kind: 'youtube#channel', channelId: channel.id },
+        snippet: { title: channel.title, description: channel.description || '', channelId: channel.id }
+      }));
+      return { status: 200, body: { kind: 'youtube#searchListResponse', items } };
+    }
+  };
+
+  // Watch page with the player response's caption tracks. Segments in the
+  // fixtures are [startSeconds, durationSeconds, text]; kind 'asr' marks
+  // automatic captions. A translated track prefixes each line with [tlang].
+  const web = {
+    watch(params, origin) {
+      const video = videos.get(params.get('v'));
+      if (!video?.publishedAt) return { status: 200, type: 'text/html', body: '<html><body>Video unavailable</body></html>' };
+
+      const captionTracks = (video.captions || []).map(track => {
+        const url = new URL('/api/timedtext', origin);
+        url.searchParams.set('v', video.id);
+        url.searchParams.set('lang', track.languageCode);
+        if (track.kind) url.searchParams.set('kind', track.kind);
+        return {
+          baseUrl: url.toString(),
+          name: { simpleText: track.kind === 'asr' ? `${track.languageCode} (auto-generated)` : track.languageCode },
+          languageCode: track.languageCode,
+          ...(track.kind && { kind: track.kind }),
+          isTranslatable: true
+        };
+      });
+      const player = {
+        videoDetails: { videoId: video.id, title: video.title },
+        ...(captionTracks.length > 0 && { captions: { playerCaptionsTracklistRenderer: { captionTracks } } })
+      };
+      return {
+        status: 200,
+        type: 'text/html',
+        body: `<html><body><script>var ytInitialPlayerResponse = ${JSON.stringify(player)};</script></body></html>`
+      };
+    },
+
+    timedtext(params) {
+      const kind = params.get('kind') || undefined;
+      const track = (videos.get(params.get('v'))?.captions || [])
+        .find(candidate => candidate.languageCode === params.get('lang') && candidate.kind === kind);
+      if (!track) return { status: 200, type: 'text/plain', body: '' };
+
+      const tlang = params.get('tlang');
+      const events = track.segments.map(([start, duration, text]) => ({
+        tStartMs: start * 1000,
+        dDurationMs: duration * 1000,
+        segs: [{ utf8: tlang ? `[${tlang}] ${text}` : text }]
+      }));
+      return { status: 200, type: 'application/json', body: JSON.stringify({ events }) };
+    }
+  };
+
+  function errorResponse(status, reason, message) {
+    return { status, body: { error: { code: status, message, errors: [{ message, domain: 'youtube', reason }] } } };
+  }
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const page = { '/watch': 'watch', '/api/timedtext': 'timedtext' }[url.pathname];
+    if (page && req.method === 'GET') {
+      server.calls[page] = (server.calls[page] || 0) + 1;
+      const result = web[page](url.searchParams, `http://${req.headers.host}`);
+      res.writeHead(result.status, { 'Content-Type': `${result.type}; charset=UTF-8` });
+      return res.end(result.body);
+    }
+
+    const resource = url.pathname.replace(/^\/youtube\/v3\//, '');
+    const handler = Object.hasOwn(handlers, resource) ? handlers[resource] : null;
+
+    let result;
+    if (req.method !== 'GET' || !handler) {
+      result = errorResponse(404, 'notFound', `No fake for ${req.method} ${url.pathname}`);
+    } else if (!url.searchParams.get('key')) {
+      result = errorResponse(403, 'forbidden', 'The request is missing a valid API key.');
+    } else if (server.unitsUsed + (COSTS[resource] || 1) > quota) {
+      result = errorResponse(403, 'quotaExceeded', 'The request cannot be completed because you have exceeded your quota.');
+    } else {
+      server.unitsUsed += COSTS[resource] || 1;
+      server.calls[resource] = (server.calls[resource] || 0) + 1;
+      result = handler(url.searchParams);
+    }
+
+    const body = result.status === 200 ? { ...result.body, etag: etagOf(result.body) } : result.body;
+    if (result.status === 200 && req.headers['if-none-match'] === body.etag) {
+      res.writeHead(304, { ETag: body.etag });
+      return res.end();
+    }
+
+    res.writeHead(result.status, {
+      'Content-Type': 'application/json; charset=UTF-8',
+      ...(result.status === 200 && { ETag: body.etag })
+    });
+    res.end(JSON.stringify(body));
+  });
+
+  // What the server has been asked for, for assertions in tests
+  server.unitsUsed = 0;
+  server.calls = {};
+
+  return server;
+}
@@ -0,0 +1,21 @@
+import { YouTubeClient, YouTubeApiError, YouTubeQuotaError } from './client.js';
+import { YouTubeQuota, QUOTA_COSTS, quotaDay, nextQuotaReset } from './quota.js';
+
+// YOUTUBE_API_BASE_URL points the client at another server, such as the
+// bundled fake (npm run fake:youtube) in local development and tests
+export function createYouTubeClient(env = process.env) {
+  return new YouTubeClient({
+    apiKey: env.YOUTUBE_API_KEY,
+    baseUrl: env.YOUTUBE_API_BASE_URL || 'https://www.googleapis.com/youtube/v3',
+    quota: new YouTubeQuota({
+      dailyBudget: parseInt(env.YOUTUBE_DAILY_QUOTA || '10000', 10),
+      reserve: parseInt(env.YOUTUBE_QUOTA_RESERVE || '1000', 10)
+    }),
+    maxRetries: parseInt(env.YOUTUBE_MAX_RETRIES || '2', 10),
+    etags: env.YOUTUBE_ETAG_CACHE !== 'false'
+  });
+}
+
+export const youtube = createYouTubeClient();
+
+export { YouTubeClient, YouTubeApiError, YouTubeQuotaError, YouTubeQuota, QUOTA_COSTS, quotaDay, nextQuotaReset };
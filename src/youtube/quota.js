@@ -0,0 +1,124 @@
+import { db } from '../db/index.js';
+
+// Units per call from YouTube's quota calculator. Every list call we make
+// costs 1 except search, which costs 100.
+export const QUOTA_COSTS = {
+  'channels.list': 1,
+  'playlists.list': 1,
+  'playlistItems.list': 1,
+  'videos.list': 1,
+  'search.list': 100
+};
+
+// YouTube resets quotas at midnight Pacific time
+const QUOTA_TIME_ZONE = 'America/Los_Angeles';
+
+const dayFormat = new Intl.DateTimeFormat('en-CA', {
+  timeZone: QUOTA_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+// The quota day a moment falls in, as YYYY-MM-DD
+export function quotaDay(date = new Date()) {
+  return dayFormat.format(date);
+}
+
+// When the quota day containing `date` ends. Midnight Pacific is 07:00 or
+// 08:00 UTC depending on daylight saving time.
+export function nextQuotaReset(date = new Date()) {
+  const today = quotaDay(date);
+  const [year, month, day] = today.split('-').map(Number);
+
+  for (const hour of [7, 8]) {
+    const candidate = new Date(Date.UTC(year, month - 1, day + 1, hour));
+    if (quotaDay(candidate) !== today && quotaDay(new Date(candidate.getTime() - 1)) === today) {
+      return candidate;
+    }
+  }
+  return new Date(Date.UTC(year, month - 1, day + 1, 8));
+}
+
+// Daily quota shared by every process using the same API key. Background
+// work stops `reserve` units short of the budget so user requests (resolving
+// a channel, looking up a video) keep working after a large ingest.
+export class YouTubeQuota {
+  constructor({ dailyBudget = 10000, reserve = 1000 } = {}) {
+    this.dailyBudget = dailyBudget;
+    this.reserve = Math.min(reserve, dailyBudget);
+  }
+
+  // Charge one call. { allowed, used, remaining, resetAt }
+  async take(callType, { background = false } = {}) {
+    const units = QUOTA_COSTS[callType] ?? 1;
+    const budget = background ? this.dailyBudget - this.reserve : this.dailyBudget;
+    const resetAt = nextQuotaReset();
+
+    const { data, error } = await db.rpc('youtube_quota_take', {
+      p_day: quotaDay(),
+      p_call_type: callType,
+      p_units: units,
+      p_budget: budget
+    });
+
+    if (error) {
+      console.error('YouTube quota check error:', error);
+      // Fail open on error, like the rate limiter
+      return { allowed: true, used: null, remaining: null, resetAt };
+    }
+
+    const [row] = data;
+    return { allowed: row.allowed, used: row.used, remaining: row.remaining, resetAt };
+  }
+
+  // YouTube says the key is out of quota (other clients may share it, or our
+  // count is behind): book the rest of the day so nothing else is attempted
+  async exhaust() {
+    const day = quotaDay();
+    const { data: rows } = await db.youtubeQuotaUsage.find({ day }, { columns: 'units' });
+    const used = (rows || []).reduce((sum, row) => sum + row.units, 0);
+    if (used >= this.dailyBudget) return;
+
+    await db.youtubeQuotaUsage.upsert({
+      day,
+      call_type: 'quotaExceeded',
+      calls: 1,
+      units: this.dailyBudget - used,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'day,call_type' });
+  }
+
+  // Units and calls per call type for the last `days` quota days, newest first
+  async usage(days = 1) {
+    const since = new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000);
+    const { data: rows, error } = await db.youtubeQuotaUsage.find(
+      { day: { gte: quotaDay(since) } },
+      { columns: 'day, call_type, calls, units', order: { column: 'day', ascending: false } }
+    );
+    if (error) return { data: null, error };
+
+    const byDay = new Map();
+    for (const row of rows) {
+      const entry = byDay.get(row.day) || { day: row.day, used: 0, calls: {} };
+      entry.used += row.units;
+      entry.calls[row.call_type] = { calls: row.calls, units: row.units };
+      byDay.set(row.day, entry);
+    }
+
+    const today = quotaDay();
+    if (!byDay.has(today)) byDay.set(today, { day: today, used: 0, calls: {} });
+
+    return {
+      data: {
+        budget: this.dailyBudget,
+        reserve: this.reserve,
+        resetAt: nextQuotaReset(),
+        days: [...byDay.values()]
+          .sort((a, b) => b.day.localeCompare(a.day))
+          .map(entry => ({ ...entry, remaining: Math.max(this.dailyBudget - entry.used, 0) }))
+      },
+      error: null
+    };
+  }
+}
@@ -0,0 +1,149 @@
+-- Hybrid (vector + keyword) chunk search done entirely in Postgres, so the
+-- backend only receives the top candidates instead of every chunk.
+-- The return types change, so the old definitions have to be dropped first.
+DROP FUNCTION IF EXISTS search_transcript_chunks(vector, uuid, float, int);
+DROP FUNCTION IF EXISTS search_channel_chunks(vector, uuid, float, int);
+
+-- Video-level search: vector top-k plus chunks whose stored keywords match the query keywords
+CREATE OR REPLACE FUNCTION search_transcript_chunks(
+  query_embedding vector(1536),
+  p_video_id uuid,
+  match_threshold float DEFAULT 0.7,
+  match_count int DEFAULT 5,
+  p_keywords text[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  id uuid,
+  video_id uuid,
+  chunk_index int,
+  start_time int,
+  end_time int,
+  storage_path text,
+  byte_offset int,
+  byte_length int,
+  text_preview text,
+  keywords text[],
+  similarity float,
+  keyword_match boolean
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH semantic AS (
+    SELECT tc.id, 1 - (tc.embedding <=> query_embedding) AS similarity
+    FROM transcript_chunks tc
+    WHERE tc.video_id = p_video_id
+      AND tc.embedding IS NOT NULL
+      AND 1 - (tc.embedding <=> query_embedding) > match_threshold
+    ORDER BY tc.embedding <=> query_embedding
+    LIMIT match_count
+  ),
+  lexical AS (
+    SELECT tc.id
+    FROM transcript_chunks tc
+    WHERE tc.video_id = p_video_id
+      AND cardinality(p_keywords) > 0
+      AND EXISTS (
+        SELECT 1
+        FROM unnest(tc.keywords) AS ck, unnest(p_keywords) AS qk
+        WHERE ck ILIKE '%' || qk || '%' OR qk ILIKE '%' || ck || '%'
+      )
+    ORDER BY tc.chunk_index
+    LIMIT match_count
+  )
+  SELECT
+    tc.id,
+    tc.video_id,
+    tc.chunk_index,
+    tc.start_time,
+    tc.end_time,
+    tc.storage_path,
+    tc.byte_offset,
+    tc.byte_length,
+    tc.text_preview,
+    tc.keywords,
+    s.similarity,
+    l.id IS NOT NULL AS keyword_match
+  FROM (SELECT semantic.id FROM semantic UNION SELECT lexical.id FROM lexical) hits
+  JOIN transcript_chunks tc ON tc.id = hits.id
+  LEFT JOIN semantic s ON s.id = tc.id
+  LEFT JOIN lexical l ON l.id = tc.id;
+$$;
+
+-- Channel-level search across every processed video of a channel
+CREATE OR REPLACE FUNCTION search_channel_chunks(
+  query_embedding vector(1536),
+  p_channel_id uuid,
+  match_threshold float DEFAULT 0.7,
+  match_count int DEFAULT 10,
+  p_keywords text[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  id uuid,
+  video_id uuid,
+  video_title text,
+  youtube_id text,
+  chunk_index int,
+  start_time int,
+  end_time int,
+  storage_path text,
+  byte_offset int,
+  byte_length int,
+  text_preview text,
+  keywords text[],
+  similarity float,
+  keyword_match boolean
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH channel_chunks AS (
+    SELECT tc.*
+    FROM transcript_chunks tc
+    JOIN videos v ON v.id = tc.video_id
+    WHERE v.channel_id = p_channel_id
+      AND v.transcript_cached = true
+  ),
+  semantic AS (
+    SELECT cc.id, 1 - (cc.embedding <=> query_embedding) AS similarity
+    FROM channel_chunks cc
+    WHERE cc.embedding IS NOT NULL
+      AND 1 - (cc.embedding <=> query_embedding) > match_threshold
+    ORDER BY cc.embedding <=> query_embedding
+    LIMIT match_count
+  ),
+  lexical AS (
+    SELECT cc.id
+    FROM channel_chunks cc
+    WHERE cardinality(p_keywords) > 0
+      AND EXISTS (
+        SELECT 1
+        FROM unnest(cc.keywords) AS ck, unnest(p_keywords) AS qk
+        WHERE ck ILIKE '%' || qk || '%' OR qk ILIKE '%' || ck || '%'
+      )
+    LIMIT match_count
+  )
+  SELECT
+    tc.id,
+    tc.video_id,
+    v.title AS video_title,
+    v.youtube_id,
+    tc.chunk_index,
+    tc.start_time,
+    tc.end_time,
+    tc.storage_path,
+    tc.byte_offset,
+    tc.byte_length,
+    tc.text_preview,
+    tc.keywords,
+    s.similarity,
+    l.id IS NOT NULL AS keyword_match
+  FROM (SELECT semantic.id FROM semantic UNION SELECT lexical.id FROM lexical) hits
+  JOIN transcript_chunks tc ON tc.id = hits.id
+  JOIN videos v ON v.id = tc.video_id
+  LEFT JOIN semantic s ON s.id = tc.id
+  LEFT JOIN lexical l ON l.id = tc.id;
+$$;
+
+-- Supports the channel join above
+CREATE INDEX IF NOT EXISTS idx_videos_channel_id ON videos (channel_id);
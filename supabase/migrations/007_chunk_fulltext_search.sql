@@ -0,0 +1,187 @@
+-- Full-text index over chunk text for the lexical half of hybrid search.
+-- Chunk text otherwise only lives in the transcripts bucket, so the backend
+-- writes it to search_text when storing chunks. Rows stored before this
+-- migration fall back to text_preview until the video is re-processed.
+ALTER TABLE transcript_chunks ADD COLUMN IF NOT EXISTS search_text text;
+
+ALTER TABLE transcript_chunks ADD COLUMN IF NOT EXISTS fts tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(search_text, text_preview, ''))) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_transcript_chunks_fts ON transcript_chunks USING gin (fts);
+
+-- Both search functions now return two independently ranked lists (vector and
+-- full-text) unioned together. Fusion happens in the backend so weights can be
+-- tuned without a migration.
+DROP FUNCTION IF EXISTS search_transcript_chunks(vector, uuid, float, int, text[]);
+DROP FUNCTION IF EXISTS search_channel_chunks(vector, uuid, float, int, text[]);
+
+-- OR the query terms together; websearch/plainto would require every term to match
+CREATE OR REPLACE FUNCTION chunk_search_query(p_keywords text[])
+RETURNS tsquery
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT CASE
+    WHEN cardinality(p_keywords) = 0 THEN NULL
+    ELSE to_tsquery('english', array_to_string(
+      ARRAY(SELECT quote_literal(k) FROM unnest(p_keywords) AS k), ' | '
+    ))
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION search_transcript_chunks(
+  query_embedding vector(1536),
+  p_video_id uuid,
+  match_threshold float DEFAULT 0,
+  match_count int DEFAULT 20,
+  p_keywords text[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  id uuid,
+  video_id uuid,
+  chunk_index int,
+  start_time int,
+  end_time int,
+  storage_path text,
+  byte_offset int,
+  byte_length int,
+  text_preview text,
+  keywords text[],
+  similarity float,
+  semantic_rank int,
+  keyword_score float,
+  keyword_rank int
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH semantic AS (
+    SELECT
+      tc.id,
+      1 - (tc.embedding <=> query_embedding) AS similarity,
+      row_number() OVER (ORDER BY tc.embedding <=> query_embedding)::int AS rank
+    FROM transcript_chunks tc
+    WHERE tc.video_id = p_video_id
+      AND tc.embedding IS NOT NULL
+      AND 1 - (tc.embedding <=> query_embedding) > match_threshold
+    ORDER BY tc.embedding <=> query_embedding
+    LIMIT match_count
+  ),
+  lexical AS (
+    SELECT
+      ranked.id,
+      ranked.score,
+      row_number() OVER (ORDER BY ranked.score DESC, ranked.chunk_index)::int AS rank
+    FROM (
+      -- Normalization 32 scales the rank into 0..1 so it is comparable across chunks of different length
+      SELECT tc.id, tc.chunk_index, ts_rank_cd(tc.fts, chunk_search_query(p_keywords), 32) AS score
+      FROM transcript_chunks tc
+      WHERE tc.video_id = p_video_id
+        AND tc.fts @@ chunk_search_query(p_keywords)
+    ) ranked
+    ORDER BY ranked.score DESC, ranked.chunk_index
+    LIMIT match_count
+  )
+  SELECT
+    tc.id,
+    tc.video_id,
+    tc.chunk_index,
+    tc.start_time,
+    tc.end_time,
+    tc.storage_path,
+    tc.byte_offset,
+    tc.byte_length,
+    tc.text_preview,
+    tc.keywords,
+    s.similarity,
+    s.rank AS semantic_rank,
+    l.score AS keyword_score,
+    l.rank AS keyword_rank
+  FROM (SELECT semantic.id FROM semantic UNION SELECT lexical.id FROM lexical) hits
+  JOIN transcript_chunks tc ON tc.id = hits.id
+  LEFT JOIN semantic s ON s.id = tc.id
+  LEFT JOIN lexical l ON l.id = tc.id;
+$$;
+
+CREATE OR REPLACE FUNCTION search_channel_chunks(
+  query_embedding vector(1536),
+  p_channel_id uuid,
+  match_threshold float DEFAULT 0,
+  match_count int DEFAULT 40,
+  p_keywords text[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  id uuid,
+  video_id uuid,
+  video_title text,
+  youtube_id text,
+  chunk_index int,
+  start_time int,
+  end_time int,
+  storage_path text,
+  byte_offset int,
+  byte_length int,
+  text_preview text,
+  keywords text[],
+  similarity float,
+  semantic_rank int,
+  keyword_score float,
+  keyword_rank int
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH channel_chunks AS (
+    SELECT tc.id, tc.chunk_index, tc.embedding, tc.fts
+    FROM transcript_chunks tc
+    JOIN videos v ON v.id = tc.video_id
+    WHERE v.channel_id = p_channel_id
+      AND v.transcript_cached = true
+  ),
+  semantic AS (
+    SELECT
+      cc.id,
+      1 - (cc.embedding <=> query_embedding) AS similarity,
+      row_number() OVER (ORDER BY cc.embedding <=> query_embedding)::int AS rank
+    FROM channel_chunks cc
+    WHERE cc.embedding IS NOT NULL
+      AND 1 - (cc.embedding <=> query_embedding) > match_threshold
+    ORDER BY cc.embedding <=> query_embedding
+    LIMIT match_count
+  ),
+  lexical AS (
+    SELECT
+      ranked.id,
+      ranked.score,
+      row_number() OVER (ORDER BY ranked.score DESC, ranked.chunk_index)::int AS rank
+    FROM (
+      SELECT cc.id, cc.chunk_index, ts_rank_cd(cc.fts, chunk_search_query(p_keywords), 32) AS score
+      FROM channel_chunks cc
+      WHERE cc.fts @@ chunk_search_query(p_keywords)
+    ) ranked
+    ORDER BY ranked.score DESC, ranked.chunk_index
+    LIMIT match_count
+  )
+  SELECT
+    tc.id,
+    tc.video_id,
+    v.title AS video_title,
+    v.youtube_id,
+    tc.chunk_index,
+    tc.start_time,
+    tc.end_time,
+    tc.storage_path,
+    tc.byte_offset,
+    tc.byte_length,
+    tc.text_preview,
+    tc.keywords,
+    s.similarity,
+    s.rank AS semantic_rank,
+    l.score AS keyword_score,
+    l.rank AS keyword_rank
+  FROM (SELECT semantic.id FROM semantic UNION SELECT lexical.id FROM lexical) hits
+  JOIN transcript_chunks tc ON tc.id = hits.id
+  JOIN videos v ON v.id = tc.video_id
+  LEFT JOIN semantic s ON s.id = tc.id
+  LEFT JOIN lexical l ON l.id = tc.id;
+$$;
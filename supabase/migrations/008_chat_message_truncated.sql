@@ -0,0 +1,3 @@
+-- Answers cut short by a client disconnect or an explicit cancel are still
+-- saved, flagged so the UI can show them as incomplete.
+ALTER TABLE chat_messages ADD COLUMN IF NOT EXISTS truncated boolean NOT NULL DEFAULT false;
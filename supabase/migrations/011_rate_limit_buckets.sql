@@ -0,0 +1,113 @@
+-- GCRA rate limiting. Each (caller, action, window) bucket stores its
+-- theoretical arrival time (tat): the moment the bucket would be full again.
+-- Checking and taking happen in one function call under row locks, so
+-- concurrent requests on any number of instances can't overshoot a limit.
+CREATE TABLE IF NOT EXISTS rate_limit_buckets (
+  key text PRIMARY KEY, -- "<identifier>:<action>:<window>", e.g. "user:<uuid>:chat:hour"
+  tat timestamptz NOT NULL
+);
+
+-- A tat in the past means a full bucket, which is the same as no row; cleanup deletes those
+CREATE INDEX IF NOT EXISTS idx_rate_limit_buckets_tat ON rate_limit_buckets (tat);
+
+ALTER TABLE rate_limit_buckets ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage rate limit buckets" ON rate_limit_buckets
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Take p_cost from every window or from none of them. Window i allows
+-- p_limits[i] requests per p_periods_ms[i], refilling one every period/limit.
+-- A cost of 0 only reports the current state.
+CREATE OR REPLACE FUNCTION rate_limit_take(
+  p_keys text[],
+  p_limits int[],
+  p_periods_ms bigint[],
+  p_cost int DEFAULT 1
+)
+RETURNS TABLE (
+  key text,
+  allowed boolean,
+  "limit" int,
+  remaining int,
+  reset_ms bigint,
+  retry_after_ms bigint
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_now double precision := extract(epoch FROM now()) * 1000;
+  v_tats double precision[] := '{}';
+  v_news double precision[] := '{}';
+  v_all boolean := true;
+  v_tat double precision;
+  v_step double precision;
+  v_effective double precision;
+  i int;
+BEGIN
+  INSERT INTO rate_limit_buckets (key, tat)
+  SELECT k, now() FROM unnest(p_keys) AS k
+  ON CONFLICT ON CONSTRAINT rate_limit_buckets_pkey DO NOTHING;
+
+  -- Lock in key order so requests sharing windows can't deadlock
+  PERFORM 1 FROM rate_limit_buckets b WHERE b.key = ANY (p_keys) ORDER BY b.key FOR UPDATE;
+
+  FOR i IN 1 .. coalesce(array_length(p_keys, 1), 0) LOOP
+    SELECT greatest(extract(epoch FROM b.tat) * 1000, v_now) INTO v_tat
+    FROM rate_limit_buckets b WHERE b.key = p_keys[i];
+
+    v_tats := v_tats || v_tat;
+    IF p_limits[i] > 0 THEN
+      v_news := v_news || (v_tat + p_periods_ms[i]::double precision / p_limits[i] * p_cost);
+      v_all := v_all AND v_news[i] - p_periods_ms[i] <= v_now;
+    ELSE
+      v_news := v_news || v_tat;
+      v_all := false;
+    END IF;
+  END LOOP;
+
+  FOR i IN 1 .. coalesce(array_length(p_keys, 1), 0) LOOP
+    IF v_all AND p_cost > 0 THEN
+      UPDATE rate_limit_buckets b SET tat = to_timestamp(v_news[i] / 1000) WHERE b.key = p_keys[i];
+    END IF;
+
+    key := p_keys[i];
+    "limit" := p_limits[i];
+
+    IF p_limits[i] > 0 THEN
+      v_step := p_periods_ms[i]::double precision / p_limits[i];
+      v_effective := CASE WHEN v_all THEN v_news[i] ELSE v_tats[i] END;
+      allowed := v_news[i] - p_periods_ms[i] <= v_now;
+      -- The epsilon absorbs float and microsecond rounding of tat
+      remaining := greatest(0, floor((p_periods_ms[i] - (v_effective - v_now)) / v_step + 1e-6));
+      reset_ms := ceil(v_effective - v_now);
+      retry_after_ms := CASE WHEN allowed THEN 0 ELSE ceil(v_news[i] - p_periods_ms[i] - v_now) END;
+    ELSE
+      allowed := false;
+      remaining := 0;
+      reset_ms := p_periods_ms[i];
+      retry_after_ms := p_periods_ms[i];
+    END IF;
+
+    RETURN NEXT;
+  END LOOP;
+END;
+$$;
+
+-- Give back what rate_limit_take took, e.g. when the request then failed
+CREATE OR REPLACE FUNCTION rate_limit_refund(
+  p_keys text[],
+  p_limits int[],
+  p_periods_ms bigint[],
+  p_cost int DEFAULT 1
+)
+RETURNS void
+LANGUAGE sql
+AS $$
+  UPDATE rate_limit_buckets b
+  SET tat = greatest(b.tat - make_interval(secs => w.period_ms::double precision / w.lim * p_cost / 1000), now())
+  FROM unnest(p_keys, p_limits, p_periods_ms) AS w(key, lim, period_ms)
+  WHERE b.key = w.key AND w.lim > 0;
+$$;
+
+-- Usage is no longer logged row by row
+DROP TABLE IF EXISTS rate_limits;
@@ -0,0 +1,107 @@
+-- General background job queue. Workers lease jobs for a visibility timeout
+-- and keep extending it with heartbeats; a job whose lease runs out is
+-- handed to another worker. Failures retry with exponential backoff via
+-- run_after until max_attempts, then the job is dead-lettered.
+CREATE TABLE IF NOT EXISTS jobs (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  type text NOT NULL, -- e.g. 'channel.process', 'video.process'
+  payload jsonb NOT NULL DEFAULT '{}',
+  priority int NOT NULL DEFAULT 0, -- higher runs first
+  status text NOT NULL DEFAULT 'queued'
+    CHECK (status IN ('queued', 'running', 'completed', 'dead')),
+  attempts int NOT NULL DEFAULT 0,
+  max_attempts int NOT NULL DEFAULT 5,
+  run_after timestamptz NOT NULL DEFAULT now(),
+  dedupe_key text, -- at most one queued or running job per key
+  lease_owner text,
+  lease_expires_at timestamptz,
+  last_error text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  started_at timestamptz,
+  completed_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_dedupe_active
+  ON jobs (dedupe_key) WHERE status IN ('queued', 'running');
+
+CREATE INDEX IF NOT EXISTS idx_jobs_ready
+  ON jobs (priority DESC, run_after, created_at) WHERE status = 'queued';
+
+CREATE INDEX IF NOT EXISTS idx_jobs_leases
+  ON jobs (lease_expires_at) WHERE status = 'running';
+
+ALTER TABLE jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage jobs" ON jobs
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Lease up to p_limit runnable jobs to p_worker: queued jobs that are due,
+-- and running jobs whose lease expired. SKIP LOCKED lets concurrent workers
+-- claim disjoint jobs. Expired jobs already on their last attempt are
+-- dead-lettered instead of run again.
+CREATE OR REPLACE FUNCTION claim_jobs(
+  p_worker text,
+  p_types text[] DEFAULT NULL,
+  p_limit int DEFAULT 1,
+  p_lease_seconds int DEFAULT 120
+)
+RETURNS SETOF jobs
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  UPDATE jobs
+  SET status = 'dead',
+      last_error = coalesce(last_error, 'Lease expired on the final attempt'),
+      lease_owner = NULL,
+      lease_expires_at = NULL,
+      completed_at = now(),
+      updated_at = now()
+  WHERE status = 'running'
+    AND lease_expires_at < now()
+    AND attempts >= max_attempts;
+
+  RETURN QUERY
+  UPDATE jobs j
+  SET status = 'running',
+      attempts = j.attempts + 1,
+      lease_owner = p_worker,
+      lease_expires_at = now() + make_interval(secs => p_lease_seconds),
+      started_at = now(),
+      updated_at = now()
+  WHERE j.id IN (
+    SELECT c.id FROM jobs c
+    WHERE ((c.status = 'queued' AND c.run_after <= now())
+        OR (c.status = 'running' AND c.lease_expires_at < now()))
+      AND (p_types IS NULL OR c.type = ANY (p_types))
+    ORDER BY c.priority DESC, c.run_after, c.created_at
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING j.*;
+END;
+$$;
+
+-- Move work that was waiting in the old queues onto jobs
+INSERT INTO jobs (type, payload, priority, max_attempts, dedupe_key)
+SELECT 'channel.process',
+       jsonb_build_object('queueItemId', q.id),
+       CASE q.priority WHEN 'high' THEN 10 WHEN 'low' THEN -10 ELSE 0 END,
+       3,
+       'channel:' || q.channel_id
+FROM channel_queue q
+WHERE q.status IN ('pending', 'processing')
+ON CONFLICT DO NOTHING;
+
+INSERT INTO jobs (type, payload, dedupe_key)
+SELECT 'video.process', jsonb_build_object('videoId', v.youtube_id), 'video:' || v.youtube_id
+FROM videos v
+WHERE v.processing_queued = true AND v.transcript_cached = false
+ON CONFLICT DO NOTHING;
+
+-- Videos are queued as jobs now, not by flag
+DROP INDEX IF EXISTS idx_videos_processing_queue;
+ALTER TABLE videos
+  DROP COLUMN IF EXISTS processing_queued,
+  DROP COLUMN IF EXISTS processing_queued_at,
+  DROP COLUMN IF EXISTS processing_queued_by;
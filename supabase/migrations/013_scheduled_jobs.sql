@@ -0,0 +1,22 @@
+-- Scheduled job state shared by every instance. Jobs themselves are defined
+-- in code (src/services/scheduledJobs.js); a row only exists once a job has
+-- been paused or resumed.
+CREATE TABLE IF NOT EXISTS scheduled_jobs (
+  name text PRIMARY KEY,
+  paused boolean NOT NULL DEFAULT false,
+  paused_by text,
+  paused_at timestamptz,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+ALTER TABLE scheduled_jobs ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage scheduled jobs" ON scheduled_jobs
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Run history: how long each run took, what started it and where it ran
+ALTER TABLE cron_logs
+  ADD COLUMN IF NOT EXISTS duration_ms integer,
+  ADD COLUMN IF NOT EXISTS trigger text NOT NULL DEFAULT 'schedule'
+    CHECK (trigger IN ('schedule', 'manual')),
+  ADD COLUMN IF NOT EXISTS instance text;
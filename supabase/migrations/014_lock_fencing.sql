@@ -0,0 +1,44 @@
+-- Fencing tokens and owner identity for processing locks. Every acquisition
+-- takes the next value of one sequence, so a token never repeats and a newer
+-- holder always has a larger one. Writers compare their token with the row
+-- before committing to find out whether their lock was taken over.
+CREATE SEQUENCE IF NOT EXISTS processing_lock_fencing_seq;
+
+ALTER TABLE processing_locks
+  ADD COLUMN IF NOT EXISTS fencing_token bigint NOT NULL DEFAULT nextval('processing_lock_fencing_seq'),
+  ADD COLUMN IF NOT EXISTS owner jsonb NOT NULL DEFAULT '{}', -- { host, pid, instance, job }
+  ADD COLUMN IF NOT EXISTS renewed_at timestamptz;
+
+-- Take the lock if it is free or expired, in one statement so two instances
+-- can't both take over the same expired lock. Returns no row if it is held.
+CREATE OR REPLACE FUNCTION acquire_lock(
+  p_resource_id text,
+  p_lock_id text,
+  p_ttl_seconds int,
+  p_owner jsonb DEFAULT '{}'
+)
+RETURNS SETOF processing_locks
+LANGUAGE sql
+AS $$
+  INSERT INTO processing_locks (resource_id, lock_id, expires_at, owner, fencing_token, created_at, renewed_at)
+  VALUES (
+    p_resource_id,
+    p_lock_id,
+    now() + make_interval(secs => p_ttl_seconds),
+    p_owner,
+    nextval('processing_lock_fencing_seq'),
+    now(),
+    NULL
+  )
+  -- By column: tables created from BACKEND_TABLES_ONLY.sql have the unique
+  -- index on resource_id without 003's constraint name
+  ON CONFLICT (resource_id) DO UPDATE
+    SET lock_id = EXCLUDED.lock_id,
+        expires_at = EXCLUDED.expires_at,
+        owner = EXCLUDED.owner,
+        fencing_token = EXCLUDED.fencing_token,
+        created_at = EXCLUDED.created_at,
+        renewed_at = NULL
+    WHERE processing_locks.expires_at < now()
+  RETURNING *;
+$$;
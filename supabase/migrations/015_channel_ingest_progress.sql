@@ -0,0 +1,15 @@
+-- Channels are ingested from their uploads playlist page by page. The queue
+-- row holds how much of the channel to index (set from the requester's plan)
+-- and how far the job got, so a retried job resumes at the next page.
+ALTER TABLE channel_queue
+  ADD COLUMN IF NOT EXISTS video_limit integer, -- most recent N uploads; NULL = all
+  ADD COLUMN IF NOT EXISTS published_after timestamptz, -- skip older uploads; NULL = any age
+  ADD COLUMN IF NOT EXISTS uploads_playlist_id text,
+  ADD COLUMN IF NOT EXISTS next_page_token text,
+  ADD COLUMN IF NOT EXISTS pages_completed integer NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS progress jsonb NOT NULL DEFAULT '{}'; -- { seen, processed, existing, noTranscript, failed }
+
+-- Items queued before this migration keep the old 20-video cap
+UPDATE channel_queue
+SET video_limit = 20
+WHERE status IN ('pending', 'processing');
@@ -0,0 +1,27 @@
+-- Incremental sync of indexed channels. Each channel is checked for new
+-- uploads every sync_interval_minutes; sync_cursor remembers the newest
+-- upload already seen ({ "videoId", "publishedAt" }) so a sync only reads the
+-- uploads playlist down to it.
+ALTER TABLE channels
+  ADD COLUMN IF NOT EXISTS uploads_playlist_id text,
+  ADD COLUMN IF NOT EXISTS sync_interval_minutes integer NOT NULL DEFAULT 360,
+  ADD COLUMN IF NOT EXISTS last_synced_at timestamptz,
+  ADD COLUMN IF NOT EXISTS next_sync_at timestamptz,
+  ADD COLUMN IF NOT EXISTS sync_cursor jsonb,
+  ADD COLUMN IF NOT EXISTS sync_error text;
+
+CREATE INDEX IF NOT EXISTS idx_channels_next_sync
+  ON channels (next_sync_at) WHERE status = 'ready';
+
+-- Indexed channels start syncing from their newest stored video
+UPDATE channels c
+SET last_synced_at = c.last_indexed_at,
+    next_sync_at = now(),
+    sync_cursor = (
+      SELECT jsonb_build_object('videoId', v.youtube_id, 'publishedAt', v.published_at)
+      FROM videos v
+      WHERE v.channel_id = c.id AND v.published_at IS NOT NULL
+      ORDER BY v.published_at DESC
+      LIMIT 1
+    )
+WHERE c.status = 'ready';
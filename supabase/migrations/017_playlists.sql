@@ -0,0 +1,142 @@
+-- Playlists as a first-class collection. A playlist may span several
+-- channels; its videos are stored once in `videos` and linked here in
+-- playlist order. Users reach a playlist through user_playlists, the way
+-- they reach channels through user_channels.
+CREATE TABLE IF NOT EXISTS playlists (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  youtube_playlist_id text NOT NULL UNIQUE,
+  title text,
+  description text,
+  channel_title text, -- who curates the playlist
+  thumbnail_url text,
+  status text NOT NULL DEFAULT 'pending'
+    CHECK (status IN ('pending', 'processing', 'ready', 'failed')),
+  video_limit integer, -- first N videos in playlist order; NULL = all
+  video_count integer NOT NULL DEFAULT 0,
+  error_message text,
+  created_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  last_indexed_at timestamptz,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
+
+CREATE TABLE IF NOT EXISTS playlist_videos (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  playlist_id uuid NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  video_id uuid NOT NULL REFERENCES videos(id) ON DELETE CASCADE,
+  position integer NOT NULL, -- 0-based position in the YouTube playlist
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (playlist_id, video_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_playlist_videos_order
+  ON playlist_videos (playlist_id, position);
+
+CREATE TABLE IF NOT EXISTS user_playlists (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  playlist_id uuid NOT NULL REFERENCES playlists(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, playlist_id)
+);
+
+-- Playlist videos from channels nobody has indexed have no channel row
+ALTER TABLE videos ALTER COLUMN channel_id DROP NOT NULL;
+
+ALTER TABLE playlists ENABLE ROW LEVEL SECURITY;
+ALTER TABLE playlist_videos ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_playlists ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage playlists" ON playlists
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage playlist videos" ON playlist_videos
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage user playlists" ON user_playlists
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Same shape as search_channel_chunks (007), over the videos of one playlist
+CREATE OR REPLACE FUNCTION search_playlist_chunks(
+  query_embedding vector(1536),
+  p_playlist_id uuid,
+  match_threshold float DEFAULT 0,
+  match_count int DEFAULT 40,
+  p_keywords text[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  id uuid,
+  video_id uuid,
+  video_title text,
+  youtube_id text,
+  chunk_index int,
+  start_time int,
+  end_time int,
+  storage_path text,
+  byte_offset int,
+  byte_length int,
+  text_preview text,
+  keywords text[],
+  similarity float,
+  semantic_rank int,
+  keyword_score float,
+  keyword_rank int
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH playlist_chunks AS (
+    SELECT tc.id, tc.chunk_index, tc.embedding, tc.fts
+    FROM transcript_chunks tc
+    JOIN playlist_videos pv ON pv.video_id = tc.video_id
+    JOIN videos v ON v.id = tc.video_id
+    WHERE pv.playlist_id = p_playlist_id
+      AND v.transcript_cached = true
+  ),
+  semantic AS (
+    SELECT
+      pc.id,
+      1 - (pc.embedding <=> query_embedding) AS similarity,
+      row_number() OVER (ORDER BY pc.embedding <=> query_embedding)::int AS rank
+    FROM playlist_chunks pc
+    WHERE pc.embedding IS NOT NULL
+      AND 1 - (pc.embedding <=> query_embedding) > match_threshold
+    ORDER BY pc.embedding <=> query_embedding
+    LIMIT match_count
+  ),
+  lexical AS (
+    SELECT
+      ranked.id,
+      ranked.score,
+      row_number() OVER (ORDER BY ranked.score DESC, ranked.chunk_index)::int AS rank
+    FROM (
+      SELECT pc.id, pc.chunk_index, ts_rank_cd(pc.fts, chunk_search_query(p_keywords), 32) AS score
+      FROM playlist_chunks pc
+      WHERE pc.fts @@ chunk_search_query(p_keywords)
+    ) ranked
+    ORDER BY ranked.score DESC, ranked.chunk_index
+    LIMIT match_count
+  )
+  SELECT
+    tc.id,
+    tc.video_id,
+    v.title AS video_title,
+    v.youtube_id,
+    tc.chunk_index,
+    tc.start_time,
+    tc.end_time,
+    tc.storage_path,
+    tc.byte_offset,
+    tc.byte_length,
+    tc.text_preview,
+    tc.keywords,
+    s.similarity,
+    s.rank AS semantic_rank,
+    l.score AS keyword_score,
+    l.rank AS keyword_rank
+  FROM (SELECT semantic.id FROM semantic UNION SELECT lexical.id FROM lexical) hits
+  JOIN transcript_chunks tc ON tc.id = hits.id
+  JOIN videos v ON v.id = tc.video_id
+  LEFT JOIN semantic s ON s.id = tc.id
+  LEFT JOIN lexical l ON l.id = tc.id;
+$$;
@@ -0,0 +1,147 @@
+-- User-defined collections: a named mix of single videos, whole channels and
+-- playlists that chat and search treat as one body of videos. Channels and
+-- playlists are resolved when searching, so videos they gain later are
+-- included without touching the collection.
+CREATE TABLE IF NOT EXISTS collections (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name text NOT NULL,
+  description text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (user_id, name)
+);
+
+CREATE TABLE IF NOT EXISTS collection_items (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  collection_id uuid NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+  item_type text NOT NULL CHECK (item_type IN ('video', 'channel', 'playlist')),
+  video_id uuid REFERENCES videos(id) ON DELETE CASCADE,
+  channel_id uuid REFERENCES channels(id) ON DELETE CASCADE,
+  playlist_id uuid REFERENCES playlists(id) ON DELETE CASCADE,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  -- Exactly the reference matching item_type is set
+  CHECK (
+    (item_type = 'video' AND video_id IS NOT NULL AND channel_id IS NULL AND playlist_id IS NULL) OR
+    (item_type = 'channel' AND channel_id IS NOT NULL AND video_id IS NULL AND playlist_id IS NULL) OR
+    (item_type = 'playlist' AND playlist_id IS NOT NULL AND video_id IS NULL AND channel_id IS NULL)
+  ),
+  UNIQUE (collection_id, video_id),
+  UNIQUE (collection_id, channel_id),
+  UNIQUE (collection_id, playlist_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_collections_user_id ON collections (user_id);
+CREATE INDEX IF NOT EXISTS idx_collection_items_collection ON collection_items (collection_id);
+
+ALTER TABLE collections ENABLE ROW LEVEL SECURITY;
+ALTER TABLE collection_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage collections" ON collections
+  FOR ALL USING (auth.role() = 'service_role');
+
+CREATE POLICY "Service role can manage collection items" ON collection_items
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Same shape as search_channel_chunks (007) over the union of a collection's
+-- videos, plus the channel each chunk's video belongs to
+CREATE OR REPLACE FUNCTION search_collection_chunks(
+  query_embedding vector(1536),
+  p_collection_id uuid,
+  match_threshold float DEFAULT 0,
+  match_count int DEFAULT 40,
+  p_keywords text[] DEFAULT '{}'
+)
+RETURNS TABLE (
+  id uuid,
+  video_id uuid,
+  video_title text,
+  youtube_id text,
+  channel_title text,
+  chunk_index int,
+  start_time int,
+  end_time int,
+  storage_path text,
+  byte_offset int,
+  byte_length int,
+  text_preview text,
+  keywords text[],
+  similarity float,
+  semantic_rank int,
+  keyword_score float,
+  keyword_rank int
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH collection_videos AS (
+    SELECT ci.video_id
+    FROM collection_items ci
+    WHERE ci.collection_id = p_collection_id AND ci.item_type = 'video'
+    UNION
+    SELECT v.id
+    FROM collection_items ci
+    JOIN videos v ON v.channel_id = ci.channel_id
+    WHERE ci.collection_id = p_collection_id AND ci.item_type = 'channel'
+    UNION
+    SELECT pv.video_id
+    FROM collection_items ci
+    JOIN playlist_videos pv ON pv.playlist_id = ci.playlist_id
+    WHERE ci.collection_id = p_collection_id AND ci.item_type = 'playlist'
+  ),
+  collection_chunks AS (
+    SELECT tc.id, tc.chunk_index, tc.embedding, tc.fts
+    FROM transcript_chunks tc
+    JOIN collection_videos cv ON cv.video_id = tc.video_id
+    JOIN videos v ON v.id = tc.video_id
+    WHERE v.transcript_cached = true
+  ),
+  semantic AS (
+    SELECT
+      cc.id,
+      1 - (cc.embedding <=> query_embedding) AS similarity,
+      row_number() OVER (ORDER BY cc.embedding <=> query_embedding)::int AS rank
+    FROM collection_chunks cc
+    WHERE cc.embedding IS NOT NULL
+      AND 1 - (cc.embedding <=> query_embedding) > match_threshold
+    ORDER BY cc.embedding <=> query_embedding
+    LIMIT match_count
+  ),
+  lexical AS (
+    SELECT
+      ranked.id,
+      ranked.score,
+      row_number() OVER (ORDER BY ranked.score DESC, ranked.chunk_index)::int AS rank
+    FROM (
+      SELECT cc.id, cc.chunk_index, ts_rank_cd(cc.fts, chunk_search_query(p_keywords), 32) AS score
+      FROM collection_chunks cc
+      WHERE cc.fts @@ chunk_search_query(p_keywords)
+    ) ranked
+    ORDER BY ranked.score DESC, ranked.chunk_index
+    LIMIT match_count
+  )
+  SELECT
+    tc.id,
+    tc.video_id,
+    v.title AS video_title,
+    v.youtube_id,
+    c.title AS channel_title,
+    tc.chunk_index,
+    tc.start_time,
+    tc.end_time,
+    tc.storage_path,
+    tc.byte_offset,
+    tc.byte_length,
+    tc.text_preview,
+    tc.keywords,
+    s.similarity,
+    s.rank AS semantic_rank,
+    l.score AS keyword_score,
+    l.rank AS keyword_rank
+  FROM (SELECT semantic.id FROM semantic UNION SELECT lexical.id FROM lexical) hits
+  JOIN transcript_chunks tc ON tc.id = hits.id
+  JOIN videos v ON v.id = tc.video_id
+  LEFT JOIN channels c ON c.id = v.channel_id
+  LEFT JOIN semantic s ON s.id = tc.id
+  LEFT JOIN lexical l ON l.id = tc.id;
+$$;
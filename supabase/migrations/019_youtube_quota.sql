@@ -0,0 +1,62 @@
+-- YouTube Data API quota spent per quota day and call type. The quota day
+-- follows YouTube's reset at midnight Pacific time. Every process charges
+-- its calls here before making them, so the daily budget holds across the
+-- api, worker and scheduler roles.
+CREATE TABLE IF NOT EXISTS youtube_quota_usage (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  day date NOT NULL,
+  call_type text NOT NULL, -- channels.list, playlistItems.list, search.list, ...
+  calls integer NOT NULL DEFAULT 0,
+  units integer NOT NULL DEFAULT 0,
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (day, call_type)
+);
+
+ALTER TABLE youtube_quota_usage ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage YouTube quota usage" ON youtube_quota_usage
+  FOR ALL USING (auth.role() = 'service_role');
+
+-- Charge p_units to p_call_type if the day's total stays within p_budget.
+-- Serialised per day by an advisory lock so concurrent callers can't both
+-- take the last units.
+CREATE OR REPLACE FUNCTION youtube_quota_take(
+  p_day date,
+  p_call_type text,
+  p_units int,
+  p_budget int
+)
+RETURNS TABLE (
+  allowed boolean,
+  used int,
+  remaining int
+)
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_used int;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtext('youtube_quota:' || p_day::text));
+
+  SELECT coalesce(sum(q.units), 0) INTO v_used
+  FROM youtube_quota_usage q WHERE q.day = p_day;
+
+  IF v_used + p_units > p_budget THEN
+    allowed := false;
+    used := v_used;
+    remaining := greatest(p_budget - v_used, 0);
+    RETURN NEXT;
+    RETURN;
+  END IF;
+
+  INSERT INTO youtube_quota_usage AS q (day, call_type, calls, units, updated_at)
+  VALUES (p_day, p_call_type, 1, p_units, now())
+  ON CONFLICT (day, call_type) DO UPDATE
+    SET calls = q.calls + 1, units = q.units + p_units, updated_at = now();
+
+  allowed := true;
+  used := v_used + p_units;
+  remaining := p_budget - v_used - p_units;
+  RETURN NEXT;
+END;
+$$;
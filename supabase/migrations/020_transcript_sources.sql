@@ -0,0 +1,31 @@
+-- Where each transcript came from and in which language. Sources are tried
+-- in order (manual captions, auto captions, auto-translated captions, ...)
+-- until one has the video in a preferred language; see src/transcripts/.
+ALTER TABLE videos
+  ADD COLUMN IF NOT EXISTS transcript_language text,
+  ADD COLUMN IF NOT EXISTS transcript_source text;
+
+-- Preferred transcript language for the videos of a channel or playlist,
+-- set when a user asks for one while adding it
+ALTER TABLE channels ADD COLUMN IF NOT EXISTS transcript_language text;
+ALTER TABLE playlists ADD COLUMN IF NOT EXISTS transcript_language text;
+
+-- Caption files users upload for videos YouTube has no usable captions for.
+-- Keyed by YouTube video ID: a file may arrive before the video is stored.
+CREATE TABLE IF NOT EXISTS caption_uploads (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  youtube_id text NOT NULL,
+  language text NOT NULL,
+  format text NOT NULL CHECK (format IN ('srt', 'vtt')),
+  storage_path text NOT NULL, -- in the transcripts bucket
+  segment_count integer NOT NULL,
+  uploaded_by uuid REFERENCES users(id) ON DELETE SET NULL,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (youtube_id, language)
+);
+
+ALTER TABLE caption_uploads ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Service role can manage caption uploads" ON caption_uploads
+  FOR ALL USING (auth.role() = 'service_role');
@@ -0,0 +1,11 @@
+-- Manual runs requested through /api/admin/jobs/:name/trigger. The API only
+-- records the request; the scheduler leader picks it up, clears it and runs
+-- the job, so manual runs follow leadership and the scheduler role like
+-- scheduled ones.
+ALTER TABLE scheduled_jobs
+  ADD COLUMN IF NOT EXISTS trigger_requested_at timestamptz,
+  ADD COLUMN IF NOT EXISTS trigger_requested_by text;
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_jobs_trigger_requested
+  ON scheduled_jobs (trigger_requested_at)
+  WHERE trigger_requested_at IS NOT NULL;
@@ -0,0 +1,5 @@
+-- Videos of the page at next_page_token a channel job has already handled.
+-- Progress is saved after every video, so a retried job skips these instead
+-- of indexing and counting them again.
+ALTER TABLE channel_queue
+  ADD COLUMN IF NOT EXISTS page_offset integer NOT NULL DEFAULT 0;
@@ -0,0 +1,178 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { startApp, SERVICE_KEY } from './helpers.js';
+
+describe('authentication', () => {
+  let api;
+  let user;
+  let admin;
+
+  before(async () => {
+    // The service key may read any chat session once it has the chat scope
+    api = await startApp({ SERVICE_KEY_SCOPES: 'ingest,monitor,admin,chat' });
+    user = await api.createUser();
+    admin = await api.createUser({ role: 'admin' });
+  });
+
+  after(() => api.close());
+
+  describe('session tokens', () => {
+    it('rejects requests without credentials', async () => {
+      const { status } = await api.request('GET', '/api/user/quota');
+      assert.equal(status, 401);
+    });
+
+    it('accepts a valid token for a synced user', async () => {
+      const { status, body } = await api.request('GET', '/api/user/quota', { token: user.token });
+      assert.equal(status, 200);
+      assert.equal(body.plan.id, 'free');
+    });
+
+    it('rejects expired tokens', async () => {
+      const token = api.sign({ sub: user.clerk_id, exp: Math.floor(Date.now() / 1000) - 60 });
+      const { status, body } = await api.request('GET', '/api/user/quota', { token });
+      assert.equal(status, 401);
+      assert.equal(body.message, 'Token expired');
+    });
+
+    it('rejects tokens from another issuer', async () => {
+      const token = api.sign({ sub: user.clerk_id, iss: 'https://evil.test' });
+      const { status, body } = await api.request('GET', '/api/user/quota', { token });
+      assert.equal(status, 401);
+      assert.equal(body.message, 'Invalid token issuer');
+    });
+
+    it('rejects tokens signed with another key', async () => {
+      const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const token = api.sign({ sub: user.clerk_id }, { key: privateKey });
+      const { status, body } = await api.request('GET', '/api/user/quota', { token });
+      assert.equal(status, 401);
+      assert.equal(body.message, 'Invalid token signature');
+    });
+
+    it('rejects unknown key ids and algorithms', async () => {
+      const unknownKid = await api.request('GET', '/api/user/quota', {
+        token: api.sign({ sub: user.clerk_id }, { kid: 'other-key' })
+      });
+      assert.equal(unknownKid.status, 401);
+      assert.equal(unknownKid.body.message, 'Unknown signing key');
+
+      const hs256 = await api.request('GET', '/api/user/quota', {
+        token: api.sign({ sub: user.clerk_id }, { alg: 'HS256' })
+      });
+      assert.equal(hs256.status, 401);
+      assert.equal(hs256.body.message, 'Unsupported token algorithm');
+    });
+
+    it('asks users without a users row to sync first', async () => {
+      const { status, body } = await api.request('GET', '/api/user/quota', {
+        token: api.sign({ sub: 'user_not_synced' })
+      });
+      assert.equal(status, 403);
+      assert.equal(body.error, 'User not synced');
+    });
+  });
+
+  describe('admin routes', () => {
+    it('accept the service key', async () => {
+      const { status } = await api.request('GET', '/api/admin/jobs', { apiKey: SERVICE_KEY });
+      assert.equal(status, 200);
+    });
+
+    it('reject a wrong service key', async () => {
+      const { status } = await api.request('GET', '/api/admin/jobs', { apiKey: 'not-the-key' });
+      assert.equal(status, 401);
+    });
+
+    it('accept admin users and refuse everyone else', async () => {
+      assert.equal((await api.request('GET', '/api/admin/jobs', { token: admin.token })).status, 200);
+      assert.equal((await api.request('GET', '/api/admin/jobs', { token: user.token })).status, 403);
+    });
+
+    it('protect the cron triggers', async () => {
+      assert.equal((await api.request('POST', '/api/cron/check-new-videos')).status, 401);
+      assert.equal((await api.request('POST', '/api/cron/check-new-videos', { token: user.token })).status, 403);
+    });
+  });
+
+  describe('personal API keys', () => {
+    let key;
+    let keyId;
+
+    before(async () => {
+      const { status, body } = await api.request('POST', '/api/user/api-keys', {
+        token: user.token,
+        body: { name: 'CLI', scopes: ['read'] }
+      });
+      assert.equal(status, 201);
+      key = body.key;
+      keyId = body.apiKey.id;
+    });
+
+    it('authenticate as their owner in either header', async () => {
+      const bearer = await api.request('GET', '/api/user/quota', { token: key });
+      assert.equal(bearer.status, 200);
+
+      const header = await api.request('GET', '/api/user/quota', { apiKey: key });
+      assert.equal(header.status, 200);
+    });
+
+    it('are limited to their scopes', async () => {
+      const { status, body } = await api.request('POST', '/api/video/process', {
+        apiKey: key,
+        body: { videoId: 'dQw4w9WgXcQ' }
+      });
+      assert.equal(status, 403);
+      assert.match(body.message, /"ingest" scope/);
+    });
+
+    it('cannot manage API keys', async () => {
+      const { status } = await api.request('GET', '/api/user/api-keys', { apiKey: key });
+      assert.equal(status, 403);
+    });
+
+    it('never carry admin rights', async () => {
+      const created = await api.request('POST', '/api/user/api-keys', {
+        token: admin.token,
+        body: { scopes: ['read'] }
+      });
+      const { status } = await api.request('GET', '/api/admin/jobs', { apiKey: created.body.key });
+      assert.equal(status, 403);
+    });
+
+    it('stop working once revoked', async () => {
+      const revoked = await api.request('DELETE', `/api/user/api-keys/${keyId}`, { token: user.token });
+      assert.equal(revoked.status, 200);
+
+      const { status, body } = await api.request('GET', '/api/user/quota', { apiKey: key });
+      assert.equal(status, 401);
+      assert.equal(body.message, 'Invalid or revoked API key');
+    });
+  });
+
+  describe('chat sessions', () => {
+    let sessionId;
+
+    before(async () => {
+      const { status, body } = await api.request('POST', '/api/chat/sessions', {
+        token: user.token,
+        body: { title: 'Mine' }
+      });
+      assert.equal(status, 200);
+      sessionId = body.session.id;
+    });
+
+    it('are readable by their owner and the service key', async () => {
+      const url = `/api/chat/sessions/${sessionId}/messages`;
+      assert.equal((await api.request('GET', url, { token: user.token })).status, 200);
+      assert.equal((await api.request('GET', url, { apiKey: SERVICE_KEY })).status, 200);
+    });
+
+    it('look missing to other users, synced or not', async () => {
+      const url = `/api/chat/sessions/${sessionId}/messages`;
+      assert.equal((await api.request('GET', url, { token: admin.token })).status, 404);
+      assert.equal((await api.request('GET', url, { token: api.sign({ sub: 'user_not_synced' }) })).status, 404);
+    });
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, SERVICE_KEY } from './helpers.js';
+
+const srt = text => `1\n00:00:00,000 --> 00:00:04,000\n${text}\n`;
+
+describe('caption uploads', () => {
+  let api;
+  let owner;
+  let other;
+
+  before(async () => {
+    api = await startApp();
+    owner = await api.createUser();
+    other = await api.createUser();
+  });
+
+  after(() => api.close());
+
+  const upload = (caller, text) => api.request('POST', '/api/videos/dQw4w9WgXcQ/captions', {
+    ...caller,
+    body: { language: 'en', format: 'srt', content: srt(text) }
+  });
+
+  const stored = () => api.db.storage.download('transcripts', 'dQw4w9WgXcQ/captions/en.srt');
+
+  it('can be replaced by their uploader', async () => {
+    assert.equal((await upload({ token: owner.token }, 'First take')).status, 201);
+    assert.equal((await upload({ token: owner.token }, 'Second take')).status, 201);
+  });
+
+  it('cannot be replaced by another user', async () => {
+    const { status } = await upload({ token: other.token }, 'Not yours');
+    assert.equal(status, 409);
+
+    const { data: row } = await api.db.captionUploads.findOne({ youtube_id: 'dQw4w9WgXcQ', language: 'en' });
+    assert.equal(row.uploaded_by, owner.id);
+    const { data: file } = await stored();
+    assert.match(String(file), /Second take/);
+  });
+
+  it('can be replaced with the service key', async () => {
+    assert.equal((await upload({ apiKey: SERVICE_KEY }, 'Corrected')).status, 201);
+  });
+});
@@ -0,0 +1,67 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const CHANNEL_ID = 'UCfakeSyncBacklog0000000';
+const NEW_UPLOADS = 80;
+
+// One upload a day; video 0 is the last one indexed
+const videoId = n => `sync${String(n).padStart(7, '0')}`;
+const videos = Array.from({ length: NEW_UPLOADS + 1 }, (_, n) => ({
+  id: videoId(n),
+  channelId: CHANNEL_ID,
+  title: `Upload ${n}`,
+  publishedAt: new Date(Date.UTC(2024, 0, 1 + n)).toISOString()
+}));
+
+describe('channel sync', () => {
+  let api;
+  let channelSync;
+  let channel;
+
+  before(async () => {
+    api = await startApp({}, {
+      fixtures: { channels: [{ id: CHANNEL_ID, handle: 'syncbacklog', title: 'Sync Backlog' }], videos }
+    });
+    ({ channelSync } = await import('../src/services/channelSync.js'));
+
+    ({ data: channel } = await api.db.channels.insert({
+      youtube_channel_id: CHANNEL_ID,
+      title: 'Sync Backlog',
+      status: 'ready',
+      uploads_playlist_id: `UU${CHANNEL_ID.slice(2)}`,
+      sync_cursor: { videoId: videos[0].id, publishedAt: videos[0].publishedAt }
+    }));
+  });
+
+  after(() => api.close());
+
+  const queuedVideoIds = async () => {
+    const { data: jobs } = await api.db.jobs.find({ type: 'video.process' }, { order: { column: 'created_at', ascending: true } });
+    return jobs.map(job => job.payload.videoId);
+  };
+
+  it('queues the oldest 50 new uploads and leaves the rest for the next sync', async () => {
+    const first = await channelSync.syncChannel(channel.id);
+    assert.deepEqual(first, { newVideos: 50, remaining: NEW_UPLOADS - 50 });
+
+    const expected = videos.slice(1, 51).map(video => video.id);
+    assert.deepEqual([...new Set(await queuedVideoIds())].sort(), [...expected].sort());
+
+    const { data: synced } = await api.db.channels.findById(channel.id);
+    assert.equal(synced.sync_cursor.videoId, videoId(50));
+  });
+
+  it('picks up the rest on the next sync', async () => {
+    const second = await channelSync.syncChannel(channel.id);
+    assert.deepEqual(second, { newVideos: NEW_UPLOADS - 50, remaining: 0 });
+
+    const queued = new Set(await queuedVideoIds());
+    assert.equal(queued.size, NEW_UPLOADS);
+    assert.ok(videos.slice(1).every(video => queued.has(video.id)));
+
+    const { data: synced } = await api.db.channels.findById(channel.id);
+    assert.equal(synced.sync_cursor.videoId, videoId(NEW_UPLOADS));
+    assert.deepEqual(await channelSync.syncChannel(channel.id), { newVideos: 0, remaining: 0 });
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+describe('chat', () => {
+  let api;
+  let contextBuilder;
+
+  before(async () => {
+    api = await startApp({ LLM_CONTEXT_BUDGET: '200' });
+    ({ contextBuilder } = await import('../src/services/contextBuilder.js'));
+  });
+
+  after(() => api.close());
+
+  it('answers 400 for an empty messages array', async () => {
+    const { token } = await api.createUser();
+    for (const url of ['/api/chat/stream', '/api/chat/channel/stream', '/api/chat/playlist/stream']) {
+      const { status, body } = await api.request('POST', url, { token, body: { messages: [] } });
+      assert.equal(status, 400, url);
+      assert.equal(body.error, 'messages must be a non-empty array');
+    }
+  });
+
+  it('keeps history as one unbroken run back from the newest message', () => {
+    const messages = [
+      { role: 'user', content: 'q'.repeat(40) },
+      { role: 'assistant', content: 'a'.repeat(2000) },
+      { role: 'user', content: 'r'.repeat(40) },
+      { role: 'assistant', content: 'b'.repeat(40) },
+      { role: 'user', content: 'latest question' }
+    ];
+
+    const { messages: prompt, report } = contextBuilder.build({
+      systemPrompt: context => `Answer from: ${context}`,
+      render: () => '',
+      messages
+    });
+
+    // The long answer doesn't fit, so nothing older than it is sent either
+    assert.deepEqual(prompt.slice(1), messages.slice(2));
+    assert.equal(report.dropped.messages, 2);
+  });
+});
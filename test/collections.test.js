@@ -0,0 +1,48 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+describe('collections', () => {
+  let api;
+  let user;
+  let videos;
+
+  before(async () => {
+    api = await startApp();
+    user = await api.createUser();
+    const { data } = await api.db.videos.insert([
+      { youtube_id: 'dQw4w9WgXcQ', title: 'First' },
+      { youtube_id: 'jNQXAC9IVRw', title: 'Second' }
+    ]);
+    videos = data;
+  });
+
+  after(() => api.close());
+
+  const create = name => api.request('POST', '/api/user/collections', {
+    token: user.token,
+    body: { name, items: videos.map(video => ({ type: 'video', id: video.youtube_id })) }
+  });
+
+  it('leave nothing behind when adding an item fails, so a retry works', async () => {
+    // Fail the second item insert, as a dropped connection would
+    const { insert } = api.db.collectionItems;
+    let calls = 0;
+    api.db.collectionItems.insert = (...args) =>
+      ++calls === 2 ? { data: null, error: { message: 'connection reset' } } : insert.apply(api.db.collectionItems, args);
+
+    try {
+      const { status } = await create('Talks');
+      assert.equal(status, 500);
+    } finally {
+      api.db.collectionItems.insert = insert;
+    }
+
+    assert.equal((await api.db.collections.count({ user_id: user.id })).count, 0);
+    assert.equal((await api.db.collectionItems.count({})).count, 0);
+
+    const { status, body } = await create('Talks');
+    assert.equal(status, 201);
+    assert.equal(body.collection.name, 'Talks');
+  });
+});
@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFakeYouTubeServer } from '../src/youtube/fakeServer.js';
+
+export const SERVICE_KEY = 'test-service-key';
+export const ISSUER = 'https://clerk.test';
+
+const KID = 'test-key';
+
+// The runner reads results from each test file's stdout, and on Node 20 a lot
+// of interleaved log output can garble them; send the app's logs to stderr
+console.log = console.info = console.debug = console.error;
+
+// Point the backend at in-process stand-ins: the memory store, the fake LLM
+// provider and a local JWKS file. Services read their configuration when
+// first imported, so this has to run before anything under src/ is imported.
+export function useTestEnv(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'vidsift-test-'));
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwksFile = path.join(dir, 'jwks.json');
+  fs.writeFileSync(jwksFile, JSON.stringify({
+    keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, use: 'sig', alg: 'RS256' }]
+  }));
+
+  for (const name of ['MEMORY_STORE_SEED', 'CLERK_JWKS_URL', 'CLERK_AUTHORIZED_PARTIES', 'SERVICE_KEY_SCOPES', 'PLAN_LIMITS']) {
+    delete process.env[name];
+  }
+  Object.assign(process.env, {
+    DATA_STORE: 'memory',
+    LLM_PROVIDER: 'fake',
+    BACKEND_API_KEY: SERVICE_KEY,
+    CLERK_JWKS_FILE: jwksFile,
+    CLERK_ISSUER: ISSUER,
+    ...env
+  });
+
+  return {
+    privateKey,
+    cleanup: () => fs.rmSync(dir, { recursive: true, force: true })
+  };
+}
+
+// Sign a Clerk-style session token. Claims override the defaults, so tests
+// can expire it or change the issuer; `key` and `kid` swap the signing key.
+export function signToken(claims, { key, kid = KID, alg = 'RS256' } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const unsigned = `${encode({ alg, kid, typ: 'JWT' })}.${encode({ iss: ISSUER, iat: now, nbf: now, exp: now + 60, ...claims })}`;
+  return `${unsigned}.${crypto.sign('sha256', Buffer.from(unsigned), key).toString('base64url')}`;
+}
+
+// Boot the HTTP API against the memory store and a fake YouTube server on
+// random ports. Call once per test file: the app is a singleton per process.
+// `fixtures` replaces the fake server's channels, playlists and videos.
+export async function startApp(env = {}, { fixtures } = {}) {
+  const youtube = createFakeYouTubeServer({ ...(fixtures && { fixtures }) });
+  await new Promise(resolve => youtube.listen(0, '127.0.0.1', resolve));
+  const youtubeUrl = `http://127.0.0.1:${youtube.address().port}`;
+
+  const testEnv = useTestEnv({
+    YOUTUBE_API_KEY: 'test-youtube-key',
+    YOUTUBE_API_BASE_URL: `${youtubeUrl}/youtube/v3`,
+    YOUTUBE_WEB_BASE_URL: youtubeUrl,
+    ...env
+  });
+
+  const [{ app }, { db }] = await Promise.all([
+    import('../src/app.js'),
+    import('../src/db/index.js')
+  ]);
+
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Insert a synced user and return it with a session token for it
+  const createUser = async (fields = {}) => {
+    const clerkId = `user_${crypto.randomUUID().slice(0, 8)}`;
+    const { data: user, error } = await db.users.insert({
+      clerk_id: clerkId,
+      email: `${clerkId}@example.com`,
+      role: 'user',
+      plan: 'free',
+      ...fields
+    });
+    if (error) throw error;
+    return { ...user, token: signToken({ sub: clerkId }, { key: testEnv.privateKey }) };
+  };
+
+  // fetch wrapper: `token` goes in Authorization, `apiKey` in x-api-key
+  const request = async (method, url, { token, apiKey, body, headers = {} } = {}) => {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(apiKey && { 'x-api-key': apiKey }),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+    let json = null;
+    try {
+      json = JSON.parse(text);
+    } catch {
+      // Not JSON; tests that care read `text`
+    }
+    return { status: response.status, headers: response.headers, body: json, text };
+  };
+
+  const close = async () => {
+    server.closeAllConnections();
+    youtube.closeAllConnections();
+    await Promise.all([
+      new Promise(resolve => server.close(resolve)),
+      new Promise(resolve => youtube.close(resolve))
+    ]);
+    testEnv.cleanup();
+  };
+
+  return {
+    db,
+    youtube,
+    sign: (claims, options) => signToken(claims, { key: testEnv.privateKey, ...options }),
+    createUser,
+    request,
+    close
+  };
+}
@@ -0,0 +1,121 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp } from './helpers.js';
+
+const CHANNEL_ID = 'UCfakeLeaseLost000000000';
+const RESUME_CHANNEL_ID = 'UCfakeResumeMidPage00000';
+
+const uploads = (channelId, prefix, count) => Array.from({ length: count }, (_, n) => ({
+  id: `${prefix}${String(n).padStart(11 - prefix.length, '0')}`,
+  channelId,
+  title: `Upload ${n}`,
+  publishedAt: new Date(Date.UTC(2024, 0, 1 + n)).toISOString(),
+  captions: [{ languageCode: 'en', segments: [[0, 5, `Upload number ${n}.`]] }]
+}));
+
+const videos = [...uploads(CHANNEL_ID, 'lease', 5), ...uploads(RESUME_CHANNEL_ID, 'resume', 4)];
+
+const waitFor = async (check, ms = 5000) => {
+  const deadline = Date.now() + ms;
+  while (!(await check())) {
+    assert.ok(Date.now() < deadline, 'timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+describe('job handlers', () => {
+  let api;
+  let jobQueue;
+
+  before(async () => {
+    // Heartbeats every third of a second, captions from the fake server only
+    api = await startApp({ JOB_LEASE_SECONDS: '1', TRANSCRIPT_SOURCES: 'manual' }, {
+      fixtures: {
+        channels: [
+          { id: CHANNEL_ID, handle: 'leaselost', title: 'Lease Lost' },
+          { id: RESUME_CHANNEL_ID, handle: 'resumemidpage', title: 'Resume Mid Page' }
+        ],
+        videos
+      }
+    });
+    ({ jobQueue } = await import('../src/services/jobQueue.js'));
+    const { registerJobHandlers } = await import('../src/services/jobHandlers.js');
+    registerJobHandlers();
+  });
+
+  after(() => api.close());
+
+  it('process and sync a channel one at a time', async () => {
+    const { channelProcessor } = await import('../src/services/channelProcessor.js');
+    const { channelSync } = await import('../src/services/channelSync.js');
+    const { lockService } = await import('../src/services/lockService.js');
+
+    const { data: channel } = await api.db.channels.insert({ youtube_channel_id: 'UCfakeOneAtATime00000000', title: 'One at a time', status: 'ready' });
+    const { data: queueItem } = await api.db.channelQueue.insert({ channel_id: channel.id, status: 'pending' });
+    const lock = await lockService.acquire(`channel-${channel.id}`);
+
+    try {
+      await assert.rejects(channelProcessor.processChannel(queueItem.id), /already being processed or synced/);
+      await assert.rejects(channelSync.syncChannel(channel.id), /already being processed or synced/);
+    } finally {
+      await lockService.release(lock);
+    }
+  });
+
+  it('stop a channel job once its lease is lost', async () => {
+    const { enqueueChannelJob } = await import('../src/services/jobHandlers.js');
+    const { data: channel } = await api.db.channels.insert({ youtube_channel_id: CHANNEL_ID, title: 'Lease Lost', status: 'pending' });
+    const { data: queueItem } = await api.db.channelQueue.insert({ channel_id: channel.id, status: 'pending' });
+    const { data: job } = await enqueueChannelJob(queueItem);
+
+    const indexed = async () => (await api.db.videos.count({ channel_id: channel.id, transcript_cached: true })).count;
+
+    jobQueue.start();
+    try {
+      await waitFor(async () => (await indexed()) > 0);
+
+      // Another worker takes the job over; the next heartbeat notices
+      await api.db.jobs.update({ id: job.id }, { lease_owner: 'other-worker' });
+      await waitFor(() => jobQueue.running.size === 0);
+    } finally {
+      await jobQueue.stop();
+    }
+
+    assert.equal(await indexed(), 1);
+
+    const { data: item } = await api.db.channelQueue.findById(queueItem.id);
+    assert.equal(item.status, 'pending');
+    assert.equal(item.error_message, 'Job lease lost');
+
+    // Its result is left to the new owner
+    const { data: current } = await api.db.jobs.findById(job.id);
+    assert.equal(current.status, 'running');
+    assert.equal(current.lease_owner, 'other-worker');
+  });
+
+  it('resume a channel job at the next video of a part-done page', async () => {
+    const { channelProcessor } = await import('../src/services/channelProcessor.js');
+    const { data: channel } = await api.db.channels.insert({ youtube_channel_id: RESUME_CHANNEL_ID, title: 'Resume Mid Page', status: 'pending' });
+
+    // Two of the three videos the plan allows were done when the last attempt died
+    const { data: queueItem } = await api.db.channelQueue.insert({
+      channel_id: channel.id,
+      status: 'pending',
+      video_limit: 3,
+      page_offset: 2,
+      pages_completed: 0,
+      progress: { seen: 2, processed: 2, existing: 0, noTranscript: 0, failed: 0 }
+    });
+
+    await channelProcessor.processChannel(queueItem.id);
+
+    const { data: item } = await api.db.channelQueue.findById(queueItem.id);
+    assert.equal(item.status, 'completed');
+    assert.equal(item.progress.seen, 3);
+    assert.equal(item.videos_processed, 3);
+
+    // Newest first: the third newest upload is the only one indexed now
+    const { data: indexed } = await api.db.videos.find({ channel_id: channel.id, transcript_cached: true }, { columns: 'youtube_id' });
+    assert.deepEqual(indexed.map(video => video.youtube_id), ['resume00001']);
+  });
+});
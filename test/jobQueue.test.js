@@ -0,0 +1,151 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestEnv } from './helpers.js';
+
+describe('job queue', () => {
+  let env;
+  let db;
+  let jobQueue;
+  let PermanentJobError;
+
+  before(async () => {
+    env = useTestEnv();
+    ({ db } = await import('../src/db/index.js'));
+    ({ jobQueue, PermanentJobError } = await import('../src/services/jobQueue.js'));
+    jobQueue.register('test.job', { maxAttempts: 2, run: async () => {} });
+  });
+
+  after(() => env.cleanup());
+
+  beforeEach(() => db.store.reset());
+
+  // Another worker's claim, straight through the RPC
+  const claimAs = async (worker, limit = 10) => {
+    const { data, error } = await db.rpc('claim_jobs', {
+      p_worker: worker,
+      p_types: ['test.job'],
+      p_limit: limit,
+      p_lease_seconds: 60
+    });
+    assert.equal(error, null);
+    return data;
+  };
+
+  const expireLease = id => db.jobs.update({ id }, { lease_expires_at: new Date(Date.now() - 1000).toISOString() });
+
+  const jobById = async id => (await db.jobs.findById(id)).data;
+
+  it('returns the active job for a dedupe key instead of adding another', async () => {
+    const first = await jobQueue.enqueue('test.job', { n: 1 }, { dedupeKey: 'test:1' });
+    const second = await jobQueue.enqueue('test.job', { n: 2 }, { dedupeKey: 'test:1' });
+
+    assert.equal(first.existing, false);
+    assert.equal(second.existing, true);
+    assert.equal(second.data.id, first.data.id);
+    assert.equal((await db.jobs.count({ type: 'test.job' })).count, 1);
+  });
+
+  it('claims higher priorities first and leaves future jobs alone', async () => {
+    const { data: low } = await jobQueue.enqueue('test.job', {}, { priority: 'low' });
+    const { data: high } = await jobQueue.enqueue('test.job', {}, { priority: 'high' });
+    await jobQueue.enqueue('test.job', {}, { runAfter: Date.now() + 60 * 1000 });
+
+    const claimed = await jobQueue.claim(10);
+    assert.deepEqual(claimed.map(job => job.id), [high.id, low.id]);
+    assert.ok(claimed.every(job => job.status === 'running' && job.lease_owner === jobQueue.workerId));
+    assert.ok(claimed.every(job => job.attempts === 1));
+  });
+
+  it('does not hand a leased job to another worker', async () => {
+    await jobQueue.enqueue('test.job');
+    const [job] = await jobQueue.claim(1);
+
+    assert.deepEqual(await claimAs('other-worker'), []);
+    assert.equal(await jobQueue.heartbeat(job), true);
+  });
+
+  it('lets another worker take over once the lease expires', async () => {
+    await jobQueue.enqueue('test.job');
+    const [job] = await jobQueue.claim(1);
+    await expireLease(job.id);
+
+    const [takenOver] = await claimAs('other-worker');
+    assert.equal(takenOver.id, job.id);
+    assert.equal(takenOver.attempts, 2);
+
+    // The first worker finds out on its next heartbeat and can't record a result
+    assert.equal(await jobQueue.heartbeat(job), false);
+    assert.equal(await jobQueue.fail(job, new Error('too late')), null);
+    assert.equal((await jobById(job.id)).lease_owner, 'other-worker');
+  });
+
+  it('dead-letters a job whose lease expires on the last attempt', async () => {
+    const { data } = await jobQueue.enqueue('test.job', {}, { maxAttempts: 1 });
+    await jobQueue.claim(1);
+    await expireLease(data.id);
+
+    assert.deepEqual(await claimAs('other-worker'), []);
+    const job = await jobById(data.id);
+    assert.equal(job.status, 'dead');
+    assert.equal(job.last_error, 'Lease expired on the final attempt');
+  });
+
+  it('requeues failures with a backoff until the attempts run out', async () => {
+    const { data } = await jobQueue.enqueue('test.job');
+
+    const [job] = await jobQueue.claim(1);
+    assert.equal(await jobQueue.fail(job, new Error('flaky')), 'queued');
+    const requeued = await jobById(data.id);
+    assert.ok(new Date(requeued.run_after) > new Date());
+    assert.equal(requeued.last_error, 'flaky');
+    assert.deepEqual(await jobQueue.claim(1), []);
+
+    await db.jobs.update({ id: data.id }, { run_after: new Date().toISOString() });
+    const [retry] = await jobQueue.claim(1);
+    assert.equal(retry.attempts, 2);
+    assert.equal(await jobQueue.fail(retry, new Error('flaky again')), 'dead');
+  });
+
+  it('dead-letters permanent errors straight away and requeues them on request', async () => {
+    const { data } = await jobQueue.enqueue('test.job');
+    const [job] = await jobQueue.claim(1);
+
+    assert.equal(await jobQueue.fail(job, new PermanentJobError('no such video')), 'dead');
+
+    const { data: requeued } = await jobQueue.requeue(data.id);
+    assert.equal(requeued.status, 'queued');
+    assert.equal(requeued.attempts, 0);
+  });
+
+  it('runs claimed jobs and calls onDead for the ones that die', async () => {
+    const ran = [];
+    const dead = [];
+    jobQueue.register('test.worker', {
+      maxAttempts: 1,
+      run: async payload => {
+        ran.push(payload.n);
+        if (payload.fail) throw new Error('boom');
+      },
+      onDead: payload => dead.push(payload.n)
+    });
+
+    const { data: ok } = await jobQueue.enqueue('test.worker', { n: 1 });
+    const { data: failing } = await jobQueue.enqueue('test.worker', { n: 2, fail: true });
+
+    jobQueue.start();
+    try {
+      const deadline = Date.now() + 5000;
+      while (dead.length === 0 || jobQueue.running.size > 0) {
+        assert.ok(Date.now() < deadline, 'jobs did not finish in time');
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    } finally {
+      await jobQueue.stop();
+    }
+
+    assert.deepEqual(ran.sort(), [1, 2]);
+    assert.deepEqual(dead, [2]);
+    assert.equal((await jobById(ok.id)).status, 'completed');
+    assert.equal((await jobById(failing.id)).status, 'dead');
+  });
+});
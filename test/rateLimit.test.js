@@ -0,0 +1,95 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, SERVICE_KEY } from './helpers.js';
+
+const DAILY_UPLOADS = 3;
+
+describe('rate limits', () => {
+  let api;
+
+  before(async () => {
+    api = await startApp({
+      PLAN_LIMITS: JSON.stringify({
+        free: { video_upload: { daily: DAILY_UPLOADS } },
+        premium: { video_upload: { daily: DAILY_UPLOADS } }
+      }),
+      SERVICE_KEY_SCOPES: 'ingest,ratelimit:bypass'
+    });
+  });
+
+  after(() => api.close());
+
+  const processVideo = (caller, videoId = 'dQw4w9WgXcQ') =>
+    api.request('POST', '/api/video/process', { ...caller, body: { videoId } });
+
+  it('allow the plan limit, then answer 429 with Retry-After', async () => {
+    const { token } = await api.createUser();
+
+    for (let i = 0; i < DAILY_UPLOADS; i++) {
+      const { status, headers } = await processVideo({ token });
+      assert.equal(status, 200);
+      assert.equal(headers.get('ratelimit-limit'), String(DAILY_UPLOADS));
+      assert.equal(headers.get('ratelimit-remaining'), String(DAILY_UPLOADS - i - 1));
+    }
+
+    const { status, headers, body } = await processVideo({ token });
+    assert.equal(status, 429);
+    assert.equal(body.window, 'day');
+    assert.equal(body.limit, DAILY_UPLOADS);
+    assert.ok(Number(headers.get('retry-after')) > 0);
+  });
+
+  it('count each user separately', async () => {
+    const first = await api.createUser();
+    const second = await api.createUser();
+
+    for (let i = 0; i < DAILY_UPLOADS; i++) {
+      await processVideo({ token: first.token });
+    }
+
+    assert.equal((await processVideo({ token: first.token })).status, 429);
+    assert.equal((await processVideo({ token: second.token })).status, 200);
+  });
+
+  it('give back requests that fail', async () => {
+    const { token } = await api.createUser();
+
+    for (let i = 0; i < DAILY_UPLOADS + 1; i++) {
+      assert.equal((await processVideo({ token }, 'not a video')).status, 400);
+    }
+
+    const { body } = await api.request('GET', '/api/user/quota', { token });
+    assert.equal(body.quota.video_upload.daily.used, 0);
+    assert.equal((await processVideo({ token })).status, 200);
+  });
+
+  it('apply to the queue routes too', async () => {
+    const { token } = await api.createUser();
+
+    for (let i = 0; i < DAILY_UPLOADS; i++) {
+      assert.equal((await processVideo({ token })).status, 200);
+    }
+
+    const { status } = await api.request('POST', '/api/queue/video', { token, body: { videoId: 'dQw4w9WgXcQ' } });
+    assert.equal(status, 429);
+  });
+
+  it('hold queued channels to the plan channel count', async () => {
+    const user = await api.createUser();
+    const { data: owned } = await api.db.channels.insert({ youtube_channel_id: 'UCfakeOwned0000000000000', title: 'Owned', status: 'ready' });
+    const { data: other } = await api.db.channels.insert({ youtube_channel_id: 'UCfakeOther0000000000000', title: 'Other', status: 'ready' });
+    await api.db.userChannels.insert({ user_id: user.id, channel_id: owned.id });
+
+    const { status, body } = await api.request('POST', '/api/queue/channel', { token: user.token, body: { channelId: other.id } });
+    assert.equal(status, 403);
+    assert.equal(body.quotaExceeded, true);
+  });
+
+  it('are skipped for service keys with the bypass scope', async () => {
+    for (let i = 0; i < DAILY_UPLOADS + 2; i++) {
+      const { status, headers } = await processVideo({ apiKey: SERVICE_KEY });
+      assert.equal(status, 200);
+      assert.equal(headers.get('ratelimit-limit'), null);
+    }
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startApp, SERVICE_KEY } from './helpers.js';
+
+describe('YouTube resolver', () => {
+  let api;
+  let youtubeResolver;
+
+  before(async () => {
+    api = await startApp();
+    ({ youtubeResolver } = await import('../src/services/youtubeResolver.js'));
+  });
+
+  after(() => api.close());
+
+  describe('classify', () => {
+    const cases = [
+      ['dQw4w9WgXcQ', { type: 'video', videoId: 'dQw4w9WgXcQ' }],
+      ['https://youtu.be/dQw4w9WgXcQ', { type: 'video', videoId: 'dQw4w9WgXcQ' }],
+      ['youtube.com/shorts/dQw4w9WgXcQ', { type: 'video', videoId: 'dQw4w9WgXcQ' }],
+      [
+        'https://www.youtube.com/watch?v=dQw4w9WgXcQ&list=PLfakeAlphaLabs0001',
+        { type: 'video', videoId: 'dQw4w9WgXcQ', playlistId: 'PLfakeAlphaLabs0001' }
+      ],
+      ['https://www.youtube.com/playlist?list=PLfakeAlphaLabs0001', { type: 'playlist', playlistId: 'PLfakeAlphaLabs0001' }],
+      ['UCfakeAlphaLabs000000000', { type: 'channel', channelId: 'UCfakeAlphaLabs000000000' }],
+      ['https://m.youtube.com/@fakealphalabs/videos', { type: 'channel', handle: 'fakealphalabs' }],
+      ['@fakealphalabs', { type: 'channel', handle: 'fakealphalabs' }],
+      ['https://www.youtube.com/user/someone', { type: 'channel', username: 'someone' }],
+      ['https://www.youtube.com/c/SomeName', { type: 'channel', customName: 'SomeName' }],
+      ['fakealphalabs', null],
+      ['https://example.com/watch?v=dQw4w9WgXcQ', null],
+      ['youtube.com/%E0%A4%A', null],
+      ['', null]
+    ];
+
+    for (const [input, expected] of cases) {
+      it(`classifies ${JSON.stringify(input)}`, () => {
+        assert.deepEqual(youtubeResolver.classify(input), expected);
+      });
+    }
+  });
+
+  describe('resolveChannel', () => {
+    it('takes bare words as handles, even 11-character ones', async () => {
+      const channel = await youtubeResolver.resolveChannel('numberphile');
+      assert.equal(channel.channelId, 'UCfakeNumberphile0000000');
+    });
+
+    it('rejects input that is not a channel', async () => {
+      await assert.rejects(
+        youtubeResolver.resolveChannel('https://www.youtube.com/watch?v=dQw4w9WgXcQ'),
+        { status: 400 }
+      );
+    });
+
+    it('resolves null for channels YouTube does not have', async () => {
+      assert.equal(await youtubeResolver.resolveChannel('@nosuchchannel'), null);
+    });
+
+    it('caches what it resolved', async () => {
+      const before = api.youtube.calls.channels || 0;
+      const first = await youtubeResolver.resolveChannel('https://www.youtube.com/channel/UCfakeBetaKitchen0000000');
+      const second = await youtubeResolver.resolveChannel('UCfakeBetaKitchen0000000');
+
+      assert.deepEqual(second, first);
+      assert.equal(api.youtube.calls.channels, before + 1);
+    });
+  });
+
+  describe('POST /api/channels/process', () => {
+    const processChannel = channelId =>
+      api.request('POST', '/api/channels/process', { apiKey: SERVICE_KEY, body: { channelId } });
+
+    it('queues the channel a handle resolves to', async () => {
+      const { status, body } = await processChannel('@FakeAlphaLabs');
+      assert.equal(status, 200);
+      assert.equal(body.channelId, 'UCfakeAlphaLabs000000000');
+
+      const { data: channel } = await api.db.channels.findOne({ youtube_channel_id: 'UCfakeAlphaLabs000000000' });
+      assert.equal(channel.uploads_playlist_id, 'UUfakeAlphaLabs000000000');
+      assert.equal((await api.db.channelQueue.count({ channel_id: channel.id })).count, 1);
+    });
+
+    it('does not queue a channel that is already queued', async () => {
+      const first = await processChannel('https://www.youtube.com/@fakealphalabs');
+      assert.equal(first.body.alreadyQueued, true);
+    });
+
+    it('answers 400 for input that is not a channel', async () => {
+      const { status } = await processChannel('https://example.com/@fakealphalabs');
+      assert.equal(status, 400);
+    });
+
+    it('answers 400 for URLs with malformed escapes', async () => {
+      const { status } = await processChannel('https://www.youtube.com/%E0%A4%A');
+      assert.equal(status, 400);
+    });
+
+    it('answers 404 for channels YouTube does not have', async () => {
+      const { status } = await processChannel('@nosuchchannel');
+      assert.equal(status, 404);
+    });
+  });
+});